@@ -0,0 +1,25 @@
+/**
+ * Book Metadata Providers
+ * External catalogs consulted for book metadata, in fallback order: lookups
+ * go to the first provider and fall back to the next when it fails (e.g. Google
+ * throttling us); merged records take each field from the earliest provider that has it.
+ * Override the order with BOOK_METADATA_PROVIDERS (comma-separated).
+ */
+
+export const METADATA_PROVIDER_NAMES = ['google', 'openlibrary'];
+
+const DEFAULT_PROVIDER_ORDER = ['google', 'openlibrary'];
+
+export const getMetadataProviderOrder = () => {
+  const configured = (process.env.BOOK_METADATA_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => METADATA_PROVIDER_NAMES.includes(name));
+
+  return configured.length > 0 ? [...new Set(configured)] : DEFAULT_PROVIDER_ORDER;
+};
+
+export default {
+  METADATA_PROVIDER_NAMES,
+  getMetadataProviderOrder
+};
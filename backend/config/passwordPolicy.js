@@ -0,0 +1,31 @@
+/**
+ * Password Policy
+ * Rules every new password must meet (registration, password change and reset).
+ * Each setting can be overridden with the matching PASSWORD_* environment variable.
+ */
+
+const flag = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return value === 'true';
+};
+
+// Never go below what the User schema accepts
+const SCHEMA_MIN_LENGTH = 6;
+const SCHEMA_MAX_LENGTH = 128;
+
+export const getPasswordPolicy = () => ({
+  minLength: Math.max(SCHEMA_MIN_LENGTH, parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8),
+  maxLength: Math.min(SCHEMA_MAX_LENGTH, parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || SCHEMA_MAX_LENGTH),
+  requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireNumber: flag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+  requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  // Reject passwords containing the username or the local part of the email
+  blockPersonalInfo: flag(process.env.PASSWORD_BLOCK_PERSONAL_INFO, true),
+  // Reject passwords on the bundled common/breached password list
+  blockCommonPasswords: flag(process.env.PASSWORD_BLOCK_COMMON, true)
+});
+
+export default {
+  getPasswordPolicy
+};
@@ -0,0 +1,59 @@
+/**
+ * Staff Roles & Permissions
+ * Routes check named permissions (requirePermission('books:edit')); roles are
+ * bundles of permissions that can be granted to users independently.
+ */
+
+export const PERMISSIONS = {
+  'books:edit': 'Edit catalog book records',
+  'books:delete': 'Delete catalog book records',
+  'reviews:moderate': 'Hide or remove book reviews',
+  'metadata:manage': 'View and clear the book metadata cache',
+  'communities:moderate': 'Moderate any community, its discussions and comments',
+  'users:read': 'View user accounts, sessions and activity',
+  'users:manage': 'Suspend, reactivate and reset user accounts',
+  'accounts:unlock': 'Unlock accounts locked after failed logins',
+  'security:read': 'View login protection events and targeted accounts',
+  'security:manage': 'Change security policies such as the staff two-factor requirement',
+  'roles:manage': 'Grant and revoke staff roles',
+  'audit:read': 'View the admin audit trail and security audit log'
+};
+
+export const ROLES = {
+  support: {
+    name: 'Support',
+    description: 'Helps users with account problems',
+    permissions: ['users:read', 'accounts:unlock', 'security:read']
+  },
+  catalog_editor: {
+    name: 'Catalog Editor',
+    description: 'Maintains book records and reviews',
+    permissions: ['books:edit', 'books:delete', 'reviews:moderate', 'metadata:manage']
+  },
+  community_moderator: {
+    name: 'Community Moderator',
+    description: 'Moderates communities and reviews across the site',
+    permissions: ['communities:moderate', 'reviews:moderate', 'users:read']
+  },
+  superadmin: {
+    name: 'Super Admin',
+    description: 'Full access, including role management',
+    permissions: Object.keys(PERMISSIONS)
+  }
+};
+
+export const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Combined permissions granted by a list of roles
+ */
+export const getPermissionsForRoles = (roles = []) => {
+  return [...new Set(roles.flatMap(role => ROLES[role]?.permissions || []))];
+};
+
+export default {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  getPermissionsForRoles
+};
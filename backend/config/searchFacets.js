@@ -0,0 +1,84 @@
+/**
+ * Book Search Facets
+ * Facets returned with book search results and the multi-select filters that
+ * narrow them. Values of one facet are ORed together; different facets are ANDed.
+ * Range buckets include `min` and exclude `max`.
+ */
+
+export const BOOK_FORMATS = ['Paperback', 'Hardcover', 'E-book', 'Audiobook', 'PDF'];
+
+export const PRINT_TYPES = ['BOOK', 'MAGAZINE', 'NEWSPAPER', 'AUDIOBOOK', 'EBOOK'];
+
+export const RATING_RANGES = [
+  { value: '4-5', label: '4 stars & up', min: 4 },
+  { value: '3-4', label: '3 to 4 stars', min: 3, max: 4 },
+  { value: '2-3', label: '2 to 3 stars', min: 2, max: 3 },
+  { value: '1-2', label: '1 to 2 stars', min: 1, max: 2 },
+  { value: '0-1', label: 'Under 1 star or unrated', min: 0, max: 1 }
+];
+
+export const PAGE_COUNT_RANGES = [
+  { value: 'under-100', label: 'Under 100 pages', min: 1, max: 100 },
+  { value: '100-199', label: '100 to 199 pages', min: 100, max: 200 },
+  { value: '200-299', label: '200 to 299 pages', min: 200, max: 300 },
+  { value: '300-499', label: '300 to 499 pages', min: 300, max: 500 },
+  { value: '500-plus', label: '500 pages or more', min: 500 }
+];
+
+// Query parameter of each facet filter
+export const FACET_FILTERS = ['genres', 'languages', 'ratings', 'pageCounts', 'decades', 'formats', 'printTypes'];
+
+// Most genre and language buckets returned
+export const MAX_TERM_BUCKETS = 30;
+
+// Most values selectable in one facet
+export const MAX_FACET_VALUES = 20;
+
+/**
+ * Read a multi-select filter given as a comma-separated list, repeated parameters, or both
+ */
+export const parseFacetValues = (value) => {
+  if (value === undefined || value === null) return [];
+
+  const values = (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  return [...new Set(values)];
+};
+
+/**
+ * Facet filters selected in a request's query string
+ * @returns {Object} Selected values keyed by facet (only facets with a selection)
+ */
+export const parseFacetFilters = (query = {}) => {
+  const filters = {};
+
+  for (const facet of FACET_FILTERS) {
+    let values = parseFacetValues(query[facet]);
+
+    if (facet === 'genres' || facet === 'languages') {
+      values = [...new Set(values.map(value => value.toLowerCase()))];
+    }
+    if (facet === 'decades') {
+      values = values.map(Number);
+    }
+
+    if (values.length > 0) filters[facet] = values;
+  }
+
+  return filters;
+};
+
+export default {
+  BOOK_FORMATS,
+  PRINT_TYPES,
+  RATING_RANGES,
+  PAGE_COUNT_RANGES,
+  FACET_FILTERS,
+  MAX_TERM_BUCKETS,
+  MAX_FACET_VALUES,
+  parseFacetValues,
+  parseFacetFilters
+};
@@ -0,0 +1,25 @@
+/**
+ * Personal Access Token Scopes
+ * Routes opt in to token access with requireScope('bookshelf:read'); a token is
+ * rejected on any route that doesn't declare a scope it holds.
+ */
+
+export const TOKEN_SCOPES = {
+  'profile:read': 'Read your profile and statistics',
+  'profile:write': 'Update your profile',
+  'bookshelf:read': 'Read your bookshelves',
+  'bookshelf:write': 'Add and remove books on your bookshelves and wishlist',
+  'reading:read': 'Read reading sessions, history, notes and statistics',
+  'reading:write': 'Start and update reading sessions, notes and goals',
+  'books:read': 'Read personalized book recommendations',
+  'reviews:write': 'Post book reviews',
+  'communities:read': 'Read the communities you have joined',
+  'communities:write': 'Join and leave communities, post discussions and comments'
+};
+
+export const TOKEN_SCOPE_NAMES = Object.keys(TOKEN_SCOPES);
+
+export default {
+  TOKEN_SCOPES,
+  TOKEN_SCOPE_NAMES
+};
@@ -0,0 +1,1470 @@
+import User from '../models/User.js';
+import Book from '../models/Book.js';
+import Community from '../models/Community.js';
+import UserSession from '../models/UserSession.js';
+import PersonalAccessToken from '../models/PersonalAccessToken.js';
+import ReadingSession from '../models/ReadingSession.js';
+import LoginEvent from '../models/LoginEvent.js';
+import RoleAssignment from '../models/RoleAssignment.js';
+import AdminAuditLog, { ADMIN_ACTIONS } from '../models/AdminAuditLog.js';
+import SecurityAuditLog, { SECURITY_EVENTS, SECURITY_OUTCOMES } from '../models/SecurityAuditLog.js';
+import { PERMISSIONS, ROLES, ROLE_NAMES } from '../config/roles.js';
+import { getPaginationParams, buildSearchQuery, generateSecureToken } from '../utils/helpers.js';
+import { sendPasswordResetEmail, buildClientUrl } from '../services/emailService.js';
+import {
+  getAllMetadataCacheStats,
+  getMetadataCacheNamespaces,
+  clearMetadataCaches
+} from '../services/metadataCache.js';
+import { runCatalogRefresh, getCatalogRefreshStatus } from '../jobs/catalogRefreshJob.js';
+import { findDuplicateCandidates, assignMissingWorks, mergeBooks } from '../services/bookWorkService.js';
+
+/**
+ * Admin Controller
+ * Handles staff role management and other back-office operations
+ */
+
+// ========== ROLE MANAGEMENT ==========
+
+const formatUserRoles = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  roles: user.getRoles(),
+  permissions: user.getPermissions()
+});
+
+/**
+ * @desc    List available roles and permissions
+ * @route   GET /api/admin/roles
+ * @access  Private (Permission: roles:manage)
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const counts = await User.aggregate([
+      { $unwind: '$roles' },
+      { $group: { _id: '$roles', count: { $sum: 1 } } }
+    ]);
+    const countsByRole = new Map(counts.map(entry => [entry._id, entry.count]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles: ROLE_NAMES.map(role => ({
+          role,
+          ...ROLES[role],
+          members: countsByRole.get(role) || 0
+        })),
+        permissions: Object.entries(PERMISSIONS).map(([permission, description]) => ({
+          permission,
+          description
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles'
+    });
+  }
+};
+
+/**
+ * @desc    Get a user's roles and role history
+ * @route   GET /api/admin/users/:userId/roles
+ * @access  Private (Permission: roles:manage)
+ */
+export const getUserRoles = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const history = await RoleAssignment.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('performedBy', 'username email');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: formatUserRoles(user),
+        history
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get user roles error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user roles'
+    });
+  }
+};
+
+/**
+ * @desc    Grant a role to a user
+ * @route   POST /api/admin/users/:userId/roles
+ * @access  Private (Permission: roles:manage)
+ */
+export const grantRole = async (req, res) => {
+  try {
+    const { role, reason } = req.body;
+
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLE_NAMES.join(', ')}`,
+        field: 'role'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.hasRole(role)) {
+      return res.status(409).json({
+        success: false,
+        message: `User already has the ${role} role`,
+        code: 'ROLE_ALREADY_GRANTED'
+      });
+    }
+
+    user.roles = [...user.getRoles(), role];
+    await user.save({ validateBeforeSave: false });
+
+    await RoleAssignment.create({
+      user: user._id,
+      role,
+      action: 'granted',
+      performedBy: req.user._id,
+      reason
+    });
+
+    await AdminAuditLog.record(req, 'role.grant', { targetUser: user, details: { role, reason } });
+
+    console.log(`🛡️ Role ${role} granted to ${user.username} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Role ${role} granted successfully`,
+      data: {
+        user: formatUserRoles(user)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Grant role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error granting role'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a role from a user
+ * @route   DELETE /api/admin/users/:userId/roles/:role
+ * @access  Private (Permission: roles:manage)
+ */
+export const revokeRole = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { reason } = req.body || {};
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.hasRole(role)) {
+      return res.status(404).json({
+        success: false,
+        message: `User does not have the ${role} role`,
+        code: 'ROLE_NOT_GRANTED'
+      });
+    }
+
+    // Never leave the system without a superadmin
+    if (role === 'superadmin') {
+      const superadminCount = await User.countDocuments({
+        $or: [{ roles: 'superadmin' }, { isAdmin: true }]
+      });
+
+      if (superadminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot revoke the last superadmin',
+          code: 'LAST_SUPERADMIN'
+        });
+      }
+    }
+
+    user.roles = user.getRoles().filter(existing => existing !== role);
+    await user.save({ validateBeforeSave: false });
+
+    await RoleAssignment.create({
+      user: user._id,
+      role,
+      action: 'revoked',
+      performedBy: req.user._id,
+      reason
+    });
+
+    await AdminAuditLog.record(req, 'role.revoke', { targetUser: user, details: { role, reason } });
+
+    console.log(`🛡️ Role ${role} revoked from ${user.username} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Role ${role} revoked successfully`,
+      data: {
+        user: formatUserRoles(user)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Revoke role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking role'
+    });
+  }
+};
+
+/**
+ * @desc    Get role assignment history
+ * @route   GET /api/admin/roles/history
+ * @access  Private (Permission: roles:manage)
+ */
+export const getRoleHistory = async (req, res) => {
+  try {
+    const { role, userId, performedBy, page = 1, limit = 50 } = req.query;
+    const { skip, limit: limitNum, page: pageNum } = getPaginationParams(page, limit, 200);
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (userId) filter.user = userId;
+    if (performedBy) filter.performedBy = performedBy;
+
+    const [history, total] = await Promise.all([
+      RoleAssignment.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('user', 'username email')
+        .populate('performedBy', 'username email'),
+      RoleAssignment.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        history,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get role history error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching role history'
+    });
+  }
+};
+
+// ========== USER MANAGEMENT ==========
+
+const USER_SORT_FIELDS = ['createdAt', 'lastLoginAt', 'username', 'email', 'stats.booksRead'];
+
+const USER_LIST_FIELDS = [
+  'username',
+  'email',
+  'profile.firstName',
+  'profile.lastName',
+  'profile.avatar',
+  'isActive',
+  'isVerified',
+  'isAdmin',
+  'roles',
+  'signUpSource',
+  'suspension',
+  'deactivation',
+  'passwordResetRequired',
+  'loginProtection.lockedUntil',
+  'twoFactor.enabled',
+  'stats.booksRead',
+  'createdAt',
+  'lastLoginAt'
+].join(' ');
+
+/**
+ * @desc    Search and filter users
+ * @route   GET /api/admin/users
+ * @access  Private (Permission: users:read)
+ */
+export const getUsers = async (req, res) => {
+  try {
+    const {
+      q,
+      status,
+      verified,
+      role,
+      source,
+      locked,
+      createdFrom,
+      createdTo,
+      sort = '-createdAt',
+      page = 1,
+      limit = 20
+    } = req.query;
+    const { skip, limit: limitNum, page: pageNum } = getPaginationParams(page, limit, 100);
+
+    const conditions = [];
+
+    if (q) {
+      conditions.push(buildSearchQuery(['username', 'email', 'profile.firstName', 'profile.lastName'], String(q)));
+    }
+    if (status === 'active') conditions.push({ isActive: true });
+    if (status === 'suspended') conditions.push({ isActive: false, 'deactivation.requestedAt': { $exists: false } });
+    if (status === 'deactivated') conditions.push({ 'deactivation.requestedAt': { $exists: true } });
+    if (verified === 'true' || verified === 'false') conditions.push({ isVerified: verified === 'true' });
+    if (role) {
+      conditions.push(role === 'superadmin'
+        ? { $or: [{ roles: 'superadmin' }, { isAdmin: true }] }
+        : { roles: String(role) });
+    }
+    if (source) conditions.push({ signUpSource: String(source) });
+    if (locked === 'true') conditions.push({ 'loginProtection.lockedUntil': { $gt: new Date() } });
+    if (createdFrom || createdTo) {
+      const createdAt = {};
+      if (createdFrom) createdAt.$gte = new Date(createdFrom);
+      if (createdTo) createdAt.$lte = new Date(createdTo);
+      conditions.push({ createdAt });
+    }
+
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+
+    const sortField = String(sort).replace(/^-/, '');
+    const sortOrder = String(sort).startsWith('-') ? -1 : 1;
+    const sortBy = USER_SORT_FIELDS.includes(sortField) ? { [sortField]: sortOrder } : { createdAt: -1 };
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_LIST_FIELDS)
+        .sort(sortBy)
+        .skip(skip)
+        .limit(limitNum),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users'
+    });
+  }
+};
+
+/**
+ * @desc    User dashboard statistics and sign-up growth
+ * @route   GET /api/admin/users/stats
+ * @access  Private (Permission: users:read)
+ */
+export const getUserStats = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+    const [dashboard, growth, totalUsers, suspendedUsers, deactivatedUsers, lockedUsers] = await Promise.all([
+      User.getDashboardStats(),
+      User.getUserGrowth(days),
+      User.countDocuments(),
+      User.countDocuments({ isActive: false, 'deactivation.requestedAt': { $exists: false } }),
+      User.countDocuments({ 'deactivation.requestedAt': { $exists: true } }),
+      User.countDocuments({ 'loginProtection.lockedUntil': { $gt: new Date() } })
+    ]);
+
+    const { _id, ...activeUserStats } = dashboard[0] || {};
+
+    res.status(200).json({
+      success: true,
+      data: {
+        overview: {
+          ...activeUserStats,
+          allUsers: totalUsers,
+          suspendedUsers,
+          deactivatedUsers,
+          lockedUsers
+        },
+        growth: growth.map(entry => ({
+          date: new Date(Date.UTC(entry._id.year, entry._id.month - 1, entry._id.day)).toISOString().split('T')[0],
+          newUsers: entry.newUsers
+        })),
+        days
+      }
+    });
+  } catch (error) {
+    console.error('❌ Admin user stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user statistics'
+    });
+  }
+};
+
+/**
+ * @desc    Get a user's account details
+ * @route   GET /api/admin/users/:userId
+ * @access  Private (Permission: users:read)
+ */
+export const getUserDetails = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId)
+      .populate('suspension.suspendedBy', 'username email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const activeSessions = await UserSession.countDocuments({
+      user: user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        security: {
+          roles: user.getRoles(),
+          permissions: user.getPermissions(),
+          twoFactorEnabled: !!user.twoFactor?.enabled,
+          isLocked: user.isLocked,
+          lockedUntil: user.isLocked ? user.loginProtection.lockedUntil : null,
+          failedLoginAttempts: user.loginProtection?.failedAttempts || 0,
+          passwordResetRequired: user.passwordResetRequired,
+          linkedProviders: (user.oauthAccounts || []).map(account => account.provider),
+          activeSessions
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Admin get user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user'
+    });
+  }
+};
+
+/**
+ * @desc    Suspend a user account
+ * @route   POST /api/admin/users/:userId/suspend
+ * @access  Private (Permission: users:manage)
+ */
+export const suspendUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    if (user.hasRole('superadmin') && !req.user.hasRole('superadmin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a superadmin can suspend another superadmin',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (user.isDeactivated) {
+      return res.status(409).json({
+        success: false,
+        message: 'User has deactivated their account',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is already suspended',
+        code: 'ALREADY_SUSPENDED'
+      });
+    }
+
+    user.isActive = false;
+    user.suspension = {
+      reason,
+      suspendedAt: new Date(),
+      suspendedBy: req.user._id
+    };
+    await user.save({ validateBeforeSave: false });
+
+    // Sign the user out everywhere; auth also rejects inactive accounts
+    const { modifiedCount } = await UserSession.revokeAllForUser(user._id, 'admin_revoked');
+
+    await AdminAuditLog.record(req, 'user.suspend', {
+      targetUser: user,
+      details: { reason, sessionsRevoked: modifiedCount }
+    });
+
+    console.log(`⛔ User suspended: ${user.username} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User suspended successfully',
+      data: {
+        userId: user._id,
+        isActive: user.isActive,
+        suspension: user.suspension,
+        sessionsRevoked: modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('❌ Suspend user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error suspending user'
+    });
+  }
+};
+
+/**
+ * @desc    Reactivate a suspended user account
+ * @route   POST /api/admin/users/:userId/reactivate
+ * @access  Private (Permission: users:manage)
+ */
+export const reactivateUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Only the user can restore a deactivated account, by signing in
+    if (user.isActive || user.isDeactivated) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is not suspended',
+        code: 'NOT_SUSPENDED'
+      });
+    }
+
+    const previousSuspension = user.suspension?.toObject?.() || user.suspension;
+
+    user.isActive = true;
+    user.suspension = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await AdminAuditLog.record(req, 'user.reactivate', {
+      targetUser: user,
+      details: { reason: req.body?.reason, previousSuspension }
+    });
+
+    console.log(`✅ User reactivated: ${user.username} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: {
+        userId: user._id,
+        isActive: user.isActive
+      }
+    });
+  } catch (error) {
+    console.error('❌ Reactivate user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error reactivating user'
+    });
+  }
+};
+
+/**
+ * @desc    Force a password reset (invalidates the current password, sessions and access tokens)
+ * @route   POST /api/admin/users/:userId/force-password-reset
+ * @access  Private (Permission: users:manage)
+ */
+export const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Replace the password with an unusable random one so it can't be used again
+    user.password = generateSecureToken(32);
+    user.passwordResetRequired = true;
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const { modifiedCount } = await UserSession.revokeAllForUser(user._id, 'admin_revoked');
+    const { modifiedCount: accessTokensRevoked } = await PersonalAccessToken.revokeAllForUser(user._id);
+
+    let emailSent = true;
+    try {
+      await sendPasswordResetEmail(user, buildClientUrl(`/reset-password/${resetToken}`));
+    } catch (mailError) {
+      // The user can still request a new link through forgot-password
+      emailSent = false;
+      console.error('❌ Forced password reset email error:', mailError);
+    }
+
+    await AdminAuditLog.record(req, 'user.force_password_reset', {
+      targetUser: user,
+      details: { reason: req.body?.reason, emailSent, sessionsRevoked: modifiedCount, accessTokensRevoked }
+    });
+
+    console.log(`🔑 Password reset forced for: ${user.username} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: emailSent
+        ? 'Password reset forced. The user has been emailed a reset link.'
+        : 'Password reset forced, but the reset email could not be sent.',
+      data: {
+        userId: user._id,
+        emailSent,
+        sessionsRevoked: modifiedCount,
+        accessTokensRevoked
+      }
+    });
+  } catch (error) {
+    console.error('❌ Force password reset error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error forcing password reset'
+    });
+  }
+};
+
+/**
+ * @desc    Get a user's login sessions (active and recently ended)
+ * @route   GET /api/admin/users/:userId/sessions
+ * @access  Private (Permission: users:read)
+ */
+export const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('username');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await UserSession.find({ user: user._id })
+      .sort({ lastSeenAt: -1 })
+      .limit(50);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toSummary(),
+          isActive: session.isActive,
+          revokedAt: session.revokedAt,
+          revokedReason: session.revokedReason
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Admin get sessions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke all of a user's sessions
+ * @route   DELETE /api/admin/users/:userId/sessions
+ * @access  Private (Permission: users:manage)
+ */
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('username');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { modifiedCount } = await UserSession.revokeAllForUser(user._id, 'admin_revoked');
+
+    await AdminAuditLog.record(req, 'user.revoke_sessions', {
+      targetUser: user,
+      details: { reason: req.body?.reason, sessionsRevoked: modifiedCount }
+    });
+
+    console.log(`🚪 All sessions revoked for: ${user.username} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${modifiedCount} session(s) revoked`,
+      data: {
+        revokedCount: modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('❌ Admin revoke sessions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions'
+    });
+  }
+};
+
+/**
+ * @desc    Get a user's recent activity
+ * @route   GET /api/admin/users/:userId/activity
+ * @access  Private (Permission: users:read)
+ */
+export const getUserActivity = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('username lastLoginAt createdAt');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [logins, loginEvents, securityEvents, readingSessions, adminActions, roleChanges] = await Promise.all([
+      UserSession.find({ user: user._id }).sort({ createdAt: -1 }).limit(10),
+      LoginEvent.find({ user: user._id }).sort({ createdAt: -1 }).limit(20),
+      SecurityAuditLog.find({ user: user._id }).sort({ createdAt: -1 }).limit(20),
+      ReadingSession.find({ user: user._id })
+        .sort({ updatedAt: -1 })
+        .limit(10)
+        .select('book status progress lastReadAt updatedAt')
+        .populate('book', 'title author'),
+      AdminAuditLog.find({ targetUser: user._id })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .populate('actor', 'username email'),
+      RoleAssignment.find({ user: user._id })
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .populate('performedBy', 'username email')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          username: user.username,
+          createdAt: user.createdAt,
+          lastLoginAt: user.lastLoginAt
+        },
+        logins: logins.map(session => ({
+          ...session.toSummary(),
+          revokedAt: session.revokedAt,
+          revokedReason: session.revokedReason
+        })),
+        loginEvents,
+        securityEvents,
+        readingSessions,
+        adminActions,
+        roleChanges
+      }
+    });
+  } catch (error) {
+    console.error('❌ Admin get activity error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user activity'
+    });
+  }
+};
+
+// ========== AUDIT TRAIL ==========
+
+/**
+ * @desc    Query the admin audit trail
+ * @route   GET /api/admin/audit-log
+ * @access  Private (Permission: audit:read)
+ */
+export const getAuditLog = async (req, res) => {
+  try {
+    const { action, actorId, userId, from, to, page = 1, limit = 50 } = req.query;
+    const { skip, limit: limitNum, page: pageNum } = getPaginationParams(page, limit, 200);
+
+    const filter = {};
+    if (action) {
+      if (!ADMIN_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          message: `Action must be one of: ${ADMIN_ACTIONS.join(', ')}`
+        });
+      }
+      filter.action = action;
+    }
+    if (actorId) filter.actor = actorId;
+    if (userId) filter.targetUser = userId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AdminAuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('actor', 'username email')
+        .populate('targetUser', 'username email'),
+      AdminAuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get audit log error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID in filter'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log'
+    });
+  }
+};
+
+/**
+ * @desc    Query the security audit log (sign-ins, credential changes, account and admin actions)
+ * @route   GET /api/admin/security-log
+ * @access  Private (Permission: audit:read)
+ */
+export const getSecurityLog = async (req, res) => {
+  try {
+    const { event, outcome, actorId, userId, email, ip, from, to, page = 1, limit = 50 } = req.query;
+    const { skip, limit: limitNum, page: pageNum } = getPaginationParams(page, limit, 200);
+
+    const filter = {};
+    if (event) {
+      if (!SECURITY_EVENTS.includes(event)) {
+        return res.status(400).json({
+          success: false,
+          message: `Event must be one of: ${SECURITY_EVENTS.join(', ')}`
+        });
+      }
+      filter.event = event;
+    }
+    if (outcome) {
+      if (!SECURITY_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({
+          success: false,
+          message: `Outcome must be one of: ${SECURITY_OUTCOMES.join(', ')}`
+        });
+      }
+      filter.outcome = outcome;
+    }
+    if (actorId) filter.actor = actorId;
+    if (userId) filter.user = userId;
+    if (email) filter.identifier = String(email).toLowerCase();
+    if (ip) filter.ipAddress = String(ip);
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      SecurityAuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('actor', 'username email')
+        .populate('user', 'username email'),
+      SecurityAuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get security log error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID in filter'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching security log'
+    });
+  }
+};
+
+// ========== METADATA CACHE ==========
+
+/**
+ * @desc    Get book metadata cache statistics per provider
+ * @route   GET /api/admin/metadata-cache
+ * @access  Private (Permission: metadata:manage)
+ */
+export const getMetadataCacheStats = async (req, res) => {
+  try {
+    const caches = await getAllMetadataCacheStats();
+
+    const totals = caches.reduce((sum, cache) => ({
+      hits: sum.hits + cache.hits,
+      misses: sum.misses + cache.misses,
+      upstreamRequests: sum.upstreamRequests + cache.upstreamRequests,
+      coalesced: sum.coalesced + cache.coalesced
+    }), { hits: 0, misses: 0, upstreamRequests: 0, coalesced: 0 });
+    const lookups = totals.hits + totals.misses;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        caches,
+        totals: {
+          ...totals,
+          hitRatio: lookups > 0 ? Math.round((totals.hits / lookups) * 1000) / 1000 : null,
+          missRatio: lookups > 0 ? Math.round((totals.misses / lookups) * 1000) / 1000 : null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get metadata cache stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching metadata cache statistics'
+    });
+  }
+};
+
+/**
+ * @desc    Clear the book metadata cache (one provider with ?namespace=, or all)
+ * @route   DELETE /api/admin/metadata-cache
+ * @access  Private (Permission: metadata:manage)
+ */
+export const clearMetadataCache = async (req, res) => {
+  try {
+    const { namespace } = req.query;
+    const namespaces = getMetadataCacheNamespaces();
+
+    if (namespace && !namespaces.includes(namespace)) {
+      return res.status(400).json({
+        success: false,
+        message: `Namespace must be one of: ${namespaces.join(', ')}`
+      });
+    }
+
+    const removed = await clearMetadataCaches(namespace);
+
+    await AdminAuditLog.record(req, 'cache.clear', {
+      details: { namespace: namespace || 'all', removed }
+    });
+
+    console.log(`🧹 Metadata cache cleared (${namespace || 'all'}) by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Metadata cache cleared',
+      data: {
+        removed
+      }
+    });
+  } catch (error) {
+    console.error('❌ Clear metadata cache error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing metadata cache'
+    });
+  }
+};
+
+/**
+ * @desc    Get the catalog refresh job status and last report
+ * @route   GET /api/admin/catalog-refresh
+ * @access  Private (Permission: metadata:manage)
+ */
+export const getCatalogRefresh = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getCatalogRefreshStatus()
+  });
+};
+
+/**
+ * @desc    Start a catalog refresh pass now (the report appears in GET once it finishes)
+ * @route   POST /api/admin/catalog-refresh
+ * @access  Private (Permission: metadata:manage)
+ */
+export const startCatalogRefresh = async (req, res) => {
+  try {
+    if (getCatalogRefreshStatus().running) {
+      return res.status(409).json({
+        success: false,
+        message: 'A catalog refresh is already running',
+        code: 'REFRESH_RUNNING'
+      });
+    }
+
+    await AdminAuditLog.record(req, 'catalog.refresh');
+
+    runCatalogRefresh();
+
+    console.log(`🔄 Catalog refresh started by ${req.user.username}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Catalog refresh started'
+    });
+  } catch (error) {
+    console.error('❌ Start catalog refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting catalog refresh'
+    });
+  }
+};
+
+// ========== CATALOG DUPLICATES ==========
+
+/**
+ * @desc    List duplicate candidates: works with several editions in the catalog
+ * @route   GET /api/admin/books/duplicates
+ * @access  Private (Permission: books:edit)
+ */
+export const getDuplicateBooks = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { skip, limit: limitNum, page: pageNum } = getPaginationParams(page, limit, 100);
+
+    const { candidates, total } = await findDuplicateCandidates({ skip, limit: limitNum });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        candidates,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get duplicate books error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error finding duplicate books'
+    });
+  }
+};
+
+/**
+ * @desc    Group books that have no work yet into works (up to 500 per call; pass
+ *          `after` from the previous response to continue)
+ * @route   POST /api/admin/books/works/rebuild
+ * @access  Private (Permission: books:edit)
+ */
+export const rebuildBookWorks = async (req, res) => {
+  try {
+    const result = await assignMissingWorks({ after: req.body.after });
+
+    await AdminAuditLog.record(req, 'book.works_rebuild', {
+      details: { after: req.body.after, processed: result.processed, failed: result.failed }
+    });
+
+    console.log(`📚 Works assigned to ${result.processed} book(s) by ${req.user.username}`);
+
+    const failedNote = result.failed > 0 ? ` (${result.failed} failed)` : '';
+
+    res.status(200).json({
+      success: true,
+      message: result.next
+        ? `${result.processed} book(s) grouped${failedNote}; ${result.remaining} left, call again with after=${result.next} to continue`
+        : `${result.processed} book(s) grouped${failedNote}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Rebuild book works error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error grouping books into works'
+    });
+  }
+};
+
+/**
+ * @desc    Merge duplicate books into a surviving edition
+ * @route   POST /api/admin/books/:bookId/merge
+ * @access  Private (Permission: books:delete)
+ */
+export const mergeDuplicateBooks = async (req, res) => {
+  try {
+    const { duplicateIds, reason } = req.body;
+    const report = await mergeBooks(req.params.bookId, duplicateIds);
+
+    await AdminAuditLog.record(req, 'book.merge', {
+      details: { reason, survivor: report.survivor, merged: report.merged }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${report.merged.length} duplicate(s) merged`,
+      data: report
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    console.error('❌ Merge duplicate books error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error merging books'
+    });
+  }
+};
+
+// ========== MODERATION ==========
+
+/**
+ * @desc    Remove a book review
+ * @route   DELETE /api/admin/books/:bookId/reviews/:reviewId
+ * @access  Private (Permission: reviews:moderate)
+ */
+export const removeBookReview = async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.bookId);
+    const review = book?.reviews.id(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.deleteOne();
+    book.updateAverageRating();
+    await book.save();
+
+    await AdminAuditLog.record(req, 'review.remove', {
+      targetUser: review.user,
+      details: { reason: req.body.reason, book: book._id, review: review._id, rating: review.rating }
+    });
+
+    console.log(`🧹 Review on ${book.title} removed by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review removed',
+      data: {
+        averageRating: book.averageRating,
+        ratingsCount: book.ratingsCount
+      }
+    });
+  } catch (error) {
+    console.error('❌ Remove review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing review'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a community discussion and its comments
+ * @route   DELETE /api/admin/communities/:communityId/discussions/:discussionId
+ * @access  Private (Permission: communities:moderate)
+ */
+export const removeDiscussion = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.communityId);
+    const discussion = community?.discussions.id(req.params.discussionId);
+
+    if (!discussion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discussion not found'
+      });
+    }
+
+    discussion.deleteOne();
+    await community.save();
+
+    await AdminAuditLog.record(req, 'discussion.remove', {
+      targetUser: discussion.user,
+      details: { reason: req.body.reason, community: community._id, discussion: discussion._id, title: discussion.title }
+    });
+
+    console.log(`🧹 Discussion in ${community.name} removed by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Discussion removed'
+    });
+  } catch (error) {
+    console.error('❌ Remove discussion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing discussion'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a comment (and its replies) from a community discussion
+ * @route   DELETE /api/admin/communities/:communityId/discussions/:discussionId/comments/:commentId
+ * @access  Private (Permission: communities:moderate)
+ */
+export const removeComment = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.communityId);
+    const discussion = community?.discussions.id(req.params.discussionId);
+    const comment = discussion?.comments.id(req.params.commentId);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    comment.deleteOne();
+    await community.save();
+
+    await AdminAuditLog.record(req, 'comment.remove', {
+      targetUser: comment.user,
+      details: { reason: req.body.reason, community: community._id, discussion: discussion._id, comment: comment._id }
+    });
+
+    console.log(`🧹 Comment in ${community.name} removed by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment removed'
+    });
+  } catch (error) {
+    console.error('❌ Remove comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing comment'
+    });
+  }
+};
+
+export default {
+  getRoles,
+  getUserRoles,
+  grantRole,
+  revokeRole,
+  getRoleHistory,
+  getUsers,
+  getUserStats,
+  getUserDetails,
+  suspendUser,
+  reactivateUser,
+  forcePasswordReset,
+  getUserSessions,
+  revokeUserSessions,
+  getUserActivity,
+  getAuditLog,
+  getSecurityLog,
+  getMetadataCacheStats,
+  clearMetadataCache,
+  getCatalogRefresh,
+  startCatalogRefresh,
+  getDuplicateBooks,
+  rebuildBookWorks,
+  mergeDuplicateBooks,
+  removeBookReview,
+  removeDiscussion,
+  removeComment
+};
@@ -3,6 +3,42 @@ import bcrypt from 'bcryptjs';
 import User from '../models/User.js';
 import { validationResult } from 'express-validator';
 import ReadingSession from '../models/ReadingSession.js';
+import UserSession from '../models/UserSession.js';
+import RefreshToken from '../models/RefreshToken.js';
+import PersonalAccessToken from '../models/PersonalAccessToken.js';
+import AppSetting, { SETTING_KEYS } from '../models/AppSetting.js';
+import OAuthState from '../models/OAuthState.js';
+import LoginEvent, { LOGIN_EVENT_TYPES } from '../models/LoginEvent.js';
+import AdminAuditLog from '../models/AdminAuditLog.js';
+import SecurityAuditLog from '../models/SecurityAuditLog.js';
+import { TOKEN_SCOPES } from '../config/tokenScopes.js';
+import { hashData, generateSecureToken, getPaginationParams } from '../utils/helpers.js';
+import { checkPassword, describePasswordPolicy } from '../utils/passwordPolicy.js';
+import { sendPasswordResetEmail, sendVerificationEmail, sendMagicLinkEmail, buildClientUrl } from '../services/emailService.js';
+import {
+  generateSecret,
+  buildOtpAuthUri,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  findRecoveryCode
+} from '../services/twoFactorService.js';
+import {
+  getProviderConfig,
+  listProviders,
+  createAuthorizationRequest,
+  getIdentityFromCode
+} from '../services/oidcService.js';
+import {
+  getLoginStatus,
+  recordFailedLogin,
+  recordUnknownAccountAttempt,
+  recordSuccessfulLogin,
+  sendUnlockEmail,
+  unlockAccount
+} from '../services/loginProtectionService.js';
+import { restoreAccount } from '../services/accountDeletionService.js';
 
 /**
  * Authentication Controller
@@ -10,10 +46,11 @@ import ReadingSession from '../models/ReadingSession.js';
  */
 
 // Generate JWT Token
-const generateToken = (userId) => {
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
     { 
       userId,
+      sessionId,
       iat: Math.floor(Date.now() / 1000) // Issued at time
     },
     process.env.JWT_SECRET,
@@ -25,49 +62,182 @@ const generateToken = (userId) => {
   );
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
+// Wrong codes a login challenge accepts before it is invalidated
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+
+// Generate short-lived challenge token for the second login step.
+// Only the latest challenge of a user is valid, and it can be used once.
+const generateTwoFactorChallenge = async (userId) => {
+  const challengeId = generateSecureToken(16);
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.challengeId': challengeId, 'twoFactor.challengeAttempts': 0 } }
+  );
+
   return jwt.sign(
-    { userId, type: 'refresh' },
+    { userId, type: '2fa_challenge' },
     process.env.JWT_SECRET,
-    { expiresIn: '30d' }
+    {
+      expiresIn: '5m',
+      issuer: 'bookifyme-api',
+      audience: 'two-factor-challenge',
+      jwtid: challengeId
+    }
+  );
+};
+
+// Take one attempt from a login challenge; false once it is used up or replaced
+const consumeChallengeAttempt = async (userId, challengeId) => {
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      'twoFactor.challengeId': challengeId,
+      'twoFactor.challengeAttempts': { $lt: MAX_TWO_FACTOR_ATTEMPTS }
+    },
+    { $inc: { 'twoFactor.challengeAttempts': 1 } }
   );
+
+  return result.modifiedCount > 0;
+};
+
+// Check a TOTP code or recovery code against the user's enrolled secret.
+// Expects a user loaded with the twoFactor secret fields; marks the code as used on success.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code && user.twoFactor?.secret) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep);
+    if (step !== null) {
+      user.twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
+  }
+
+  if (recoveryCode) {
+    const entry = findRecoveryCode(user.twoFactor?.recoveryCodes, recoveryCode);
+    if (entry) {
+      entry.usedAt = new Date();
+      return 'recovery_code';
+    }
+  }
+
+  return null;
+};
+
+// Cookie options for the access token cookie
+const getCookieOptions = () => ({
+  expires: new Date(
+    Date.now() + (process.env.JWT_COOKIE_EXPIRE || 7) * 24 * 60 * 60 * 1000
+  ),
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict'
+});
+
+// Cookie tying an OpenID Connect login to the browser that started it (holds a hash of the state).
+// Lax so it is sent on the provider's redirect back to the callback.
+const OIDC_STATE_COOKIE = 'oidcState';
+
+const OIDC_STATE_COOKIE_MAX_AGE = 10 * 60 * 1000; // Same lifetime as the stored state
+
+const getOidcStateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/oidc'
+});
+
+// Set access and refresh token cookies
+const setAuthCookies = (res, token, refreshToken, refreshExpiresAt) => {
+  const cookieOptions = getCookieOptions();
+
+  return res
+    .cookie('token', token, cookieOptions)
+    .cookie('refreshToken', refreshToken, { ...cookieOptions, expires: refreshExpiresAt });
+};
+
+// Minimum time between two verification emails for the same account
+const VERIFICATION_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+
+// Create a verification token for the user and email the link
+const issueVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  user.emailVerificationSentAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendVerificationEmail(user, buildClientUrl(`/verify-email/${verificationToken}`));
+  } catch (mailError) {
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    user.emailVerificationSentAt = undefined;
+    await user.save({ validateBeforeSave: false });
+    throw mailError;
+  }
+};
+
+// Response for sign-ins to an account an admin has suspended
+const sendAccountSuspended = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Your account has been suspended. Please contact support.',
+    code: 'ACCOUNT_SUSPENDED'
+  });
+};
+
+// Structured password policy failure the frontend can show rule by rule
+const sendWeakPassword = (res, violations, field = 'password') => {
+  return res.status(400).json({
+    success: false,
+    message: 'Password does not meet the security requirements',
+    code: 'WEAK_PASSWORD',
+    field,
+    errors: violations.map(violation => ({ field, ...violation })),
+    policy: describePasswordPolicy()
+  });
 };
 
-// Send token response
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+// Signing in during the grace period cancels a pending account deletion
+const restoreIfDeactivated = async (user, req) => {
+  if (!user.isDeactivated) {
+    return false;
+  }
+
+  await restoreAccount(user);
+  await SecurityAuditLog.record({ event: 'account.restore', req, actor: user, user });
+  return true;
+};
+
+const RESTORED_LOGIN_MESSAGE = 'Login successful. Your account has been restored and will not be deleted.';
 
-  // Cookie options
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + (process.env.JWT_COOKIE_EXPIRE || 7) * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict'
-  };
+// Send token response (opens a new server-side session for this login)
+const sendTokenResponse = async (user, statusCode, req, res, message = null) => {
+  const session = await UserSession.createForRequest(user._id, req);
+  const token = generateToken(user._id, session._id);
+
+  // Each login starts a new refresh token family
+  const { token: refreshToken } = await RefreshToken.issue(user._id, session, req);
 
   // Remove password from output
   user.password = undefined;
 
-  res.status(statusCode)
-    .cookie('token', token, cookieOptions)
-    .cookie('refreshToken', refreshToken, { ...cookieOptions, expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) })
+  setAuthCookies(res.status(statusCode), token, refreshToken, session.expiresAt)
     .json({
       success: true,
-      message: statusCode === 201 ? 'User registered successfully' : 'Login successful',
+      message: message || (statusCode === 201 ? 'User registered successfully' : 'Login successful'),
       data: {
         token,
         refreshToken,
+        sessionId: session._id,
         user: {
           id: user._id,
           username: user.username,
           email: user.email,
           profile: user.profile,
           preferences: user.preferences,
-          isAdmin: user.isAdmin,
+          isAdmin: user.hasRole('superadmin'),
+          roles: user.getRoles(),
+          permissions: user.getPermissions(),
+          isVerified: user.isVerified,
           stats: user.stats
         }
       }
@@ -104,6 +274,11 @@ export const register = async (req, res) => {
       favoriteAuthors = []
     } = req.body;
 
+    const passwordViolations = checkPassword(password, { username, email });
+    if (passwordViolations.length > 0) {
+      return sendWeakPassword(res, passwordViolations);
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email: email.toLowerCase() }, { username }]
@@ -139,13 +314,14 @@ export const register = async (req, res) => {
     try {
       // You can add welcome books or initial setup here
       console.log(`🎉 New user registered: ${user.username} (${user.email})`);
+      await issueVerificationEmail(user);
     } catch (setupError) {
       console.error('Error in user setup:', setupError);
       // Don't fail registration if setup fails
     }
 
     // Send token response
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res);
 
   } catch (error) {
     console.error('❌ Registration error:', error);
@@ -203,6 +379,7 @@ export const login = async (req, res) => {
     }
 
     const { email, password } = req.body;
+    SecurityAuditLog.track(req, 'auth.login', { identifier: email, details: { method: 'password' } });
 
     // Find user by email (case insensitive)
     const user = await User.findOne({ 
@@ -210,6 +387,8 @@ export const login = async (req, res) => {
     }).select('+password');
 
     if (!user) {
+      await recordUnknownAccountAttempt(email, req);
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -217,9 +396,57 @@ export const login = async (req, res) => {
       });
     }
 
+    SecurityAuditLog.track(req, 'auth.login', { user });
+
+    // An admin invalidated the password; only the reset flow can set a new one
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'A password reset is required for this account. Check your email or request a new reset link.',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
+    // Per-account brute-force protection, checked before the password is compared
+    const loginStatus = getLoginStatus(user);
+
+    if (loginStatus.locked) {
+      await LoginEvent.record('login_blocked_locked', { user, req });
+
+      return res.status(423).set('Retry-After', String(loginStatus.retryAfter)).json({
+        success: false,
+        message: 'Account temporarily locked due to too many failed login attempts. Check your email for an unlock link or try again later.',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: loginStatus.lockedUntil,
+        retryAfter: loginStatus.retryAfter
+      });
+    }
+
+    if (loginStatus.throttled) {
+      await LoginEvent.record('login_throttled', { user, req });
+
+      return res.status(429).set('Retry-After', String(loginStatus.retryAfter)).json({
+        success: false,
+        message: `Too many failed login attempts. Please wait ${loginStatus.retryAfter} seconds and try again.`,
+        code: 'LOGIN_THROTTLED',
+        retryAfter: loginStatus.retryAfter
+      });
+    }
+
     // Check if password is correct
     const isPasswordCorrect = await user.comparePassword(password);
     if (!isPasswordCorrect) {
+      const failure = await recordFailedLogin(user, req);
+
+      if (failure.locked) {
+        return res.status(423).json({
+          success: false,
+          message: 'Account temporarily locked due to too many failed login attempts. Check your email for an unlock link or try again later.',
+          code: 'ACCOUNT_LOCKED',
+          lockedUntil: failure.lockedUntil
+        });
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -227,6 +454,31 @@ export const login = async (req, res) => {
       });
     }
 
+    // Deactivated accounts can still sign in; that restores them
+    if (!user.isActive && !user.isDeactivated) {
+      return sendAccountSuspended(res);
+    }
+
+    // Accounts with 2FA finish logging in through POST /api/auth/2fa/verify-login.
+    // Failure counters are only cleared there, so wrong codes add up with wrong passwords.
+    if (user.twoFactor?.enabled) {
+      SecurityAuditLog.track(req, 'auth.login_2fa_challenge');
+      console.log(`🔐 Two-factor challenge issued for: ${user.username}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: await generateTwoFactorChallenge(user._id)
+        }
+      });
+    }
+
+    await recordSuccessfulLogin(user);
+
+    const restored = await restoreIfDeactivated(user, req);
+
     // Update last login timestamp
     user.lastLoginAt = new Date();
     await user.save();
@@ -235,7 +487,7 @@ export const login = async (req, res) => {
     console.log(`🔐 User logged in: ${user.username} (${user.email})`);
 
     // Send token response
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res, restored ? RESTORED_LOGIN_MESSAGE : null);
 
   } catch (error) {
     console.error('❌ Login error:', error);
@@ -247,6 +499,148 @@ export const login = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Email a single-use passwordless sign-in link
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ */
+export const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for that email, a sign-in link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Suspended accounts and accounts awaiting a forced reset don't get links
+    if (!user || (!user.isActive && !user.isDeactivated) || user.passwordResetRequired) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const magicLinkToken = user.createMagicLinkToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      // The client page POSTs the token back, so mail scanners that prefetch links can't use it up
+      await sendMagicLinkEmail(user, buildClientUrl(`/magic-link/${magicLinkToken}`));
+    } catch (mailError) {
+      user.magicLinkToken = undefined;
+      user.magicLinkExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      console.error('❌ Magic link email error:', mailError);
+      return res.status(500).json({
+        success: false,
+        message: 'Error sending sign-in link. Please try again later.'
+      });
+    }
+
+    console.log(`📧 Magic sign-in link sent to: ${user.username}`);
+
+    res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('❌ Request magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing sign-in link request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Sign in with an emailed magic link token
+ * @route   POST /api/auth/magic-link/:token
+ * @access  Public (with magic link token)
+ */
+export const magicLinkLogin = async (req, res) => {
+  try {
+    SecurityAuditLog.track(req, 'auth.login', { details: { method: 'magic_link' } });
+
+    // Consume the token atomically so a link can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkToken: hashData(req.params.token),
+        magicLinkExpires: { $gt: Date.now() }
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in link is invalid or has expired',
+        code: 'INVALID_MAGIC_LINK'
+      });
+    }
+
+    SecurityAuditLog.track(req, 'auth.login', { user });
+
+    // Deactivated accounts can still sign in; that restores them
+    if (!user.isActive && !user.isDeactivated) {
+      return sendAccountSuspended(res);
+    }
+
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'A password reset is required for this account. Check your email or request a new reset link.',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
+    // Opening the link proves the user controls the inbox, like an unlock email
+    await recordSuccessfulLogin(user);
+
+    if (!user.isVerified) {
+      user.isVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+    }
+
+    // The link replaces the password, not the second factor
+    if (user.twoFactor?.enabled) {
+      await user.save({ validateBeforeSave: false });
+
+      SecurityAuditLog.track(req, 'auth.login_2fa_challenge');
+      console.log(`🔐 Two-factor challenge issued for: ${user.username}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: await generateTwoFactorChallenge(user._id)
+        }
+      });
+    }
+
+    const restored = await restoreIfDeactivated(user, req);
+
+    user.lastLoginAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🔐 User logged in with magic link: ${user.username} (${user.email})`);
+
+    await sendTokenResponse(user, 200, req, res, restored ? RESTORED_LOGIN_MESSAGE : null);
+
+  } catch (error) {
+    console.error('❌ Magic link login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @desc    Logout user / Clear cookie
  * @route   POST /api/auth/logout
@@ -254,9 +648,13 @@ export const login = async (req, res) => {
  */
 export const logout = async (req, res) => {
   try {
-    // In a stateless JWT system, we just clear the cookies
-    // For blacklisting tokens, you'd need a token blacklist system
-    
+    SecurityAuditLog.track(req, 'auth.logout');
+
+    // Revoke the server-side session so the JWT stops working immediately
+    if (req.authSession) {
+      await req.authSession.revoke('logout');
+    }
+
     res.cookie('token', 'none', {
       expires: new Date(Date.now() + 10 * 1000), // 10 seconds
       httpOnly: true
@@ -320,7 +718,9 @@ export const getProfile = async (req, res) => {
           email: user.email,
           profile: user.profile,
           preferences: user.preferences,
-          isAdmin: user.isAdmin,
+          isAdmin: user.hasRole('superadmin'),
+          roles: user.getRoles(),
+          permissions: user.getPermissions(),
           stats: {
             ...user.stats,
             totalReadingTime: Math.round(totalReadingTime / 60), // Convert to minutes
@@ -448,6 +848,7 @@ export const updateProfile = async (req, res) => {
 export const changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
+    SecurityAuditLog.track(req, 'auth.password_change');
 
     // Find user with password
     const user = await User.findById(req.user.id).select('+password');
@@ -469,16 +870,21 @@ export const changePassword = async (req, res) => {
       });
     }
 
+    const passwordViolations = checkPassword(newPassword, user);
+    if (passwordViolations.length > 0) {
+      return sendWeakPassword(res, passwordViolations, 'newPassword');
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
 
+    // Sign out every device, then open a fresh session for this one
+    await UserSession.revokeAllForUser(user._id, 'password_changed');
+
     console.log(`🔑 Password changed for: ${user.username}`);
 
-    res.status(200).json({
-      success: true,
-      message: 'Password updated successfully'
-    });
+    await sendTokenResponse(user, 200, req, res, 'Password updated successfully');
 
   } catch (error) {
     console.error('❌ Change password error:', error);
@@ -491,83 +897,1691 @@ export const changePassword = async (req, res) => {
 };
 
 /**
- * @desc    Refresh token
- * @route   POST /api/auth/refresh-token
- * @access  Public (with refresh token)
+ * @desc    Request password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
  */
-export const refreshToken = async (req, res) => {
+export const forgotPassword = async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    const { email } = req.body;
 
-    if (!refreshToken) {
-      return res.status(401).json({
-        success: false,
-        message: 'Refresh token is required'
-      });
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    const genericResponse = {
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (!user || (!user.isActive && !user.isDeactivated)) {
+      return res.status(200).json(genericResponse);
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({
+    SecurityAuditLog.track(req, 'auth.password_reset_request', { user });
+
+    // Generate single-use token (only the hash is stored on the user)
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user, buildClientUrl(`/reset-password/${resetToken}`));
+    } catch (mailError) {
+      // Don't leave a usable token behind if the email never went out
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      console.error('❌ Password reset email error:', mailError);
+      return res.status(500).json({
         success: false,
-        message: 'Invalid token type'
+        message: 'Error sending password reset email. Please try again later.'
       });
     }
 
-    // Check if user still exists
-    const user = await User.findById(decoded.userId);
+    console.log(`📧 Password reset requested for: ${user.username}`);
+
+    res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing password reset request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Reset password with token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public (with reset token)
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { password } = req.body;
+    SecurityAuditLog.track(req, 'auth.password_reset');
+
+    const user = await User.findOne({
+      resetPasswordToken: hashData(token),
+      resetPasswordExpires: { $gt: Date.now() }
+    }).select('+password');
+
     if (!user) {
-      return res.status(401).json({
+      return res.status(400).json({
         success: false,
-        message: 'User no longer exists'
+        message: 'Password reset token is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
       });
     }
 
-    // Generate new tokens
-    const newToken = generateToken(user._id);
-    const newRefreshToken = generateRefreshToken(user._id);
+    SecurityAuditLog.track(req, 'auth.password_reset', { user });
+
+    const passwordViolations = checkPassword(password, user);
+    if (passwordViolations.length > 0) {
+      return sendWeakPassword(res, passwordViolations);
+    }
+
+    // Update password and consume the token; passwordChangedAt is set by the
+    // pre-save hook so every JWT issued before now is rejected
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    await UserSession.revokeAllForUser(user._id, 'password_reset');
+
+    // A reset usually means the account may be compromised; drop its API tokens too
+    await PersonalAccessToken.revokeAllForUser(user._id);
+
+    console.log(`🔑 Password reset for: ${user.username}`);
 
     res.status(200).json({
       success: true,
-      message: 'Token refreshed successfully',
-      data: {
-        token: newToken,
-        refreshToken: newRefreshToken,
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          profile: user.profile
-        }
-      }
+      message: 'Password has been reset successfully. Please login with your new password.'
     });
 
   } catch (error) {
-    console.error('❌ Refresh token error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
+    console.error('❌ Reset password error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Validation failed',
+        errors
       });
     }
 
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Send (or resend) email verification link
+ * @route   POST /api/auth/send-verification
+ * @access  Private (unverified users allowed)
+ */
+export const sendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified',
+        code: 'ALREADY_VERIFIED'
+      });
+    }
+
+    // Per-account throttle on top of the per-IP rate limit
+    const lastSentAt = user.emailVerificationSentAt?.getTime() || 0;
+    const waitMs = lastSentAt + VERIFICATION_RESEND_COOLDOWN - Date.now();
+
+    if (waitMs > 0) {
+      return res.status(429).json({
         success: false,
-        message: 'Refresh token expired'
+        message: 'A verification email was sent recently. Please wait before requesting another.',
+        code: 'VERIFICATION_THROTTLED',
+        retryAfter: Math.ceil(waitMs / 1000)
       });
     }
 
+    await issueVerificationEmail(user);
+
+    console.log(`📧 Verification email sent to: ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent. Please check your inbox.'
+    });
+
+  } catch (error) {
+    console.error('❌ Send verification error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error refreshing token'
+      message: 'Error sending verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
+/**
+ * @desc    Verify email with token
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public (with verification token)
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const user = await User.findOne({
+      emailVerificationToken: hashData(token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or has expired',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    user.isVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`✅ Email verified for: ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          isVerified: user.isVerified
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Refresh token (rotates the refresh token on every use)
+ * @route   POST /api/auth/refresh-token
+ * @access  Public (with refresh token in body or httpOnly cookie)
+ */
+export const refreshToken = async (req, res) => {
+  try {
+    const presentedToken = req.body?.refreshToken || req.cookies?.refreshToken;
+    SecurityAuditLog.track(req, 'auth.token_refresh');
+
+    if (!presentedToken || presentedToken === 'none') {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    // Mark the token as used atomically so concurrent requests can't both redeem it
+    const record = await RefreshToken.consume(presentedToken);
+
+    if (!record) {
+      const existing = await RefreshToken.findByToken(presentedToken);
+
+      // A token that was already rotated out is being replayed: treat the whole family as stolen
+      if (existing?.usedAt) {
+        SecurityAuditLog.track(req, 'auth.token_refresh', { user: existing.user, details: { reuseDetected: true } });
+        await RefreshToken.revokeFamily(existing.family, 'reuse_detected');
+        await UserSession.updateOne(
+          { _id: existing.session, revokedAt: { $exists: false } },
+          { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+        );
+
+        console.warn(`🚨 Refresh token reuse detected for user ${existing.user} (family ${existing.family})`);
+
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token has already been used. Please login again.',
+          code: 'REFRESH_TOKEN_REUSED'
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    SecurityAuditLog.track(req, 'auth.token_refresh', { user: record.user });
+
+    // Check if user still exists
+    const user = await User.findById(record.user);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    if (!user.isActive) {
+      await RefreshToken.revokeFamily(record.family, 'admin_revoked');
+      return sendAccountSuspended(res);
+    }
+
+    // Refresh tokens issued before a password change are no longer valid
+    if (user.changedPasswordAfter(Math.floor(record.createdAt.getTime() / 1000))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed recently. Please login again.',
+        code: 'PASSWORD_CHANGED'
+      });
+    }
+
+    // The session behind the refresh token must still be active
+    const session = await UserSession.findActive(record.session, user._id);
+
+    if (!session) {
+      await RefreshToken.revokeFamily(record.family, 'session_revoked');
+
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please login again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    await session.touch(req);
+
+    // Generate new tokens, keeping the refresh token in the same family
+    const newToken = generateToken(user._id, session._id);
+    const { token: newRefreshToken, record: newRecord } = await RefreshToken.issue(
+      user._id,
+      session,
+      req,
+      record.family
+    );
+
+    record.replacedBy = newRecord._id;
+    await record.save();
+
+    setAuthCookies(res.status(200), newToken, newRefreshToken, session.expiresAt)
+      .json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+          token: newToken,
+          refreshToken: newRefreshToken,
+          user: {
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            profile: user.profile
+          }
+        }
+      });
+
+  } catch (error) {
+    console.error('❌ Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token'
+    });
+  }
+};
+
+/**
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/2fa/verify-login
+ * @access  Public (with challenge token)
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    SecurityAuditLog.track(req, 'auth.login', { details: { method: 'two_factor' } });
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and a verification or recovery code are required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, {
+        issuer: 'bookifyme-api',
+        audience: 'two-factor-challenge'
+      });
+    } catch (jwtError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge has expired. Please login again.',
+        code: 'INVALID_2FA_CHALLENGE'
+      });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+    SecurityAuditLog.track(req, 'auth.login', { user: decoded.userId });
+
+    const invalidChallenge = () => res.status(401).json({
+      success: false,
+      message: 'Two-factor challenge is no longer valid. Please login again.',
+      code: 'INVALID_2FA_CHALLENGE'
+    });
+
+    if (!user || !user.twoFactor?.enabled) {
+      return invalidChallenge();
+    }
+
+    // Deactivated accounts can still sign in; that restores them
+    if (!user.isActive && !user.isDeactivated) {
+      return sendAccountSuspended(res);
+    }
+
+    // Same per-account protection as the password step
+    const loginStatus = getLoginStatus(user);
+
+    if (loginStatus.locked) {
+      await LoginEvent.record('login_blocked_locked', { user, req });
+
+      return res.status(423).set('Retry-After', String(loginStatus.retryAfter)).json({
+        success: false,
+        message: 'Account temporarily locked due to too many failed login attempts. Check your email for an unlock link or try again later.',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: loginStatus.lockedUntil,
+        retryAfter: loginStatus.retryAfter
+      });
+    }
+
+    if (loginStatus.throttled) {
+      await LoginEvent.record('login_throttled', { user, req });
+
+      return res.status(429).set('Retry-After', String(loginStatus.retryAfter)).json({
+        success: false,
+        message: `Too many failed login attempts. Please wait ${loginStatus.retryAfter} seconds and try again.`,
+        code: 'LOGIN_THROTTLED',
+        retryAfter: loginStatus.retryAfter
+      });
+    }
+
+    // Taken before the code is checked, so parallel guesses can't exceed the limit
+    if (!decoded.jti || !(await consumeChallengeAttempt(user._id, decoded.jti))) {
+      return invalidChallenge();
+    }
+
+    const method = verifySecondFactor(user, { code, recoveryCode });
+
+    if (!method) {
+      const failure = await recordFailedLogin(user, req, 'two_factor');
+
+      if (failure.locked) {
+        return res.status(423).json({
+          success: false,
+          message: 'Account temporarily locked due to too many failed login attempts. Check your email for an unlock link or try again later.',
+          code: 'ACCOUNT_LOCKED',
+          lockedUntil: failure.lockedUntil
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    await recordSuccessfulLogin(user);
+
+    const restored = await restoreIfDeactivated(user, req);
+
+    // The challenge is used up
+    user.set('twoFactor.challengeId', undefined);
+    user.set('twoFactor.challengeAttempts', undefined);
+    user.lastLoginAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🔐 User logged in with 2FA (${method}): ${user.username} (${user.email})`);
+
+    await sendTokenResponse(user, 200, req, res, restored ? RESTORED_LOGIN_MESSAGE : null);
+
+  } catch (error) {
+    console.error('❌ Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get two-factor authentication status
+ * @route   GET /api/auth/2fa/status
+ * @access  Private
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+    const requiredForAdmins = await AppSetting.getValue(SETTING_KEYS.REQUIRE_ADMIN_2FA, false);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt,
+        recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter(entry => !entry.usedAt).length,
+        required: user.getRoles().length > 0 && requiredForAdmins
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor status'
+    });
+  }
+};
+
+/**
+ * @desc    Start 2FA enrollment (generate secret and otpauth URI)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        code: '2FA_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = generateSecret();
+    user.set('twoFactor.pendingSecret', encryptSecret(secret));
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpAuthUri(secret, user.email)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Confirm 2FA enrollment with a code and issue recovery codes
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    SecurityAuditLog.track(req, 'auth.2fa_enable');
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        code: '2FA_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before enabling it',
+        code: '2FA_SETUP_REQUIRED'
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+
+    user.set('twoFactor', {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      lastUsedStep: step,
+      recoveryCodes: hashed,
+      enabledAt: new Date()
+    });
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🛡️ Two-factor authentication enabled for: ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Disable 2FA (requires password and a code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    SecurityAuditLog.track(req, 'auth.2fa_disable');
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        code: '2FA_NOT_ENABLED'
+      });
+    }
+
+    if (user.getRoles().length > 0 && await AppSetting.getValue(SETTING_KEYS.REQUIRE_ADMIN_2FA, false)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for admin accounts',
+        code: 'ADMIN_2FA_REQUIRED'
+      });
+    }
+
+    const isPasswordCorrect = password && await user.comparePassword(password);
+    if (!isPasswordCorrect) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+        field: 'password'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    user.set('twoFactor', { enabled: false });
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🛡️ Two-factor authentication disabled for: ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('❌ Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Regenerate recovery codes (invalidates the old ones)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    SecurityAuditLog.track(req, 'auth.recovery_codes_regenerate');
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        code: '2FA_NOT_ENABLED'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashed;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes'
+    });
+  }
+};
+
+/**
+ * @desc    Get admin 2FA policy
+ * @route   GET /api/auth/2fa/policy
+ * @access  Private (Admin only)
+ */
+export const getTwoFactorPolicy = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        requireForAdmins: await AppSetting.getValue(SETTING_KEYS.REQUIRE_ADMIN_2FA, false)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor policy'
+    });
+  }
+};
+
+/**
+ * @desc    Require (or stop requiring) 2FA for admin accounts
+ * @route   PUT /api/auth/2fa/policy
+ * @access  Private (Admin only)
+ */
+export const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requireForAdmins } = req.body;
+
+    if (typeof requireForAdmins !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireForAdmins must be a boolean',
+        field: 'requireForAdmins'
+      });
+    }
+
+    // Don't let an admin lock themselves out of admin routes
+    if (requireForAdmins && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account first',
+        code: '2FA_NOT_ENABLED'
+      });
+    }
+
+    await AppSetting.setValue(SETTING_KEYS.REQUIRE_ADMIN_2FA, requireForAdmins, req.user._id);
+    await AdminAuditLog.record(req, 'settings.update', {
+      details: { key: SETTING_KEYS.REQUIRE_ADMIN_2FA, value: requireForAdmins }
+    });
+
+    console.log(`🛡️ Admin 2FA requirement ${requireForAdmins ? 'enabled' : 'disabled'} by: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor policy updated',
+      data: { requireForAdmins }
+    });
+
+  } catch (error) {
+    console.error('❌ Update 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating two-factor policy'
+    });
+  }
+};
+
+/**
+ * @desc    Request a new account unlock email
+ * @route   POST /api/auth/unlock-account
+ * @access  Public
+ */
+export const requestAccountUnlock = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists or is locked
+    const genericResponse = {
+      success: true,
+      message: 'If that account is locked, an unlock link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (!user || !user.isLocked) {
+      return res.status(200).json(genericResponse);
+    }
+
+    try {
+      await sendUnlockEmail(user);
+    } catch (mailError) {
+      console.error('❌ Account unlock email error:', mailError);
+      return res.status(500).json({
+        success: false,
+        message: 'Error sending unlock email. Please try again later.'
+      });
+    }
+
+    console.log(`📧 Account unlock email requested for: ${user.username}`);
+
+    res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('❌ Request unlock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing unlock request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Unlock account with the emailed token
+ * @route   GET /api/auth/unlock-account/:token
+ * @access  Public (with unlock token)
+ */
+export const unlockAccountWithToken = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      unlockToken: hashData(req.params.token),
+      unlockExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unlock token is invalid or has expired',
+        code: 'INVALID_UNLOCK_TOKEN'
+      });
+    }
+
+    await unlockAccount(user, 'email', req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked. You can now login.'
+    });
+
+  } catch (error) {
+    console.error('❌ Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Accounts with the most failed logins recently
+ * @route   GET /api/auth/login-protection/accounts
+ * @access  Private (Admin only)
+ */
+export const getTargetedAccounts = async (req, res) => {
+  try {
+    const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 24 * 30);
+    const minAttempts = Math.max(parseInt(req.query.minAttempts) || 5, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const accounts = await LoginEvent.findTargetedAccounts({ since, minAttempts, limit });
+
+    const users = await User.find({ _id: { $in: accounts.map(account => account.user).filter(Boolean) } })
+      .select('username email loginProtection');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        since,
+        accounts: accounts.map(account => {
+          const user = account.user ? usersById.get(account.user.toString()) : null;
+
+          return {
+            ...account,
+            accountExists: !!user,
+            username: user?.username,
+            isLocked: user ? user.isLocked : false,
+            lockedUntil: user?.isLocked ? user.loginProtection.lockedUntil : null,
+            lockCount: user?.loginProtection?.lockCount || 0
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get targeted accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching targeted accounts'
+    });
+  }
+};
+
+/**
+ * @desc    Get login protection events
+ * @route   GET /api/auth/login-protection/events
+ * @access  Private (Admin only)
+ */
+export const getLoginEvents = async (req, res) => {
+  try {
+    const { type, userId, email, ip, page = 1, limit = 50 } = req.query;
+    const { skip, limit: limitNum, page: pageNum } = getPaginationParams(page, limit, 200);
+
+    const filter = {};
+    if (type) {
+      if (!LOGIN_EVENT_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Event type must be one of: ${LOGIN_EVENT_TYPES.join(', ')}`
+        });
+      }
+      filter.type = type;
+    }
+    if (userId) filter.user = userId;
+    if (email) filter.identifier = String(email).toLowerCase();
+    if (ip) filter.ipAddress = String(ip);
+
+    const [events, total] = await Promise.all([
+      LoginEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('user', 'username email'),
+      LoginEvent.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get login events error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching login events'
+    });
+  }
+};
+
+/**
+ * @desc    Unlock a locked account
+ * @route   POST /api/auth/login-protection/accounts/:userId/unlock
+ * @access  Private (Admin only)
+ */
+export const adminUnlockAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await unlockAccount(user, 'admin', req);
+    await AdminAuditLog.record(req, 'account.unlock', { targetUser: user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Admin unlock account error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account'
+    });
+  }
+};
+
+/**
+ * @desc    List enabled OpenID Connect providers
+ * @route   GET /api/auth/oidc/providers
+ * @access  Public
+ */
+export const getOidcProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      providers: listProviders()
+    }
+  });
+};
+
+/**
+ * @desc    Start sign-in with an OpenID Connect provider
+ * @route   GET /api/auth/oidc/:provider/authorize
+ * @access  Public
+ */
+export const startOidcLogin = async (req, res) => {
+  try {
+    const provider = getProviderConfig(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign-in provider not found',
+        code: 'OIDC_PROVIDER_NOT_FOUND'
+      });
+    }
+
+    const authorization = await createAuthorizationRequest(provider);
+    await OAuthState.createForRequest(provider.name, authorization);
+
+    res.cookie(OIDC_STATE_COOKIE, hashData(authorization.state), {
+      ...getOidcStateCookieOptions(),
+      maxAge: OIDC_STATE_COOKIE_MAX_AGE
+    });
+
+    // Browsers are sent straight to the provider; API clients get the URL
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: {
+          authorizationUrl: authorization.authorizationUrl
+        }
+      });
+    }
+
+    res.redirect(302, authorization.authorizationUrl);
+
+  } catch (error) {
+    console.error('❌ OIDC authorize error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Unable to start sign-in with this provider',
+      code: 'OIDC_PROVIDER_UNAVAILABLE',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Complete sign-in with an OpenID Connect provider
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @access  Public
+ */
+export const oidcCallback = async (req, res) => {
+  try {
+    SecurityAuditLog.track(req, 'auth.login', { details: { method: 'oidc', provider: req.params.provider } });
+    const provider = getProviderConfig(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign-in provider not found',
+        code: 'OIDC_PROVIDER_NOT_FOUND'
+      });
+    }
+
+    const { code, state, error: providerError } = req.query;
+
+    if (providerError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in was cancelled or denied by the provider',
+        code: 'OIDC_ACCESS_DENIED'
+      });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authorization code and state are required'
+      });
+    }
+
+    // Only the browser that started the login may finish it, so a callback URL from
+    // someone else's login can't sign the user into that account
+    const stateCookie = req.cookies?.[OIDC_STATE_COOKIE];
+    res.clearCookie(OIDC_STATE_COOKIE, getOidcStateCookieOptions());
+
+    if (!stateCookie || stateCookie !== hashData(String(state))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in request is invalid or has expired. Please try again.',
+        code: 'OIDC_INVALID_STATE'
+      });
+    }
+
+    const pending = await OAuthState.consume(provider.name, String(state));
+
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in request is invalid or has expired. Please try again.',
+        code: 'OIDC_INVALID_STATE'
+      });
+    }
+
+    let identity;
+    try {
+      identity = await getIdentityFromCode(provider, {
+        code: String(code),
+        codeVerifier: pending.codeVerifier,
+        nonce: pending.nonce
+      });
+    } catch (exchangeError) {
+      console.error(`❌ OIDC code exchange failed (${provider.name}):`, exchangeError.message);
+      return res.status(401).json({
+        success: false,
+        message: 'Could not verify your identity with the provider',
+        code: 'OIDC_LOGIN_FAILED'
+      });
+    }
+
+    let user = await User.findByOAuthAccount(provider.name, identity.subject);
+    let isNewUser = false;
+
+    if (!user) {
+      if (!identity.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'The provider did not share an email address',
+          code: 'OIDC_EMAIL_REQUIRED'
+        });
+      }
+
+      user = await User.findOne({ email: identity.email });
+
+      if (user) {
+        // Only link to an existing account when the provider vouches for the email
+        if (!identity.emailVerified) {
+          return res.status(409).json({
+            success: false,
+            message: 'An account with this email already exists. Login with your password to continue.',
+            code: 'OIDC_EMAIL_NOT_VERIFIED'
+          });
+        }
+
+        if (user.oauthAccounts.some(account => account.provider === provider.name)) {
+          return res.status(409).json({
+            success: false,
+            message: 'This account is already linked to a different identity from this provider',
+            code: 'OIDC_ACCOUNT_CONFLICT'
+          });
+        }
+
+        // An unverified local account may have been registered by someone else with this
+        // email, so its password and sessions are discarded before linking
+        if (!user.isVerified) {
+          user.password = generateSecureToken(32);
+          user.isVerified = true;
+          user.emailVerifiedAt = new Date();
+          await UserSession.revokeAllForUser(user._id, 'password_reset');
+        }
+
+        user.oauthAccounts.push({
+          provider: provider.name,
+          subject: identity.subject,
+          email: identity.email
+        });
+
+        console.log(`🔗 Linked ${provider.name} identity to: ${user.username} (${user.email})`);
+      } else {
+        const namePattern = /^[a-zA-Z\s\-']+$/;
+        const profile = {};
+
+        if (identity.givenName && namePattern.test(identity.givenName)) {
+          profile.firstName = identity.givenName.trim().substring(0, 50);
+        }
+        if (identity.familyName && namePattern.test(identity.familyName)) {
+          profile.lastName = identity.familyName.trim().substring(0, 50);
+        }
+        if (identity.picture && /^https?:\/\/.+\..+/.test(identity.picture)) {
+          profile.avatar = identity.picture;
+        }
+
+        user = new User({
+          username: await User.generateUniqueUsername(identity.preferredUsername || identity.email.split('@')[0]),
+          email: identity.email,
+          // Random password; the user can set one later through the password reset flow
+          password: generateSecureToken(32),
+          profile,
+          isVerified: identity.emailVerified,
+          emailVerifiedAt: identity.emailVerified ? new Date() : undefined,
+          signUpSource: 'oidc',
+          oauthAccounts: [{
+            provider: provider.name,
+            subject: identity.subject,
+            email: identity.email
+          }]
+        });
+        isNewUser = true;
+
+        await user.save();
+
+        try {
+          console.log(`🎉 New user registered via ${provider.name}: ${user.username} (${user.email})`);
+          if (!user.isVerified) {
+            await issueVerificationEmail(user);
+          }
+        } catch (setupError) {
+          console.error('Error in user setup:', setupError);
+        }
+      }
+    }
+
+    // Deactivated accounts can still sign in; that restores them
+    if (!user.isActive && !user.isDeactivated) {
+      return sendAccountSuspended(res);
+    }
+
+    SecurityAuditLog.track(req, 'auth.login', { user });
+
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'A password reset is required for this account. Check your email or request a new reset link.',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
+    const linkedAccount = user.oauthAccounts.find(account =>
+      account.provider === provider.name && account.subject === identity.subject
+    );
+    linkedAccount.lastLoginAt = new Date();
+
+    // Accounts with 2FA finish logging in through POST /api/auth/2fa/verify-login
+    if (user.twoFactor?.enabled) {
+      await user.save({ validateBeforeSave: false });
+
+      SecurityAuditLog.track(req, 'auth.login_2fa_challenge');
+      console.log(`🔐 Two-factor challenge issued for: ${user.username}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: await generateTwoFactorChallenge(user._id)
+        }
+      });
+    }
+
+    const restored = await restoreIfDeactivated(user, req);
+
+    user.lastLoginAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🔐 User logged in via ${provider.name}: ${user.username} (${user.email})`);
+
+    await sendTokenResponse(user, isNewUser ? 201 : 200, req, res, restored ? RESTORED_LOGIN_MESSAGE : null);
+
+  } catch (error) {
+    console.error('❌ OIDC callback error:', error);
+
+    // The identity was linked to another account concurrently
+    if (error.code === 11000 && error.keyPattern?.['oauthAccounts.subject']) {
+      return res.status(409).json({
+        success: false,
+        message: 'This identity is already linked to another account',
+        code: 'OIDC_ACCOUNT_CONFLICT'
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists',
+        field: 'email'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during sign-in',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get all active sessions for user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await UserSession.findActiveByUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.toSummary(req.authSession?._id)),
+        total: sessions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a specific session
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    SecurityAuditLog.track(req, 'auth.session_revoke', { details: { sessionId: req.params.sessionId } });
+
+    const session = await UserSession.findActive(req.params.sessionId, req.user._id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    console.log(`🚪 Session revoked for: ${req.user.username} (${session.device})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        sessionId: session._id,
+        current: session._id.equals(req.authSession?._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Revoke session error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID',
+        code: 'INVALID_SESSION_ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Revoke all sessions except current
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    SecurityAuditLog.track(req, 'auth.session_revoke', { details: { allOtherSessions: true } });
+
+    const result = await UserSession.revokeAllForUser(
+      req.user._id,
+      'revoke_others',
+      req.authSession?._id
+    );
+
+    console.log(`🚪 ${result.modifiedCount} other session(s) revoked for: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'All other sessions have been revoked',
+      data: {
+        revokedCount: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the user's recent security activity (sign-ins, credential and account changes)
+ * @route   GET /api/auth/security-activity
+ * @access  Private
+ */
+export const getSecurityActivity = async (req, res) => {
+  try {
+    const { skip, limit, page } = getPaginationParams(req.query.page, req.query.limit || 20, 100);
+    const filter = { user: req.user._id };
+
+    const [entries, total] = await Promise.all([
+      SecurityAuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      SecurityAuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activity: entries.map(entry => entry.toActivity()),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get security activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching security activity',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const MAX_ACCESS_TOKENS_PER_USER = 25;
+const DEFAULT_ACCESS_TOKEN_EXPIRY_DAYS = 30;
+
+/**
+ * @desc    List the user's personal access tokens and available scopes
+ * @route   GET /api/auth/tokens
+ * @access  Private
+ */
+export const getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ user: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tokens: tokens.map(token => token.toSummary()),
+        total: tokens.length,
+        availableScopes: TOKEN_SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get access tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching access tokens',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Create a personal access token (the raw token is only returned here)
+ * @route   POST /api/auth/tokens
+ * @access  Private
+ */
+export const createAccessToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = DEFAULT_ACCESS_TOKEN_EXPIRY_DAYS } = req.body;
+    SecurityAuditLog.track(req, 'auth.access_token_create', { details: { name, scopes } });
+
+    const activeCount = await PersonalAccessToken.countDocuments({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (activeCount >= MAX_ACCESS_TOKENS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACCESS_TOKENS_PER_USER} active access tokens. Revoke one first.`,
+        code: 'ACCESS_TOKEN_LIMIT_REACHED'
+      });
+    }
+
+    const { token, record } = await PersonalAccessToken.issue(req.user._id, {
+      name,
+      scopes,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    console.log(`🔑 Access token "${record.name}" created for: ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Access token created. Copy it now; it will not be shown again.',
+      data: {
+        token,
+        accessToken: record.toSummary()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Create access token error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating access token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a personal access token
+ * @route   DELETE /api/auth/tokens/:tokenId
+ * @access  Private
+ */
+export const revokeAccessToken = async (req, res) => {
+  try {
+    SecurityAuditLog.track(req, 'auth.access_token_revoke', { details: { tokenId: req.params.tokenId } });
+
+    const accessToken = await PersonalAccessToken.findOne({
+      _id: req.params.tokenId,
+      user: req.user._id,
+      revokedAt: { $exists: false }
+    });
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found',
+        code: 'ACCESS_TOKEN_NOT_FOUND'
+      });
+    }
+
+    accessToken.revokedAt = new Date();
+    await accessToken.save();
+
+    console.log(`🔑 Access token "${accessToken.name}" revoked for: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Access token revoked successfully',
+      data: {
+        accessToken: accessToken.toSummary()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Revoke access token error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token ID',
+        code: 'INVALID_TOKEN_ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking access token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the password requirements
+ * @route   GET /api/auth/password-policy
+ * @access  Public
+ */
+export const getPasswordPolicy = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      policy: describePasswordPolicy()
+    }
+  });
+};
+
 /**
  * @desc    Check username availability
  * @route   GET /api/auth/check-username/:username
@@ -621,7 +2635,10 @@ export const verifyToken = async (req, res) => {
           username: req.user.username,
           email: req.user.email,
           profile: req.user.profile,
-          isAdmin: req.user.isAdmin
+          isAdmin: req.user.hasRole('superadmin'),
+          roles: req.user.getRoles(),
+          permissions: req.user.getPermissions(),
+          isVerified: req.user.isVerified
         }
       }
     });
@@ -637,11 +2654,41 @@ export const verifyToken = async (req, res) => {
 export default {
   register,
   login,
+  requestMagicLink,
+  magicLinkLogin,
   logout,
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  sendVerification,
+  verifyEmail,
   refreshToken,
+  getPasswordPolicy,
   checkUsernameAvailability,
-  verifyToken
+  verifyToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getSecurityActivity,
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  requestAccountUnlock,
+  unlockAccountWithToken,
+  getTargetedAccounts,
+  getLoginEvents,
+  adminUnlockAccount
 };
\ No newline at end of file
@@ -1,11 +1,21 @@
 import Book from '../models/Book.js';
 import ReadingSession from '../models/ReadingSession.js';
 import User from '../models/User.js';
-import { fetchBooksFromGoogle, fetchBookByIdFromGoogle, searchBooksFromGoogle } from '../services/googleBooksService.js';
+import {
+  searchBooks as searchRemoteBooks,
+  fetchBooksByAuthor,
+  fetchBooksBySubject,
+  fetchBookById,
+  saveBookMetadata,
+  uniqueBooks
+} from '../services/bookMetadataService.js';
+import { searchAllSources } from '../services/bookSearchService.js';
+import { suggestBooks } from '../services/bookAutocompleteService.js';
+import { parseFacetFilters } from '../config/searchFacets.js';
 
 /**
  * Book Controller
- * Handles book operations including Google Books API integration, search, and recommendations
+ * Handles book operations including external metadata providers (Google Books, Open Library), search, and recommendations
  */
 
 /**
@@ -23,77 +33,35 @@ export const searchBooks = async (req, res) => {
       author,
       language = 'en',
       orderBy = 'relevance',
-      printType = 'all',
-      maxResults = 40
+      printType = 'all'
     } = req.query;
 
+    // Multi-select facet filters (genres, languages, ratings, pageCounts, decades, formats, printTypes)
+    const facets = parseFacetFilters(req.query);
+    const hasFacets = Object.keys(facets).length > 0;
+
     // Validate search query
-    if (!q.trim() && !genre && !author) {
+    if (!q.trim() && !genre && !author && !hasFacets) {
       return res.status(400).json({
         success: false,
-        message: 'Search query, genre, or author is required'
+        message: 'Search query, genre, author, or a facet filter is required'
       });
     }
 
     console.log(`🔍 Searching books: "${q}" | Genre: ${genre} | Author: ${author}`);
 
-    let searchResults = [];
-    let totalResults = 0;
-
-    // Build search query for Google Books API
-    let searchQuery = q;
-    
-    if (genre) {
-      searchQuery += ` subject:${genre}`;
-    }
-    
-    if (author) {
-      searchQuery += ` inauthor:${author}`;
-    }
-
-    // Search Google Books API
-    try {
-      const googleResults = await searchBooksFromGoogle({
-        q: searchQuery.trim(),
-        maxResults: parseInt(maxResults),
-        orderBy,
-        printType: printType !== 'all' ? printType : undefined,
-        langRestrict: language !== 'any' ? language : undefined
-      });
-
-      searchResults = googleResults.items || [];
-      totalResults = googleResults.totalItems || 0;
-
-    } catch (googleError) {
-      console.error('❌ Google Books API error:', googleError);
-      // Continue with empty results if Google API fails
-      searchResults = [];
-      totalResults = 0;
-    }
-
-    // Transform Google Books data to our format
-    const transformedBooks = await Promise.all(
-      searchResults.slice(0, parseInt(limit)).map(async (googleBook) => {
-        try {
-          return await transformGoogleBookToLocal(googleBook);
-        } catch (error) {
-          console.error('Error transforming book:', error);
-          return null;
-        }
-      })
-    );
-
-    // Filter out null values and remove duplicates
-    const validBooks = transformedBooks
-      .filter(book => book !== null)
-      .filter((book, index, self) => 
-        index === self.findIndex(b => b.googleBooksId === book.googleBooksId)
-      );
-
-    // Calculate pagination
-    const startIndex = (parseInt(page) - 1) * parseInt(limit);
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedBooks = validBooks.slice(startIndex, endIndex);
+    // Local catalog and Google Books, merged, de-duplicated and paged
+    const { books, pagination, facets: facetCounts, sources } = await searchAllSources({
+      q,
+      genre,
+      author,
+      language,
+      orderBy,
+      printType,
+      page,
+      limit,
+      facets
+    });
 
     // Track search interaction if user is logged in
     if (req.user && q.trim()) {
@@ -102,7 +70,7 @@ export const searchBooks = async (req, res) => {
           $push: {
             searchHistory: {
               query: q,
-              resultsCount: validBooks.length,
+              resultsCount: pagination.total,
               timestamp: new Date()
             }
           }
@@ -114,21 +82,18 @@ export const searchBooks = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: `Found ${validBooks.length} books`,
+      message: `Found ${pagination.totalIsEstimate ? 'about ' : ''}${pagination.total} books`,
       data: {
-        books: paginatedBooks,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(validBooks.length / parseInt(limit)),
-          total: validBooks.length,
-          hasNext: endIndex < validBooks.length,
-          hasPrev: startIndex > 0
-        },
+        books,
+        pagination,
+        facets: facetCounts,
         searchInfo: {
           query: q,
           genre,
           author,
-          totalGoogleResults: totalResults
+          filters: facets,
+          totalGoogleResults: sources.remote.provider === 'google' ? sources.remote.totalItems : 0,
+          sources
         }
       }
     });
@@ -143,6 +108,42 @@ export const searchBooks = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Search-as-you-type suggestions (titles, authors, series) from the local catalog
+ * @route   GET /api/books/autocomplete
+ * @access  Public
+ */
+export const autocompleteBooks = async (req, res) => {
+  try {
+    const { q = '', limit = 5 } = req.query;
+
+    if (q.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Autocomplete query must be at least 2 characters'
+      });
+    }
+
+    const suggestions = await suggestBooks(q, { limit: Math.min(parseInt(limit) || 5, 10) });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        query: q,
+        suggestions
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Autocomplete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching suggestions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @desc    Get book by ID (local or Google Books ID)
  * @route   GET /api/books/:id
@@ -166,15 +167,27 @@ export const getBookById = async (req, res) => {
         .populate('reviews.user', 'username profile avatar');
     }
 
-    // If still not found, fetch from Google Books API
+    // ...or its Open Library ID
+    if (!book) {
+      book = await Book.findOne({ openLibraryId: id })
+        .populate('reviews.user', 'username profile avatar');
+    }
+
+    // ...or a duplicate that was merged into another edition
+    if (!book) {
+      book = await Book.findOne({ mergedIds: id })
+        .populate('reviews.user', 'username profile avatar');
+    }
+
+    // If still not found, fetch from the metadata providers and add it to the catalog
     if (!book) {
       try {
-        const googleBook = await fetchBookByIdFromGoogle(id);
-        if (googleBook) {
-          book = await transformGoogleBookToLocal(googleBook, true);
+        const metadata = await fetchBookById(id);
+        if (metadata) {
+          book = await saveBookMetadata(metadata);
         }
-      } catch (googleError) {
-        console.error('Google Books fetch error:', googleError);
+      } catch (providerError) {
+        console.error('Metadata provider fetch error:', providerError);
       }
     }
 
@@ -273,20 +286,10 @@ export const getBooksByGenre = async (req, res) => {
 
     console.log(`📚 Fetching books by genre: ${genre}`);
 
-    // Search Google Books for this genre
-    const googleResults = await searchBooksFromGoogle({
-      q: `subject:${genre}`,
-      maxResults: 40,
-      orderBy: 'relevance'
-    });
-
-    const books = await Promise.all(
-      (googleResults.items || []).slice(0, parseInt(limit)).map(googleBook => 
-        transformGoogleBookToLocal(googleBook)
-      )
-    );
+    // Search the metadata providers for this genre
+    const results = await fetchBooksBySubject(genre, { maxResults: 40 });
 
-    const validBooks = books.filter(book => book !== null);
+    const validBooks = results.books.slice(0, parseInt(limit));
 
     res.status(200).json({
       success: true,
@@ -330,36 +333,26 @@ export const getTrendingBooks = async (req, res) => {
     // Fetch books from multiple popular categories
     for (const query of popularQueries.slice(0, 3)) {
       try {
-        const results = await searchBooksFromGoogle({
+        const results = await searchRemoteBooks({
           q: query,
           maxResults: 8,
           orderBy: 'relevance'
         });
 
-        const transformedBooks = await Promise.all(
-          (results.items || []).map(googleBook => 
-            transformGoogleBookToLocal(googleBook)
-          )
-        );
-
-        allBooks = [...allBooks, ...transformedBooks.filter(book => book !== null)];
+        allBooks = [...allBooks, ...results.books];
       } catch (error) {
         console.error(`Error fetching for query "${query}":`, error);
       }
     }
 
     // Remove duplicates and limit results
-    const uniqueBooks = allBooks
-      .filter((book, index, self) => 
-        index === self.findIndex(b => b.googleBooksId === book.googleBooksId)
-      )
-      .slice(0, parseInt(limit));
+    const trendingBooks = uniqueBooks(allBooks).slice(0, parseInt(limit));
 
     res.status(200).json({
       success: true,
       data: {
-        books: uniqueBooks,
-        count: uniqueBooks.length
+        books: trendingBooks,
+        count: trendingBooks.length
       }
     });
 
@@ -394,37 +387,28 @@ export const getNewReleases = async (req, res) => {
 
     for (const query of queries.slice(0, 2)) {
       try {
-        const results = await searchBooksFromGoogle({
+        const results = await searchRemoteBooks({
           q: query,
           maxResults: 10,
           orderBy: 'newest'
         });
 
-        const transformedBooks = await Promise.all(
-          (results.items || []).map(googleBook => 
-            transformGoogleBookToLocal(googleBook)
-          )
-        );
-
-        allBooks = [...allBooks, ...transformedBooks.filter(book => book !== null)];
+        allBooks = [...allBooks, ...results.books];
       } catch (error) {
         console.error(`Error fetching new releases for "${query}":`, error);
       }
     }
 
     // Sort by publication date and remove duplicates
-    const uniqueBooks = allBooks
-      .filter((book, index, self) => 
-        index === self.findIndex(b => b.googleBooksId === book.googleBooksId)
-      )
+    const newReleases = uniqueBooks(allBooks)
       .sort((a, b) => new Date(b.publicationDate) - new Date(a.publicationDate))
       .slice(0, parseInt(limit));
 
     res.status(200).json({
       success: true,
       data: {
-        books: uniqueBooks,
-        count: uniqueBooks.length
+        books: newReleases,
+        count: newReleases.length
       }
     });
 
@@ -493,7 +477,7 @@ export const getRecommendations = async (req, res) => {
       if (allGenres.length > 0) {
         const topGenres = allGenres.slice(0, 3);
         topGenres.forEach(genre => {
-          searchQueries.push(`subject:${genre}`);
+          searchQueries.push({ label: `genre "${genre}"`, fetch: () => fetchBooksBySubject(genre, { maxResults: 8 }) });
         });
       }
 
@@ -501,28 +485,17 @@ export const getRecommendations = async (req, res) => {
       if (allAuthors.length > 0) {
         const topAuthors = allAuthors.slice(0, 2);
         topAuthors.forEach(author => {
-          searchQueries.push(`inauthor:"${author}"`);
+          searchQueries.push({ label: `author "${author}"`, fetch: () => fetchBooksByAuthor(author, { maxResults: 8 }) });
         });
       }
 
       // Execute searches
       for (const query of searchQueries.slice(0, 3)) {
         try {
-          const results = await searchBooksFromGoogle({
-            q: query,
-            maxResults: 8,
-            orderBy: 'relevance'
-          });
-
-          const transformedBooks = await Promise.all(
-            (results.items || []).map(googleBook => 
-              transformGoogleBookToLocal(googleBook)
-            )
-          );
-
-          recommendedBooks = [...recommendedBooks, ...transformedBooks.filter(book => book !== null)];
+          const results = await query.fetch();
+          recommendedBooks = [...recommendedBooks, ...results.books];
         } catch (error) {
-          console.error(`Error fetching recommendations for "${query}":`, error);
+          console.error(`Error fetching recommendations for ${query.label}:`, error);
         }
       }
     } else {
@@ -538,12 +511,9 @@ export const getRecommendations = async (req, res) => {
       ...user.wantToRead.map(book => book._id?.toString())
     ].filter(id => id));
 
-    const uniqueRecommendations = recommendedBooks
-      .filter(book => !userBookIds.has(book._id?.toString()))
-      .filter((book, index, self) => 
-        index === self.findIndex(b => b.googleBooksId === book.googleBooksId)
-      )
-      .slice(0, parseInt(limit));
+    const uniqueRecommendations = uniqueBooks(
+      recommendedBooks.filter(book => !userBookIds.has(book._id?.toString()))
+    ).slice(0, parseInt(limit));
 
     res.status(200).json({
       success: true,
@@ -742,114 +712,6 @@ export const getBookReviews = async (req, res) => {
   }
 };
 
-// Helper function to transform Google Books data to local format
-async function transformGoogleBookToLocal(googleBook, saveToDatabase = false) {
-  try {
-    const volumeInfo = googleBook.volumeInfo;
-    const saleInfo = googleBook.saleInfo;
-    const accessInfo = googleBook.accessInfo;
-
-    // Extract basic information
-    const bookData = {
-      googleBooksId: googleBook.id,
-      title: volumeInfo.title || 'Unknown Title',
-      subtitle: volumeInfo.subtitle,
-      authors: volumeInfo.authors || ['Unknown Author'],
-      primaryAuthor: volumeInfo.authors?.[0] || 'Unknown Author',
-      description: volumeInfo.description || 'No description available.',
-      shortDescription: volumeInfo.description 
-        ? volumeInfo.description.substring(0, 200) + (volumeInfo.description.length > 200 ? '...' : '')
-        : 'No description available.',
-      genres: volumeInfo.categories || ['General'],
-      categories: volumeInfo.categories || [],
-      language: volumeInfo.language || 'en',
-      pageCount: volumeInfo.pageCount || 0,
-      publicationDate: volumeInfo.publishedDate 
-        ? new Date(volumeInfo.publishedDate) 
-        : new Date(),
-      publisher: volumeInfo.publisher || 'Unknown Publisher',
-      printType: volumeInfo.printType || 'BOOK',
-      maturityRating: volumeInfo.maturityRating || 'NOT_MATURE',
-      averageRating: volumeInfo.averageRating || 0,
-      ratingsCount: volumeInfo.ratingsCount || 0
-    };
-
-    // Handle cover images
-    if (volumeInfo.imageLinks) {
-      bookData.coverImage = volumeInfo.imageLinks.thumbnail?.replace('http://', 'https://') 
-        || volumeInfo.imageLinks.smallThumbnail?.replace('http://', 'https://')
-        || `https://placehold.co/300x400/6a11cb/ffffff?text=${encodeURIComponent(bookData.title.charAt(0))}`;
-
-      bookData.images = {
-        small: volumeInfo.imageLinks.small?.replace('http://', 'https://'),
-        medium: volumeInfo.imageLinks.medium?.replace('http://', 'https://'),
-        large: volumeInfo.imageLinks.large?.replace('http://', 'https://'),
-        thumbnail: volumeInfo.imageLinks.thumbnail?.replace('http://', 'https://'),
-        smallThumbnail: volumeInfo.imageLinks.smallThumbnail?.replace('http://', 'https://')
-      };
-    } else {
-      bookData.coverImage = `https://placehold.co/300x400/6a11cb/ffffff?text=${encodeURIComponent(bookData.title.charAt(0))}`;
-    }
-
-    // Handle pricing information
-    if (saleInfo && saleInfo.listPrice) {
-      bookData.price = saleInfo.listPrice.amount || 9.99;
-      bookData.currency = saleInfo.listPrice.currencyCode || 'USD';
-    } else {
-      bookData.price = 9.99;
-      bookData.currency = 'USD';
-    }
-
-    // Add metadata links
-    bookData.metadata = {
-      googleBooksLink: volumeInfo.infoLink,
-      previewLink: volumeInfo.previewLink,
-      canonicalVolumeLink: volumeInfo.canonicalVolumeLink,
-      webReaderLink: accessInfo?.webReaderLink,
-      pdfLink: accessInfo?.pdf?.acsTokenLink
-    };
-
-    // Generate search keywords
-    bookData.searchKeywords = [
-      ...bookData.title.toLowerCase().split(' '),
-      ...bookData.authors.flatMap(author => author.toLowerCase().split(' ')),
-      ...bookData.genres.flatMap(genre => genre.toLowerCase().split(/[/,\s]+/))
-    ].filter((keyword, index, array) => 
-      keyword.length > 2 && array.indexOf(keyword) === index
-    );
-
-    // Set stock and availability
-    bookData.stock = Math.floor(Math.random() * 50) + 10; // Random stock for demo
-    bookData.available = bookData.stock;
-
-    // Set featured/bestseller status randomly for demo
-    bookData.featured = Math.random() > 0.7;
-    bookData.bestseller = Math.random() > 0.8;
-    bookData.newRelease = new Date(bookData.publicationDate) > new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
-
-    if (saveToDatabase) {
-      // Check if book already exists in database
-      let existingBook = await Book.findOne({ googleBooksId: googleBook.id });
-      
-      if (existingBook) {
-        return existingBook;
-      }
-
-      // Create new book in database
-      const newBook = new Book(bookData);
-      await newBook.save();
-      return newBook;
-    }
-
-    // Return book data without saving to database
-    return bookData;
-
-  } catch (error) {
-    console.error('Error transforming Google Book:', error);
-    return null;
-  }
-}
-
 // Helper function to get similar books
 async function getSimilarBooks(book, limit = 6) {
   try {
@@ -859,20 +721,10 @@ async function getSimilarBooks(book, limit = 6) {
 
     // Search for books in the same genres
     const primaryGenre = book.genres[0];
-    const results = await searchBooksFromGoogle({
-      q: `subject:"${primaryGenre}"`,
-      maxResults: 12,
-      orderBy: 'relevance'
-    });
-
-    const similarBooks = await Promise.all(
-      (results.items || [])
-        .filter(item => item.id !== book.googleBooksId)
-        .slice(0, limit)
-        .map(googleBook => transformGoogleBookToLocal(googleBook))
-    );
+    const results = await fetchBooksBySubject(primaryGenre, { maxResults: 12 });
 
-    return similarBooks.filter(book => book !== null);
+    // The book itself goes first so its matches are dropped
+    return uniqueBooks([book, ...results.books]).slice(1, limit + 1);
   } catch (error) {
     console.error('Error getting similar books:', error);
     return [];
@@ -881,6 +733,7 @@ async function getSimilarBooks(book, limit = 6) {
 
 export default {
   searchBooks,
+  autocompleteBooks,
   getBookById,
   getBooksByGenre,
   getTrendingBooks,
@@ -766,12 +766,13 @@ export const setCurrentBook = async (req, res) => {
       });
     }
 
-    // Check if user is admin
+    // Check if user is admin (staff with communities:moderate may moderate any community)
     const userMember = community.members.find(
       member => member.user.toString() === userId
     );
+    const isStaffModerator = req.user.hasPermission('communities:moderate');
 
-    if (!userMember || !['admin', 'moderator'].includes(userMember.role)) {
+    if (!isStaffModerator && (!userMember || !['admin', 'moderator'].includes(userMember.role))) {
       return res.status(403).json({
         success: false,
         message: 'Only admins and moderators can set the current book'
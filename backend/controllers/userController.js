@@ -1,8 +1,15 @@
 import User from '../models/User.js';
 import Book from '../models/Book.js';
 import ReadingSession from '../models/ReadingSession.js';
-import Community from '../models/Community.js';
+import DataExport from '../models/DataExport.js';
+import LibraryImport from '../models/LibraryImport.js';
+import LibraryImportRow from '../models/LibraryImportRow.js';
+import SecurityAuditLog from '../models/SecurityAuditLog.js';
 import { validationResult } from 'express-validator';
+import { deactivateAccount, getGracePeriodDays } from '../services/accountDeletionService.js';
+import { scheduleExport } from '../services/dataExportService.js';
+import { createGoodreadsImport, scheduleImport } from '../services/libraryImportService.js';
+import { getPaginationParams } from '../utils/helpers.js';
 
 /**
  * User Controller
@@ -22,14 +29,14 @@ export const getUserProfile = async (req, res) => {
     let user;
     if (identifier.length === 24) { // MongoDB ObjectId length
       user = await User.findById(identifier)
-        .select('-password -email -isAdmin -verificationToken -resetPasswordToken -resetPasswordExpires')
+        .select('-password -email -isAdmin -roles -verificationToken -resetPasswordToken -resetPasswordExpires')
         .populate('currentlyReading.book', 'title author coverImage pageCount genres')
         .populate('wantToRead', 'title author coverImage genres averageRating')
         .populate('finishedBooks.book', 'title author coverImage pageCount genres')
         .populate('joinedCommunities.community', 'name description genre membersCount');
     } else {
       user = await User.findOne({ username: identifier.toLowerCase() })
-        .select('-password -email -isAdmin -verificationToken -resetPasswordToken -resetPasswordExpires')
+        .select('-password -email -isAdmin -roles -verificationToken -resetPasswordToken -resetPasswordExpires')
         .populate('currentlyReading.book', 'title author coverImage pageCount genres')
         .populate('wantToRead', 'title author coverImage genres averageRating')
         .populate('finishedBooks.book', 'title author coverImage pageCount genres')
@@ -832,14 +839,15 @@ export const searchUsers = async (req, res) => {
 };
 
 /**
- * @desc    Delete user account
+ * @desc    Deactivate user account (purged after the grace period unless the user signs in again)
  * @route   DELETE /api/users/account
  * @access  Private
  */
 export const deleteAccount = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { confirmation } = req.body;
+    const { confirmation, reason } = req.body;
+    SecurityAuditLog.track(req, 'account.deactivate');
 
     if (!confirmation || confirmation !== 'DELETE MY ACCOUNT') {
       return res.status(400).json({
@@ -848,7 +856,6 @@ export const deleteAccount = async (req, res) => {
       });
     }
 
-    // Find user first to get username for logging
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({
@@ -857,19 +864,7 @@ export const deleteAccount = async (req, res) => {
       });
     }
 
-    // Delete user's reading sessions
-    await ReadingSession.deleteMany({ user: userId });
-
-    // Remove user from communities
-    await Community.updateMany(
-      { 'members.user': userId },
-      { $pull: { members: { user: userId } } }
-    );
-
-    // Delete user account
-    await User.findByIdAndDelete(userId);
-
-    console.log(`🗑️ User account deleted: ${user.username} (${user.email})`);
+    const scheduledPurgeAt = await deactivateAccount(user, { reason });
 
     // Clear cookies
     res.clearCookie('token');
@@ -877,7 +872,10 @@ export const deleteAccount = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Account deleted successfully'
+      message: `Account deactivated. It will be permanently deleted in ${getGracePeriodDays()} days; sign in before then to restore it.`,
+      data: {
+        scheduledPurgeAt
+      }
     });
 
   } catch (error) {
@@ -890,6 +888,330 @@ export const deleteAccount = async (req, res) => {
   }
 };
 
+const EXPORT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @desc    Request a copy of all personal data (built in the background)
+ * @route   POST /api/users/export/data
+ * @access  Private
+ */
+export const requestDataExport = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const since = new Date(Date.now() - EXPORT_INTERVAL_MS);
+
+    const limitReached = (recent) => {
+      const retryAfter = new Date(recent.createdAt.getTime() + EXPORT_INTERVAL_MS);
+      res.set('Retry-After', Math.ceil((retryAfter - Date.now()) / 1000));
+
+      return res.status(429).json({
+        success: false,
+        message: 'You can request one data export per day',
+        code: 'EXPORT_LIMIT_REACHED',
+        data: {
+          requestId: recent._id,
+          retryAfter
+        }
+      });
+    };
+
+    // One export per day; a failed export doesn't count
+    const recent = await DataExport.findRecentForUser(userId, since);
+    if (recent) {
+      return limitReached(recent);
+    }
+
+    let dataExport;
+    try {
+      dataExport = await DataExport.createWithinLimit(userId, since);
+    } catch (error) {
+      // Another request got in first
+      if (error.code === 11000) {
+        const existing = await DataExport.findRecentForUser(userId, since);
+        if (existing) {
+          return limitReached(existing);
+        }
+      }
+      throw error;
+    }
+
+    scheduleExport(dataExport._id);
+
+    console.log(`📦 Data export requested: ${req.user.username}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Data export started. Check its status to get the download link once it is ready.',
+      data: {
+        export: dataExport.toSummary()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting data export',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the status of a data export request
+ * @route   GET /api/users/export/status/:requestId
+ * @access  Private
+ */
+export const getDataExportStatus = async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({
+      _id: req.params.requestId,
+      user: req.user.id
+    });
+
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export request not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        export: dataExport.toSummary()
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export request ID'
+      });
+    }
+
+    console.error('❌ Get data export status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching export status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Download a finished data export
+ * @route   GET /api/users/export/download/:requestId
+ * @access  Private
+ */
+export const downloadDataExport = async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({
+      _id: req.params.requestId,
+      user: req.user.id
+    }).select('+filePath');
+
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export request not found'
+      });
+    }
+
+    if (dataExport.status === 'expired' || (dataExport.status === 'completed' && !dataExport.isDownloadable)) {
+      return res.status(410).json({
+        success: false,
+        message: 'This download link has expired. Please request a new export.',
+        code: 'EXPORT_EXPIRED'
+      });
+    }
+
+    if (dataExport.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: dataExport.status === 'failed'
+          ? 'Export failed. Please request a new export.'
+          : 'Export is not ready yet',
+        code: 'EXPORT_NOT_READY',
+        data: {
+          status: dataExport.status
+        }
+      });
+    }
+
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+    );
+
+    res.download(dataExport.filePath, dataExport.fileName, (error) => {
+      if (error && !res.headersSent) {
+        console.error('❌ Data export download error:', error);
+        res.status(410).json({
+          success: false,
+          message: 'Export file is no longer available. Please request a new export.',
+          code: 'EXPORT_EXPIRED'
+        });
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export request ID'
+      });
+    }
+
+    console.error('❌ Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading export',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Import a Goodreads library export (CSV upload; processed in the background)
+ * @route   POST /api/users/import/goodreads
+ * @access  Private
+ */
+export const requestLibraryImport = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // One import at a time, so rows don't race for the same bookshelf
+    const active = await LibraryImport.findActiveForUser(userId);
+    if (active) {
+      return res.status(409).json({
+        success: false,
+        message: 'An import is already in progress. Please wait until it finishes.',
+        code: 'IMPORT_IN_PROGRESS',
+        data: {
+          import: active.toSummary()
+        }
+      });
+    }
+
+    const libraryImport = await createGoodreadsImport({
+      userId,
+      fileName: req.file.originalname,
+      text: req.file.buffer.toString('utf8'),
+      publishReviews: req.body.publishReviews === true
+    });
+    scheduleImport(libraryImport._id);
+
+    console.log(`📥 Goodreads import requested: ${req.user.username} (${libraryImport.totalRows} books)`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started. Check its status for the report once it is finished.',
+      data: {
+        import: libraryImport.toSummary()
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    console.error('❌ Request library import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting import',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the status of a library import and its per-row report
+ * @route   GET /api/users/import/:importId
+ * @access  Private
+ */
+export const getLibraryImportStatus = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+    const { skip, limit: limitNum, page: pageNum } = getPaginationParams(page, limit, 100);
+
+    const libraryImport = await LibraryImport.findOne({
+      _id: req.params.importId,
+      user: req.user.id
+    });
+
+    if (!libraryImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    // Rows not processed yet have no result to report
+    const filter = {
+      libraryImport: libraryImport._id,
+      status: status || { $ne: 'pending' }
+    };
+
+    const [rows, total] = await Promise.all([
+      LibraryImportRow.find(filter)
+        .sort({ row: 1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('book', 'title authors coverImage'),
+      LibraryImportRow.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        import: libraryImport.toSummary(),
+        rows: rows.map(row => ({
+          row: row.row,
+          title: row.title,
+          author: row.author,
+          isbn: row.isbn13 || row.isbn,
+          exclusiveShelf: row.exclusiveShelf,
+          shelves: row.shelves,
+          status: row.status,
+          matchedBy: row.matchedBy,
+          book: row.book,
+          candidates: row.status === 'ambiguous' ? row.candidates : undefined,
+          error: row.error
+        })),
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid import ID'
+      });
+    }
+
+    console.error('❌ Get library import status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Helper function to calculate user reading statistics
 async function calculateUserReadingStats(userId) {
   const stats = await ReadingSession.aggregate([
@@ -1120,5 +1442,10 @@ export default {
   getUserStatistics,
   updateReadingGoals,
   searchUsers,
-  deleteAccount
+  deleteAccount,
+  requestDataExport,
+  getDataExportStatus,
+  downloadDataExport,
+  requestLibraryImport,
+  getLibraryImportStatus
 };
\ No newline at end of file
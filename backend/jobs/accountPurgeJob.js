@@ -0,0 +1,70 @@
+// backend/jobs/accountPurgeJob.js
+import mongoose from 'mongoose';
+import { purgeDeactivatedAccounts } from '../services/accountDeletionService.js';
+
+/**
+ * Account Purge Job
+ * Periodically deletes accounts whose deactivation grace period has ended.
+ * Interval is ACCOUNT_PURGE_INTERVAL_MINUTES (default 60); set it to 0 to disable.
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one purge pass (skipped while a previous pass is still going or the DB is down)
+ */
+export const runAccountPurge = async () => {
+  if (running || mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  running = true;
+  try {
+    const result = await purgeDeactivatedAccounts();
+
+    if (result.purged > 0 || result.failed > 0) {
+      console.log(`🧹 Account purge finished: ${result.purged} purged, ${result.failed} failed`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ Account purge job error:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the periodic purge
+ */
+export const startAccountPurgeJob = () => {
+  const minutes = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES ?? '60', 10);
+
+  if (timer || !minutes) {
+    return;
+  }
+
+  timer = setInterval(runAccountPurge, minutes * 60 * 1000);
+  // Don't keep the process alive just for this job
+  timer.unref();
+
+  console.log(`🧹 Account purge job scheduled every ${minutes} minute(s)`);
+};
+
+/**
+ * Stop the periodic purge
+ */
+export const stopAccountPurgeJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  runAccountPurge,
+  startAccountPurgeJob,
+  stopAccountPurgeJob
+};
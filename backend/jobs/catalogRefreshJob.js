@@ -0,0 +1,194 @@
+// backend/jobs/catalogRefreshJob.js
+import mongoose from 'mongoose';
+import Book from '../models/Book.js';
+import { getMetadataProviders, refreshBookMetadata } from '../services/bookMetadataService.js';
+import { getQuotaState } from '../services/googleBooksService.js';
+import { withMetadataRefresh } from '../services/metadataCache.js';
+
+/**
+ * Catalog Refresh Job
+ * Periodically re-fetches stale catalog books from the metadata providers so
+ * ratings, prices and cover links don't drift. Local edits and review-based
+ * ratings are kept (see refreshBookMetadata). Lookups bypass the metadata cache,
+ * so a cached copy never counts as refreshed.
+ *
+ * Interval is CATALOG_REFRESH_INTERVAL_MINUTES (default 60); set it to 0 to disable.
+ * Each pass takes up to CATALOG_REFRESH_BATCH_SIZE books (default 25) not synced for
+ * CATALOG_REFRESH_STALE_DAYS (default 7), and stops once it has made
+ * CATALOG_REFRESH_REQUEST_BUDGET upstream requests of its own (default 100) or Google's daily
+ * quota is down to the reserve kept for users.
+ */
+
+// Consecutive failures after which a pass gives up (providers are likely down)
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+// Books listed with their changes in a report
+const MAX_REPORTED_BOOKS = 50;
+
+let timer = null;
+let running = false;
+let lastReport = null;
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name] ?? '', 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+export const getCatalogRefreshSettings = () => ({
+  intervalMinutes: envNumber('CATALOG_REFRESH_INTERVAL_MINUTES', 60),
+  batchSize: envNumber('CATALOG_REFRESH_BATCH_SIZE', 25),
+  staleDays: envNumber('CATALOG_REFRESH_STALE_DAYS', 7),
+  requestBudget: envNumber('CATALOG_REFRESH_REQUEST_BUDGET', 100)
+});
+
+// Why a pass should stop before the next book, if it should
+const stopReason = (requestsUsed, requestBudget) => {
+  if (requestsUsed >= requestBudget) {
+    return 'request_budget';
+  }
+
+  const usesGoogle = getMetadataProviders().some(provider => provider.name === 'google');
+  if (usesGoogle && getQuotaState().mode !== 'normal') {
+    return 'google_quota';
+  }
+
+  return null;
+};
+
+/**
+ * Run one refresh pass (skipped while a previous pass is still going or the DB is down)
+ * @returns {Promise<Object|null>} The pass report
+ */
+export const runCatalogRefresh = async () => {
+  if (running || mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  running = true;
+  const { batchSize, staleDays, requestBudget } = getCatalogRefreshSettings();
+  const report = {
+    startedAt: new Date(),
+    finishedAt: null,
+    candidates: 0,
+    checked: 0,
+    updated: 0,
+    unchanged: 0,
+    notFound: 0,
+    failed: 0,
+    fieldsChanged: 0,
+    fieldsPreserved: 0,
+    upstreamRequests: 0,
+    requestBudget,
+    stoppedBy: null,
+    books: []
+  };
+
+  try {
+    const staleBefore = new Date(Date.now() - staleDays * 24 * 60 * 60 * 1000);
+    const candidates = await Book.findRefreshCandidates({ staleBefore, limit: batchSize });
+    const usage = { upstreamRequests: 0 };
+    let consecutiveFailures = 0;
+
+    report.candidates = candidates.length;
+
+    for (const { _id } of candidates) {
+      report.stoppedBy = stopReason(usage.upstreamRequests, requestBudget);
+      if (report.stoppedBy) break;
+
+      const book = await Book.findById(_id).select('+syncedMetadata');
+      if (!book) continue;
+
+      report.checked += 1;
+
+      try {
+        const { found, changes, preserved } = await withMetadataRefresh(usage, () => refreshBookMetadata(book));
+        consecutiveFailures = 0;
+
+        if (!found) {
+          report.notFound += 1;
+        } else if (changes.length > 0) {
+          report.updated += 1;
+          console.log(`🔄 Refreshed ${book.title}: ${changes.map(change => change.field).join(', ')}`);
+        } else {
+          report.unchanged += 1;
+        }
+
+        report.fieldsChanged += changes.length;
+        report.fieldsPreserved += preserved.length;
+
+        if ((changes.length > 0 || preserved.length > 0) && report.books.length < MAX_REPORTED_BOOKS) {
+          report.books.push({ book: book._id, title: book.title, changes, preserved });
+        }
+      } catch (error) {
+        report.failed += 1;
+        console.error(`❌ Catalog refresh failed for ${book.title}:`, error.message);
+
+        consecutiveFailures += 1;
+        if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+          report.stoppedBy = 'provider_errors';
+          break;
+        }
+      }
+    }
+
+    report.upstreamRequests = usage.upstreamRequests;
+    report.finishedAt = new Date();
+    lastReport = report;
+
+    if (report.checked > 0 || report.stoppedBy) {
+      console.log(`🔄 Catalog refresh finished: ${report.updated} updated, ${report.unchanged} unchanged, ${report.notFound} not found, ${report.failed} failed (${report.upstreamRequests} upstream request(s)${report.stoppedBy ? `, stopped by ${report.stoppedBy}` : ''})`);
+    }
+
+    return report;
+  } catch (error) {
+    console.error('❌ Catalog refresh job error:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Whether a pass is running, the last pass report and the settings
+ */
+export const getCatalogRefreshStatus = () => ({
+  running,
+  scheduled: Boolean(timer),
+  settings: getCatalogRefreshSettings(),
+  lastReport
+});
+
+/**
+ * Start the periodic refresh
+ */
+export const startCatalogRefreshJob = () => {
+  const { intervalMinutes } = getCatalogRefreshSettings();
+
+  if (timer || !intervalMinutes) {
+    return;
+  }
+
+  timer = setInterval(runCatalogRefresh, intervalMinutes * 60 * 1000);
+  // Don't keep the process alive just for this job
+  timer.unref();
+
+  console.log(`🔄 Catalog refresh job scheduled every ${intervalMinutes} minute(s)`);
+};
+
+/**
+ * Stop the periodic refresh
+ */
+export const stopCatalogRefreshJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  runCatalogRefresh,
+  getCatalogRefreshStatus,
+  getCatalogRefreshSettings,
+  startCatalogRefreshJob,
+  stopCatalogRefreshJob
+};
@@ -0,0 +1,72 @@
+// backend/jobs/dataExportJob.js
+import mongoose from 'mongoose';
+import { processPendingExports, expireExports } from '../services/dataExportService.js';
+
+/**
+ * Data Export Job
+ * Builds exports that were missed (e.g. after a restart) and deletes archives
+ * whose download link has expired.
+ * Interval is DATA_EXPORT_JOB_INTERVAL_MINUTES (default 15); set it to 0 to disable.
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one pass (skipped while a previous pass is still going or the DB is down)
+ */
+export const runDataExportJob = async () => {
+  if (running || mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  running = true;
+  try {
+    const processed = await processPendingExports();
+    const expired = await expireExports();
+
+    if (processed > 0 || expired > 0) {
+      console.log(`📦 Data export job finished: ${processed} built, ${expired} expired`);
+    }
+
+    return { processed, expired };
+  } catch (error) {
+    console.error('❌ Data export job error:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the periodic job
+ */
+export const startDataExportJob = () => {
+  const minutes = parseInt(process.env.DATA_EXPORT_JOB_INTERVAL_MINUTES ?? '15', 10);
+
+  if (timer || !minutes) {
+    return;
+  }
+
+  timer = setInterval(runDataExportJob, minutes * 60 * 1000);
+  // Don't keep the process alive just for this job
+  timer.unref();
+
+  console.log(`📦 Data export job scheduled every ${minutes} minute(s)`);
+};
+
+/**
+ * Stop the periodic job
+ */
+export const stopDataExportJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  runDataExportJob,
+  startDataExportJob,
+  stopDataExportJob
+};
@@ -0,0 +1,71 @@
+// backend/jobs/libraryImportJob.js
+import mongoose from 'mongoose';
+import { processPendingImports } from '../services/libraryImportService.js';
+
+/**
+ * Library Import Job
+ * Resumes library imports that were interrupted by a restart or paused while the
+ * metadata providers were unavailable.
+ * Interval is LIBRARY_IMPORT_JOB_INTERVAL_MINUTES (default 5); set it to 0 to disable.
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one pass (skipped while a previous pass is still going or the DB is down)
+ */
+export const runLibraryImportJob = async () => {
+  if (running || mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  running = true;
+  try {
+    const processed = await processPendingImports();
+
+    if (processed > 0) {
+      console.log(`📥 Library import job finished: ${processed} import(s) resumed`);
+    }
+
+    return { processed };
+  } catch (error) {
+    console.error('❌ Library import job error:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the periodic job
+ */
+export const startLibraryImportJob = () => {
+  const minutes = parseInt(process.env.LIBRARY_IMPORT_JOB_INTERVAL_MINUTES ?? '5', 10);
+
+  if (timer || !minutes) {
+    return;
+  }
+
+  timer = setInterval(runLibraryImportJob, minutes * 60 * 1000);
+  // Don't keep the process alive just for this job
+  timer.unref();
+
+  console.log(`📥 Library import job scheduled every ${minutes} minute(s)`);
+};
+
+/**
+ * Stop the periodic job
+ */
+export const stopLibraryImportJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  runLibraryImportJob,
+  startLibraryImportJob,
+  stopLibraryImportJob
+};
@@ -2,6 +2,10 @@ import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import Community from '../models/Community.js';
 import ReadingSession from '../models/ReadingSession.js';
+import UserSession from '../models/UserSession.js';
+import PersonalAccessToken from '../models/PersonalAccessToken.js';
+import AppSetting, { SETTING_KEYS } from '../models/AppSetting.js';
+import SecurityAuditLog from '../models/SecurityAuditLog.js';
 
 /**
  * Authentication Middleware
@@ -9,7 +13,123 @@ import ReadingSession from '../models/ReadingSession.js';
  */
 
 /**
- * @desc    Verify JWT token and attach user to request
+ * Email verification mode (EMAIL_VERIFICATION_MODE):
+ *   - grace:  unverified users can authenticate; posting routes use requireVerifiedEmail (default)
+ *   - strict: unverified users are rejected by auth except on routes marked with allowUnverified
+ */
+const isVerificationGraceMode = () => {
+  return (process.env.EMAIL_VERIFICATION_MODE || 'grace') !== 'strict';
+};
+
+/**
+ * Error for accounts that can't authenticate (isActive: false)
+ */
+const getInactiveAccountError = (user) => {
+  return user.isDeactivated
+    ? {
+      message: 'This account has been deactivated. Sign in again to restore it.',
+      code: 'ACCOUNT_DEACTIVATED'
+    }
+    : {
+      message: 'Your account has been suspended. Please contact support.',
+      code: 'ACCOUNT_SUSPENDED'
+    };
+};
+
+/**
+ * @desc    Let unverified users through auth on this route (e.g. to request a verification email)
+ * @middleware
+ */
+export const allowUnverified = (req, res, next) => {
+  req.allowUnverified = true;
+  next();
+};
+
+/**
+ * @desc    Let personal access tokens with these scopes use this route (place before auth).
+ *          Tokens are rejected on routes without a declared scope; JWT sessions are unaffected.
+ * @middleware
+ */
+export const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    req.requiredTokenScopes = scopes;
+    next();
+  };
+};
+
+/**
+ * Resolve a personal access token to its user, enforcing the route's scopes
+ * @returns {Promise<{ accessToken?, user?, error? }>} error is { status, message, code }
+ */
+const resolveAccessToken = async (req, token) => {
+  const accessToken = await PersonalAccessToken.findActiveByToken(token);
+
+  if (!accessToken) {
+    return {
+      error: {
+        status: 401,
+        message: 'Access token is invalid, expired or revoked.',
+        code: 'INVALID_ACCESS_TOKEN'
+      }
+    };
+  }
+
+  if (!req.requiredTokenScopes) {
+    return {
+      error: {
+        status: 403,
+        message: 'This endpoint cannot be used with a personal access token.',
+        code: 'ACCESS_TOKEN_NOT_ALLOWED'
+      }
+    };
+  }
+
+  if (!accessToken.hasScopes(req.requiredTokenScopes)) {
+    return {
+      error: {
+        status: 403,
+        message: `Access token is missing required scopes: ${req.requiredTokenScopes.join(', ')}`,
+        code: 'INSUFFICIENT_SCOPE'
+      }
+    };
+  }
+
+  const user = await User.findById(accessToken.user).select('-password');
+
+  if (!user) {
+    return {
+      error: {
+        status: 401,
+        message: 'User not found. Token is invalid.',
+        code: 'USER_NOT_FOUND'
+      }
+    };
+  }
+
+  if (!user.isActive) {
+    return { error: { status: 403, ...getInactiveAccountError(user) } };
+  }
+
+  if (!user.isVerified && !isVerificationGraceMode()) {
+    return {
+      error: {
+        status: 403,
+        message: 'Account not verified. Please verify your email.',
+        code: 'ACCOUNT_NOT_VERIFIED'
+      }
+    };
+  }
+
+  // Record usage without holding up the request
+  accessToken.touch(req).catch(touchError => {
+    console.error('❌ Access token usage update error:', touchError);
+  });
+
+  return { accessToken, user };
+};
+
+/**
+ * @desc    Verify JWT or personal access token and attach user to request
  * @middleware
  */
 export const auth = async (req, res, next) => {
@@ -34,6 +154,24 @@ export const auth = async (req, res, next) => {
       });
     }
 
+    // Personal access tokens are opaque and checked against the route's scopes
+    if (PersonalAccessToken.isPersonalAccessToken(token)) {
+      const { accessToken, user, error } = await resolveAccessToken(req, token);
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      req.user = user;
+      req.accessToken = accessToken;
+      req.authSession = null;
+      return next();
+    }
+
     // Verify token
     let decoded;
     try {
@@ -76,8 +214,43 @@ export const auth = async (req, res, next) => {
       });
     }
 
-    // Check if user account is active (you can add more checks here)
-    if (!user.isVerified) {
+    // Suspended or deactivated accounts can't use tokens issued before that
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        ...getInactiveAccountError(user)
+      });
+    }
+
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed recently. Please login again.',
+        code: 'PASSWORD_CHANGED'
+      });
+    }
+
+    // Token must belong to a server-side session that hasn't been revoked
+    const session = decoded.sessionId
+      ? await UserSession.findActive(decoded.sessionId, user._id)
+      : null;
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please login again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    // Record activity without holding up the request
+    session.touch(req).catch(touchError => {
+      console.error('❌ Session activity update error:', touchError);
+    });
+
+    // In strict mode, unverified accounts may only reach verification-related routes
+    if (!user.isVerified && !isVerificationGraceMode() && !req.allowUnverified) {
       return res.status(403).json({
         success: false,
         message: 'Account not verified. Please verify your email.',
@@ -85,8 +258,9 @@ export const auth = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    // Attach user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
 
   } catch (error) {
@@ -111,16 +285,36 @@ export const auth = async (req, res, next) => {
 };
 
 /**
- * @desc    Verify admin privileges
+ * Staff accounts must have 2FA enabled when the policy requires it
+ */
+const isMissingRequiredTwoFactor = async (user) => {
+  if (user.twoFactor?.enabled || user.getRoles().length === 0) {
+    return false;
+  }
+
+  return AppSetting.getValue(SETTING_KEYS.REQUIRE_ADMIN_2FA, false);
+};
+
+const sendTwoFactorRequired = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Two-factor authentication is required for admin accounts. Please enable it first.',
+    code: 'ADMIN_2FA_REQUIRED'
+  });
+};
+
+/**
+ * @desc    Verify admin privileges (superadmin role)
  * @middleware
  */
 export const adminAuth = async (req, res, next) => {
   try {
     // First, run regular auth to get user
     await auth(req, res, () => {});
+    if (res.headersSent) return;
 
     // Check if user is admin
-    if (!req.user.isAdmin) {
+    if (!req.user.hasRole('superadmin')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Admin privileges required.',
@@ -128,6 +322,10 @@ export const adminAuth = async (req, res, next) => {
       });
     }
 
+    if (await isMissingRequiredTwoFactor(req.user)) {
+      return sendTwoFactorRequired(res);
+    }
+
     next();
   } catch (error) {
     console.error('❌ Admin auth middleware error:', error);
@@ -144,6 +342,48 @@ export const adminAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Require one or more staff permissions (e.g. requirePermission('books:edit'))
+ * @middleware
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      // Reuse the user from a preceding auth middleware, otherwise authenticate first
+      if (!req.user) {
+        await auth(req, res, () => {});
+        if (res.headersSent) return;
+      }
+
+      const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Insufficient permissions. Required: ${missing.join(', ')}`,
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
+      if (await isMissingRequiredTwoFactor(req.user)) {
+        return sendTwoFactorRequired(res);
+      }
+
+      next();
+    } catch (error) {
+      console.error('❌ Permission middleware error:', error);
+
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Permission check failed.',
+          code: 'PERMISSION_CHECK_ERROR'
+        });
+      }
+    }
+  };
+};
+
 /**
  * @desc    Optional authentication - attaches user if token exists, but doesn't require it
  * @middleware
@@ -167,6 +407,15 @@ export const optionalAuth = async (req, res, next) => {
       return next();
     }
 
+    // Access tokens only identify the user on routes that accept their scopes
+    if (PersonalAccessToken.isPersonalAccessToken(token)) {
+      const { accessToken, user, error } = await resolveAccessToken(req, token);
+
+      req.user = error ? null : user;
+      req.accessToken = error ? undefined : accessToken;
+      return next();
+    }
+
     // Verify token
     let decoded;
     try {
@@ -180,13 +429,23 @@ export const optionalAuth = async (req, res, next) => {
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
 
-    if (!user) {
+    if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
       req.user = null;
       return next();
     }
 
-    // Attach user to request object
+    const session = decoded.sessionId
+      ? await UserSession.findActive(decoded.sessionId, user._id)
+      : null;
+
+    if (!session) {
+      req.user = null;
+      return next();
+    }
+
+    // Attach user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
 
   } catch (error) {
@@ -204,8 +463,11 @@ export const optionalAuth = async (req, res, next) => {
  */
 export const requireVerifiedEmail = async (req, res, next) => {
   try {
-    // First, run regular auth to get user
-    await auth(req, res, () => {});
+    // Reuse the user from a preceding auth middleware, otherwise authenticate first
+    if (!req.user) {
+      await auth(req, res, () => {});
+      if (res.headersSent) return;
+    }
 
     // Check if email is verified
     if (!req.user.isVerified) {
@@ -243,7 +505,7 @@ export const requireOwnershipOrAdmin = (resourceModel) => {
       const resourceId = req.params.id;
       
       // If user is admin, allow access
-      if (req.user.isAdmin) {
+      if (req.user.hasRole('superadmin')) {
         return next();
       }
 
@@ -413,7 +675,8 @@ export const rateLimit = (options = {}) => {
     windowMs = 15 * 60 * 1000, // 15 minutes
     max = 100, // limit each IP to 100 requests per windowMs
     message = 'Too many requests, please try again later.',
-    skipFailedRequests = false
+    skipFailedRequests = false,
+    keyGenerator = req => req.ip || req.connection.remoteAddress // e.g. key by email instead of IP
   } = options;
 
   const requests = new Map();
@@ -432,7 +695,12 @@ export const rateLimit = (options = {}) => {
 
   return (req, res, next) => {
     const now = Date.now();
-    const clientId = req.ip || req.connection.remoteAddress;
+    const clientId = keyGenerator(req);
+
+    // Nothing to key on (e.g. missing email); leave it to validation
+    if (!clientId) {
+      return next();
+    }
 
     if (!requests.has(clientId)) {
       requests.set(clientId, []);
@@ -467,11 +735,19 @@ export const rateLimit = (options = {}) => {
 };
 
 /**
- * @desc    Logging middleware for authentication attempts
+ * @desc    Logging middleware for authentication attempts. Requests that a handler
+ *          tagged with SecurityAuditLog.track() are saved to the security audit log.
  * @middleware
  */
 export const authLogger = (req, res, next) => {
+  // Mounted both app-wide and on the auth router; only handle each request once
+  if (req.authLoggerAttached) {
+    return next();
+  }
+  req.authLoggerAttached = true;
+
   const start = Date.now();
+  let responseCode;
 
   // Log the request
   console.log(`🔐 Auth Attempt: ${req.method} ${req.originalUrl} - IP: ${req.ip} - User-Agent: ${req.get('User-Agent')}`);
@@ -482,6 +758,7 @@ export const authLogger = (req, res, next) => {
   // Override res.json to log the response
   res.json = function(data) {
     const duration = Date.now() - start;
+    responseCode = data?.code;
     
     if (res.statusCode >= 400) {
       console.log(`❌ Auth Failed: ${req.method} ${req.originalUrl} - Status: ${res.statusCode} - Duration: ${duration}ms`);
@@ -492,6 +769,26 @@ export const authLogger = (req, res, next) => {
     return originalJson.call(this, data);
   };
 
+  res.on('finish', () => {
+    const entry = req.securityAudit;
+    if (!entry?.event) return;
+
+    const outcome = entry.outcome || (res.statusCode < 400 ? 'success' : 'failure');
+
+    SecurityAuditLog.record({
+      event: entry.event,
+      outcome,
+      req,
+      // Anonymous sign-ins are attributed to the account once they succeed
+      actor: req.user?._id || (outcome === 'success' ? entry.user : null),
+      user: entry.user || req.user?._id,
+      identifier: entry.identifier,
+      statusCode: res.statusCode,
+      reason: outcome === 'failure' ? responseCode : undefined,
+      details: entry.details
+    });
+  });
+
   next();
 };
 
@@ -539,7 +836,10 @@ export const authSecurityHeaders = (req, res, next) => {
 
 export default {
   auth,
+  allowUnverified,
+  requireScope,
   adminAuth,
+  requirePermission,
   optionalAuth,
   requireVerifiedEmail,
   requireOwnershipOrAdmin,
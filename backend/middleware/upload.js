@@ -0,0 +1,46 @@
+import multer from 'multer';
+
+/**
+ * Upload Middleware
+ * Multipart file uploads, kept in memory: uploaded files are small and read
+ * straight away (see validateImportFile for the accepted types).
+ */
+
+// Library exports (CSV) can be large for long reading histories
+const MAX_IMPORT_FILE_SIZE = 10 * 1024 * 1024;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+    files: 1
+  }
+}).single('file');
+
+/**
+ * @desc    Accept one library export file in the `file` field (req.file)
+ * @middleware
+ */
+export const uploadImportFile = (req, res, next) => {
+  importUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+
+      return res.status(400).json({
+        success: false,
+        message: tooLarge ? 'File size must be less than 10MB' : `Invalid upload: ${error.message}`,
+        code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD'
+      });
+    }
+
+    next(error);
+  });
+};
+
+export default {
+  uploadImportFile
+};
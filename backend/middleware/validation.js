@@ -1,4 +1,14 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { ROLE_NAMES } from '../config/roles.js';
+import { TOKEN_SCOPE_NAMES } from '../config/tokenScopes.js';
+import {
+  BOOK_FORMATS,
+  PRINT_TYPES,
+  RATING_RANGES,
+  PAGE_COUNT_RANGES,
+  MAX_FACET_VALUES,
+  parseFacetValues
+} from '../config/searchFacets.js';
 
 /**
  * Validation Middleware
@@ -85,13 +95,11 @@ export const validateRegistration = [
     .isLength({ max: 255 })
     .withMessage('Email must not exceed 255 characters'),
 
+  // Strength rules are applied by the password policy in the controller
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
-    .isLength({ max: 128 })
-    .withMessage('Password must not exceed 128 characters'),
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
 
   body('firstName')
     .optional()
@@ -218,11 +226,11 @@ export const validatePasswordChange = [
     .notEmpty()
     .withMessage('Current password is required'),
 
+  // Strength rules are applied by the password policy in the controller
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
     .custom((newPassword, { req }) => {
       if (newPassword === req.body.currentPassword) {
         throw new Error('New password must be different from current password');
@@ -231,6 +239,134 @@ export const validatePasswordChange = [
     })
 ];
 
+/**
+ * @desc    Validation rules for requesting a password reset
+ */
+export const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+];
+
+/**
+ * @desc    Validation rules for resetting password with a token
+ */
+export const validateResetPassword = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid password reset token'),
+
+  // Strength rules are applied by the password policy in the controller
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  body('confirmPassword')
+    .optional()
+    .custom((confirmPassword, { req }) => {
+      if (confirmPassword !== req.body.password) {
+        throw new Error('Passwords do not match');
+      }
+      return true;
+    })
+];
+
+/**
+ * @desc    Validation rules for email verification links
+ */
+export const validateVerifyEmail = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid email verification token')
+];
+
+/**
+ * @desc    Validation rules for requesting an account unlock email
+ */
+export const validateUnlockRequest = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+];
+
+/**
+ * @desc    Validation rules for unlocking an account with a token
+ */
+export const validateUnlockAccount = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid unlock token')
+];
+
+/**
+ * @desc    Validation rules for requesting a magic sign-in link
+ */
+export const validateMagicLinkRequest = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+];
+
+/**
+ * @desc    Validation rules for signing in with a magic link token
+ */
+export const validateMagicLinkLogin = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid sign-in link')
+];
+
+/**
+ * @desc    Validation rules for endpoints that take a TOTP code
+ */
+export const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits')
+];
+
+/**
+ * @desc    Validation rules for creating a personal access token
+ */
+export const validateAccessTokenCreate = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+
+  body('scopes.*')
+    .isIn(TOKEN_SCOPE_NAMES)
+    .withMessage(`Scopes must be one of: ${TOKEN_SCOPE_NAMES.join(', ')}`),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Token expiry must be between 1 and 365 days')
+    .toInt()
+];
+
+/**
+ * @desc    Validation rules for routes that target a personal access token
+ */
+export const validateAccessTokenId = [
+  param('tokenId')
+    .isMongoId()
+    .withMessage('Invalid token ID format')
+];
+
 // ========== BOOK VALIDATION RULES ==========
 
 /**
@@ -280,7 +416,48 @@ export const validateBookSearch = [
   query('printType')
     .optional()
     .isIn(['all', 'books', 'magazines'])
-    .withMessage('Print type must be one of: all, books, magazines')
+    .withMessage('Print type must be one of: all, books, magazines'),
+
+  // Multi-select facet filters: comma-separated and/or repeated parameters
+  ...[
+    ['genres', (value) => value.length <= 50, 'Each genre must be at most 50 characters'],
+    ['languages', (value) => /^[a-zA-Z]{2}$/.test(value), 'Languages must be 2-letter codes'],
+    ['ratings', (value) => RATING_RANGES.some(range => range.value === value),
+      `Ratings must be among: ${RATING_RANGES.map(range => range.value).join(', ')}`],
+    ['pageCounts', (value) => PAGE_COUNT_RANGES.some(range => range.value === value),
+      `Page counts must be among: ${PAGE_COUNT_RANGES.map(range => range.value).join(', ')}`],
+    ['decades', (value) => /^\d{4}$/.test(value) && Number(value) % 10 === 0,
+      'Decades must be years ending in 0 (e.g. 1990)'],
+    ['formats', (value) => BOOK_FORMATS.includes(value), `Formats must be among: ${BOOK_FORMATS.join(', ')}`],
+    ['printTypes', (value) => PRINT_TYPES.includes(value), `Print types must be among: ${PRINT_TYPES.join(', ')}`]
+  ].map(([facet, isValid, message]) => query(facet)
+    .optional()
+    .customSanitizer(parseFacetValues)
+    .custom((values) => {
+      if (values.length > MAX_FACET_VALUES) {
+        throw new Error(`Cannot select more than ${MAX_FACET_VALUES} ${facet}`);
+      }
+      if (!values.every(isValid)) {
+        throw new Error(message);
+      }
+      return true;
+    }))
+];
+
+/**
+ * @desc    Validation rules for book autocomplete
+ */
+export const validateBookAutocomplete = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Autocomplete query must be between 2 and 100 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Limit must be between 1 and 10')
+    .toInt()
 ];
 
 /**
@@ -529,6 +706,40 @@ export const validateReadingGoals = [
     .toInt()
 ];
 
+/**
+ * @desc    Validation rules for data export routes
+ */
+export const validateDataExportId = [
+  param('requestId')
+    .isMongoId()
+    .withMessage('Invalid export request ID format')
+];
+
+/**
+ * @desc    Validation rules for starting a library import
+ */
+export const validateLibraryImport = [
+  body('publishReviews')
+    .optional()
+    .isBoolean()
+    .withMessage('publishReviews must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * @desc    Validation rules for library import reports
+ */
+export const validateLibraryImportReport = [
+  param('importId')
+    .isMongoId()
+    .withMessage('Invalid import ID format'),
+
+  query('status')
+    .optional()
+    .isIn(['matched', 'ambiguous', 'failed', 'skipped'])
+    .withMessage('Status must be one of: matched, ambiguous, failed, skipped')
+];
+
 // ========== PAGINATION VALIDATION RULES ==========
 
 /**
@@ -558,6 +769,158 @@ export const validatePagination = [
     .withMessage('Sort order must be either "asc" or "desc"')
 ];
 
+// ========== ADMIN VALIDATION RULES ==========
+
+/**
+ * @desc    Validation rules for admin routes that target a user
+ */
+export const validateAdminUserId = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+/**
+ * @desc    Validation rules for an optional admin action reason
+ */
+export const validateAdminReason = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * @desc    Validation rules for granting a role
+ */
+export const validateRoleGrant = [
+  body('role')
+    .isIn(ROLE_NAMES)
+    .withMessage(`Role must be one of: ${ROLE_NAMES.join(', ')}`),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * @desc    Validation rules for merging duplicate books into a surviving edition
+ */
+export const validateBookMerge = [
+  param('bookId')
+    .isMongoId()
+    .withMessage('Invalid book ID format'),
+
+  body('duplicateIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Duplicate IDs must be a list of 1 to 20 book IDs'),
+
+  body('duplicateIds.*')
+    .isMongoId()
+    .withMessage('Invalid duplicate book ID format')
+    .custom((value, { req }) => value !== req.params.bookId)
+    .withMessage('A book cannot be merged into itself'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * @desc    Validation rules for rebuilding book works
+ */
+export const validateWorkRebuild = [
+  body('after')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid book ID format')
+];
+
+/**
+ * @desc    Validation rules for the from/to date filters of log queries
+ */
+export const validateDateRange = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+    .custom((value, { req }) => !req.query.from || new Date(value) >= new Date(req.query.from))
+    .withMessage('To must not be before from')
+];
+
+/**
+ * @desc    Validation rules for the sign-up date filters of the user search
+ */
+export const validateCreatedRange = [
+  query('createdFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Created from must be an ISO 8601 date'),
+
+  query('createdTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Created to must be an ISO 8601 date')
+    .custom((value, { req }) => !req.query.createdFrom || new Date(value) >= new Date(req.query.createdFrom))
+    .withMessage('Created to must not be before created from')
+];
+
+/**
+ * @desc    Validation rules for removing a book review
+ */
+export const validateReviewRemoval = [
+  param('bookId')
+    .isMongoId()
+    .withMessage('Invalid book ID format'),
+
+  param('reviewId')
+    .isMongoId()
+    .withMessage('Invalid review ID format')
+];
+
+/**
+ * @desc    Validation rules for removing a community discussion or comment
+ */
+export const validateDiscussionRemoval = [
+  param('communityId')
+    .isMongoId()
+    .withMessage('Invalid community ID format'),
+
+  param('discussionId')
+    .isMongoId()
+    .withMessage('Invalid discussion ID format'),
+
+  param('commentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid comment ID format')
+];
+
+/**
+ * @desc    Validation rules for revoking a role
+ */
+export const validateRoleRevoke = [
+  param('role')
+    .isIn(ROLE_NAMES)
+    .withMessage(`Role must be one of: ${ROLE_NAMES.join(', ')}`),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
 // ========== FILE UPLOAD VALIDATION RULES ==========
 
 /**
@@ -591,6 +954,32 @@ export const validateFileUpload = (req, res, next) => {
   next();
 };
 
+/**
+ * @desc    Validation rules for library export uploads (CSV)
+ */
+export const validateImportFile = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload your library export as a CSV file in the "file" field',
+      code: 'FILE_REQUIRED'
+    });
+  }
+
+  // Spreadsheet tools and browsers report CSV under several types
+  const allowedMimeTypes = ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'];
+  const isCsv = allowedMimeTypes.includes(req.file.mimetype) || /\.csv$/i.test(req.file.originalname || '');
+  if (!isCsv) {
+    return res.status(400).json({
+      success: false,
+      message: 'File must be a CSV file',
+      code: 'INVALID_FILE_TYPE'
+    });
+  }
+
+  next();
+};
+
 // ========== CUSTOM VALIDATORS ==========
 
 /**
@@ -650,7 +1039,17 @@ export const authValidations = {
   register: [...validateRegistration, handleValidationErrors],
   login: [...validateLogin, handleValidationErrors],
   profileUpdate: [...validateProfileUpdate, handleValidationErrors],
-  passwordChange: [...validatePasswordChange, handleValidationErrors]
+  passwordChange: [...validatePasswordChange, handleValidationErrors],
+  forgotPassword: [...validateForgotPassword, handleValidationErrors],
+  resetPassword: [...validateResetPassword, handleValidationErrors],
+  verifyEmail: [...validateVerifyEmail, handleValidationErrors],
+  twoFactorCode: [...validateTwoFactorCode, handleValidationErrors],
+  unlockRequest: [...validateUnlockRequest, handleValidationErrors],
+  unlockAccount: [...validateUnlockAccount, handleValidationErrors],
+  magicLinkRequest: [...validateMagicLinkRequest, handleValidationErrors],
+  magicLinkLogin: [...validateMagicLinkLogin, handleValidationErrors],
+  createAccessToken: [...validateAccessTokenCreate, handleValidationErrors],
+  accessTokenId: [...validateAccessTokenId, handleValidationErrors]
 };
 
 /**
@@ -658,6 +1057,7 @@ export const authValidations = {
  */
 export const bookValidations = {
   search: [...validateBookSearch, handleValidationErrors],
+  autocomplete: [...validateBookAutocomplete, handleValidationErrors],
   review: [...validateBookReview, handleValidationErrors],
   bookId: [...validateBookId, handleValidationErrors]
 };
@@ -688,9 +1088,28 @@ export const userValidations = {
   bookshelf: [...validateBookshelfOperation, handleValidationErrors],
   readingProgress: [...validateUserReadingProgress, handleValidationErrors],
   readingGoals: [...validateReadingGoals, handleValidationErrors],
+  dataExportId: [...validateDataExportId, handleValidationErrors],
+  libraryImport: [validateImportFile, ...validateLibraryImport, handleValidationErrors],
+  libraryImportReport: [...validateLibraryImportReport, ...validatePagination, handleValidationErrors],
   pagination: [...validatePagination, handleValidationErrors]
 };
 
+/**
+ * @desc    Validation group for admin routes
+ */
+export const adminValidations = {
+  userId: [...validateAdminUserId, handleValidationErrors],
+  userAction: [...validateAdminUserId, ...validateAdminReason, handleValidationErrors],
+  grantRole: [...validateAdminUserId, ...validateRoleGrant, handleValidationErrors],
+  revokeRole: [...validateAdminUserId, ...validateRoleRevoke, handleValidationErrors],
+  mergeBooks: [...validateBookMerge, handleValidationErrors],
+  rebuildWorks: [...validateWorkRebuild, handleValidationErrors],
+  logQuery: [...validatePagination, ...validateDateRange, handleValidationErrors],
+  userQuery: [...validatePagination, ...validateCreatedRange, handleValidationErrors],
+  removeReview: [...validateReviewRemoval, ...validateAdminReason, handleValidationErrors],
+  removeDiscussion: [...validateDiscussionRemoval, ...validateAdminReason, handleValidationErrors]
+};
+
 export default {
   // Core middleware
   handleValidationErrors,
@@ -701,9 +1120,20 @@ export default {
   validateLogin,
   validateProfileUpdate,
   validatePasswordChange,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateTwoFactorCode,
+  validateUnlockRequest,
+  validateUnlockAccount,
+  validateMagicLinkRequest,
+  validateMagicLinkLogin,
+  validateAccessTokenCreate,
+  validateAccessTokenId,
   
   // Books
   validateBookSearch,
+  validateBookAutocomplete,
   validateBookReview,
   validateBookId,
   
@@ -722,10 +1152,26 @@ export default {
   validateBookshelfOperation,
   validateUserReadingProgress,
   validateReadingGoals,
+  validateDataExportId,
+  validateLibraryImport,
+  validateLibraryImportReport,
   validatePagination,
   
+  // Admin
+  validateAdminUserId,
+  validateAdminReason,
+  validateBookMerge,
+  validateWorkRebuild,
+  validateDateRange,
+  validateCreatedRange,
+  validateReviewRemoval,
+  validateDiscussionRemoval,
+  validateRoleGrant,
+  validateRoleRevoke,
+  
   // File upload
   validateFileUpload,
+  validateImportFile,
   
   // Custom validators
   isObjectId,
@@ -738,5 +1184,6 @@ export default {
   bookValidations,
   readingValidations,
   communityValidations,
-  userValidations
+  userValidations,
+  adminValidations
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { getClientIp } from '../utils/helpers.js';
+
+/**
+ * AdminAuditLog Model
+ * Append-only record of every action taken through admin endpoints
+ */
+
+export const ADMIN_ACTIONS = [
+  'user.suspend',
+  'user.reactivate',
+  'user.force_password_reset',
+  'user.revoke_sessions',
+  'role.grant',
+  'role.revoke',
+  'account.unlock',
+  'settings.update',
+  'cache.clear',
+  'catalog.refresh',
+  'book.merge',
+  'book.works_rebuild',
+  'review.remove',
+  'discussion.remove',
+  'comment.remove'
+];
+
+const adminAuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  action: {
+    type: String,
+    enum: ADMIN_ACTIONS,
+    required: [true, 'Action is required']
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [512, 'User agent cannot exceed 512 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ========== INDEXES ==========
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ actor: 1, createdAt: -1 });
+adminAuditLogSchema.index({ targetUser: 1, createdAt: -1 });
+adminAuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// ========== STATIC METHODS ==========
+
+/**
+ * Record an admin action performed by the authenticated user
+ * (also tagged for the security audit log, which authLogger saves with the response)
+ */
+adminAuditLogSchema.statics.record = function(req, action, { targetUser = null, details = {} } = {}) {
+  this.model('SecurityAuditLog').track(req, `admin.${action}`, { user: targetUser, details });
+
+  return this.create({
+    actor: req.user._id,
+    action,
+    targetUser: targetUser?._id || targetUser,
+    details,
+    ipAddress: getClientIp(req),
+    userAgent: (req.get('User-Agent') || '').substring(0, 512)
+  });
+};
+
+export default mongoose.model('AdminAuditLog', adminAuditLogSchema);
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+/**
+ * AppSetting Model
+ * Runtime settings that administrators can change without a redeploy (key/value store)
+ */
+
+// Well-known setting keys
+export const SETTING_KEYS = {
+  REQUIRE_ADMIN_2FA: 'security.requireTwoFactorForAdmins'
+};
+
+const appSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Setting key cannot exceed 100 characters']
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ========== STATIC METHODS ==========
+
+/**
+ * Get a setting value, falling back to a default when unset
+ */
+appSettingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+/**
+ * Create or update a setting value
+ */
+appSettingSchema.statics.setValue = function(key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+export default mongoose.model('AppSetting', appSettingSchema);
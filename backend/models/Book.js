@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { BOOK_FORMATS, PRINT_TYPES, RATING_RANGES, PAGE_COUNT_RANGES, MAX_TERM_BUCKETS } from '../config/searchFacets.js';
+import { fuzzyPrefixPattern } from '../utils/fuzzyMatch.js';
+import { escapeRegex } from '../utils/helpers.js';
 
 /**
  * Book Model
@@ -15,6 +18,14 @@ const bookSchema = new mongoose.Schema({
     trim: true
   },
 
+  // Open Library work ID (e.g. OL45804W)
+  openLibraryId: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+
   // Basic Book Information
   title: { 
     type: String, 
@@ -43,6 +54,18 @@ const bookSchema = new mongoose.Schema({
     maxlength: [100, 'Primary author name cannot exceed 100 characters']
   },
 
+  series: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Series name cannot exceed 200 characters']
+    },
+    position: {
+      type: Number,
+      min: [0, 'Series position cannot be negative']
+    }
+  },
+
   // Identification
   isbn: {
     type: String,
@@ -263,8 +286,8 @@ const bookSchema = new mongoose.Schema({
   printType: {
     type: String,
     enum: {
-      values: ['BOOK', 'MAGAZINE', 'NEWSPAPER', 'AUDIOBOOK', 'EBOOK'],
-      message: 'Print type must be one of: BOOK, MAGAZINE, NEWSPAPER, AUDIOBOOK, EBOOK'
+      values: PRINT_TYPES,
+      message: `Print type must be one of: ${PRINT_TYPES.join(', ')}`
     },
     default: 'BOOK'
   },
@@ -288,8 +311,8 @@ const bookSchema = new mongoose.Schema({
   format: {
     type: String,
     enum: {
-      values: ['Paperback', 'Hardcover', 'E-book', 'Audiobook', 'PDF'],
-      message: 'Format must be one of: Paperback, Hardcover, E-book, Audiobook, PDF'
+      values: BOOK_FORMATS,
+      message: `Format must be one of: ${BOOK_FORMATS.join(', ')}`
     },
     default: 'Paperback'
   },
@@ -382,9 +405,35 @@ const bookSchema = new mongoose.Schema({
     epubLink: String
   },
 
-  // Sync Information
+  // Sync Information (last metadata provider sync, whichever provider answered)
   lastSyncedWithGoogle: Date,
 
+  // Provider values of the refreshable fields at the last sync, used to tell
+  // local edits from upstream changes (see services/bookMetadataService.js)
+  syncedMetadata: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+
+  // Work this edition belongs to (see models/Work.js)
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Work'
+  },
+
+  // IDs, provider IDs and ISBNs of duplicate records merged into this one,
+  // so old links and provider lookups still find it
+  mergedIds: [{
+    type: String,
+    trim: true
+  }],
+
+  // Metadata providers that contributed to this record (see config/metadataProviders.js)
+  metadataSources: [{
+    type: String,
+    trim: true
+  }],
+
   // Analytics
   viewCount: {
     type: Number,
@@ -442,6 +491,10 @@ bookSchema.index({ googleBooksId: 1 }, { sparse: true });
 bookSchema.index({ averageRating: -1, ratingsCount: -1 });
 bookSchema.index({ createdAt: -1 });
 bookSchema.index({ viewCount: -1 });
+bookSchema.index({ searchKeywords: 1 }); // Autocomplete
+bookSchema.index({ lastSyncedWithGoogle: 1 }); // Catalog refresh
+bookSchema.index({ work: 1 });
+bookSchema.index({ mergedIds: 1 });
 
 // ========== VIRTUAL PROPERTIES ==========
 
@@ -628,6 +681,14 @@ bookSchema.methods.generateSearchKeywords = function() {
       .forEach(word => keywords.add(word));
   });
   
+  // Add series name
+  if (this.series?.name) {
+    this.series.name.toLowerCase()
+      .split(/\s+/)
+      .filter(word => word.length > 2)
+      .forEach(word => keywords.add(word));
+  }
+  
   // Add genres
   this.genres.forEach(genre => {
     genre.toLowerCase()
@@ -751,58 +812,109 @@ bookSchema.statics.findNewReleases = function(limit = 10) {
  * Find books by genre
  */
 bookSchema.statics.findByGenre = function(genre, limit = 20, page = 1) {
-  return this.find({ genres: { $in: [new RegExp(genre, 'i')] } })
+  return this.find({ genres: { $in: [new RegExp(escapeRegex(genre), 'i')] } })
     .sort({ averageRating: -1, ratingsCount: -1 })
     .limit(limit)
     .skip((page - 1) * limit);
 };
 
+const rangeCondition = (field, ranges, selected) => ({
+  $or: ranges
+    .filter(range => selected.includes(range.value))
+    .map(({ min, max }) => ({ [field]: max === undefined ? { $gte: min } : { $gte: min, $lt: max } }))
+});
+
 /**
- * Search books with text and filters
+ * Query conditions for the selected facet filters, keyed by facet
+ * @param {Object} facets - Selected values keyed by facet (see config/searchFacets.js)
  */
-bookSchema.statics.search = function(query, options = {}) {
-  const { 
-    limit = 20, 
-    page = 1, 
-    genres = [], 
-    minRating = 0, 
+const buildFacetConditions = (facets = {}) => {
+  const conditions = {};
+  const { genres, languages, ratings, pageCounts, decades, formats, printTypes } = facets;
+
+  if (genres?.length) conditions.genres = { genres: { $in: genres } };
+  if (languages?.length) conditions.languages = { language: { $in: languages } };
+  if (ratings?.length) conditions.ratings = rangeCondition('averageRating', RATING_RANGES, ratings);
+  if (pageCounts?.length) conditions.pageCounts = rangeCondition('pageCount', PAGE_COUNT_RANGES, pageCounts);
+  if (formats?.length) conditions.formats = { format: { $in: formats } };
+  if (printTypes?.length) conditions.printTypes = { printType: { $in: printTypes } };
+
+  if (decades?.length) {
+    conditions.decades = {
+      $or: decades.map(decade => ({
+        publicationDate: {
+          $gte: new Date(Date.UTC(decade, 0, 1)),
+          $lt: new Date(Date.UTC(decade + 10, 0, 1))
+        }
+      }))
+    };
+  }
+
+  return conditions;
+};
+
+// Filter shared by Book.search, Book.countSearch and Book.facetCounts
+const buildSearchFilter = (query, options = {}) => {
+  const {
+    genres = [],
+    minRating = 0,
     maxPrice,
     authors = [],
     language,
-    sortBy = 'relevance'
+    facets
   } = options;
-  
-  const searchFilter = {
-    $text: { $search: query }
-  };
-  
-  const additionalFilters = {};
+
+  // Without a query (e.g. genre or author only) there is no text score to sort by
+  const filter = query && query.trim() ? { $text: { $search: query } } : {};
   
   if (genres.length > 0) {
-    additionalFilters.genres = { $in: genres.map(genre => new RegExp(genre, 'i')) };
+    filter.genres = { $in: genres.map(genre => new RegExp(escapeRegex(genre), 'i')) };
   }
   
   if (authors.length > 0) {
-    additionalFilters.authors = { $in: authors.map(author => new RegExp(author, 'i')) };
+    filter.authors = { $in: authors.map(author => new RegExp(escapeRegex(author), 'i')) };
   }
   
   if (minRating > 0) {
-    additionalFilters.averageRating = { $gte: minRating };
+    filter.averageRating = { $gte: minRating };
   }
   
   if (maxPrice) {
-    additionalFilters.price = { $lte: maxPrice };
+    filter.price = { $lte: maxPrice };
   }
   
   if (language) {
-    additionalFilters.language = language;
+    filter.language = language;
+  }
+
+  const facetConditions = Object.values(buildFacetConditions(facets));
+  if (facetConditions.length > 0) {
+    filter.$and = facetConditions;
   }
+
+  return filter;
+};
+
+/**
+ * Search books with text and filters
+ */
+bookSchema.statics.search = function(query, options = {}) {
+  const { 
+    limit = 20, 
+    page = 1, 
+    sortBy = 'relevance',
+    // Explicit offset, for callers that don't page in whole pages
+    skip = (page - 1) * limit
+  } = options;
+  
+  const filter = buildSearchFilter(query, options);
+  const hasText = Boolean(filter.$text);
   
   let sortOptions = {};
   
   switch (sortBy) {
     case 'relevance':
-      sortOptions = { score: { $meta: 'textScore' } };
+      sortOptions = hasText ? { score: { $meta: 'textScore' } } : { averageRating: -1, ratingsCount: -1 };
       break;
     case 'rating':
       sortOptions = { averageRating: -1, ratingsCount: -1 };
@@ -820,14 +932,37 @@ bookSchema.statics.search = function(query, options = {}) {
       sortOptions = { viewCount: -1, purchaseCount: -1 };
       break;
     default:
-      sortOptions = { score: { $meta: 'textScore' } };
+      sortOptions = hasText ? { score: { $meta: 'textScore' } } : { averageRating: -1, ratingsCount: -1 };
   }
+
+  // Tie-breaker so pages don't shift between queries
+  sortOptions._id = 1;
   
-  return this.find({ ...searchFilter, ...additionalFilters })
-    .select({ score: { $meta: 'textScore' } })
+  return this.find(filter)
+    .select(hasText ? { score: { $meta: 'textScore' } } : {})
     .sort(sortOptions)
     .limit(limit)
-    .skip((page - 1) * limit);
+    .skip(skip);
+};
+
+/**
+ * Count the books Book.search would match (ignoring paging)
+ */
+bookSchema.statics.countSearch = function(query, options = {}) {
+  return this.countDocuments(buildSearchFilter(query, options));
+};
+
+/**
+ * Books whose search keywords match every typed word, allowing a typo per word
+ * Most-rated first; callers rank and group the candidates themselves.
+ * @param {Array<string>} words - Lowercase typed words (the last may be unfinished)
+ */
+bookSchema.statics.findAutocompleteCandidates = function(words, limit = 50) {
+  return this.find({ searchKeywords: { $all: words.map(fuzzyPrefixPattern) } })
+    .select('title subtitle authors series coverImage googleBooksId averageRating ratingsCount')
+    .sort({ ratingsCount: -1, _id: 1 })
+    .limit(limit)
+    .lean();
 };
 
 /**
@@ -924,12 +1059,12 @@ bookSchema.query.byRating = function(minRating) {
 
 // Add query helper for genre
 bookSchema.query.byGenre = function(genre) {
-  return this.where('genres').in([new RegExp(genre, 'i')]);
+  return this.where('genres').in([new RegExp(escapeRegex(genre), 'i')]);
 };
 
 // Add query helper for author
 bookSchema.query.byAuthor = function(author) {
-  return this.where('authors').in([new RegExp(author, 'i')]);
+  return this.where('authors').in([new RegExp(escapeRegex(author), 'i')]);
 };
 
 // Add query helper for availability
@@ -962,6 +1097,67 @@ bookSchema.statics.getGenreStats = function() {
   ]);
 };
 
+// Maps a numeric field to the `value` of the range it falls in (null when none)
+const rangeBucket = (field, ranges) => ({
+  $switch: {
+    branches: ranges.map(({ value, min, max }) => ({
+      case: max === undefined
+        ? { $gte: [`$${field}`, min] }
+        : { $and: [{ $gte: [`$${field}`, min] }, { $lt: [`$${field}`, max] }] },
+      then: value
+    })),
+    default: null
+  }
+});
+
+/**
+ * Count search matches per facet value
+ * Each facet is counted with every selected filter except its own, so picking
+ * one genre still shows how many books the other genres would add.
+ * @param {string} query - Text query
+ * @param {Object} options - Same options as Book.search, including `facets`
+ * @returns {Promise<Object>} Raw `{ _id, count }` buckets keyed by facet
+ */
+bookSchema.statics.facetCounts = async function(query, options = {}) {
+  const { facets, ...baseOptions } = options;
+  const conditions = buildFacetConditions(facets);
+
+  const narrowedExcept = (facet) => {
+    const others = Object.entries(conditions)
+      .filter(([name]) => name !== facet)
+      .map(([, condition]) => condition);
+    return others.length > 0 ? [{ $match: { $and: others } }] : [];
+  };
+
+  const countBy = (facet, key, sort = { count: -1, _id: 1 }, limit = MAX_TERM_BUCKETS) => [
+    ...narrowedExcept(facet),
+    ...(facet === 'genres' ? [{ $unwind: '$genres' }] : []),
+    { $group: { _id: key, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } },
+    { $sort: sort },
+    { $limit: limit }
+  ];
+
+  const publicationYear = { $year: '$publicationDate' };
+
+  const [counts] = await this.aggregate([
+    { $match: buildSearchFilter(query, baseOptions) },
+    {
+      $facet: {
+        genres: countBy('genres', '$genres'),
+        languages: countBy('languages', '$language'),
+        ratings: countBy('ratings', rangeBucket('averageRating', RATING_RANGES)),
+        pageCounts: countBy('pageCounts', rangeBucket('pageCount', PAGE_COUNT_RANGES)),
+        decades: countBy('decades', { $subtract: [publicationYear, { $mod: [publicationYear, 10] }] }, { _id: -1 }),
+        formats: countBy('formats', '$format'),
+        printTypes: countBy('printTypes', '$printType')
+      }
+    }
+  ]);
+
+  return counts;
+};
+
 /**
  * Get author statistics
  */
@@ -981,4 +1177,81 @@ bookSchema.statics.getAuthorStats = function() {
   ]);
 };
 
-export default mongoose.model('Book', bookSchema);
\ No newline at end of file
+/**
+ * IDs of provider-sourced books not synced since `staleBefore`
+ * Ordered by refresh priority: days since the last sync times log(views), so
+ * long-stale and much-viewed books come first.
+ */
+bookSchema.statics.findRefreshCandidates = function({ staleBefore, limit = 25 }) {
+  const now = new Date();
+
+  return this.aggregate([
+    {
+      $match: {
+        $and: [
+          { $or: [{ googleBooksId: { $nin: [null, ''] } }, { openLibraryId: { $nin: [null, ''] } }] },
+          { $or: [{ lastSyncedWithGoogle: { $lt: staleBefore } }, { lastSyncedWithGoogle: null }] }
+        ]
+      }
+    },
+    {
+      $addFields: {
+        refreshScore: {
+          $multiply: [
+            { $add: [1, { $divide: [{ $subtract: [now, { $ifNull: ['$lastSyncedWithGoogle', '$createdAt'] }] }, 24 * 60 * 60 * 1000] }] },
+            { $ln: { $add: [{ $ifNull: ['$viewCount', 0] }, 2] } }
+          ]
+        }
+      }
+    },
+    { $sort: { refreshScore: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 1, refreshScore: 1 } }
+  ]);
+};
+
+/**
+ * Works with more than one edition in the catalog (duplicate candidates)
+ * Largest groups first; each group lists its editions with their activity.
+ */
+bookSchema.statics.findDuplicateGroups = function({ skip = 0, limit = 20 } = {}) {
+  return this.aggregate([
+    { $match: { work: { $ne: null } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$work',
+        count: { $sum: 1 },
+        books: {
+          $push: {
+            _id: '$_id',
+            title: '$title',
+            primaryAuthor: '$primaryAuthor',
+            isbn: '$isbn',
+            isbn10: '$isbn10',
+            isbn13: '$isbn13',
+            googleBooksId: '$googleBooksId',
+            openLibraryId: '$openLibraryId',
+            format: '$format',
+            publisher: '$publisher',
+            publicationDate: '$publicationDate',
+            reviewCount: { $size: { $ifNull: ['$reviews', []] } },
+            ratingsCount: '$ratingsCount',
+            viewCount: '$viewCount',
+            createdAt: '$createdAt'
+          }
+        }
+      }
+    },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    {
+      $facet: {
+        groups: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+};
+
+export default mongoose.model('Book', bookSchema);
@@ -50,6 +50,11 @@ const bookshelfItemSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  // Times the book has been read (imported reading histories)
+  readCount: {
+    type: Number,
+    min: [0, 'Read count cannot be negative']
+  },
   readingTime: {
     type: Number,
     default: 0,
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+
+/**
+ * DataExport Model
+ * A user's request for a copy of their personal data. The export job builds a
+ * JSON + CSV archive on disk; the download expires after a while and the file is removed.
+ */
+
+export const DATA_EXPORT_STATUSES = ['pending', 'processing', 'completed', 'failed', 'expired'];
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  status: {
+    type: String,
+    enum: DATA_EXPORT_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  // Location of the archive on the server; never sent to clients
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileName: String,
+  fileSize: Number,
+  // Number of records per section, e.g. { readingSessions: 12 }
+  recordCounts: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  startedAt: Date,
+  completedAt: Date,
+  // Download link expiry
+  expiresAt: Date,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: Date,
+  error: String,
+  // The user, while this export counts towards the daily limit (see createWithinLimit)
+  limitSlot: {
+    type: mongoose.Schema.Types.ObjectId,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// ========== INDEXES ==========
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+
+// At most one export per user counts towards the daily limit at a time
+dataExportSchema.index(
+  { limitSlot: 1 },
+  { unique: true, partialFilterExpression: { limitSlot: { $exists: true } } }
+);
+
+// Keep request history for 30 days (the archive itself is removed when the link expires)
+dataExportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// ========== VIRTUAL PROPERTIES ==========
+
+dataExportSchema.virtual('isDownloadable').get(function() {
+  return this.status === 'completed' && this.expiresAt > new Date();
+});
+
+// ========== INSTANCE METHODS ==========
+
+/**
+ * Client-facing representation of the request
+ */
+dataExportSchema.methods.toSummary = function() {
+  return {
+    requestId: this._id,
+    status: this.status,
+    requestedAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    fileName: this.fileName,
+    fileSize: this.fileSize,
+    recordCounts: this.recordCounts,
+    downloadUrl: this.isDownloadable ? `/api/users/export/download/${this._id}` : undefined,
+    error: this.status === 'failed' ? 'Export failed. Please request a new export.' : undefined
+  };
+};
+
+// ========== STATIC METHODS ==========
+
+/**
+ * Latest export that counts towards the daily limit (failed exports don't)
+ */
+dataExportSchema.statics.findRecentForUser = function(userId, since) {
+  return this.findOne({
+    user: userId,
+    createdAt: { $gte: since },
+    status: { $ne: 'failed' }
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Create an export unless the user already has one counting towards the limit
+ * Exports requested before `since` give up their slot first; a concurrent request
+ * for the same user fails on the unique slot index (duplicate key error 11000).
+ */
+dataExportSchema.statics.createWithinLimit = async function(userId, since) {
+  await this.updateMany(
+    { limitSlot: userId, createdAt: { $lt: since } },
+    { $unset: { limitSlot: 1 } }
+  );
+
+  return this.create({ user: userId, limitSlot: userId });
+};
+
+/**
+ * Atomically claim a pending export for processing
+ */
+dataExportSchema.statics.claim = function(exportId) {
+  return this.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true }
+  );
+};
+
+export default mongoose.model('DataExport', dataExportSchema);
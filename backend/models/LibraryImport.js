@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+/**
+ * LibraryImport Model
+ * A user's upload of a reading history exported from another service (Goodreads).
+ * The import job works through its rows (LibraryImportRow) in order and records
+ * for each one the book it resolved to, or the candidates / error when it
+ * couldn't; `nextRow` lets an interrupted import carry on where it stopped.
+ */
+
+export const LIBRARY_IMPORT_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+const libraryImportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['goodreads'],
+    default: 'goodreads'
+  },
+  status: {
+    type: String,
+    enum: LIBRARY_IMPORT_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  fileName: String,
+  // Also add rated and reviewed books to the books' public reviews
+  publishReviews: {
+    type: Boolean,
+    default: false
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  // Number of rows processed (the next row is nextRow + 1)
+  nextRow: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  counts: {
+    matched: { type: Number, default: 0 },
+    ambiguous: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  },
+  // Times the import was put back in the queue because the metadata providers failed
+  pauses: {
+    type: Number,
+    default: 0
+  },
+  startedAt: Date,
+  completedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+// ========== INDEXES ==========
+
+libraryImportSchema.index({ user: 1, createdAt: -1 });
+
+// Keep import reports for 30 days (rows expire on the same schedule)
+libraryImportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// ========== INSTANCE METHODS ==========
+
+/**
+ * Client-facing representation of the import
+ */
+libraryImportSchema.methods.toSummary = function() {
+  return {
+    importId: this._id,
+    source: this.source,
+    status: this.status,
+    fileName: this.fileName,
+    publishReviews: this.publishReviews,
+    totalRows: this.totalRows,
+    processedRows: this.nextRow,
+    counts: this.counts,
+    requestedAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    error: this.status === 'failed' ? 'Import failed. Please upload the file again.' : undefined
+  };
+};
+
+// ========== STATIC METHODS ==========
+
+/**
+ * The user's import that hasn't finished yet, if any
+ */
+libraryImportSchema.statics.findActiveForUser = function(userId) {
+  return this.findOne({
+    user: userId,
+    status: { $in: ['pending', 'processing'] }
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Atomically claim a pending import for processing
+ */
+libraryImportSchema.statics.claim = function(importId) {
+  return this.findOneAndUpdate(
+    { _id: importId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true }
+  );
+};
+
+export default mongoose.model('LibraryImport', libraryImportSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * LibraryImportRow Model
+ * One row of an uploaded library export (see LibraryImport) with the book it
+ * resolved to, or the candidates / error when it couldn't. Kept apart from the
+ * import so large files don't outgrow a single document.
+ */
+
+export const LIBRARY_IMPORT_ROW_STATUSES = ['pending', 'matched', 'ambiguous', 'failed', 'skipped'];
+
+const libraryImportRowSchema = new mongoose.Schema({
+  libraryImport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LibraryImport',
+    required: [true, 'Import reference is required']
+  },
+  // Position in the uploaded file, counting from 1 (header excluded)
+  row: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  author: String,
+  isbn: String,
+  isbn13: String,
+  rating: Number,
+  review: String,
+  dateRead: Date,
+  dateAdded: Date,
+  readCount: Number,
+  // Goodreads exclusive shelf, e.g. "read"
+  exclusiveShelf: String,
+  // Every other shelf the book is on
+  shelves: [String],
+
+  status: {
+    type: String,
+    enum: LIBRARY_IMPORT_ROW_STATUSES,
+    default: 'pending'
+  },
+  // How the book was found: isbn, title_author or search
+  matchedBy: String,
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book'
+  },
+  // Possible books when the title/author search wasn't conclusive
+  candidates: [{
+    _id: false,
+    title: String,
+    authors: [String],
+    isbn: String,
+    publishedDate: String,
+    googleBooksId: String,
+    openLibraryId: String
+  }],
+  error: String
+}, {
+  timestamps: true
+});
+
+// ========== INDEXES ==========
+
+libraryImportRowSchema.index({ libraryImport: 1, row: 1 }, { unique: true });
+libraryImportRowSchema.index({ libraryImport: 1, status: 1, row: 1 });
+libraryImportRowSchema.index({ book: 1 }, { sparse: true });
+
+// Expire with their import (see LibraryImport)
+libraryImportRowSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('LibraryImportRow', libraryImportRowSchema);
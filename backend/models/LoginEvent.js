@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import { getClientIp } from '../utils/helpers.js';
+
+/**
+ * LoginEvent Model
+ * Failed logins, throttling and lockouts, kept so admins can spot accounts under attack
+ */
+
+export const LOGIN_EVENT_TYPES = [
+  'login_failed',
+  'login_throttled',
+  'login_blocked_locked',
+  'account_locked',
+  'account_unlocked',
+  'unlock_email_sent'
+];
+
+// Events that represent a guess against an account
+const ATTACK_EVENT_TYPES = ['login_failed', 'login_throttled', 'login_blocked_locked'];
+
+const loginEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LOGIN_EVENT_TYPES,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Email the attempt was made for (also set when no such account exists)
+  identifier: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: [255, 'Identifier cannot exceed 255 characters']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [512, 'User agent cannot exceed 512 characters']
+  },
+  details: {
+    failedAttempts: Number,
+    // Which credential was wrong
+    factor: {
+      type: String,
+      enum: ['password', 'two_factor']
+    },
+    lockedUntil: Date,
+    unlockedBy: {
+      type: String,
+      enum: ['email', 'admin']
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ========== INDEXES ==========
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ type: 1, createdAt: -1 });
+loginEventSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Keep 90 days of history
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// ========== STATIC METHODS ==========
+
+/**
+ * Record an event. Failures are logged and swallowed so they never block a login.
+ */
+loginEventSchema.statics.record = async function(type, { user = null, identifier = null, req = null, details = {} } = {}) {
+  try {
+    return await this.create({
+      type,
+      user: user?._id || user,
+      identifier: identifier || user?.email,
+      ipAddress: req ? getClientIp(req) : undefined,
+      userAgent: req ? (req.get('User-Agent') || '').substring(0, 512) : undefined,
+      details
+    });
+  } catch (error) {
+    console.error('❌ Error recording login event:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Accounts with the most failed login activity since a given time
+ */
+loginEventSchema.statics.findTargetedAccounts = function({ since, minAttempts = 5, limit = 50 }) {
+  return this.aggregate([
+    {
+      $match: {
+        type: { $in: ATTACK_EVENT_TYPES },
+        createdAt: { $gte: since }
+      }
+    },
+    {
+      $group: {
+        _id: '$identifier',
+        user: { $first: '$user' },
+        attempts: { $sum: 1 },
+        ipAddresses: { $addToSet: '$ipAddress' },
+        firstAttemptAt: { $min: '$createdAt' },
+        lastAttemptAt: { $max: '$createdAt' }
+      }
+    },
+    { $match: { attempts: { $gte: minAttempts } } },
+    {
+      $project: {
+        _id: 0,
+        identifier: '$_id',
+        user: 1,
+        attempts: 1,
+        distinctIps: { $size: '$ipAddresses' },
+        firstAttemptAt: 1,
+        lastAttemptAt: 1
+      }
+    },
+    { $sort: { attempts: -1, lastAttemptAt: -1 } },
+    { $limit: limit }
+  ]);
+};
+
+export default mongoose.model('LoginEvent', loginEventSchema);
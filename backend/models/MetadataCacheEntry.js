@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * MetadataCacheEntry Model
+ * Persistent, shared cache of metadata provider responses (see
+ * services/metadataCache.js). Survives restarts and is shared by every
+ * server instance; MongoDB removes entries once they expire.
+ */
+
+const metadataCacheEntrySchema = new mongoose.Schema({
+  // Cache namespace, e.g. the provider name
+  namespace: {
+    type: String,
+    required: [true, 'Cache namespace is required'],
+    trim: true
+  },
+  key: {
+    type: String,
+    required: [true, 'Cache key is required']
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  fetchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Served as-is until then, served while revalidating afterwards
+  freshUntil: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// ========== INDEXES ==========
+
+metadataCacheEntrySchema.index({ namespace: 1, key: 1 }, { unique: true });
+metadataCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('MetadataCacheEntry', metadataCacheEntrySchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { hashData } from '../utils/helpers.js';
+
+/**
+ * OAuthState Model
+ * Pending OpenID Connect authorization requests. Holds the PKCE verifier and nonce
+ * between the redirect to the provider and the callback; each state is single-use.
+ */
+
+const STATE_DURATION = 10 * 60 * 1000; // 10 minutes
+
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// ========== INDEXES ==========
+
+// MongoDB removes abandoned authorization requests once they expire
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ========== STATIC METHODS ==========
+
+/**
+ * Store a pending authorization request
+ */
+oauthStateSchema.statics.createForRequest = function(provider, { state, codeVerifier, nonce }) {
+  return this.create({
+    stateHash: hashData(state),
+    provider,
+    codeVerifier,
+    nonce,
+    expiresAt: new Date(Date.now() + STATE_DURATION)
+  });
+};
+
+/**
+ * Atomically take a pending request, so a state can only complete one login
+ * @returns {Promise<Object|null>} The stored request, or null if unknown, expired or for another provider
+ */
+oauthStateSchema.statics.consume = function(provider, state) {
+  return this.findOneAndDelete({
+    stateHash: hashData(state),
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+export default mongoose.model('OAuthState', oauthStateSchema);
@@ -0,0 +1,167 @@
+import mongoose from 'mongoose';
+import { TOKEN_SCOPE_NAMES } from '../config/tokenScopes.js';
+import { generateSecureToken, hashData, getClientIp } from '../utils/helpers.js';
+
+/**
+ * PersonalAccessToken Model
+ * Long-lived, scoped API tokens for scripts and integrations. The raw token is
+ * shown once at creation; only its SHA-256 hash is stored.
+ */
+
+// Raw tokens look like "bkm_pat_<40 hex chars>" so auth can tell them apart from JWTs
+export const TOKEN_PREFIX = 'bkm_pat_';
+
+// Minimum interval between lastUsedAt writes
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000; // 1 minute
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the raw token, to help users recognize it
+  tokenHint: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: TOKEN_SCOPE_NAMES,
+        message: 'Unknown scope: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  lastUsedAt: Date,
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// ========== INDEXES ==========
+
+// Remove tokens 30 days after they expire
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// ========== VIRTUAL PROPERTIES ==========
+
+personalAccessTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// ========== INSTANCE METHODS ==========
+
+/**
+ * Check whether the token grants every given scope
+ */
+personalAccessTokenSchema.methods.hasScopes = function(requiredScopes = []) {
+  return requiredScopes.every(scope => this.scopes.includes(scope));
+};
+
+/**
+ * Record usage of this token (throttled)
+ */
+personalAccessTokenSchema.methods.touch = function(req) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_UPDATE_INTERVAL) {
+    return Promise.resolve(this);
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = getClientIp(req);
+  return this.save();
+};
+
+/**
+ * Public representation (never includes the hash)
+ */
+personalAccessTokenSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    tokenHint: this.tokenHint,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdAt: this.createdAt,
+    revokedAt: this.revokedAt,
+    isActive: this.isActive
+  };
+};
+
+// ========== STATIC METHODS ==========
+
+/**
+ * Check whether a bearer token is a personal access token
+ */
+personalAccessTokenSchema.statics.isPersonalAccessToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+/**
+ * Create a token for a user
+ * @returns {Promise<{ token: string, record: Object }>} Raw token (only returned here) and stored record
+ */
+personalAccessTokenSchema.statics.issue = async function(userId, { name, scopes, expiresAt }) {
+  const token = `${TOKEN_PREFIX}${generateSecureToken(20)}`;
+
+  const record = await this.create({
+    user: userId,
+    name,
+    tokenHash: hashData(token),
+    tokenHint: token.substring(0, TOKEN_PREFIX.length + 4),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+
+  return { token, record };
+};
+
+/**
+ * Find an unrevoked, unexpired token by its raw value
+ */
+personalAccessTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashData(token),
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Revoke all of a user's tokens
+ */
+personalAccessTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+export default mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import { generateSecureToken, hashData, getClientIp } from '../utils/helpers.js';
+
+/**
+ * RefreshToken Model
+ * Rotating refresh tokens. The raw token is an opaque random string handed to the
+ * client once; only its SHA-256 hash is stored. Every token issued from the same
+ * login shares a family id, so reuse of a rotated-out token can revoke the family.
+ */
+
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserSession',
+    required: [true, 'Session reference is required']
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['reuse_detected', 'session_revoked', 'password_changed', 'admin_revoked']
+  },
+  createdByIp: String
+}, {
+  timestamps: true
+});
+
+// ========== INDEXES ==========
+
+// Remove records a week after expiry; reuse detection only needs them while they could be replayed
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// ========== STATIC METHODS ==========
+
+/**
+ * Issue a new refresh token for a session
+ * @returns {Promise<{ token: string, record: Object }>} Raw token (only returned here) and stored record
+ */
+refreshTokenSchema.statics.issue = async function(userId, session, req, family = null) {
+  const token = generateSecureToken(48);
+
+  const record = await this.create({
+    tokenHash: hashData(token),
+    user: userId,
+    session: session._id,
+    family: family || generateSecureToken(16),
+    expiresAt: session.expiresAt,
+    createdByIp: getClientIp(req)
+  });
+
+  return { token, record };
+};
+
+/**
+ * Atomically mark a token as used, so it can be exchanged at most once
+ * @returns {Promise<Object|null>} The token record, or null if unknown, used, revoked or expired
+ */
+refreshTokenSchema.statics.consume = function(token) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashData(token),
+      usedAt: { $exists: false },
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Find a token record by raw token, regardless of state
+ */
+refreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashData(token) });
+};
+
+/**
+ * Revoke every unrevoked token in a family
+ */
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'reuse_detected') {
+  return this.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import { ROLE_NAMES } from '../config/roles.js';
+
+/**
+ * RoleAssignment Model
+ * Append-only history of staff role grants and revocations
+ */
+
+const roleAssignmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  role: {
+    type: String,
+    enum: ROLE_NAMES,
+    required: [true, 'Role is required']
+  },
+  action: {
+    type: String,
+    enum: ['granted', 'revoked'],
+    required: true
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ========== INDEXES ==========
+
+roleAssignmentSchema.index({ user: 1, createdAt: -1 });
+roleAssignmentSchema.index({ role: 1, createdAt: -1 });
+roleAssignmentSchema.index({ performedBy: 1, createdAt: -1 });
+
+export default mongoose.model('RoleAssignment', roleAssignmentSchema);
@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import { getClientIp, parseUserAgent } from '../utils/helpers.js';
+import { ADMIN_ACTIONS } from './AdminAuditLog.js';
+
+/**
+ * SecurityAuditLog Model
+ * Persistent record of security-relevant events (sign-ins, password and token
+ * changes, account deletion, admin actions) with who did it, from where and
+ * whether it succeeded.
+ *
+ * Handlers tag the request with SecurityAuditLog.track(); authLogger saves the
+ * entry once the response is sent, taking the outcome from the status code.
+ */
+
+export const SECURITY_EVENTS = [
+  'auth.login',
+  'auth.login_2fa_challenge',
+  'auth.logout',
+  'auth.token_refresh',
+  'auth.password_change',
+  'auth.password_reset_request',
+  'auth.password_reset',
+  'auth.2fa_enable',
+  'auth.2fa_disable',
+  'auth.recovery_codes_regenerate',
+  'auth.session_revoke',
+  'auth.access_token_create',
+  'auth.access_token_revoke',
+  'account.deactivate',
+  'account.restore',
+  'account.purge',
+  ...ADMIN_ACTIONS.map(action => `admin.${action}`)
+];
+
+export const SECURITY_OUTCOMES = ['success', 'failure'];
+
+const securityAuditLogSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: SECURITY_EVENTS,
+    required: [true, 'Event is required']
+  },
+  outcome: {
+    type: String,
+    enum: SECURITY_OUTCOMES,
+    required: [true, 'Outcome is required']
+  },
+  // Who performed the action (empty for anonymous attempts and system jobs)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Account the event concerns; this is what users see in their own activity
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Email an anonymous attempt was made for
+  identifier: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: [255, 'Identifier cannot exceed 255 characters']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [512, 'User agent cannot exceed 512 characters']
+  },
+  statusCode: Number,
+  // Error code from the response, e.g. ACCOUNT_LOCKED
+  reason: String,
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ========== INDEXES ==========
+
+securityAuditLogSchema.index({ createdAt: -1 });
+securityAuditLogSchema.index({ user: 1, createdAt: -1 });
+securityAuditLogSchema.index({ actor: 1, createdAt: -1 });
+securityAuditLogSchema.index({ event: 1, outcome: 1, createdAt: -1 });
+securityAuditLogSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Keep one year of history
+securityAuditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+// ========== INSTANCE METHODS ==========
+
+/**
+ * Entry as shown to the account owner
+ */
+securityAuditLogSchema.methods.toActivity = function() {
+  const byOwner = !this.actor || !this.user || this.actor.toString() === this.user.toString();
+
+  return {
+    id: this._id,
+    event: this.event,
+    outcome: this.outcome,
+    reason: this.reason,
+    performedBy: byOwner ? 'you' : 'administrator',
+    ipAddress: this.ipAddress,
+    device: parseUserAgent(this.userAgent).device,
+    createdAt: this.createdAt
+  };
+};
+
+// ========== STATIC METHODS ==========
+
+/**
+ * Tag the request with the event it represents. Calling it again merges the
+ * fields, e.g. a login is tagged with the email first and the user once found.
+ */
+securityAuditLogSchema.statics.track = function(req, event, { user, identifier, outcome, details } = {}) {
+  const entry = req.securityAudit || { details: {} };
+
+  entry.event = event;
+  if (user) entry.user = user._id || user;
+  if (identifier) entry.identifier = identifier;
+  if (outcome) entry.outcome = outcome;
+  if (details) Object.assign(entry.details, details);
+
+  req.securityAudit = entry;
+};
+
+/**
+ * Save an entry. Failures are logged and swallowed so auditing never breaks a request.
+ */
+securityAuditLogSchema.statics.record = async function({
+  event,
+  outcome = 'success',
+  req = null,
+  actor = null,
+  user = null,
+  identifier = null,
+  statusCode,
+  reason,
+  details = {}
+}) {
+  try {
+    return await this.create({
+      event,
+      outcome,
+      actor: actor?._id || actor,
+      user: user?._id || user,
+      identifier: identifier || user?.email,
+      ipAddress: req ? getClientIp(req) : undefined,
+      userAgent: req ? (req.get('User-Agent') || '').substring(0, 512) : undefined,
+      statusCode,
+      reason,
+      details
+    });
+  } catch (error) {
+    console.error('❌ Error recording security audit entry:', error.message);
+    return null;
+  }
+};
+
+export default mongoose.model('SecurityAuditLog', securityAuditLogSchema);
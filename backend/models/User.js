@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import { ROLE_NAMES, getPermissionsForRoles } from '../config/roles.js';
 
 /**
  * User Model
@@ -582,11 +584,53 @@ const userSchema = new mongoose.Schema({
     default: true
   },
 
+  // Set when an admin suspends the account (isActive: false)
+  suspension: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+    },
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  // Set when the user deactivates their account (isActive: false); signing in
+  // before scheduledPurgeAt restores it, after that the purge job deletes it
+  deactivation: {
+    requestedAt: Date,
+    scheduledPurgeAt: Date,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Deactivation reason cannot exceed 500 characters']
+    }
+  },
+
+  // Set by an admin-forced password reset; cleared once the user picks a new password
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+
+  // Legacy all-or-nothing admin flag; kept in sync with the superadmin role
   isAdmin: {
     type: Boolean,
     default: false
   },
 
+  // Staff roles (see config/roles.js); grants are recorded in RoleAssignment
+  roles: [{
+    type: String,
+    enum: {
+      values: ROLE_NAMES,
+      message: 'Unknown role: {VALUE}'
+    }
+  }],
+
   verificationToken: String,
 
   resetPasswordToken: String,
@@ -597,6 +641,95 @@ const userSchema = new mongoose.Schema({
 
   emailVerificationExpires: Date,
 
+  emailVerificationSentAt: Date,
+
+  emailVerifiedAt: Date,
+
+  // Brute-force protection for password logins
+  loginProtection: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    lockCount: {
+      type: Number,
+      default: 0 // Consecutive lockouts; each one lasts longer
+    },
+    lastLockedAt: Date
+  },
+
+  unlockToken: String,
+
+  unlockExpires: Date,
+
+  // Passwordless sign-in link (single use)
+  magicLinkToken: String,
+
+  magicLinkExpires: Date,
+
+  // Two-Factor Authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false // Encrypted TOTP secret
+    },
+    pendingSecret: {
+      type: String,
+      select: false // Encrypted secret awaiting confirmation
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false // Last accepted TOTP time step (replay protection)
+    },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Latest login challenge (JWT ID) and the codes tried against it
+    challengeId: {
+      type: String,
+      select: false
+    },
+    challengeAttempts: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+
+  // Linked OpenID Connect identities
+  oauthAccounts: [{
+    provider: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastLoginAt: Date
+  }],
+
   // Timestamps
   lastLoginAt: {
     type: Date
@@ -610,7 +743,7 @@ const userSchema = new mongoose.Schema({
   // Metadata
   signUpSource: {
     type: String,
-    enum: ['web', 'mobile', 'api'],
+    enum: ['web', 'mobile', 'api', 'oidc'],
     default: 'web'
   },
 
@@ -633,6 +766,16 @@ const userSchema = new mongoose.Schema({
       delete ret.resetPasswordExpires;
       delete ret.emailVerificationToken;
       delete ret.emailVerificationExpires;
+      delete ret.unlockToken;
+      delete ret.unlockExpires;
+      delete ret.magicLinkToken;
+      delete ret.magicLinkExpires;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.lastUsedStep;
+        delete ret.twoFactor.recoveryCodes;
+      }
       return ret;
     }
   },
@@ -659,6 +802,14 @@ userSchema.index({ 'stats.readingStreak': -1 });
 userSchema.index({ 'joinedCommunities.community': 1 });
 userSchema.index({ 'friends.user': 1 });
 userSchema.index({ 'lastLoginAt': -1 });
+// One account per provider identity (accounts without linked identities are left out)
+userSchema.index(
+  { 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.subject': { $exists: true } } }
+);
+userSchema.index({ 'roles': 1 });
+userSchema.index({ 'loginProtection.lockedUntil': 1 }, { sparse: true });
+userSchema.index({ 'deactivation.scheduledPurgeAt': 1 }, { sparse: true });
 userSchema.index({ 'createdAt': -1 });
 userSchema.index({ 'preferences.favoriteGenres': 1 });
 
@@ -687,6 +838,16 @@ userSchema.virtual('isNewUser').get(function() {
   return this.accountAgeInDays < 30;
 });
 
+// Account is temporarily locked after repeated failed logins
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.loginProtection?.lockedUntil && this.loginProtection.lockedUntil > new Date());
+});
+
+// Account deactivated by its owner and awaiting purge
+userSchema.virtual('isDeactivated').get(function() {
+  return !!this.deactivation?.requestedAt;
+});
+
 // Reading level based on books read
 userSchema.virtual('readingLevel').get(function() {
   const booksRead = this.stats.booksRead;
@@ -835,8 +996,56 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the legacy isAdmin flag and the superadmin role in sync
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('roles')) {
+    this.isAdmin = this.roles.includes('superadmin');
+  } else if (this.isAdmin && !this.roles.includes('superadmin')) {
+    // Migrate accounts that predate roles
+    this.roles.push('superadmin');
+  } else if (this.roles.includes('superadmin')) {
+    this.isAdmin = true;
+  }
+
+  next();
+});
+
 // ========== INSTANCE METHODS ==========
 
+/**
+ * Staff roles, treating legacy isAdmin accounts as superadmins
+ */
+userSchema.methods.getRoles = function() {
+  const roles = [...(this.roles || [])];
+
+  if (this.isAdmin && !roles.includes('superadmin')) {
+    roles.push('superadmin');
+  }
+
+  return roles;
+};
+
+/**
+ * Check whether the user holds a role
+ */
+userSchema.methods.hasRole = function(role) {
+  return this.getRoles().includes(role);
+};
+
+/**
+ * Permissions granted by the user's roles
+ */
+userSchema.methods.getPermissions = function() {
+  return getPermissionsForRoles(this.getRoles());
+};
+
+/**
+ * Check whether the user has a permission
+ */
+userSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
 /**
  * Compare password with hashed password
  */
@@ -889,6 +1098,38 @@ userSchema.methods.createEmailVerificationToken = function() {
   return verificationToken;
 };
 
+/**
+ * Generate account unlock token (sent when the account is locked)
+ */
+userSchema.methods.createUnlockToken = function() {
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+
+  this.unlockToken = crypto
+    .createHash('sha256')
+    .update(unlockToken)
+    .digest('hex');
+
+  this.unlockExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return unlockToken;
+};
+
+/**
+ * Generate passwordless sign-in token (replaces any earlier link)
+ */
+userSchema.methods.createMagicLinkToken = function() {
+  const magicLinkToken = crypto.randomBytes(32).toString('hex');
+
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(magicLinkToken)
+    .digest('hex');
+
+  this.magicLinkExpires = Date.now() + 15 * 60 * 1000; // 15 minutes
+
+  return magicLinkToken;
+};
+
 /**
  * Add book to currently reading
  */
@@ -1211,6 +1452,40 @@ userSchema.methods.wantsToRead = function(bookId) {
 
 // ========== STATIC METHODS ==========
 
+/**
+ * Find the user linked to an external identity
+ */
+userSchema.statics.findByOAuthAccount = function(provider, subject) {
+  return this.findOne({
+    oauthAccounts: { $elemMatch: { provider, subject } }
+  });
+};
+
+/**
+ * Derive an unused username from a seed (e.g. an email local part)
+ */
+userSchema.statics.generateUniqueUsername = async function(seed) {
+  let base = String(seed || '').toLowerCase().replace(/[^a-z0-9_]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+  base = base.substring(0, 24);
+
+  if (base.length < 3) {
+    base = `reader_${base}`.replace(/_$/, '');
+  }
+
+  if (!(await this.exists({ username: base }))) {
+    return base;
+  }
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const candidate = `${base}_${crypto.randomInt(1000, 100000)}`;
+    if (!(await this.exists({ username: candidate }))) {
+      return candidate;
+    }
+  }
+
+  return `reader_${crypto.randomBytes(6).toString('hex')}`;
+};
+
 /**
  * Find user by email or username
  */
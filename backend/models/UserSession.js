@@ -0,0 +1,186 @@
+import mongoose from 'mongoose';
+import { getClientIp, parseUserAgent } from '../utils/helpers.js';
+
+/**
+ * UserSession Model
+ * Server-side record of a login session; every issued JWT references one and is
+ * only accepted while the session is neither revoked nor expired
+ */
+
+// How long a session stays valid without a new login (matches the refresh token lifetime)
+const SESSION_DURATION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Minimum interval between lastSeenAt writes, so auth doesn't write on every request
+const LAST_SEEN_UPDATE_INTERVAL = 60 * 1000; // 1 minute
+
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device description cannot exceed 100 characters'],
+    default: 'Unknown device'
+  },
+  deviceType: {
+    type: String,
+    enum: ['desktop', 'mobile', 'tablet', 'api'],
+    default: 'desktop'
+  },
+  ipAddress: {
+    type: String,
+    trim: true,
+    maxlength: [64, 'IP address cannot exceed 64 characters']
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [512, 'User agent cannot exceed 512 characters']
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIp: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'revoke_others', 'password_changed', 'password_reset', 'admin_revoked', 'refresh_token_reuse', 'account_deactivated']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ========== INDEXES ==========
+
+userSessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+
+// Let MongoDB purge sessions a week after they expire
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// ========== VIRTUAL PROPERTIES ==========
+
+// Session can still authenticate requests
+userSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// ========== INSTANCE METHODS ==========
+
+/**
+ * Revoke this session
+ */
+userSessionSchema.methods.revoke = function(reason = 'user_revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+/**
+ * Record activity on this session (throttled)
+ */
+userSessionSchema.methods.touch = function(req) {
+  if (Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_UPDATE_INTERVAL) {
+    return Promise.resolve(this);
+  }
+
+  this.lastSeenAt = new Date();
+  this.lastSeenIp = getClientIp(req);
+  return this.save();
+};
+
+/**
+ * Public representation for session listings
+ */
+userSessionSchema.methods.toSummary = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    device: this.device,
+    deviceType: this.deviceType,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    lastSeenIp: this.lastSeenIp,
+    expiresAt: this.expiresAt,
+    current: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  };
+};
+
+// ========== STATIC METHODS ==========
+
+/**
+ * Create a session for a user from the login request
+ */
+userSessionSchema.statics.createForRequest = function(userId, req) {
+  const userAgent = (req.get('User-Agent') || '').substring(0, 512);
+  const { device, deviceType } = parseUserAgent(userAgent);
+  const ipAddress = getClientIp(req);
+
+  return this.create({
+    user: userId,
+    device,
+    deviceType,
+    ipAddress,
+    userAgent,
+    lastSeenAt: new Date(),
+    lastSeenIp: ipAddress,
+    expiresAt: new Date(Date.now() + SESSION_DURATION)
+  });
+};
+
+/**
+ * Find an active session belonging to the user
+ */
+userSessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ */
+userSessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+/**
+ * Revoke all of a user's active sessions, optionally keeping one
+ */
+userSessionSchema.statics.revokeAllForUser = function(userId, reason = 'user_revoked', exceptSessionId = null) {
+  const filter = {
+    user: userId,
+    revokedAt: { $exists: false }
+  };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+export default mongoose.model('UserSession', userSessionSchema);
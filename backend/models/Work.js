@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * Work Model
+ * Groups the editions of one book: the catalog often holds the same title
+ * several times (one record per Google volume, ISBN-10/13 or format). Each
+ * Book points to its work (see services/bookWorkService.js).
+ */
+
+const workSchema = new mongoose.Schema({
+  // Normalized "title|author", e.g. "hobbit|j r r tolkien"
+  key: {
+    type: String,
+    required: [true, 'Work key is required'],
+    trim: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Work title is required'],
+    trim: true
+  },
+  primaryAuthor: {
+    type: String,
+    trim: true
+  },
+  // ISBN-13s of every edition
+  isbns: [{
+    type: String,
+    trim: true
+  }],
+  editionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// ========== INDEXES ==========
+
+workSchema.index({ key: 1 }, { unique: true });
+workSchema.index({ isbns: 1 });
+
+export default mongoose.model('Work', workSchema);
@@ -0,0 +1,355 @@
+import express from 'express';
+import {
+  getRoles,
+  getUserRoles,
+  grantRole,
+  revokeRole,
+  getRoleHistory,
+  getUsers,
+  getUserStats,
+  getUserDetails,
+  suspendUser,
+  reactivateUser,
+  forcePasswordReset,
+  getUserSessions,
+  revokeUserSessions,
+  getUserActivity,
+  getAuditLog,
+  getSecurityLog,
+  getMetadataCacheStats,
+  clearMetadataCache,
+  getCatalogRefresh,
+  startCatalogRefresh,
+  getDuplicateBooks,
+  rebuildBookWorks,
+  mergeDuplicateBooks,
+  removeBookReview,
+  removeDiscussion,
+  removeComment
+} from '../controllers/adminController.js';
+import { requirePermission } from '../middleware/auth.js';
+import { adminValidations, validatePagination, handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// ========== ROLE MANAGEMENT ROUTES ==========
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List available roles and permissions
+ * @access  Private (Permission: roles:manage)
+ */
+router.get(
+  '/roles',
+  requirePermission('roles:manage'),
+  getRoles
+);
+
+/**
+ * @route   GET /api/admin/roles/history
+ * @desc    Get role assignment history
+ * @access  Private (Permission: roles:manage)
+ */
+router.get(
+  '/roles/history',
+  requirePermission('roles:manage'),
+  getRoleHistory
+);
+
+/**
+ * @route   GET /api/admin/users/:userId/roles
+ * @desc    Get a user's roles and role history
+ * @access  Private (Permission: roles:manage)
+ */
+router.get(
+  '/users/:userId/roles',
+  requirePermission('roles:manage'),
+  adminValidations.userId,
+  getUserRoles
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/roles
+ * @desc    Grant a role to a user
+ * @access  Private (Permission: roles:manage)
+ */
+router.post(
+  '/users/:userId/roles',
+  requirePermission('roles:manage'),
+  adminValidations.grantRole,
+  grantRole
+);
+
+/**
+ * @route   DELETE /api/admin/users/:userId/roles/:role
+ * @desc    Revoke a role from a user
+ * @access  Private (Permission: roles:manage)
+ */
+router.delete(
+  '/users/:userId/roles/:role',
+  requirePermission('roles:manage'),
+  adminValidations.revokeRole,
+  revokeRole
+);
+
+// ========== USER MANAGEMENT ROUTES ==========
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Search and filter users
+ * @access  Private (Permission: users:read)
+ */
+router.get(
+  '/users',
+  requirePermission('users:read'),
+  adminValidations.userQuery,
+  getUsers
+);
+
+/**
+ * @route   GET /api/admin/users/stats
+ * @desc    User dashboard statistics and sign-up growth
+ * @access  Private (Permission: users:read)
+ */
+router.get(
+  '/users/stats',
+  requirePermission('users:read'),
+  getUserStats
+);
+
+/**
+ * @route   GET /api/admin/users/:userId
+ * @desc    Get a user's account details
+ * @access  Private (Permission: users:read)
+ */
+router.get(
+  '/users/:userId',
+  requirePermission('users:read'),
+  adminValidations.userId,
+  getUserDetails
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/suspend
+ * @desc    Suspend a user account
+ * @access  Private (Permission: users:manage)
+ */
+router.post(
+  '/users/:userId/suspend',
+  requirePermission('users:manage'),
+  adminValidations.userAction,
+  suspendUser
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/reactivate
+ * @desc    Reactivate a suspended user account
+ * @access  Private (Permission: users:manage)
+ */
+router.post(
+  '/users/:userId/reactivate',
+  requirePermission('users:manage'),
+  adminValidations.userAction,
+  reactivateUser
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/force-password-reset
+ * @desc    Force a password reset
+ * @access  Private (Permission: users:manage)
+ */
+router.post(
+  '/users/:userId/force-password-reset',
+  requirePermission('users:manage'),
+  adminValidations.userAction,
+  forcePasswordReset
+);
+
+/**
+ * @route   GET /api/admin/users/:userId/sessions
+ * @desc    Get a user's login sessions
+ * @access  Private (Permission: users:read)
+ */
+router.get(
+  '/users/:userId/sessions',
+  requirePermission('users:read'),
+  adminValidations.userId,
+  getUserSessions
+);
+
+/**
+ * @route   DELETE /api/admin/users/:userId/sessions
+ * @desc    Revoke all of a user's sessions
+ * @access  Private (Permission: users:manage)
+ */
+router.delete(
+  '/users/:userId/sessions',
+  requirePermission('users:manage'),
+  adminValidations.userAction,
+  revokeUserSessions
+);
+
+/**
+ * @route   GET /api/admin/users/:userId/activity
+ * @desc    Get a user's recent activity
+ * @access  Private (Permission: users:read)
+ */
+router.get(
+  '/users/:userId/activity',
+  requirePermission('users:read'),
+  adminValidations.userId,
+  getUserActivity
+);
+
+// ========== AUDIT TRAIL ROUTES ==========
+
+/**
+ * @route   GET /api/admin/audit-log
+ * @desc    Query the admin audit trail
+ * @access  Private (Permission: audit:read)
+ */
+router.get(
+  '/audit-log',
+  requirePermission('audit:read'),
+  adminValidations.logQuery,
+  getAuditLog
+);
+
+/**
+ * @route   GET /api/admin/security-log
+ * @desc    Query the security audit log
+ * @access  Private (Permission: audit:read)
+ */
+router.get(
+  '/security-log',
+  requirePermission('audit:read'),
+  adminValidations.logQuery,
+  getSecurityLog
+);
+
+// ========== METADATA CACHE ROUTES ==========
+
+/**
+ * @route   GET /api/admin/metadata-cache
+ * @desc    Get book metadata cache statistics per provider
+ * @access  Private (Permission: metadata:manage)
+ */
+router.get(
+  '/metadata-cache',
+  requirePermission('metadata:manage'),
+  getMetadataCacheStats
+);
+
+/**
+ * @route   DELETE /api/admin/metadata-cache
+ * @desc    Clear the book metadata cache (one provider with ?namespace=, or all)
+ * @access  Private (Permission: metadata:manage)
+ */
+router.delete(
+  '/metadata-cache',
+  requirePermission('metadata:manage'),
+  clearMetadataCache
+);
+
+// ========== CATALOG REFRESH ROUTES ==========
+
+/**
+ * @route   GET /api/admin/catalog-refresh
+ * @desc    Get the catalog refresh job status and last report
+ * @access  Private (Permission: metadata:manage)
+ */
+router.get(
+  '/catalog-refresh',
+  requirePermission('metadata:manage'),
+  getCatalogRefresh
+);
+
+/**
+ * @route   POST /api/admin/catalog-refresh
+ * @desc    Start a catalog refresh pass now
+ * @access  Private (Permission: metadata:manage)
+ */
+router.post(
+  '/catalog-refresh',
+  requirePermission('metadata:manage'),
+  startCatalogRefresh
+);
+
+// ========== CATALOG DUPLICATES ROUTES ==========
+
+/**
+ * @route   GET /api/admin/books/duplicates
+ * @desc    List duplicate candidates (works with several editions)
+ * @access  Private (Permission: books:edit)
+ */
+router.get(
+  '/books/duplicates',
+  requirePermission('books:edit'),
+  validatePagination,
+  handleValidationErrors,
+  getDuplicateBooks
+);
+
+/**
+ * @route   POST /api/admin/books/works/rebuild
+ * @desc    Group books that have no work yet into works (body: { after } to continue)
+ * @access  Private (Permission: books:edit)
+ */
+router.post(
+  '/books/works/rebuild',
+  requirePermission('books:edit'),
+  adminValidations.rebuildWorks,
+  rebuildBookWorks
+);
+
+/**
+ * @route   POST /api/admin/books/:bookId/merge
+ * @desc    Merge duplicate books into a surviving edition
+ * @access  Private (Permission: books:delete)
+ */
+router.post(
+  '/books/:bookId/merge',
+  requirePermission('books:delete'),
+  adminValidations.mergeBooks,
+  mergeDuplicateBooks
+);
+
+// ========== MODERATION ROUTES ==========
+
+/**
+ * @route   DELETE /api/admin/books/:bookId/reviews/:reviewId
+ * @desc    Remove a book review
+ * @access  Private (Permission: reviews:moderate)
+ */
+router.delete(
+  '/books/:bookId/reviews/:reviewId',
+  requirePermission('reviews:moderate'),
+  adminValidations.removeReview,
+  removeBookReview
+);
+
+/**
+ * @route   DELETE /api/admin/communities/:communityId/discussions/:discussionId
+ * @desc    Remove a community discussion and its comments
+ * @access  Private (Permission: communities:moderate)
+ */
+router.delete(
+  '/communities/:communityId/discussions/:discussionId',
+  requirePermission('communities:moderate'),
+  adminValidations.removeDiscussion,
+  removeDiscussion
+);
+
+/**
+ * @route   DELETE /api/admin/communities/:communityId/discussions/:discussionId/comments/:commentId
+ * @desc    Remove a comment from a community discussion
+ * @access  Private (Permission: communities:moderate)
+ */
+router.delete(
+  '/communities/:communityId/discussions/:discussionId/comments/:commentId',
+  requirePermission('communities:moderate'),
+  adminValidations.removeDiscussion,
+  removeComment
+);
+
+export default router;
@@ -2,16 +2,46 @@ import express from 'express';
 import {
   register,
   login,
+  requestMagicLink,
+  magicLinkLogin,
   logout,
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  sendVerification,
+  verifyEmail,
   refreshToken,
+  getPasswordPolicy,
   checkUsernameAvailability,
-  verifyToken
+  verifyToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getSecurityActivity,
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  requestAccountUnlock,
+  unlockAccountWithToken,
+  getTargetedAccounts,
+  getLoginEvents,
+  adminUnlockAccount
 } from '../controllers/authController.js';
-import { auth, requireVerifiedEmail, authLogger, authSecurityHeaders, rateLimit } from '../middleware/auth.js';
-import { authValidations } from '../middleware/validation.js';
+import { auth, requirePermission, requireScope, allowUnverified, requireVerifiedEmail, authLogger, authSecurityHeaders, rateLimit } from '../middleware/auth.js';
+import { authValidations, validatePagination, handleValidationErrors } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -55,10 +85,50 @@ router.post(
   login
 );
 
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a single-use passwordless sign-in link
+ * @access  Public
+ * @rateLimit 5 requests per 15 minutes per IP, 3 per 15 minutes per email
+ */
+router.post(
+  '/magic-link',
+  rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // limit each IP to 5 requests per windowMs
+    message: 'Too many sign-in link requests, please try again later.'
+  }),
+  authValidations.magicLinkRequest,
+  rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 3, // limit each email address to 3 requests per windowMs
+    message: 'Too many sign-in links requested for this email, please try again later.',
+    keyGenerator: req => req.body.email
+  }),
+  requestMagicLink
+);
+
+/**
+ * @route   POST /api/auth/magic-link/:token
+ * @desc    Sign in with an emailed magic link token
+ * @access  Public (with magic link token)
+ * @rateLimit 10 requests per 15 minutes
+ */
+router.post(
+  '/magic-link/:token',
+  rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // limit each IP to 10 requests per windowMs
+    message: 'Too many sign-in attempts, please try again later.'
+  }),
+  authValidations.magicLinkLogin,
+  magicLinkLogin
+);
+
 /**
  * @route   POST /api/auth/refresh-token
- * @desc    Refresh access token
- * @access  Public (requires refresh token)
+ * @desc    Refresh access token and rotate refresh token
+ * @access  Public (requires refresh token in body or httpOnly cookie)
  * @rateLimit 5 requests per minute
  */
 router.post(
@@ -71,6 +141,16 @@ router.post(
   refreshToken
 );
 
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Get the password requirements
+ * @access  Public
+ */
+router.get(
+  '/password-policy',
+  getPasswordPolicy
+);
+
 /**
  * @route   GET /api/auth/check-username/:username
  * @desc    Check username availability
@@ -96,6 +176,7 @@ router.get(
  */
 router.post(
   '/logout',
+  allowUnverified,
   auth,
   logout
 );
@@ -103,10 +184,12 @@ router.post(
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
- * @access  Private
+ * @access  Private (Token scope: profile:read)
  */
 router.get(
   '/profile',
+  requireScope('profile:read'),
+  allowUnverified,
   auth,
   getProfile
 );
@@ -114,10 +197,11 @@ router.get(
 /**
  * @route   PUT /api/auth/profile
  * @desc    Update user profile
- * @access  Private
+ * @access  Private (Token scope: profile:write)
  */
 router.put(
   '/profile',
+  requireScope('profile:write'),
   auth,
   requireVerifiedEmail,
   authValidations.profileUpdate,
@@ -146,10 +230,12 @@ router.put(
 /**
  * @route   GET /api/auth/verify
  * @desc    Verify token validity
- * @access  Private
+ * @access  Private (Token scope: profile:read)
  */
 router.get(
   '/verify',
+  requireScope('profile:read'),
+  allowUnverified,
   auth,
   verifyToken
 );
@@ -160,7 +246,7 @@ router.get(
  * @route   POST /api/auth/forgot-password
  * @desc    Request password reset
  * @access  Public
- * @rateLimit 3 requests per hour
+ * @rateLimit 3 requests per hour per IP, 3 per hour per email
  */
 router.post(
   '/forgot-password',
@@ -169,13 +255,14 @@ router.post(
     max: 3, // limit each IP to 3 requests per windowMs
     message: 'Too many password reset requests, please try again later.'
   }),
-  (req, res) => {
-    // This would be implemented in authController
-    res.status(501).json({
-      success: false,
-      message: 'Password reset functionality not implemented yet'
-    });
-  }
+  authValidations.forgotPassword,
+  rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3, // limit each email address to 3 requests per windowMs
+    message: 'Too many password reset emails requested for this email, please try again later.',
+    keyGenerator: req => req.body.email
+  }),
+  forgotPassword
 );
 
 /**
@@ -191,13 +278,8 @@ router.post(
     max: 5, // limit each IP to 5 requests per windowMs
     message: 'Too many password reset attempts, please try again later.'
   }),
-  (req, res) => {
-    // This would be implemented in authController
-    res.status(501).json({
-      success: false,
-      message: 'Password reset functionality not implemented yet'
-    });
-  }
+  authValidations.resetPassword,
+  resetPassword
 );
 
 // ========== EMAIL VERIFICATION ROUTES ==========
@@ -205,24 +287,19 @@ router.post(
 /**
  * @route   POST /api/auth/send-verification
  * @desc    Send email verification
- * @access  Private
+ * @access  Private (unverified users allowed)
  * @rateLimit 3 requests per hour
  */
 router.post(
   '/send-verification',
+  allowUnverified,
   auth,
   rateLimit({
     windowMs: 60 * 60 * 1000, // 1 hour
     max: 3, // limit each IP to 3 requests per windowMs
     message: 'Too many verification email requests, please try again later.'
   }),
-  (req, res) => {
-    // This would be implemented in authController
-    res.status(501).json({
-      success: false,
-      message: 'Email verification functionality not implemented yet'
-    });
-  }
+  sendVerification
 );
 
 /**
@@ -238,13 +315,242 @@ router.get(
     max: 10, // limit each IP to 10 requests per windowMs
     message: 'Too many email verification attempts, please try again later.'
   }),
-  (req, res) => {
-    // This would be implemented in authController
-    res.status(501).json({
-      success: false,
-      message: 'Email verification functionality not implemented yet'
-    });
-  }
+  authValidations.verifyEmail,
+  verifyEmail
+);
+
+// ========== ACCOUNT LOCKOUT ROUTES ==========
+
+/**
+ * @route   POST /api/auth/unlock-account
+ * @desc    Request a new account unlock email
+ * @access  Public
+ * @rateLimit 3 requests per hour per IP, 3 per hour per email
+ */
+router.post(
+  '/unlock-account',
+  rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3, // limit each IP to 3 requests per windowMs
+    message: 'Too many unlock requests, please try again later.'
+  }),
+  authValidations.unlockRequest,
+  rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3, // limit each email address to 3 requests per windowMs
+    message: 'Too many unlock emails requested for this email, please try again later.',
+    keyGenerator: req => req.body.email
+  }),
+  requestAccountUnlock
+);
+
+/**
+ * @route   GET /api/auth/unlock-account/:token
+ * @desc    Unlock account with the emailed token
+ * @access  Public
+ * @rateLimit 10 requests per hour
+ */
+router.get(
+  '/unlock-account/:token',
+  rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // limit each IP to 10 requests per windowMs
+    message: 'Too many unlock attempts, please try again later.'
+  }),
+  authValidations.unlockAccount,
+  unlockAccountWithToken
+);
+
+/**
+ * @route   GET /api/auth/login-protection/accounts
+ * @desc    Accounts with the most failed logins recently
+ * @access  Private (Permission: security:read)
+ */
+router.get(
+  '/login-protection/accounts',
+  requirePermission('security:read'),
+  getTargetedAccounts
+);
+
+/**
+ * @route   GET /api/auth/login-protection/events
+ * @desc    Get login protection events
+ * @access  Private (Permission: security:read)
+ */
+router.get(
+  '/login-protection/events',
+  requirePermission('security:read'),
+  getLoginEvents
+);
+
+/**
+ * @route   POST /api/auth/login-protection/accounts/:userId/unlock
+ * @desc    Unlock a locked account
+ * @access  Private (Permission: accounts:unlock)
+ */
+router.post(
+  '/login-protection/accounts/:userId/unlock',
+  requirePermission('accounts:unlock'),
+  adminUnlockAccount
+);
+
+// ========== TWO-FACTOR AUTHENTICATION ROUTES ==========
+
+/**
+ * @route   POST /api/auth/2fa/verify-login
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (requires challenge token from login)
+ * @rateLimit 10 requests per 15 minutes
+ */
+router.post(
+  '/2fa/verify-login',
+  rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // limit each IP to 10 requests per windowMs
+    message: 'Too many two-factor attempts, please try again later.'
+  }),
+  verifyTwoFactorLogin
+);
+
+/**
+ * @route   GET /api/auth/2fa/status
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get(
+  '/2fa/status',
+  auth,
+  getTwoFactorStatus
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Generate a TOTP secret and otpauth URI
+ * @access  Private
+ */
+router.post(
+  '/2fa/setup',
+  auth,
+  setupTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm TOTP enrollment and receive recovery codes
+ * @access  Private
+ * @rateLimit 10 requests per 15 minutes
+ */
+router.post(
+  '/2fa/enable',
+  auth,
+  rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // limit each IP to 10 requests per windowMs
+    message: 'Too many two-factor attempts, please try again later.'
+  }),
+  authValidations.twoFactorCode,
+  enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ * @rateLimit 5 requests per hour
+ */
+router.post(
+  '/2fa/disable',
+  auth,
+  rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // limit each IP to 5 requests per windowMs
+    message: 'Too many two-factor attempts, please try again later.'
+  }),
+  disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ * @rateLimit 5 requests per hour
+ */
+router.post(
+  '/2fa/recovery-codes',
+  auth,
+  rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // limit each IP to 5 requests per windowMs
+    message: 'Too many recovery code requests, please try again later.'
+  }),
+  authValidations.twoFactorCode,
+  regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/2fa/policy
+ * @desc    Get admin two-factor policy
+ * @access  Private (Permission: security:manage)
+ */
+router.get(
+  '/2fa/policy',
+  requirePermission('security:manage'),
+  getTwoFactorPolicy
+);
+
+/**
+ * @route   PUT /api/auth/2fa/policy
+ * @desc    Require two-factor authentication for admin accounts
+ * @access  Private (Permission: security:manage)
+ */
+router.put(
+  '/2fa/policy',
+  requirePermission('security:manage'),
+  updateTwoFactorPolicy
+);
+
+// ========== OPENID CONNECT ROUTES ==========
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List enabled OpenID Connect providers
+ * @access  Public
+ */
+router.get(
+  '/oidc/providers',
+  getOidcProviders
+);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/authorize
+ * @desc    Redirect to the provider (or return its URL for JSON clients)
+ * @access  Public
+ * @rateLimit 20 requests per 15 minutes
+ */
+router.get(
+  '/oidc/:provider/authorize',
+  rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // limit each IP to 20 requests per windowMs
+    message: 'Too many sign-in attempts, please try again later.'
+  }),
+  startOidcLogin
+);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @desc    Complete sign-in with the provider's authorization code
+ * @access  Public
+ * @rateLimit 20 requests per 15 minutes
+ */
+router.get(
+  '/oidc/:provider/callback',
+  rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // limit each IP to 20 requests per windowMs
+    message: 'Too many sign-in attempts, please try again later.'
+  }),
+  oidcCallback
 );
 
 // ========== ACCOUNT MANAGEMENT ROUTES ==========
@@ -257,13 +563,7 @@ router.get(
 router.get(
   '/sessions',
   auth,
-  (req, res) => {
-    // This would be implemented to show active sessions
-    res.status(501).json({
-      success: false,
-      message: 'Session management not implemented yet'
-    });
-  }
+  getSessions
 );
 
 /**
@@ -274,13 +574,7 @@ router.get(
 router.delete(
   '/sessions/:sessionId',
   auth,
-  (req, res) => {
-    // This would be implemented to revoke sessions
-    res.status(501).json({
-      success: false,
-      message: 'Session management not implemented yet'
-    });
-  }
+  revokeSession
 );
 
 /**
@@ -291,13 +585,64 @@ router.delete(
 router.delete(
   '/sessions',
   auth,
-  (req, res) => {
-    // This would be implemented to revoke all other sessions
-    res.status(501).json({
-      success: false,
-      message: 'Session management not implemented yet'
-    });
-  }
+  revokeOtherSessions
+);
+
+/**
+ * @route   GET /api/auth/security-activity
+ * @desc    Get the user's recent security activity
+ * @access  Private
+ */
+router.get(
+  '/security-activity',
+  auth,
+  validatePagination,
+  handleValidationErrors,
+  getSecurityActivity
+);
+
+// ========== PERSONAL ACCESS TOKEN ROUTES ==========
+// Managed with a login session only; access tokens can't create or revoke tokens
+
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    List personal access tokens and available scopes
+ * @access  Private
+ */
+router.get(
+  '/tokens',
+  auth,
+  getAccessTokens
+);
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Create a personal access token
+ * @access  Private
+ * @rateLimit 10 requests per hour
+ */
+router.post(
+  '/tokens',
+  auth,
+  rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // limit each IP to 10 requests per windowMs
+    message: 'Too many access tokens created, please try again later.'
+  }),
+  authValidations.createAccessToken,
+  createAccessToken
+);
+
+/**
+ * @route   DELETE /api/auth/tokens/:tokenId
+ * @desc    Revoke a personal access token
+ * @access  Private
+ */
+router.delete(
+  '/tokens/:tokenId',
+  auth,
+  authValidations.accessTokenId,
+  revokeAccessToken
 );
 
 // ========== HEALTH CHECK ROUTE ==========
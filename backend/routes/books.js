@@ -1,6 +1,7 @@
 import express from 'express';
 import {
   searchBooks,
+  autocompleteBooks,
   getBookById,
   getBooksByGenre,
   getTrendingBooks,
@@ -9,7 +10,7 @@ import {
   addBookReview,
   getBookReviews
 } from '../controllers/bookController.js';
-import { auth, optionalAuth, rateLimit } from '../middleware/auth.js';
+import { auth, requireScope, optionalAuth, rateLimit } from '../middleware/auth.js';
 import { bookValidations, validatePagination, handleValidationErrors } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -34,6 +35,23 @@ router.get(
   searchBooks
 );
 
+/**
+ * @route   GET /api/books/autocomplete
+ * @desc    Search-as-you-type suggestions (titles, authors, series) from the local catalog
+ * @access  Public
+ * @rateLimit 120 requests per minute
+ */
+router.get(
+  '/autocomplete',
+  rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 120, // one request per keystroke adds up quickly
+    message: 'Too many autocomplete requests, please try again later.'
+  }),
+  bookValidations.autocomplete,
+  autocompleteBooks
+);
+
 /**
  * @route   GET /api/books/:id
  * @desc    Get book by ID (local or Google Books ID)
@@ -126,7 +144,7 @@ router.get(
 /**
  * @route   GET /api/books/recommendations
  * @desc    Get book recommendations for user
- * @access  Private
+ * @access  Private (Token scope: books:read)
  * @rateLimit 30 requests per minute
  */
 router.get(
@@ -136,6 +154,7 @@ router.get(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many recommendation requests, please try again later.'
   }),
+  requireScope('books:read'),
   auth,
   validatePagination,
   handleValidationErrors,
@@ -145,7 +164,7 @@ router.get(
 /**
  * @route   POST /api/books/:id/reviews
  * @desc    Add book review/rating
- * @access  Private
+ * @access  Private (Token scope: reviews:write)
  * @rateLimit 20 requests per minute
  */
 router.post(
@@ -155,6 +174,7 @@ router.post(
     max: 20, // limit each IP to 20 requests per windowMs
     message: 'Too many review submissions, please try again later.'
   }),
+  requireScope('reviews:write'),
   auth,
   bookValidations.bookId,
   bookValidations.review,
@@ -356,7 +376,7 @@ router.post(
 /**
  * @route   POST /api/books/:id/wishlist
  * @desc    Add book to wishlist
- * @access  Private
+ * @access  Private (Token scope: bookshelf:write)
  * @rateLimit 30 requests per minute
  */
 router.post(
@@ -366,6 +386,7 @@ router.post(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many wishlist requests, please try again later.'
   }),
+  requireScope('bookshelf:write'),
   auth,
   bookValidations.bookId,
   (req, res) => {
@@ -385,7 +406,7 @@ router.post(
 /**
  * @route   DELETE /api/books/:id/wishlist
  * @desc    Remove book from wishlist
- * @access  Private
+ * @access  Private (Token scope: bookshelf:write)
  * @rateLimit 30 requests per minute
  */
 router.delete(
@@ -395,6 +416,7 @@ router.delete(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many wishlist removal requests, please try again later.'
   }),
+  requireScope('bookshelf:write'),
   auth,
   bookValidations.bookId,
   (req, res) => {
@@ -473,6 +495,7 @@ router.get('/health', (req, res) => {
     version: '1.0.0',
     endpoints: {
       search: '/api/books/search',
+      autocomplete: '/api/books/autocomplete',
       bookDetails: '/api/books/:id',
       genres: '/api/books/genre/:genre',
       trending: '/api/books/trending',
@@ -506,6 +529,7 @@ router.get('/metadata', (req, res) => {
       endpoints: {
         public: [
           'GET /api/books/search',
+          'GET /api/books/autocomplete',
           'GET /api/books/:id',
           'GET /api/books/genre/:genre',
           'GET /api/books/trending',
@@ -522,6 +546,7 @@ router.get('/metadata', (req, res) => {
       },
       rateLimiting: {
         search: '60 requests per minute',
+        autocomplete: '120 requests per minute',
         bookDetails: '100 requests per minute',
         reviews: '20 requests per minute',
         recommendations: '30 requests per minute'
@@ -540,6 +565,7 @@ router.use('*', (req, res) => {
     code: 'BOOK_ROUTE_NOT_FOUND',
     availableEndpoints: [
       '/api/books/search',
+      '/api/books/autocomplete',
       '/api/books/:id',
       '/api/books/genre/:genre',
       '/api/books/trending',
@@ -13,7 +13,7 @@ import {
   getCommunityStats,
   getUserCommunities
 } from '../controllers/communityController.js';
-import { auth, requireCommunityRole, rateLimit } from '../middleware/auth.js';
+import { auth, requireScope, requireVerifiedEmail, requireCommunityRole, rateLimit } from '../middleware/auth.js';
 import { communityValidations, validatePagination, handleValidationErrors } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -96,7 +96,7 @@ router.get(
 /**
  * @route   POST /api/communities
  * @desc    Create a new community/reading group
- * @access  Private
+ * @access  Private (Token scope: communities:write)
  * @rateLimit 10 requests per hour
  */
 router.post(
@@ -106,7 +106,9 @@ router.post(
     max: 10, // limit each IP to 10 requests per windowMs
     message: 'Too many community creation attempts, please try again later.'
   }),
+  requireScope('communities:write'),
   auth,
+  requireVerifiedEmail,
   communityValidations.create,
   createCommunity
 );
@@ -114,7 +116,7 @@ router.post(
 /**
  * @route   POST /api/communities/:id/join
  * @desc    Join a community
- * @access  Private
+ * @access  Private (Token scope: communities:write)
  * @rateLimit 30 requests per minute
  */
 router.post(
@@ -124,6 +126,7 @@ router.post(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many join requests, please try again later.'
   }),
+  requireScope('communities:write'),
   auth,
   communityValidations.communityId,
   joinCommunity
@@ -132,7 +135,7 @@ router.post(
 /**
  * @route   POST /api/communities/:id/leave
  * @desc    Leave a community
- * @access  Private
+ * @access  Private (Token scope: communities:write)
  * @rateLimit 30 requests per minute
  */
 router.post(
@@ -142,6 +145,7 @@ router.post(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many leave requests, please try again later.'
   }),
+  requireScope('communities:write'),
   auth,
   communityValidations.communityId,
   leaveCommunity
@@ -150,7 +154,7 @@ router.post(
 /**
  * @route   GET /api/communities/user/joined
  * @desc    Get user's communities
- * @access  Private
+ * @access  Private (Token scope: communities:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -160,6 +164,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many user community requests, please try again later.'
   }),
+  requireScope('communities:read'),
   auth,
   validatePagination,
   handleValidationErrors,
@@ -171,7 +176,7 @@ router.get(
 /**
  * @route   POST /api/communities/:id/discussions
  * @desc    Create a discussion post in community
- * @access  Private (Community Members Only)
+ * @access  Private (Community Members Only, Token scope: communities:write)
  * @rateLimit 20 requests per minute
  */
 router.post(
@@ -181,7 +186,9 @@ router.post(
     max: 20, // limit each IP to 20 requests per windowMs
     message: 'Too many discussion creation attempts, please try again later.'
   }),
+  requireScope('communities:write'),
   auth,
+  requireVerifiedEmail,
   communityValidations.communityId,
   communityValidations.discussion,
   createDiscussion
@@ -190,7 +197,7 @@ router.post(
 /**
  * @route   POST /api/communities/:id/discussions/:discussionId/like
  * @desc    Like/unlike a discussion
- * @access  Private (Community Members Only)
+ * @access  Private (Community Members Only, Token scope: communities:write)
  * @rateLimit 60 requests per minute
  */
 router.post(
@@ -200,6 +207,7 @@ router.post(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many like requests, please try again later.'
   }),
+  requireScope('communities:write'),
   auth,
   communityValidations.communityId,
   toggleDiscussionLike
@@ -208,7 +216,7 @@ router.post(
 /**
  * @route   POST /api/communities/:id/discussions/:discussionId/comments
  * @desc    Add comment to discussion
- * @access  Private (Community Members Only)
+ * @access  Private (Community Members Only, Token scope: communities:write)
  * @rateLimit 30 requests per minute
  */
 router.post(
@@ -218,7 +226,9 @@ router.post(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many comment requests, please try again later.'
   }),
+  requireScope('communities:write'),
   auth,
+  requireVerifiedEmail,
   communityValidations.communityId,
   communityValidations.comment,
   addComment
@@ -229,7 +239,7 @@ router.post(
 /**
  * @route   PUT /api/communities/:id/current-book
  * @desc    Set current book for community
- * @access  Private (Admin/Moderator Only)
+ * @access  Private (Admin/Moderator Only, Token scope: communities:write)
  * @rateLimit 10 requests per minute
  */
 router.put(
@@ -239,6 +249,7 @@ router.put(
     max: 10, // limit each IP to 10 requests per windowMs
     message: 'Too many book update requests, please try again later.'
   }),
+  requireScope('communities:write'),
   auth,
   communityValidations.communityId,
   requireCommunityRole(['admin', 'moderator']),
@@ -439,7 +450,7 @@ router.post(
 /**
  * @route   POST /api/communities/:id/events/:eventId/rsvp
  * @desc    RSVP to a community event
- * @access  Private (Community Members Only)
+ * @access  Private (Community Members Only, Token scope: communities:write)
  * @rateLimit 30 requests per minute
  */
 router.post(
@@ -449,6 +460,7 @@ router.post(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many RSVP requests, please try again later.'
   }),
+  requireScope('communities:write'),
   auth,
   communityValidations.communityId,
   (req, res) => {
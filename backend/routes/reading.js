@@ -11,7 +11,7 @@ import {
   addReadingNote,
   getReadingNotes
 } from '../controllers/readingController.js';
-import { auth, rateLimit } from '../middleware/auth.js';
+import { auth, requireScope, rateLimit } from '../middleware/auth.js';
 import { readingValidations, validatePagination, handleValidationErrors } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -21,7 +21,7 @@ const router = express.Router();
 /**
  * @route   POST /api/reading/sessions/start
  * @desc    Start a new reading session
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 30 requests per minute
  */
 router.post(
@@ -31,6 +31,7 @@ router.post(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many session start requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   readingValidations.startSession,
   startReadingSession
@@ -39,7 +40,7 @@ router.post(
 /**
  * @route   PUT /api/reading/sessions/update
  * @desc    Update reading progress
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 60 requests per minute
  */
 router.put(
@@ -49,6 +50,7 @@ router.put(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many progress update requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   readingValidations.updateProgress,
   updateReadingProgress
@@ -57,7 +59,7 @@ router.put(
 /**
  * @route   PUT /api/reading/sessions/pause
  * @desc    Pause reading session
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 30 requests per minute
  */
 router.put(
@@ -67,6 +69,7 @@ router.put(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many pause requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   readingValidations.updateProgress,
   pauseReadingSession
@@ -75,7 +78,7 @@ router.put(
 /**
  * @route   PUT /api/reading/sessions/resume
  * @desc    Resume reading session
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 30 requests per minute
  */
 router.put(
@@ -85,6 +88,7 @@ router.put(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many resume requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   readingValidations.updateProgress,
   resumeReadingSession
@@ -93,7 +97,7 @@ router.put(
 /**
  * @route   POST /api/reading/sessions/complete
  * @desc    End reading session and mark as completed
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 20 requests per minute
  */
 router.post(
@@ -103,6 +107,7 @@ router.post(
     max: 20, // limit each IP to 20 requests per windowMs
     message: 'Too many session completion requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   readingValidations.completeSession,
   completeReadingSession
@@ -111,7 +116,7 @@ router.post(
 /**
  * @route   GET /api/reading/sessions/current
  * @desc    Get current reading sessions
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -121,6 +126,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many current session requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   validatePagination,
   handleValidationErrors,
@@ -132,7 +138,7 @@ router.get(
 /**
  * @route   GET /api/reading/history
  * @desc    Get reading history
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -142,6 +148,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many history requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   validatePagination,
   handleValidationErrors,
@@ -151,7 +158,7 @@ router.get(
 /**
  * @route   GET /api/reading/statistics
  * @desc    Get reading statistics
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -161,6 +168,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many statistics requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   getReadingStatistics
 );
@@ -170,7 +178,7 @@ router.get(
 /**
  * @route   POST /api/reading/notes
  * @desc    Add reading note
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 30 requests per minute
  */
 router.post(
@@ -180,6 +188,7 @@ router.post(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many note creation requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   addReadingNote
 );
@@ -187,7 +196,7 @@ router.post(
 /**
  * @route   GET /api/reading/sessions/:sessionId/notes
  * @desc    Get reading notes for a session
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -197,6 +206,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many note requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   getReadingNotes
 );
@@ -206,7 +216,7 @@ router.get(
 /**
  * @route   GET /api/reading/goals
  * @desc    Get reading goals and progress
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -216,6 +226,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many goal requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   (req, res) => {
     // This would be implemented to get reading goals
@@ -229,7 +240,7 @@ router.get(
 /**
  * @route   POST /api/reading/goals
  * @desc    Set or update reading goals
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 20 requests per minute
  */
 router.post(
@@ -239,6 +250,7 @@ router.post(
     max: 20, // limit each IP to 20 requests per windowMs
     message: 'Too many goal update requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   (req, res) => {
     // This would be implemented to set reading goals
@@ -259,7 +271,7 @@ router.post(
 /**
  * @route   GET /api/reading/achievements
  * @desc    Get reading achievements and badges
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -269,6 +281,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many achievement requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   (req, res) => {
     // This would be implemented to get achievements
@@ -284,7 +297,7 @@ router.get(
 /**
  * @route   GET /api/reading/analytics/daily
  * @desc    Get daily reading analytics
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -294,6 +307,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many analytics requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   (req, res) => {
     // This would be implemented to get daily analytics
@@ -312,7 +326,7 @@ router.get(
 /**
  * @route   GET /api/reading/analytics/patterns
  * @desc    Get reading patterns and habits
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -322,6 +336,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many pattern requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   (req, res) => {
     // This would be implemented to get reading patterns
@@ -335,7 +350,7 @@ router.get(
 /**
  * @route   GET /api/reading/analytics/genres
  * @desc    Get reading statistics by genre
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -345,6 +360,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many genre analytics requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   (req, res) => {
     // This would be implemented to get genre statistics
@@ -360,7 +376,7 @@ router.get(
 /**
  * @route   POST /api/reading/bookmarks
  * @desc    Add a bookmark
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 30 requests per minute
  */
 router.post(
@@ -370,6 +386,7 @@ router.post(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many bookmark requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   (req, res) => {
     // This would be implemented to add bookmarks
@@ -390,7 +407,7 @@ router.post(
 /**
  * @route   GET /api/reading/sessions/:sessionId/bookmarks
  * @desc    Get bookmarks for a reading session
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -400,6 +417,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many bookmark requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   (req, res) => {
     // This would be implemented to get bookmarks
@@ -418,7 +436,7 @@ router.get(
 /**
  * @route   POST /api/reading/highlights
  * @desc    Add a highlight
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 30 requests per minute
  */
 router.post(
@@ -428,6 +446,7 @@ router.post(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many highlight requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   (req, res) => {
     // This would be implemented to add highlights
@@ -449,7 +468,7 @@ router.post(
 /**
  * @route   GET /api/reading/sessions/:sessionId/highlights
  * @desc    Get highlights for a reading session
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -459,6 +478,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many highlight requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   (req, res) => {
     // This would be implemented to get highlights
@@ -479,7 +499,7 @@ router.get(
 /**
  * @route   GET /api/reading/reminders
  * @desc    Get reading reminders
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -489,6 +509,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many reminder requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   (req, res) => {
     // This would be implemented to get reading reminders
@@ -502,7 +523,7 @@ router.get(
 /**
  * @route   POST /api/reading/reminders
  * @desc    Set reading reminder
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 20 requests per minute
  */
 router.post(
@@ -512,6 +533,7 @@ router.post(
     max: 20, // limit each IP to 20 requests per windowMs
     message: 'Too many reminder creation requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   (req, res) => {
     // This would be implemented to set reminders
@@ -535,7 +557,7 @@ router.post(
 /**
  * @route   GET /api/reading/challenges
  * @desc    Get reading challenges
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -545,6 +567,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many challenge requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   (req, res) => {
     // This would be implemented to get reading challenges
@@ -558,7 +581,7 @@ router.get(
 /**
  * @route   POST /api/reading/challenges/:challengeId/join
  * @desc    Join a reading challenge
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 20 requests per minute
  */
 router.post(
@@ -568,6 +591,7 @@ router.post(
     max: 20, // limit each IP to 20 requests per windowMs
     message: 'Too many challenge join requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   (req, res) => {
     // This would be implemented to join challenges
@@ -588,7 +612,7 @@ router.post(
 /**
  * @route   GET /api/reading/streak
  * @desc    Get current reading streak
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -598,6 +622,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many streak requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   (req, res) => {
     // This would be implemented to get reading streak
@@ -611,7 +636,7 @@ router.get(
 /**
  * @route   GET /api/reading/streak/history
  * @desc    Get reading streak history
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -621,6 +646,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many streak history requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   (req, res) => {
     // This would be implemented to get streak history
@@ -9,9 +9,15 @@ import {
   getUserStatistics,
   updateReadingGoals,
   searchUsers,
-  deleteAccount
+  deleteAccount,
+  requestDataExport,
+  getDataExportStatus,
+  downloadDataExport,
+  requestLibraryImport,
+  getLibraryImportStatus
 } from '../controllers/userController.js';
-import { auth, rateLimit, optionalAuth } from '../middleware/auth.js';
+import { auth, requireScope, rateLimit, optionalAuth } from '../middleware/auth.js';
+import { uploadImportFile } from '../middleware/upload.js';
 import { userValidations, validatePagination, handleValidationErrors } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -58,7 +64,7 @@ router.get(
 /**
  * @route   PUT /api/users/profile
  * @desc    Update user profile
- * @access  Private
+ * @access  Private (Token scope: profile:write)
  * @rateLimit 30 requests per minute
  */
 router.put(
@@ -68,6 +74,7 @@ router.put(
     max: 30, // limit each IP to 30 requests per windowMs
     message: 'Too many profile update requests, please try again later.'
   }),
+  requireScope('profile:write'),
   auth,
   userValidations.profileUpdate,
   updateUserProfile
@@ -76,7 +83,7 @@ router.put(
 /**
  * @route   POST /api/users/bookshelf
  * @desc    Add book to user's bookshelf
- * @access  Private
+ * @access  Private (Token scope: bookshelf:write)
  * @rateLimit 60 requests per minute
  */
 router.post(
@@ -86,6 +93,7 @@ router.post(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many bookshelf update requests, please try again later.'
   }),
+  requireScope('bookshelf:write'),
   auth,
   userValidations.bookshelf,
   addToBookshelf
@@ -94,7 +102,7 @@ router.post(
 /**
  * @route   DELETE /api/users/bookshelf
  * @desc    Remove book from user's bookshelf
- * @access  Private
+ * @access  Private (Token scope: bookshelf:write)
  * @rateLimit 60 requests per minute
  */
 router.delete(
@@ -104,6 +112,7 @@ router.delete(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many bookshelf removal requests, please try again later.'
   }),
+  requireScope('bookshelf:write'),
   auth,
   userValidations.bookshelf,
   removeFromBookshelf
@@ -112,7 +121,7 @@ router.delete(
 /**
  * @route   GET /api/users/bookshelf/:shelfType?
  * @desc    Get user's bookshelf
- * @access  Private
+ * @access  Private (Token scope: bookshelf:read)
  * @rateLimit 100 requests per minute
  */
 router.get(
@@ -122,6 +131,7 @@ router.get(
     max: 100, // limit each IP to 100 requests per windowMs
     message: 'Too many bookshelf requests, please try again later.'
   }),
+  requireScope('bookshelf:read'),
   auth,
   validatePagination,
   handleValidationErrors,
@@ -131,7 +141,7 @@ router.get(
 /**
  * @route   PUT /api/users/reading-progress
  * @desc    Update reading progress for a book
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 60 requests per minute
  */
 router.put(
@@ -141,6 +151,7 @@ router.put(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many progress update requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   userValidations.readingProgress,
   updateReadingProgress
@@ -149,7 +160,7 @@ router.put(
 /**
  * @route   GET /api/users/statistics
  * @desc    Get user's reading statistics
- * @access  Private
+ * @access  Private (Token scope: profile:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -159,6 +170,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many statistics requests, please try again later.'
   }),
+  requireScope('profile:read'),
   auth,
   getUserStatistics
 );
@@ -166,7 +178,7 @@ router.get(
 /**
  * @route   PUT /api/users/reading-goals
  * @desc    Update user's reading goals
- * @access  Private
+ * @access  Private (Token scope: reading:write)
  * @rateLimit 20 requests per minute
  */
 router.put(
@@ -176,6 +188,7 @@ router.put(
     max: 20, // limit each IP to 20 requests per windowMs
     message: 'Too many goal update requests, please try again later.'
   }),
+  requireScope('reading:write'),
   auth,
   userValidations.readingGoals,
   updateReadingGoals
@@ -183,7 +196,7 @@ router.put(
 
 /**
  * @route   DELETE /api/users/account
- * @desc    Delete user account
+ * @desc    Deactivate user account (purged after a 30-day grace period)
  * @access  Private
  * @rateLimit 5 requests per hour
  */
@@ -380,7 +393,7 @@ router.get(
 /**
  * @route   GET /api/users/activity/reading-history
  * @desc    Get user's reading history
- * @access  Private
+ * @access  Private (Token scope: reading:read)
  * @rateLimit 60 requests per minute
  */
 router.get(
@@ -390,6 +403,7 @@ router.get(
     max: 60, // limit each IP to 60 requests per windowMs
     message: 'Too many reading history requests, please try again later.'
   }),
+  requireScope('reading:read'),
   auth,
   validatePagination,
   handleValidationErrors,
@@ -663,7 +677,7 @@ router.get(
 
 /**
  * @route   POST /api/users/export/data
- * @desc    Request export of user data
+ * @desc    Request export of user data (one per day; built in the background)
  * @access  Private
  * @rateLimit 5 requests per day
  */
@@ -675,13 +689,7 @@ router.post(
     message: 'Too many data export requests, please try again tomorrow.'
   }),
   auth,
-  (req, res) => {
-    // This would be implemented to export user data
-    res.status(501).json({
-      success: false,
-      message: 'Data export functionality not implemented yet'
-    });
-  }
+  requestDataExport
 );
 
 /**
@@ -698,18 +706,67 @@ router.get(
     message: 'Too many export status requests, please try again later.'
   }),
   auth,
-  (req, res) => {
-    // This would be implemented to check export status
-    const { requestId } = req.params;
-    
-    res.status(501).json({
-      success: false,
-      message: 'Export status check not implemented yet',
-      data: {
-        requestId
-      }
-    });
-  }
+  userValidations.dataExportId,
+  getDataExportStatus
+);
+
+/**
+ * @route   GET /api/users/export/download/:requestId
+ * @desc    Download a finished data export (JSON + CSV zip archive)
+ * @access  Private
+ * @rateLimit 20 requests per hour
+ */
+router.get(
+  '/export/download/:requestId',
+  rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 20, // limit each IP to 20 downloads per hour
+    message: 'Too many export downloads, please try again later.'
+  }),
+  auth,
+  userValidations.dataExportId,
+  downloadDataExport
+);
+
+// ========== LIBRARY IMPORT ==========
+
+/**
+ * @route   POST /api/users/import/goodreads
+ * @desc    Import a Goodreads library export (multipart CSV in "file"; processed in the background)
+ * @access  Private (Token scope: bookshelf:write)
+ * @rateLimit 10 requests per day
+ */
+router.post(
+  '/import/goodreads',
+  rateLimit({
+    windowMs: 24 * 60 * 60 * 1000, // 24 hours
+    max: 10, // limit each IP to 10 imports per day
+    message: 'Too many import requests, please try again tomorrow.'
+  }),
+  requireScope('bookshelf:write'),
+  auth,
+  uploadImportFile,
+  userValidations.libraryImport,
+  requestLibraryImport
+);
+
+/**
+ * @route   GET /api/users/import/:importId
+ * @desc    Get import status and the per-row report (filter with ?status=matched|ambiguous|failed|skipped)
+ * @access  Private (Token scope: bookshelf:read)
+ * @rateLimit 60 requests per minute
+ */
+router.get(
+  '/import/:importId',
+  rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 60, // limit each IP to 60 requests per windowMs
+    message: 'Too many import status requests, please try again later.'
+  }),
+  requireScope('bookshelf:read'),
+  auth,
+  userValidations.libraryImportReport,
+  getLibraryImportStatus
 );
 
 // ========== HEALTH CHECK & METADATA ==========
@@ -15,8 +15,9 @@ import dotenv from 'dotenv';
 import database from './config/database.js';
 
 // Import middleware
-import { auth, optionalAuth, authLogger, authSecurityHeaders } from './middleware/auth.js';
-import { sanitizeInput, handleValidationErrors } from './middleware/validation.js';
+import { auth, adminAuth, requirePermission, requireScope, optionalAuth, allowUnverified, requireVerifiedEmail, authLogger, authSecurityHeaders } from './middleware/auth.js';
+import { sanitizeInput, handleValidationErrors, authValidations, userValidations, adminValidations, bookValidations } from './middleware/validation.js';
+import { uploadImportFile } from './middleware/upload.js';
 
 // Import controllers
 import authController from './controllers/authController.js';
@@ -24,6 +25,13 @@ import bookController from './controllers/bookController.js';
 import communityController from './controllers/communityController.js';
 import readingController from './controllers/readingController.js';
 import userController from './controllers/userController.js';
+import adminController from './controllers/adminController.js';
+
+// Import background jobs
+import { startAccountPurgeJob, stopAccountPurgeJob } from './jobs/accountPurgeJob.js';
+import { startDataExportJob, stopDataExportJob } from './jobs/dataExportJob.js';
+import { startCatalogRefreshJob, stopCatalogRefreshJob } from './jobs/catalogRefreshJob.js';
+import { startLibraryImportJob, stopLibraryImportJob } from './jobs/libraryImportJob.js';
 
 // Load environment variables
 dotenv.config();
@@ -91,8 +99,80 @@ const authLimiter = rateLimit({
   }
 });
 
+// Magic links are also limited per email address so one inbox can't be flooded
+const magicLinkEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 3, // 3 links per email per 15 minutes
+  keyGenerator: (req) => req.body.email,
+  message: {
+    success: false,
+    message: 'Too many sign-in links requested for this email, please try again later.',
+    code: 'AUTH_RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// Password reset emails, per IP and per email address
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 3, // 3 requests per hour
+  message: {
+    success: false,
+    message: 'Too many password reset requests, please try again later.',
+    code: 'AUTH_RATE_LIMIT_EXCEEDED'
+  }
+});
+
+const forgotPasswordEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 3, // 3 reset emails per email per hour
+  keyGenerator: (req) => req.body.email,
+  message: {
+    success: false,
+    message: 'Too many password reset emails requested for this email, please try again later.',
+    code: 'AUTH_RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// Reset tokens are long, but don't let anyone try them freely
+const resetPasswordLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5, // 5 attempts per hour
+  message: {
+    success: false,
+    message: 'Too many password reset attempts, please try again later.',
+    code: 'AUTH_RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// Unlock emails, limited per email address so one inbox can't be flooded
+const unlockEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 3, // 3 unlock emails per email per hour
+  keyGenerator: (req) => req.body.email,
+  message: {
+    success: false,
+    message: 'Too many unlock emails requested for this email, please try again later.',
+    code: 'AUTH_RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// Second-factor codes, on top of the per-challenge and per-account limits
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10, // 10 codes per 15 minutes
+  message: {
+    success: false,
+    message: 'Too many two-factor attempts, please try again later.',
+    code: 'AUTH_RATE_LIMIT_EXCEEDED'
+  }
+});
+
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/magic-link', authLimiter);
+app.use('/api/auth/2fa/verify-login', twoFactorLimiter);
+app.use('/api/auth/forgot-password', forgotPasswordLimiter);
+app.use('/api/auth/reset-password', resetPasswordLimiter);
 
 // ========== GENERAL MIDDLEWARE ==========
 
@@ -118,7 +198,9 @@ app.use(xss());
 app.use(hpp({
   whitelist: [
     'page', 'limit', 'sort', 'search', 'genre', 'author', 
-    'language', 'orderBy', 'printType', 'maxResults'
+    'language', 'orderBy', 'printType', 'maxResults',
+    // Multi-select search facets
+    'genres', 'languages', 'ratings', 'pageCounts', 'decades', 'formats', 'printTypes'
   ]
 }));
 
@@ -201,61 +283,125 @@ app.get('/status', (req, res) => {
 // ===== AUTHENTICATION ROUTES =====
 app.post('/api/auth/register', handleValidationErrors, authController.register);
 app.post('/api/auth/login', handleValidationErrors, authController.login);
-app.post('/api/auth/logout', auth, authController.logout);
-app.get('/api/auth/profile', auth, authController.getProfile);
-app.put('/api/auth/profile', auth, handleValidationErrors, authController.updateProfile);
+app.post('/api/auth/magic-link', authValidations.magicLinkRequest, magicLinkEmailLimiter, authController.requestMagicLink);
+app.post('/api/auth/magic-link/:token', authValidations.magicLinkLogin, authController.magicLinkLogin);
+app.post('/api/auth/logout', allowUnverified, auth, authController.logout);
+app.get('/api/auth/profile', requireScope('profile:read'), allowUnverified, auth, authController.getProfile);
+app.put('/api/auth/profile', requireScope('profile:write'), auth, handleValidationErrors, authController.updateProfile);
 app.put('/api/auth/change-password', auth, handleValidationErrors, authController.changePassword);
+app.post('/api/auth/forgot-password', authValidations.forgotPassword, forgotPasswordEmailLimiter, authController.forgotPassword);
+app.post('/api/auth/reset-password/:token', authValidations.resetPassword, authController.resetPassword);
 app.post('/api/auth/refresh-token', authController.refreshToken);
+app.get('/api/auth/password-policy', authController.getPasswordPolicy);
 app.get('/api/auth/check-username/:username', authController.checkUsernameAvailability);
-app.get('/api/auth/verify', auth, authController.verifyToken);
+app.get('/api/auth/verify', requireScope('profile:read'), allowUnverified, auth, authController.verifyToken);
+app.post('/api/auth/2fa/verify-login', authController.verifyTwoFactorLogin);
+app.get('/api/auth/2fa/status', auth, authController.getTwoFactorStatus);
+app.post('/api/auth/2fa/setup', auth, authController.setupTwoFactor);
+app.post('/api/auth/2fa/enable', auth, authValidations.twoFactorCode, authController.enableTwoFactor);
+app.post('/api/auth/2fa/disable', auth, authController.disableTwoFactor);
+app.post('/api/auth/2fa/recovery-codes', auth, authValidations.twoFactorCode, authController.regenerateRecoveryCodes);
+app.get('/api/auth/2fa/policy', requirePermission('security:manage'), authController.getTwoFactorPolicy);
+app.put('/api/auth/2fa/policy', requirePermission('security:manage'), authController.updateTwoFactorPolicy);
+app.get('/api/auth/oidc/providers', authController.getOidcProviders);
+app.get('/api/auth/oidc/:provider/authorize', authController.startOidcLogin);
+app.get('/api/auth/oidc/:provider/callback', authController.oidcCallback);
+app.get('/api/auth/sessions', auth, authController.getSessions);
+app.delete('/api/auth/sessions/:sessionId', auth, authController.revokeSession);
+app.delete('/api/auth/sessions', auth, authController.revokeOtherSessions);
+app.get('/api/auth/security-activity', auth, authController.getSecurityActivity);
+app.get('/api/auth/tokens', auth, authController.getAccessTokens);
+app.post('/api/auth/tokens', auth, authValidations.createAccessToken, authController.createAccessToken);
+app.delete('/api/auth/tokens/:tokenId', auth, authValidations.accessTokenId, authController.revokeAccessToken);
+app.post('/api/auth/send-verification', allowUnverified, auth, authController.sendVerification);
+app.get('/api/auth/verify-email/:token', authValidations.verifyEmail, authController.verifyEmail);
+app.post('/api/auth/unlock-account', authValidations.unlockRequest, unlockEmailLimiter, authController.requestAccountUnlock);
+app.get('/api/auth/unlock-account/:token', authValidations.unlockAccount, authController.unlockAccountWithToken);
+app.get('/api/auth/login-protection/accounts', requirePermission('security:read'), authController.getTargetedAccounts);
+app.get('/api/auth/login-protection/events', requirePermission('security:read'), authController.getLoginEvents);
+app.post('/api/auth/login-protection/accounts/:userId/unlock', requirePermission('accounts:unlock'), authController.adminUnlockAccount);
 
 // ===== BOOK ROUTES =====
-app.get('/api/books/search', optionalAuth, bookController.searchBooks);
+app.get('/api/books/search', bookValidations.search, optionalAuth, bookController.searchBooks);
+app.get('/api/books/autocomplete', bookValidations.autocomplete, bookController.autocompleteBooks);
 app.get('/api/books/:id', optionalAuth, bookController.getBookById);
 app.get('/api/books/genre/:genre', optionalAuth, bookController.getBooksByGenre);
 app.get('/api/books/trending', optionalAuth, bookController.getTrendingBooks);
 app.get('/api/books/new-releases', optionalAuth, bookController.getNewReleases);
-app.get('/api/books/recommendations', auth, bookController.getRecommendations);
-app.post('/api/books/:id/reviews', auth, bookController.addBookReview);
+app.get('/api/books/recommendations', requireScope('books:read'), auth, bookController.getRecommendations);
+app.post('/api/books/:id/reviews', requireScope('reviews:write'), auth, bookController.addBookReview);
 app.get('/api/books/:id/reviews', optionalAuth, bookController.getBookReviews);
 
 // ===== COMMUNITY ROUTES =====
-app.post('/api/communities', auth, communityController.createCommunity);
+app.post('/api/communities', requireScope('communities:write'), auth, requireVerifiedEmail, communityController.createCommunity);
 app.get('/api/communities', optionalAuth, communityController.getCommunities);
 app.get('/api/communities/:id', optionalAuth, communityController.getCommunityById);
-app.post('/api/communities/:id/join', auth, communityController.joinCommunity);
-app.post('/api/communities/:id/leave', auth, communityController.leaveCommunity);
-app.post('/api/communities/:id/discussions', auth, communityController.createDiscussion);
+app.post('/api/communities/:id/join', requireScope('communities:write'), auth, communityController.joinCommunity);
+app.post('/api/communities/:id/leave', requireScope('communities:write'), auth, communityController.leaveCommunity);
+app.post('/api/communities/:id/discussions', requireScope('communities:write'), auth, requireVerifiedEmail, communityController.createDiscussion);
 app.get('/api/communities/:id/discussions', optionalAuth, communityController.getDiscussions);
-app.post('/api/communities/:id/discussions/:discussionId/like', auth, communityController.toggleDiscussionLike);
-app.post('/api/communities/:id/discussions/:discussionId/comments', auth, communityController.addComment);
-app.put('/api/communities/:id/current-book', auth, communityController.setCurrentBook);
+app.post('/api/communities/:id/discussions/:discussionId/like', requireScope('communities:write'), auth, communityController.toggleDiscussionLike);
+app.post('/api/communities/:id/discussions/:discussionId/comments', requireScope('communities:write'), auth, requireVerifiedEmail, communityController.addComment);
+app.put('/api/communities/:id/current-book', requireScope('communities:write'), auth, communityController.setCurrentBook);
 app.get('/api/communities/:id/statistics', optionalAuth, communityController.getCommunityStats);
-app.get('/api/communities/user/joined', auth, communityController.getUserCommunities);
+app.get('/api/communities/user/joined', requireScope('communities:read'), auth, communityController.getUserCommunities);
 
 // ===== READING ROUTES =====
-app.post('/api/reading/sessions/start', auth, readingController.startReadingSession);
-app.put('/api/reading/sessions/update', auth, readingController.updateReadingProgress);
-app.put('/api/reading/sessions/pause', auth, readingController.pauseReadingSession);
-app.put('/api/reading/sessions/resume', auth, readingController.resumeReadingSession);
-app.post('/api/reading/sessions/complete', auth, readingController.completeReadingSession);
-app.get('/api/reading/sessions/current', auth, readingController.getCurrentSessions);
-app.get('/api/reading/history', auth, readingController.getReadingHistory);
-app.get('/api/reading/statistics', auth, readingController.getReadingStatistics);
-app.post('/api/reading/notes', auth, readingController.addReadingNote);
-app.get('/api/reading/sessions/:sessionId/notes', auth, readingController.getReadingNotes);
+app.post('/api/reading/sessions/start', requireScope('reading:write'), auth, readingController.startReadingSession);
+app.put('/api/reading/sessions/update', requireScope('reading:write'), auth, readingController.updateReadingProgress);
+app.put('/api/reading/sessions/pause', requireScope('reading:write'), auth, readingController.pauseReadingSession);
+app.put('/api/reading/sessions/resume', requireScope('reading:write'), auth, readingController.resumeReadingSession);
+app.post('/api/reading/sessions/complete', requireScope('reading:write'), auth, readingController.completeReadingSession);
+app.get('/api/reading/sessions/current', requireScope('reading:read'), auth, readingController.getCurrentSessions);
+app.get('/api/reading/history', requireScope('reading:read'), auth, readingController.getReadingHistory);
+app.get('/api/reading/statistics', requireScope('reading:read'), auth, readingController.getReadingStatistics);
+app.post('/api/reading/notes', requireScope('reading:write'), auth, readingController.addReadingNote);
+app.get('/api/reading/sessions/:sessionId/notes', requireScope('reading:read'), auth, readingController.getReadingNotes);
 
 // ===== USER ROUTES =====
 app.get('/api/users/:identifier', optionalAuth, userController.getUserProfile);
-app.put('/api/users/profile', auth, userController.updateUserProfile);
-app.post('/api/users/bookshelf', auth, userController.addToBookshelf);
-app.delete('/api/users/bookshelf', auth, userController.removeFromBookshelf);
-app.get('/api/users/bookshelf/:shelfType?', auth, userController.getBookshelf);
-app.put('/api/users/reading-progress', auth, userController.updateReadingProgress);
-app.get('/api/users/statistics', auth, userController.getUserStatistics);
-app.put('/api/users/reading-goals', auth, userController.updateReadingGoals);
+app.put('/api/users/profile', requireScope('profile:write'), auth, userController.updateUserProfile);
+app.post('/api/users/bookshelf', requireScope('bookshelf:write'), auth, userController.addToBookshelf);
+app.delete('/api/users/bookshelf', requireScope('bookshelf:write'), auth, userController.removeFromBookshelf);
+app.get('/api/users/bookshelf/:shelfType?', requireScope('bookshelf:read'), auth, userController.getBookshelf);
+app.put('/api/users/reading-progress', requireScope('reading:write'), auth, userController.updateReadingProgress);
+app.get('/api/users/statistics', requireScope('profile:read'), auth, userController.getUserStatistics);
+app.put('/api/users/reading-goals', requireScope('reading:write'), auth, userController.updateReadingGoals);
 app.get('/api/users/search', optionalAuth, userController.searchUsers);
 app.delete('/api/users/account', auth, userController.deleteAccount);
+app.post('/api/users/export/data', auth, userController.requestDataExport);
+app.get('/api/users/export/status/:requestId', auth, userValidations.dataExportId, userController.getDataExportStatus);
+app.get('/api/users/export/download/:requestId', auth, userValidations.dataExportId, userController.downloadDataExport);
+app.post('/api/users/import/goodreads', requireScope('bookshelf:write'), auth, uploadImportFile, userValidations.libraryImport, userController.requestLibraryImport);
+app.get('/api/users/import/:importId', requireScope('bookshelf:read'), auth, userValidations.libraryImportReport, userController.getLibraryImportStatus);
+
+// ===== ADMIN ROUTES =====
+app.get('/api/admin/roles', requirePermission('roles:manage'), adminController.getRoles);
+app.get('/api/admin/roles/history', requirePermission('roles:manage'), adminController.getRoleHistory);
+app.get('/api/admin/users/:userId/roles', requirePermission('roles:manage'), adminValidations.userId, adminController.getUserRoles);
+app.post('/api/admin/users/:userId/roles', requirePermission('roles:manage'), adminValidations.grantRole, adminController.grantRole);
+app.delete('/api/admin/users/:userId/roles/:role', requirePermission('roles:manage'), adminValidations.revokeRole, adminController.revokeRole);
+app.get('/api/admin/users', requirePermission('users:read'), adminValidations.userQuery, adminController.getUsers);
+app.get('/api/admin/users/stats', requirePermission('users:read'), adminController.getUserStats);
+app.get('/api/admin/users/:userId', requirePermission('users:read'), adminValidations.userId, adminController.getUserDetails);
+app.post('/api/admin/users/:userId/suspend', requirePermission('users:manage'), adminValidations.userAction, adminController.suspendUser);
+app.post('/api/admin/users/:userId/reactivate', requirePermission('users:manage'), adminValidations.userAction, adminController.reactivateUser);
+app.post('/api/admin/users/:userId/force-password-reset', requirePermission('users:manage'), adminValidations.userAction, adminController.forcePasswordReset);
+app.get('/api/admin/users/:userId/sessions', requirePermission('users:read'), adminValidations.userId, adminController.getUserSessions);
+app.delete('/api/admin/users/:userId/sessions', requirePermission('users:manage'), adminValidations.userAction, adminController.revokeUserSessions);
+app.get('/api/admin/users/:userId/activity', requirePermission('users:read'), adminValidations.userId, adminController.getUserActivity);
+app.get('/api/admin/audit-log', requirePermission('audit:read'), adminValidations.logQuery, adminController.getAuditLog);
+app.get('/api/admin/security-log', requirePermission('audit:read'), adminValidations.logQuery, adminController.getSecurityLog);
+app.get('/api/admin/metadata-cache', requirePermission('metadata:manage'), adminController.getMetadataCacheStats);
+app.delete('/api/admin/metadata-cache', requirePermission('metadata:manage'), adminController.clearMetadataCache);
+app.get('/api/admin/catalog-refresh', requirePermission('metadata:manage'), adminController.getCatalogRefresh);
+app.post('/api/admin/catalog-refresh', requirePermission('metadata:manage'), adminController.startCatalogRefresh);
+app.get('/api/admin/books/duplicates', requirePermission('books:edit'), adminController.getDuplicateBooks);
+app.post('/api/admin/books/works/rebuild', requirePermission('books:edit'), adminValidations.rebuildWorks, adminController.rebuildBookWorks);
+app.post('/api/admin/books/:bookId/merge', requirePermission('books:delete'), adminValidations.mergeBooks, adminController.mergeDuplicateBooks);
+app.delete('/api/admin/books/:bookId/reviews/:reviewId', requirePermission('reviews:moderate'), adminValidations.removeReview, adminController.removeBookReview);
+app.delete('/api/admin/communities/:communityId/discussions/:discussionId', requirePermission('communities:moderate'), adminValidations.removeDiscussion, adminController.removeDiscussion);
+app.delete('/api/admin/communities/:communityId/discussions/:discussionId/comments/:commentId', requirePermission('communities:moderate'), adminValidations.removeDiscussion, adminController.removeComment);
 
 // ========== ERROR HANDLING MIDDLEWARE ==========
 
@@ -342,6 +488,10 @@ process.on('SIGINT', async () => {
   console.log('\n👋 SIGINT received. Shutting down gracefully...');
   
   try {
+    stopAccountPurgeJob();
+    stopDataExportJob();
+    stopCatalogRefreshJob();
+    stopLibraryImportJob();
     await database.close();
     console.log('✅ Database connection closed.');
     
@@ -366,6 +516,10 @@ process.on('SIGTERM', async () => {
   console.log('\n👋 SIGTERM received. Shutting down gracefully...');
   
   try {
+    stopAccountPurgeJob();
+    stopDataExportJob();
+    stopCatalogRefreshJob();
+    stopLibraryImportJob();
     await database.close();
     server.close(() => {
       process.exit(0);
@@ -413,6 +567,11 @@ const server = app.listen(PORT, () => {
 
 -----------------------------------------
   `);
+
+  startAccountPurgeJob();
+  startDataExportJob();
+  startCatalogRefreshJob();
+  startLibraryImportJob();
 });
 
 export default app;
\ No newline at end of file
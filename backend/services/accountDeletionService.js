@@ -0,0 +1,269 @@
+// backend/services/accountDeletionService.js
+import User from '../models/User.js';
+import Book from '../models/Book.js';
+import Bookshelf from '../models/Bookshelf.js';
+import Community from '../models/Community.js';
+import ReadingSession from '../models/ReadingSession.js';
+import UserSession from '../models/UserSession.js';
+import RefreshToken from '../models/RefreshToken.js';
+import PersonalAccessToken from '../models/PersonalAccessToken.js';
+import LoginEvent from '../models/LoginEvent.js';
+import SecurityAuditLog from '../models/SecurityAuditLog.js';
+import { deleteExportsForUser } from './dataExportService.js';
+import { deleteImportsForUser } from './libraryImportService.js';
+
+/**
+ * Account Deletion Service
+ * Users deactivate their account, keep a grace period to change their mind by
+ * signing in again, and the purge job then removes or anonymizes their data.
+ *
+ * Content other people replied to is anonymized rather than deleted so their
+ * threads stay readable; the author reference is left pointing at the deleted
+ * user, which populates as null ("deleted user").
+ */
+
+const DELETED_PLACEHOLDER = '[deleted]';
+
+/**
+ * Days between deactivation and purge (ACCOUNT_DELETION_GRACE_DAYS, default 30)
+ */
+export const getGracePeriodDays = () => {
+  return parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+};
+
+/**
+ * Deactivate an account and schedule its purge
+ * @returns {Promise<Date>} When the account will be purged
+ */
+export const deactivateAccount = async (user, { reason } = {}) => {
+  const now = new Date();
+  const scheduledPurgeAt = new Date(now.getTime() + getGracePeriodDays() * 24 * 60 * 60 * 1000);
+
+  user.isActive = false;
+  user.deactivation = {
+    requestedAt: now,
+    scheduledPurgeAt,
+    reason
+  };
+  await user.save({ validateBeforeSave: false });
+
+  // Sign out everywhere; access tokens stop working while the account is inactive
+  await UserSession.revokeAllForUser(user._id, 'account_deactivated');
+
+  console.log(`🗑️ Account deactivated: ${user.username} (purge scheduled for ${scheduledPurgeAt.toISOString()})`);
+
+  return scheduledPurgeAt;
+};
+
+/**
+ * Restore a deactivated account (the user signed in during the grace period)
+ */
+export const restoreAccount = async (user) => {
+  user.isActive = true;
+  user.deactivation = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  console.log(`♻️ Account restored: ${user.username}`);
+};
+
+const isUser = (id, userId) => id && id.toString() === userId.toString();
+
+/**
+ * Remove the user's reviews and helpful votes from books
+ */
+const purgeBookReviews = async (userId) => {
+  await Book.updateMany(
+    { 'reviews.helpful.voters': userId },
+    {
+      $inc: { 'reviews.$[review].helpful.votes': -1 },
+      $pull: { 'reviews.$[review].helpful.voters': userId }
+    },
+    { arrayFilters: [{ 'review.helpful.voters': userId }] }
+  );
+
+  const books = await Book.find({ 'reviews.user': userId });
+
+  for (const book of books) {
+    book.reviews = book.reviews.filter(review => !isUser(review.user, userId));
+    book.updateAverageRating();
+    await book.save({ validateBeforeSave: false });
+  }
+
+  return books.length;
+};
+
+/**
+ * Give the community to the longest-standing remaining admin, moderator or member
+ * @returns {boolean} false when nobody is left to own it
+ */
+const transferCommunityOwnership = (community) => {
+  const rank = { admin: 0, moderator: 1, member: 2 };
+  const [successor] = community.members
+    .filter(member => !member.isBanned)
+    .sort((a, b) => rank[a.role] - rank[b.role] || a.joinedAt - b.joinedAt);
+
+  if (!successor) {
+    return false;
+  }
+
+  successor.role = 'admin';
+  community.createdBy = successor.user;
+  return true;
+};
+
+/**
+ * Remove the user from communities and remove or anonymize what they posted
+ */
+const purgeCommunityContent = async (userId) => {
+  const communities = await Community.find({
+    $or: [
+      { createdBy: userId },
+      { 'members.user': userId },
+      { invitedUsers: userId },
+      { 'discussions.user': userId },
+      { 'discussions.likes': userId },
+      { 'discussions.comments.user': userId },
+      { 'discussions.comments.likes': userId },
+      { 'discussions.comments.replies.user': userId },
+      { 'discussions.comments.replies.likes': userId },
+      { 'discussions.poll.options.voters': userId },
+      { 'events.createdBy': userId },
+      { 'events.attendees.user': userId },
+      { 'reportedContent.reportedBy': userId }
+    ]
+  });
+
+  let deleted = 0;
+
+  for (const community of communities) {
+    const withoutUser = ids => ids.filter(id => !isUser(id, userId));
+
+    community.members = community.members.filter(member => !isUser(member.user, userId));
+    community.invitedUsers = withoutUser(community.invitedUsers);
+    community.reportedContent = community.reportedContent.filter(report => !isUser(report.reportedBy, userId));
+
+    for (const discussion of community.discussions) {
+      discussion.likes = withoutUser(discussion.likes);
+      discussion.poll?.options?.forEach(option => {
+        option.voters = withoutUser(option.voters);
+      });
+
+      for (const comment of discussion.comments) {
+        comment.likes = withoutUser(comment.likes);
+        comment.replies = comment.replies.filter(reply => !isUser(reply.user, userId));
+        comment.replies.forEach(reply => {
+          reply.likes = withoutUser(reply.likes);
+        });
+
+        if (isUser(comment.user, userId)) {
+          comment.content = DELETED_PLACEHOLDER;
+        }
+      }
+
+      // Drop the user's comments that nobody replied to
+      discussion.comments = discussion.comments.filter(comment =>
+        !(isUser(comment.user, userId) && comment.replies.length === 0)
+      );
+
+      if (isUser(discussion.user, userId) && discussion.comments.length > 0) {
+        discussion.title = DELETED_PLACEHOLDER;
+        discussion.content = DELETED_PLACEHOLDER;
+        discussion.tags = [];
+      }
+    }
+
+    // Drop the user's discussions that have no comments left
+    community.discussions = community.discussions.filter(discussion =>
+      !(isUser(discussion.user, userId) && discussion.comments.length === 0)
+    );
+
+    community.events = community.events.filter(event => !isUser(event.createdBy, userId));
+    community.events.forEach(event => {
+      event.attendees = event.attendees.filter(attendee => !isUser(attendee.user, userId));
+    });
+
+    if (isUser(community.createdBy, userId) && !transferCommunityOwnership(community)) {
+      await community.deleteOne();
+      deleted++;
+      continue;
+    }
+
+    await community.save({ validateBeforeSave: false });
+  }
+
+  return { updated: communities.length - deleted, deleted };
+};
+
+/**
+ * Permanently delete a user and everything they own or authored
+ */
+export const purgeUserData = async (userId) => {
+  const books = await purgeBookReviews(userId);
+  const communities = await purgeCommunityContent(userId);
+
+  // Other users' friend lists and pending requests
+  const friends = await User.updateMany(
+    { $or: [{ 'friends.user': userId }, { 'friendRequests.from': userId }] },
+    { $pull: { friends: { user: userId }, friendRequests: { from: userId } } }
+  );
+
+  await Promise.all([
+    Bookshelf.deleteOne({ user: userId }),
+    ReadingSession.deleteMany({ user: userId }),
+    UserSession.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    PersonalAccessToken.deleteMany({ user: userId }),
+    LoginEvent.deleteMany({ user: userId }),
+    SecurityAuditLog.deleteMany({ user: userId, event: { $not: /^admin\./ } }),
+    deleteExportsForUser(userId),
+    deleteImportsForUser(userId)
+  ]);
+
+  // Role history and admin actions keep the bare user ID for accountability
+  await User.deleteOne({ _id: userId });
+  await SecurityAuditLog.record({ event: 'account.purge', user: userId });
+
+  return {
+    booksUpdated: books,
+    communitiesUpdated: communities.updated,
+    communitiesDeleted: communities.deleted,
+    friendListsUpdated: friends.modifiedCount
+  };
+};
+
+/**
+ * Purge every deactivated account whose grace period has ended
+ */
+export const purgeDeactivatedAccounts = async ({ limit = 50 } = {}) => {
+  const users = await User.find({
+    isActive: false,
+    'deactivation.scheduledPurgeAt': { $lte: new Date() }
+  })
+    .select('username')
+    .limit(limit);
+
+  let purged = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    try {
+      const summary = await purgeUserData(user._id);
+      purged++;
+      console.log(`🗑️ Account purged: ${user.username}`, summary);
+    } catch (error) {
+      // Leave it for the next run
+      failed++;
+      console.error(`❌ Account purge error for ${user.username}:`, error);
+    }
+  }
+
+  return { purged, failed };
+};
+
+export default {
+  getGracePeriodDays,
+  deactivateAccount,
+  restoreAccount,
+  purgeUserData,
+  purgeDeactivatedAccounts
+};
@@ -0,0 +1,103 @@
+// backend/services/bookAutocompleteService.js
+import Book from '../models/Book.js';
+import { tokenize, matchPhrase } from '../utils/fuzzyMatch.js';
+
+/**
+ * Book Autocomplete Service
+ * Search-as-you-type suggestions from the local catalog, grouped as titles,
+ * authors and series. Candidates come from one keyword query (prefix and
+ * one-typo matches on Book.searchKeywords) and are ranked here.
+ */
+
+// Candidate books fetched per request
+const CANDIDATE_LIMIT = 50;
+
+// Complete words this short aren't indexed as keywords (see generateSearchKeywords)
+const MIN_KEYWORD_LENGTH = 3;
+
+// Fewer typos first, then phrases starting with the typed text, then popularity
+const byRank = (a, b) => a.typos - b.typos
+  || Number(b.startsWith) - Number(a.startsWith)
+  || b.popularity - a.popularity;
+
+/**
+ * Group names (authors, series) matching the typed words across candidate books
+ */
+const rankNames = (books, namesOf, words, limit) => {
+  const groups = new Map();
+
+  for (const book of books) {
+    for (const name of namesOf(book)) {
+      const match = name && matchPhrase(name, words);
+      if (!match) continue;
+
+      const key = name.toLowerCase();
+      const group = groups.get(key) || { name, bookCount: 0, popularity: 0, ...match };
+      group.bookCount += 1;
+      group.popularity += book.ratingsCount || 0;
+      if (match.typos < group.typos) Object.assign(group, match);
+      groups.set(key, group);
+    }
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => byRank(a, b) || b.bookCount - a.bookCount)
+    .slice(0, limit)
+    .map(({ name, bookCount }) => ({ name, bookCount }));
+};
+
+/**
+ * Autocomplete suggestions for partially typed text
+ * @param {string} text - What the user has typed so far
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Suggestions per group
+ * @returns {Promise<{ titles: Array<Object>, authors: Array<Object>, series: Array<Object> }>}
+ *   Author and series `bookCount` counts matching books only
+ */
+export const suggestBooks = async (text, { limit = 5 } = {}) => {
+  const words = tokenize(text);
+  if (words.length === 0) {
+    return { titles: [], authors: [], series: [] };
+  }
+
+  const keywordWords = words.filter((word, index) => index === words.length - 1 || word.length >= MIN_KEYWORD_LENGTH);
+  const books = await Book.findAutocompleteCandidates(keywordWords, CANDIDATE_LIMIT);
+
+  const titles = books
+    .map(book => {
+      // Titles match on their own words, or together with the author ("dune herbert")
+      const titleMatch = matchPhrase([book.title, book.subtitle].filter(Boolean).join(' '), words);
+      const match = titleMatch || matchPhrase([book.title, ...(book.authors || [])].join(' '), words);
+      if (!match) return null;
+
+      return {
+        book,
+        typos: match.typos + (titleMatch ? 0 : 1),
+        startsWith: match.startsWith,
+        popularity: book.ratingsCount || 0
+      };
+    })
+    .filter(Boolean)
+    .sort(byRank)
+    .slice(0, limit)
+    .map(({ book }) => ({
+      id: book._id,
+      title: book.title,
+      subtitle: book.subtitle,
+      authors: book.authors,
+      series: book.series?.name ? book.series : undefined,
+      coverImage: book.coverImage,
+      googleBooksId: book.googleBooksId,
+      averageRating: book.averageRating
+    }));
+
+  return {
+    titles,
+    authors: rankNames(books, book => book.authors || [], words, limit),
+    series: rankNames(books, book => [book.series?.name], words, limit)
+  };
+};
+
+export default {
+  suggestBooks
+};
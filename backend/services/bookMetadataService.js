@@ -0,0 +1,428 @@
+// backend/services/bookMetadataService.js
+import Book from '../models/Book.js';
+import { getMetadataProviderOrder } from '../config/metadataProviders.js';
+import googleBooksProvider from './metadataProviders/googleBooksProvider.js';
+import openLibraryProvider from './metadataProviders/openLibraryProvider.js';
+import { assignWork } from './bookWorkService.js';
+
+/**
+ * Book Metadata Service
+ * Single entry point for external book metadata. Providers are tried in the
+ * configured fallback order (config/metadataProviders.js), so a throttled or
+ * unreachable provider falls through to the next one.
+ *
+ * A provider implements:
+ *   name                                   - Unique provider name
+ *   idField                                - Book field holding its IDs (null if none)
+ *   ownsId(id)                             - Whether an ID belongs to this provider
+ *   search({ q, subject, author, language, printType, orderBy, startIndex, maxResults })
+ *   fetchByAuthor(author, { startIndex, maxResults, orderBy })
+ *   fetchBySubject(subject, { startIndex, maxResults, orderBy })
+ *                                          - Resolve to { books, totalItems }
+ *   fetchById(id), fetchByISBN(isbn)       - Resolve to a book, or null when not found
+ * Books are plain objects in the local Book format.
+ */
+
+const registry = new Map(
+  [googleBooksProvider, openLibraryProvider].map(provider => [provider.name, provider])
+);
+
+// Defaults providers fill in when they have nothing better
+const PLACEHOLDER_VALUES = new Set([
+  'Unknown Title',
+  'Unknown Author',
+  'Unknown Publisher',
+  'No description available.',
+  'General'
+]);
+const PLACEHOLDER_IMAGE_PREFIX = 'https://placehold.co/';
+
+// Fields filled on an existing catalog record when it lacks them
+const FILLABLE_FIELDS = [
+  'googleBooksId', 'openLibraryId', 'isbn', 'isbn10', 'isbn13',
+  'subtitle', 'description', 'shortDescription', 'categories', 'pageCount', 'publisher', 'coverImage',
+  'images.small', 'images.medium', 'images.large', 'images.thumbnail', 'images.smallThumbnail',
+  'metadata.googleBooksLink', 'metadata.previewLink', 'metadata.infoLink'
+];
+
+// Fields kept in step with the providers by the catalog refresh job
+export const REFRESHABLE_FIELDS = [
+  'averageRating', 'ratingsCount', 'price', 'currency', 'coverImage',
+  'images.small', 'images.medium', 'images.large', 'images.thumbnail', 'images.smallThumbnail',
+  'pageCount', 'publisher', 'description', 'shortDescription',
+  'metadata.googleBooksLink', 'metadata.previewLink', 'metadata.infoLink'
+];
+
+// Computed from local reviews once a book has any
+const REVIEW_FIELDS = ['averageRating', 'ratingsCount'];
+
+// Price providers report when they have no sale information
+const PLACEHOLDER_PRICE = 9.99;
+
+/**
+ * Add or replace a provider (e.g. a fake provider in tests)
+ */
+export const registerMetadataProvider = (provider) => {
+  registry.set(provider.name, provider);
+};
+
+/**
+ * Providers in fallback order
+ */
+export const getMetadataProviders = () => getMetadataProviderOrder()
+  .map(name => registry.get(name))
+  .filter(Boolean);
+
+/**
+ * Run an operation on each provider in order until one returns a usable result
+ * @param {string} operation - Operation name, for logs and errors
+ * @param {Function} run - (provider) => Promise<result>
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.providers] - Providers to try (defaults to the configured order)
+ * @param {Function} [options.accept] - Whether a result is usable; the next provider is tried otherwise
+ * @returns {Promise<{ provider: string|null, result: * }>} `provider` is null when every
+ *   provider answered but none had a usable result
+ * @throws When every provider failed
+ */
+export const withFallback = async (operation, run, { providers = getMetadataProviders(), accept = () => true } = {}) => {
+  const failures = [];
+  let answered = false;
+
+  for (const provider of providers) {
+    try {
+      const result = await run(provider);
+      answered = true;
+      if (accept(result)) {
+        return { provider: provider.name, result };
+      }
+    } catch (error) {
+      console.warn(`⚠️ Metadata provider ${provider.name} failed to ${operation}: ${error.message}`);
+      failures.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  if (!answered) {
+    throw new Error(`No metadata provider could ${operation}${failures.length ? ` (${failures.join('; ')})` : ''}`);
+  }
+
+  return { provider: null, result: null };
+};
+
+const normalizeIsbn = (isbn) => (isbn ? String(isbn).replace(/[-\s]/g, '').toUpperCase() : null);
+
+/**
+ * Identity keys of a book; two records sharing any key are the same book
+ */
+export const identityKeys = (book) => {
+  const keys = [];
+  if (book.googleBooksId) keys.push(`google:${book.googleBooksId}`);
+  if (book.openLibraryId) keys.push(`openlibrary:${book.openLibraryId}`);
+
+  for (const isbn of [book.isbn, book.isbn10, book.isbn13]) {
+    const normalized = normalizeIsbn(isbn);
+    if (normalized) keys.push(`isbn:${normalized}`);
+  }
+
+  return [...new Set(keys)];
+};
+
+/**
+ * Drop repeated books (by identity keys), keeping the first occurrence
+ */
+export const uniqueBooks = (books) => {
+  const seen = new Set();
+
+  return books.filter(book => {
+    const keys = identityKeys(book);
+    if (keys.some(key => seen.has(key))) return false;
+    keys.forEach(key => seen.add(key));
+    return true;
+  });
+};
+
+const isMissing = (value) => {
+  if (value === undefined || value === null || value === '' || value === 0) return true;
+  if (typeof value === 'string') return PLACEHOLDER_VALUES.has(value) || value.startsWith(PLACEHOLDER_IMAGE_PREFIX);
+  if (Array.isArray(value)) return value.length === 0 || value.every(isMissing);
+  return false;
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+  && !Array.isArray(value) && !(value instanceof Date);
+
+// Earlier records win; later ones only fill what's missing
+const mergeFields = (records) => {
+  const merged = {};
+
+  for (const record of records) {
+    for (const [field, value] of Object.entries(record)) {
+      if (isPlainObject(value)) {
+        merged[field] = mergeFields([merged[field] || {}, value]);
+      } else if (!(field in merged) || (isMissing(merged[field]) && !isMissing(value))) {
+        merged[field] = value;
+      }
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Merge one book's records from several providers into one Book-shaped object
+ * @param {Array<{ provider: string, book: Object }>} records - In fallback order
+ */
+export const mergeBookMetadata = (records) => {
+  const found = records.filter(record => record.book);
+  if (found.length === 0) return null;
+
+  const merged = mergeFields(found.map(record => record.book));
+
+  if (isMissing(merged.primaryAuthor) && !isMissing(merged.authors)) {
+    merged.primaryAuthor = merged.authors[0];
+  }
+  merged.metadataSources = [...new Set(found.map(record => record.provider))];
+
+  return merged;
+};
+
+/**
+ * Search books on the first available provider
+ * @returns {Promise<{ provider: string, books: Array<Object>, totalItems: number }>}
+ */
+export const searchBooks = async (options = {}) => {
+  const { provider, result } = await withFallback('search books', p => p.search(options));
+  return { provider, ...result };
+};
+
+/**
+ * Books by an author from the first available provider
+ */
+export const fetchBooksByAuthor = async (author, options = {}) => {
+  const { provider, result } = await withFallback('fetch books by author', p => p.fetchByAuthor(author, options));
+  return { provider, ...result };
+};
+
+/**
+ * Books on a subject (genre) from the first available provider
+ */
+export const fetchBooksBySubject = async (subject, options = {}) => {
+  const { provider, result } = await withFallback('fetch books by subject', p => p.fetchBySubject(subject, options));
+  return { provider, ...result };
+};
+
+/**
+ * A book by ISBN, merged from every provider that has it
+ * @returns {Promise<Object|null>} Null when no provider knows the ISBN
+ */
+export const fetchBookByISBN = async (isbn, { providers = getMetadataProviders() } = {}) => {
+  const lookups = await Promise.allSettled(providers.map(provider => provider.fetchByISBN(isbn)));
+
+  lookups.forEach((lookup, index) => {
+    if (lookup.status === 'rejected') {
+      console.warn(`⚠️ Metadata provider ${providers[index].name} failed to fetch ISBN ${isbn}: ${lookup.reason?.message}`);
+    }
+  });
+
+  if (providers.length > 0 && lookups.every(lookup => lookup.status === 'rejected')) {
+    throw new Error(`No metadata provider could fetch ISBN ${isbn}`);
+  }
+
+  return mergeBookMetadata(lookups.map((lookup, index) => ({
+    provider: providers[index].name,
+    book: lookup.status === 'fulfilled' ? lookup.value : null
+  })));
+};
+
+/**
+ * A book by a provider's ID, completed with the other providers' fields (matched by ISBN)
+ * @returns {Promise<Object|null>} Null when the ID is unknown
+ */
+export const fetchBookById = async (id) => {
+  const providers = getMetadataProviders();
+  const owners = providers.filter(provider => provider.ownsId(id));
+  if (owners.length === 0) return null;
+
+  const { provider, result: book } = await withFallback('fetch book by ID', p => p.fetchById(id), {
+    providers: owners,
+    accept: Boolean
+  });
+  if (!book) return null;
+
+  const records = [{ provider, book }];
+  const isbn = book.isbn13 || book.isbn10 || book.isbn;
+  const others = providers.filter(candidate => candidate.name !== provider);
+
+  if (isbn && others.length > 0) {
+    const lookups = await Promise.allSettled(others.map(other => other.fetchByISBN(isbn)));
+    lookups.forEach((lookup, index) => {
+      if (lookup.status === 'fulfilled') {
+        records.push({ provider: others[index].name, book: lookup.value });
+      }
+    });
+  }
+
+  return mergeBookMetadata(records);
+};
+
+// Provider values of the refreshable fields, stored on the book at each sync
+const snapshotOf = (metadata) => {
+  const snapshot = {};
+  const hasPrice = metadata.price !== PLACEHOLDER_PRICE;
+
+  for (const path of REFRESHABLE_FIELDS) {
+    const value = getPath(metadata, path);
+    if (isMissing(value) || (!hasPrice && (path === 'price' || path === 'currency'))) continue;
+
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((object, key) => (object[key] ??= {}), snapshot);
+    parent[keys[keys.length - 1]] = value;
+  }
+
+  return snapshot;
+};
+
+/**
+ * Store metadata in the catalog
+ * An existing record (same provider ID or ISBN) keeps its fields and only gets
+ * the ones it's missing; otherwise a new book is created.
+ * @returns {Promise<Document>} The saved Book
+ */
+export const saveBookMetadata = async (metadata) => {
+  const isbns = [...new Set([metadata.isbn, metadata.isbn10, metadata.isbn13].filter(Boolean))];
+  const matchers = [
+    metadata.googleBooksId && { googleBooksId: metadata.googleBooksId },
+    metadata.openLibraryId && { openLibraryId: metadata.openLibraryId },
+    ...isbns.flatMap(isbn => [{ isbn }, { isbn10: isbn }, { isbn13: isbn }])
+  ].filter(Boolean);
+
+  // Records merged into another edition resolve to that edition
+  const mergedIds = [metadata.googleBooksId, metadata.openLibraryId, ...isbns].filter(Boolean);
+  if (mergedIds.length > 0) matchers.push({ mergedIds: { $in: mergedIds } });
+
+  const existing = matchers.length > 0 ? await Book.findOne({ $or: matchers }) : null;
+
+  if (existing) {
+    const filled = FILLABLE_FIELDS.filter(path => {
+      const value = getPath(metadata, path);
+      if (!isMissing(existing.get(path)) || isMissing(value)) return false;
+      existing.set(path, value);
+      return true;
+    });
+
+    const sources = (metadata.metadataSources || []).filter(source => !existing.metadataSources.includes(source));
+    existing.metadataSources.push(...sources);
+
+    if (filled.length > 0 || sources.length > 0) {
+      await existing.save();
+      console.log(`📚 Updated ${existing.title} from metadata providers: ${filled.join(', ') || 'sources only'}`);
+    }
+
+    return existing;
+  }
+
+  try {
+    const book = new Book({
+      ...metadata,
+      lastSyncedWithGoogle: new Date(),
+      syncedMetadata: snapshotOf(metadata)
+    });
+    await book.save();
+    console.log(`✅ New book saved to database: ${book.title}`);
+
+    try {
+      await assignWork(book);
+    } catch (workError) {
+      // Picked up later by the admin work rebuild
+      console.error(`❌ Work assignment failed for ${book.title}:`, workError.message);
+    }
+
+    return book;
+  } catch (error) {
+    // Saved concurrently by another request
+    if (error.code === 11000 && matchers.length > 0) {
+      const book = await Book.findOne({ $or: matchers });
+      if (book) return book;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Re-fetch a catalog book from the providers and apply what changed upstream
+ * A field is only updated while it still holds the value of the last sync, so
+ * local edits survive; ratings belong to local reviews once the book has any.
+ * Books synced before snapshots were kept treat their current values as synced.
+ * @param {Document} book - Book selected with +syncedMetadata
+ * @returns {Promise<{ found: boolean, changes: Array<{ field: string, from: *, to: * }>, preserved: Array<string> }>}
+ */
+export const refreshBookMetadata = async (book) => {
+  const isbn = book.isbn13 || book.isbn10 || book.isbn;
+  let metadata = null;
+
+  for (const id of [book.googleBooksId, book.openLibraryId].filter(Boolean)) {
+    metadata = await fetchBookById(id);
+    if (metadata) break;
+  }
+
+  if (!metadata && isbn) {
+    metadata = await fetchBookByISBN(isbn);
+  }
+
+  book.lastSyncedWithGoogle = new Date();
+
+  if (!metadata) {
+    await book.save();
+    return { found: false, changes: [], preserved: [] };
+  }
+
+  const snapshot = snapshotOf(metadata);
+  const previous = book.syncedMetadata;
+  const hasReviews = book.reviews.length > 0;
+  const changes = [];
+  const preserved = [];
+
+  for (const path of REFRESHABLE_FIELDS) {
+    const next = getPath(snapshot, path);
+    const current = book.get(path);
+    if (next === undefined || next === current) continue;
+
+    const locallyEdited = (hasReviews && REVIEW_FIELDS.includes(path))
+      || (previous && !isMissing(current) && current !== getPath(previous, path));
+
+    if (locallyEdited) {
+      preserved.push(path);
+      continue;
+    }
+
+    changes.push({ field: path, from: current, to: next });
+    book.set(path, next);
+  }
+
+  book.syncedMetadata = snapshot;
+  book.markModified('syncedMetadata');
+
+  const sources = (metadata.metadataSources || []).filter(source => !book.metadataSources.includes(source));
+  book.metadataSources.push(...sources);
+
+  await book.save();
+  return { found: true, changes, preserved };
+};
+
+export default {
+  registerMetadataProvider,
+  getMetadataProviders,
+  withFallback,
+  identityKeys,
+  uniqueBooks,
+  mergeBookMetadata,
+  searchBooks,
+  fetchBooksByAuthor,
+  fetchBooksBySubject,
+  fetchBookByISBN,
+  fetchBookById,
+  saveBookMetadata,
+  refreshBookMetadata
+};
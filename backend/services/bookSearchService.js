@@ -0,0 +1,476 @@
+// backend/services/bookSearchService.js
+import Book from '../models/Book.js';
+import { getMetadataProviders, withFallback, identityKeys } from './bookMetadataService.js';
+import { RATING_RANGES, PAGE_COUNT_RANGES } from '../config/searchFacets.js';
+
+/**
+ * Book Search Service
+ * Searches the local catalog and a remote metadata provider (Google Books, or
+ * the next provider in the fallback order when it's unavailable) together,
+ * merges matches of the same book (by provider ID or ISBN) and pages through
+ * the combined results. Search keeps working on the local catalog alone when
+ * no provider is reachable.
+ *
+ * Each page is shared out between the two sources by position (see
+ * splitPosition), so a request only fetches its own window of each source
+ * (local via skip/limit, remote via startIndex) and page N continues where
+ * page N-1 ended. A few results before each window are fetched as well, so a
+ * book already shown at the end of the previous page isn't shown again.
+ *
+ * Facet counts and facet filters come from the local catalog; while facet
+ * filters are selected the remote provider is left out so results match the counts shown.
+ */
+
+// Google Books returns at most 40 results per request
+const REMOTE_BATCH_SIZE = 40;
+
+// Deepest result position we page to; Google stops serving results around here
+export const MAX_SEARCH_DEPTH = 1000;
+
+// A local result at position i ranks alongside the remote result at i * LOCAL_PRIORITY
+const LOCAL_PRIORITY = 1.25;
+
+// Share of each page that goes to local results while both sources have some
+const LOCAL_SHARE = LOCAL_PRIORITY / (1 + LOCAL_PRIORITY);
+
+// Results before a page's window fetched to drop repeats of the previous page
+const OVERLAP = 10;
+
+// Providers only order by relevance or date
+const REMOTE_ORDER = { relevance: 'relevance', newest: 'newest', rating: 'relevance' };
+const LOCAL_ORDER = { relevance: 'relevance', newest: 'newest', rating: 'rating' };
+
+// Whether the head of stream `a` comes before the head of stream `b`
+const comesFirst = {
+  relevance: (a, b) => a.index / a.priority <= b.index / b.priority,
+  newest: (a, b) => new Date(a.head.publicationDate || 0) >= new Date(b.head.publicationDate || 0),
+  rating: (a, b) => (a.head.averageRating || 0) > (b.head.averageRating || 0)
+    || ((a.head.averageRating || 0) === (b.head.averageRating || 0)
+      && (a.head.ratingsCount || 0) >= (b.head.ratingsCount || 0))
+};
+
+/**
+ * Merge the ranked results of both sources into one de-duplicated list
+ * Takes the better head of the two lists at each step, so merging a longer
+ * prefix of either source never reorders what was already merged. Stops where
+ * a source that has more results than were fetched runs out.
+ * @param {Array<Object>} localBooks - Plain local catalog books, in catalog order
+ * @param {Array<Object>} remoteBooks - Provider results in the local format, in provider order
+ * @param {Object} [options]
+ * @param {string} [options.remoteSource='google'] - Provider the remote results came from
+ * @param {boolean} [options.localExhausted] - `localBooks` holds every local match
+ * @param {boolean} [options.remoteExhausted] - `remoteBooks` holds every provider match
+ * @returns {{ books: Array<Object>, duplicates: number }}
+ */
+export const mergeResults = (localBooks, remoteBooks, {
+  orderBy = 'relevance',
+  remoteSource = 'google',
+  localExhausted = true,
+  remoteExhausted = true
+} = {}) => {
+  const streams = [
+    // Local first so its (richer) record wins ties and duplicates
+    { source: 'local', items: localBooks, exhausted: localExhausted, priority: LOCAL_PRIORITY, index: 0 },
+    { source: remoteSource, items: remoteBooks, exhausted: remoteExhausted, priority: 1, index: 0 }
+  ];
+  const isBefore = comesFirst[orderBy] || comesFirst.relevance;
+
+  const entries = [];
+  const byKey = new Map();
+  let duplicates = 0;
+
+  while (true) {
+    const open = streams.filter(stream => stream.index < stream.items.length);
+
+    // Can't tell what comes next without the unfetched part of a source
+    if (streams.some(stream => !stream.exhausted && stream.index >= stream.items.length)) break;
+    if (open.length === 0) break;
+
+    open.forEach(stream => { stream.head = stream.items[stream.index]; });
+    const next = open.length === 1 || isBefore(open[0], open[1]) ? open[0] : open[1];
+    const book = next.head;
+    next.index += 1;
+
+    const keys = identityKeys(book);
+    const existing = keys.map(key => byKey.get(key)).find(Boolean);
+
+    if (existing) {
+      if (!existing.sources.has(next.source)) duplicates += 1;
+      existing.sources.add(next.source);
+
+      // Keep the first record but fill identifiers it's missing
+      for (const field of ['googleBooksId', 'openLibraryId', 'isbn', 'isbn10', 'isbn13']) {
+        if (!existing.book[field] && book[field]) existing.book[field] = book[field];
+      }
+      keys.forEach(key => byKey.set(key, existing));
+      continue;
+    }
+
+    const entry = { book, sources: new Set([next.source]) };
+    entries.push(entry);
+    keys.forEach(key => byKey.set(key, entry));
+  }
+
+  return {
+    books: entries.map(({ book, sources }) => {
+      const { score, ...rest } = book;
+      return { ...rest, sources: [...sources] };
+    }),
+    duplicates
+  };
+};
+
+const localSearchOptions = ({ genre, author, language, orderBy, facets = {} }) => {
+  // The single language filter acts as a languages facet selection, so the
+  // other languages still get counted; an explicit selection replaces it
+  const languages = facets.languages || (language && language !== 'any' ? [language.toLowerCase()] : undefined);
+
+  return {
+    genres: genre ? [genre] : [],
+    authors: author ? [author] : [],
+    sortBy: LOCAL_ORDER[orderBy] || 'relevance',
+    facets: languages ? { ...facets, languages } : facets
+  };
+};
+
+const hasFacetFilters = (facets) => Object.values(facets || {}).some(values => values.length > 0);
+
+/**
+ * Facet buckets for the response
+ * Range facets always list every range; selected values are listed even when
+ * nothing matches them so they can be deselected.
+ * @param {Object} counts - Raw counts from Book.facetCounts
+ * @param {Object} selected - Selected values keyed by facet
+ */
+export const buildFacets = (counts = {}, selected = {}) => {
+  const isSelected = (facet, value) => (selected[facet] || []).includes(value);
+
+  const terms = (facet) => {
+    const buckets = (counts[facet] || []).map(({ _id, count }) => ({
+      value: _id,
+      count,
+      selected: isSelected(facet, _id)
+    }));
+
+    for (const value of selected[facet] || []) {
+      if (!buckets.some(bucket => bucket.value === value)) {
+        buckets.push({ value, count: 0, selected: true });
+      }
+    }
+
+    return buckets;
+  };
+
+  const ranges = (facet, definitions) => definitions.map(({ value, label }) => ({
+    value,
+    label,
+    count: (counts[facet] || []).find(bucket => bucket._id === value)?.count || 0,
+    selected: isSelected(facet, value)
+  }));
+
+  return {
+    genres: terms('genres'),
+    languages: terms('languages'),
+    ratings: ranges('ratings', RATING_RANGES),
+    pageCounts: ranges('pageCounts', PAGE_COUNT_RANGES),
+    decades: terms('decades').map(bucket => ({ ...bucket, label: `${bucket.value}s` })),
+    formats: terms('formats'),
+    printTypes: terms('printTypes')
+  };
+};
+
+/**
+ * Local matches at positions [from, to) in catalog order
+ */
+const searchLocalWindow = async (options, from, to) => {
+  if (to <= from) {
+    return [];
+  }
+
+  const books = await Book.search(options.q, {
+    ...localSearchOptions(options),
+    skip: from,
+    limit: to - from
+  });
+
+  return books.map(book => book.toJSON());
+};
+
+const remoteQuery = ({ q = '', genre, author, language, orderBy, printType }) => ({
+  q,
+  subject: genre,
+  author,
+  language,
+  printType,
+  orderBy: REMOTE_ORDER[orderBy] || 'relevance'
+});
+
+/**
+ * Number of results a provider has, known to be at most `before`
+ * Binary search with single-batch requests, for windows that start past the last result.
+ */
+const findRemoteEnd = async (provider, options, before) => {
+  let low = 0;
+  let high = before;
+
+  while (low < high) {
+    const startIndex = Math.floor((low + high) / 2);
+    const { books } = await provider.search({
+      ...remoteQuery(options),
+      startIndex,
+      maxResults: REMOTE_BATCH_SIZE
+    });
+
+    if (books.length > 0 && books.length < REMOTE_BATCH_SIZE) {
+      return startIndex + books.length;
+    }
+
+    if (books.length === 0) {
+      high = startIndex;
+    } else {
+      low = Math.min(startIndex + REMOTE_BATCH_SIZE, high);
+    }
+  }
+
+  return low;
+};
+
+/**
+ * Matches of one provider at positions [from, to), fetched as parallel startIndex batches
+ */
+const fetchRemoteWindow = async (provider, options, from, to) => {
+  const startIndexes = [];
+  for (let startIndex = from; startIndex < to; startIndex += REMOTE_BATCH_SIZE) {
+    startIndexes.push(startIndex);
+  }
+
+  const batches = await Promise.all(startIndexes.map(startIndex => provider.search({
+    ...remoteQuery(options),
+    startIndex,
+    maxResults: Math.min(REMOTE_BATCH_SIZE, to - startIndex)
+  })));
+
+  // A short batch means the provider has nothing further, whatever totalItems claims
+  const shortAt = batches.findIndex((batch, index) =>
+    batch.books.length < Math.min(REMOTE_BATCH_SIZE, to - startIndexes[index]));
+  const books = (shortAt === -1 ? batches : batches.slice(0, shortAt + 1)).flatMap(batch => batch.books);
+  const totalItems = batches[0].totalItems;
+  const exhausted = shortAt !== -1 || from + books.length >= totalItems;
+
+  let reachable = Math.max(Math.min(totalItems, MAX_SEARCH_DEPTH), from + books.length);
+  if (exhausted) {
+    // Nothing at all from `from` on: the last result is somewhere before the window
+    reachable = books.length === 0 && from > 0
+      ? await findRemoteEnd(provider, options, from)
+      : from + books.length;
+  }
+
+  return {
+    books,
+    from,
+    total: totalItems,
+    exhausted,
+    // Number of results that can be paged to
+    reachable
+  };
+};
+
+/**
+ * Remote matches from the first provider that answers every batch
+ * A provider failing part-way is skipped entirely so pages never mix providers.
+ */
+const searchRemote = async (options, from, to) => {
+  const { provider, result } = await withFallback(
+    'search books',
+    candidate => fetchRemoteWindow(candidate, options, from, to),
+    { providers: getMetadataProviders() }
+  );
+
+  return { provider, ...result };
+};
+
+/**
+ * Number of results of each source that come before merged position `position`
+ * Positions are shared out in LOCAL_PRIORITY proportion until a source runs
+ * out, then the other source takes the rest. The end of page N is the start
+ * of page N+1, so pages never skip or repeat a source's results.
+ * @param {number} position
+ * @param {{ localTotal: number, remoteTotal: number }} totals - Results each source has
+ */
+export const splitPosition = (position, { localTotal, remoteTotal }) => {
+  let local = Math.min(Math.round(position * LOCAL_SHARE), localTotal);
+  const remote = Math.min(position - local, remoteTotal);
+  local = Math.min(position - remote, localTotal);
+
+  return { local, remote };
+};
+
+/**
+ * The results of one source before a page (up to OVERLAP of them) and on it
+ * @param {Array<Object>} books - Fetched results, the first at position `offset`
+ */
+const pageWindow = (books, offset, start, end) => ({
+  before: books.slice(Math.max(0, start - OVERLAP - offset), Math.max(0, start - offset)),
+  current: books.slice(Math.max(0, start - offset), Math.max(0, end - offset))
+});
+
+/**
+ * Total number of merged results
+ * Exact when the page holds every result of both sources (or the provider has none);
+ * otherwise both totals minus the overlap seen between the page's results.
+ */
+const estimateTotal = ({ shown, complete, duplicates, compared, localTotal, remoteReachable }) => {
+  if (complete) {
+    return { total: shown, isEstimate: false };
+  }
+
+  if (remoteReachable === 0) {
+    return { total: localTotal, isEstimate: false };
+  }
+
+  const overlap = compared > 0 ? duplicates / compared : 0;
+  const estimate = localTotal + remoteReachable - Math.round(overlap * Math.min(localTotal, remoteReachable));
+
+  return { total: Math.max(shown, estimate), isEstimate: true };
+};
+
+/**
+ * Search the local catalog and a remote provider and return one page of the merged results
+ * @param {Object} options - q, genre, author, language, orderBy, printType, page, limit,
+ *   and `facets` (selected facet filters, see config/searchFacets.js)
+ * @returns {Promise<{ books: Array<Object>, pagination: Object, facets: Object|null, sources: Object }>}
+ */
+export const searchAllSources = async (options) => {
+  const { orderBy = 'relevance' } = options;
+  const page = Math.max(1, parseInt(options.page, 10) || 1);
+  const limit = Math.max(1, parseInt(options.limit, 10) || 20);
+
+  const start = Math.min((page - 1) * limit, MAX_SEARCH_DEPTH);
+  const end = Math.min(start + limit, MAX_SEARCH_DEPTH);
+
+  const remoteSkipped = hasFacetFilters(options.facets);
+  const localOptions = localSearchOptions(options);
+
+  const [countResult, facetResult] = await Promise.allSettled([
+    Book.countSearch(options.q, localOptions),
+    Book.facetCounts(options.q, localOptions)
+  ]);
+
+  if (facetResult.status === 'rejected') {
+    console.error('❌ Search facet error:', facetResult.reason);
+  }
+
+  const localAvailable = countResult.status === 'fulfilled';
+  const localTotal = localAvailable ? countResult.value : 0;
+
+  // Until the provider runs out, assume it has results down to the deepest page
+  let from = splitPosition(start, { localTotal, remoteTotal: remoteSkipped ? 0 : MAX_SEARCH_DEPTH });
+  let to = splitPosition(end, { localTotal, remoteTotal: remoteSkipped ? 0 : MAX_SEARCH_DEPTH });
+  const localOffset = () => Math.max(0, from.local - OVERLAP);
+
+  const [localResult, remoteResult] = await Promise.allSettled([
+    localAvailable ? searchLocalWindow(options, localOffset(), to.local) : Promise.reject(countResult.reason),
+    remoteSkipped
+      ? Promise.reject(new Error('Facet filters apply to the local catalog only'))
+      // One extra result tells whether the provider has more
+      : searchRemote(options, Math.max(0, from.remote - OVERLAP), to.remote + 1)
+  ]);
+
+  if (localResult.status === 'rejected') {
+    console.error('❌ Local catalog search error:', localResult.reason);
+  }
+  if (remoteResult.status === 'rejected' && !remoteSkipped) {
+    console.error('❌ Remote book search error:', remoteResult.reason?.message || remoteResult.reason);
+  }
+
+  // Nothing to show at all: let the caller report the failure
+  if (localResult.status === 'rejected' && (remoteSkipped || remoteResult.status === 'rejected')) {
+    throw localResult.reason;
+  }
+
+  // A failed source contributes nothing, as if it had no matches
+  const unavailable = { books: [], from: 0, total: 0, exhausted: true, reachable: 0 };
+  let localBooks = localResult.status === 'fulfilled' ? localResult.value : [];
+  let remote = remoteResult.status === 'fulfilled' ? remoteResult.value : unavailable;
+
+  // The provider ran out before the end of this page: share the page out again
+  // with its real total so the local catalog fills the rest
+  if (remote.exhausted && remote.reachable < to.remote) {
+    const totals = { localTotal, remoteTotal: remote.reachable };
+    from = splitPosition(start, totals);
+    to = splitPosition(end, totals);
+
+    const remoteOffset = Math.max(0, from.remote - OVERLAP);
+
+    [localBooks, remote] = await Promise.all([
+      localResult.status === 'fulfilled' ? searchLocalWindow(options, localOffset(), to.local) : [],
+      // Only the results before the page can be missing; they're just for de-duplication
+      remoteOffset < remote.from
+        ? searchRemote(options, remoteOffset, to.remote)
+          .then(({ books, from: offset }) => ({ ...remote, books, from: offset }))
+          .catch(() => remote)
+        : remote
+    ]);
+  }
+
+  const localWindow = pageWindow(localBooks, localOffset(), from.local, to.local);
+  const remoteWindow = pageWindow(remote.books, remote.from, from.remote, to.remote);
+
+  // Books either source already showed at the end of the previous page
+  const shownBefore = new Set([...localWindow.before, ...remoteWindow.before].flatMap(identityKeys));
+  const notShown = books => books.filter(book => !identityKeys(book).some(key => shownBefore.has(key)));
+  const localPage = notShown(localWindow.current);
+  const remotePage = notShown(remoteWindow.current);
+  const repeated = localWindow.current.length + remoteWindow.current.length - localPage.length - remotePage.length;
+
+  const { books, duplicates } = mergeResults(localPage, remotePage, {
+    orderBy,
+    remoteSource: remote.provider
+  });
+
+  const remoteHasMore = remote.reachable > to.remote;
+  const { total, isEstimate } = estimateTotal({
+    shown: start + books.length,
+    complete: start === 0 && to.local >= localTotal && !remoteHasMore,
+    duplicates: duplicates + repeated,
+    compared: Math.min(localWindow.current.length, remoteWindow.current.length),
+    localTotal,
+    remoteReachable: remote.reachable
+  });
+  const pageable = Math.min(total, MAX_SEARCH_DEPTH);
+
+  return {
+    books,
+    pagination: {
+      current: page,
+      pages: Math.ceil(pageable / limit),
+      total,
+      totalIsEstimate: isEstimate,
+      hasNext: end < MAX_SEARCH_DEPTH && (to.local < localTotal || remoteHasMore),
+      hasPrev: page > 1
+    },
+    // Not available when the local catalog couldn't be searched
+    facets: facetResult.status === 'fulfilled' ? buildFacets(facetResult.value, localOptions.facets) : null,
+    sources: {
+      local: {
+        available: localResult.status === 'fulfilled',
+        count: localWindow.current.length,
+        total: localTotal
+      },
+      remote: {
+        available: remoteResult.status === 'fulfilled',
+        skipped: remoteSkipped,
+        provider: remote.provider || null,
+        count: remoteWindow.current.length,
+        totalItems: remote.total
+      }
+    }
+  };
+};
+
+export default {
+  mergeResults,
+  buildFacets,
+  splitPosition,
+  searchAllSources
+};
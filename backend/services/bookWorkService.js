@@ -0,0 +1,368 @@
+// backend/services/bookWorkService.js
+import Book from '../models/Book.js';
+import Work from '../models/Work.js';
+import Bookshelf from '../models/Bookshelf.js';
+import ReadingSession from '../models/ReadingSession.js';
+import Community from '../models/Community.js';
+import LibraryImportRow from '../models/LibraryImportRow.js';
+import User from '../models/User.js';
+import { AppError, toISBN13 } from '../utils/helpers.js';
+import { tokenize } from '../utils/fuzzyMatch.js';
+
+/**
+ * Book Work Service
+ * Groups catalog editions into works and merges duplicate records.
+ *
+ * An edition joins the work that already lists one of its ISBNs (compared as
+ * ISBN-13), otherwise the work with the same normalized title and author.
+ */
+
+const LEADING_ARTICLES = new Set(['the', 'a', 'an']);
+
+const SHELVES = ['currentlyReading', 'wantToRead', 'finished'];
+
+/**
+ * Title as compared between editions: no subtitle, edition notes or leading article
+ * e.g. "The Hobbit: Or There and Back Again (75th Anniversary Edition)" → "hobbit"
+ */
+export const normalizeWorkTitle = (title = '') => {
+  const words = tokenize(String(title).replace(/\([^)]*\)|\[[^\]]*\]/g, ' ').split(/[:;]/)[0]);
+  if (words.length > 1 && LEADING_ARTICLES.has(words[0])) words.shift();
+  return words.join(' ');
+};
+
+/**
+ * Author as compared between editions; word order is ignored ("Tolkien, J.R.R.")
+ */
+export const normalizeWorkAuthor = (author = '') => tokenize(author).sort().join(' ');
+
+export const workKeyFor = (book) => `${normalizeWorkTitle(book.title)}|${normalizeWorkAuthor(book.primaryAuthor || book.authors?.[0])}`;
+
+/**
+ * A book's ISBNs in ISBN-13 form
+ */
+export const editionIsbns = (book) => [
+  ...new Set([book.isbn, book.isbn10, book.isbn13].map(toISBN13).filter(Boolean))
+];
+
+// Works left without editions (after a merge) are removed
+const refreshEditionCount = async (workId) => {
+  const editionCount = await Book.countDocuments({ work: workId });
+
+  if (editionCount === 0) {
+    await Work.deleteOne({ _id: workId });
+  } else {
+    await Work.updateOne({ _id: workId }, { $set: { editionCount } });
+  }
+};
+
+/**
+ * Put a book in its work, creating the work if needed
+ * @param {Document} book
+ * @returns {Promise<Document>} The work
+ */
+export const assignWork = async (book) => {
+  const isbns = editionIsbns(book);
+  const key = workKeyFor(book);
+
+  let work = isbns.length > 0 ? await Work.findOne({ isbns: { $in: isbns } }) : null;
+
+  if (work) {
+    if (isbns.some(isbn => !work.isbns.includes(isbn))) {
+      await Work.updateOne({ _id: work._id }, { $addToSet: { isbns: { $each: isbns } } });
+    }
+  } else {
+    work = await Work.findOneAndUpdate(
+      { key },
+      {
+        $setOnInsert: { key, title: book.title, primaryAuthor: book.primaryAuthor || book.authors?.[0] },
+        $addToSet: { isbns: { $each: isbns } }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  const previousWork = book.work;
+  if (!previousWork || !previousWork.equals(work._id)) {
+    await Book.updateOne({ _id: book._id }, { $set: { work: work._id } });
+    book.work = work._id;
+
+    await refreshEditionCount(work._id);
+    if (previousWork) await refreshEditionCount(previousWork);
+  }
+
+  return work;
+};
+
+/**
+ * Assign works to books that don't have one yet, in _id order
+ * @param {Object} [options]
+ * @param {string} [options.after] - Continue after this book (`next` of the previous call),
+ *   so books that keep failing don't hold up the rest
+ * @returns {Promise<{ processed: number, failed: number, remaining: number, next: string|null }>}
+ *   `remaining` counts books after this batch; `next` is null once there are none
+ */
+export const assignMissingWorks = async ({ limit = 500, after = null } = {}) => {
+  const filter = { work: null, ...(after && { _id: { $gt: after } }) };
+  const books = await Book.find(filter)
+    .select('title authors primaryAuthor isbn isbn10 isbn13 work')
+    .sort({ _id: 1 })
+    .limit(limit);
+
+  let failed = 0;
+  for (const book of books) {
+    try {
+      await assignWork(book);
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ Work assignment failed for ${book.title}:`, error.message);
+    }
+  }
+
+  const last = books[books.length - 1];
+  const remaining = last ? await Book.countDocuments({ work: null, _id: { $gt: last._id } }) : 0;
+  return { processed: books.length - failed, failed, remaining, next: remaining > 0 ? last._id.toString() : null };
+};
+
+// Reviews, ratings and views decide which edition should survive; then the oldest
+const activityScore = (book) => (book.reviewCount * 1000) + (book.ratingsCount || 0) + (book.viewCount || 0) / 100;
+
+/**
+ * Works with several editions in the catalog, as merge candidates
+ * `reason` is "same_edition" when editions share an ISBN (true duplicates) and
+ * "same_work" otherwise (different editions of one title).
+ */
+export const findDuplicateCandidates = async ({ skip = 0, limit = 20 } = {}) => {
+  const [{ groups, total }] = await Book.findDuplicateGroups({ skip, limit });
+  const works = await Work.find({ _id: { $in: groups.map(group => group._id) } }).select('title primaryAuthor editionCount');
+  const worksById = new Map(works.map(work => [work._id.toString(), work]));
+
+  const candidates = groups.map(group => {
+    const seen = new Set();
+    const sharesIsbn = group.books.some(book => editionIsbns(book).some(isbn => {
+      if (seen.has(isbn)) return true;
+      seen.add(isbn);
+      return false;
+    }));
+
+    // Sorted oldest first, so ties keep the oldest record
+    const survivor = group.books.reduce((best, book) => (activityScore(book) > activityScore(best) ? book : best));
+
+    return {
+      work: worksById.get(group._id.toString()) || { _id: group._id },
+      reason: sharesIsbn ? 'same_edition' : 'same_work',
+      suggestedSurvivor: survivor._id,
+      books: group.books
+    };
+  });
+
+  return { candidates, total: total[0]?.count || 0 };
+};
+
+// Move shelf items to the survivor; a shelf that already has it drops the duplicates
+const moveShelfItems = (items, duplicateIds, survivorId) => {
+  let present = items.some(item => item.book.equals(survivorId));
+  // Shelf items have no _id, so they're removed by position
+  const dropped = [];
+  let moved = 0;
+
+  items.forEach((item, index) => {
+    if (!duplicateIds.some(id => item.book.equals(id))) return;
+
+    if (present) {
+      dropped.push(index);
+    } else {
+      item.book = survivorId;
+      present = true;
+      moved += 1;
+    }
+  });
+
+  dropped.reverse().forEach(index => items.splice(index, 1));
+  return { moved, dropped: dropped.length };
+};
+
+// Point embedded `path` entries (arrays of { book }) from the duplicates to the survivor
+const repointEntries = (Model, path, duplicateIds, survivorId) => Model.updateMany(
+  { [`${path}.book`]: { $in: duplicateIds } },
+  { $set: { [`${path}.$[entry].book`]: survivorId } },
+  { arrayFilters: [{ 'entry.book': { $in: duplicateIds } }] }
+);
+
+/**
+ * Merge duplicate records into a surviving edition
+ * Reviews (one per user, the newest wins), bookshelf items, reading sessions,
+ * community discussions and current books, users' reading lists and library
+ * import rows move to the survivor; view, purchase and wishlist counts are added up. The duplicates are
+ * deleted and their IDs and ISBNs are kept in the survivor's `mergedIds`.
+ * @param {string} survivorId
+ * @param {Array<string>} duplicateIds
+ * @returns {Promise<Object>} What was moved
+ * @throws AppError when the survivor or a duplicate doesn't exist
+ */
+export const mergeBooks = async (survivorId, duplicateIds) => {
+  const ids = [...new Set(duplicateIds.map(String))].filter(id => id !== String(survivorId));
+  if (ids.length === 0) {
+    throw new AppError('At least one duplicate other than the surviving book is required', 400, 'NO_DUPLICATES');
+  }
+
+  const survivor = await Book.findById(survivorId);
+  if (!survivor) {
+    throw new AppError('Surviving book not found', 404, 'BOOK_NOT_FOUND');
+  }
+
+  const duplicates = await Book.find({ _id: { $in: ids } });
+  if (duplicates.length !== ids.length) {
+    throw new AppError('Some duplicate books were not found', 404, 'DUPLICATE_NOT_FOUND');
+  }
+
+  const duplicateObjectIds = duplicates.map(book => book._id);
+  const report = {
+    survivor: survivor._id,
+    merged: duplicateObjectIds,
+    reviews: { moved: 0, conflicts: 0 },
+    bookshelfItems: { moved: 0, dropped: 0 },
+    readingSessions: 0,
+    communities: { discussions: 0, currentBooks: 0 },
+    users: 0,
+    importRows: 0
+  };
+
+  // Reviews: one per user; when both records have one, the newer review wins
+  for (const duplicate of duplicates) {
+    for (const review of duplicate.reviews) {
+      const existing = survivor.reviews.find(candidate => candidate.user.equals(review.user));
+      const reviewedAt = (entry) => entry.updatedAt || entry.createdAt || 0;
+
+      if (!existing) {
+        survivor.reviews.push(review.toObject());
+        report.reviews.moved += 1;
+      } else {
+        report.reviews.conflicts += 1;
+        if (reviewedAt(review) > reviewedAt(existing)) {
+          survivor.reviews.pull(existing._id);
+          survivor.reviews.push(review.toObject());
+        }
+      }
+    }
+  }
+
+  if (report.reviews.moved > 0 || report.reviews.conflicts > 0) {
+    survivor.updateAverageRating();
+  }
+
+  // Bookshelves
+  const shelfFilter = [
+    ...SHELVES.map(shelf => ({ [`${shelf}.book`]: { $in: duplicateObjectIds } })),
+    { 'customShelves.books.book': { $in: duplicateObjectIds } }
+  ];
+  const bookshelves = await Bookshelf.find({ $or: shelfFilter });
+
+  for (const bookshelf of bookshelves) {
+    const lists = [...SHELVES.map(shelf => bookshelf[shelf]), ...bookshelf.customShelves.map(shelf => shelf.books)];
+
+    for (const items of lists) {
+      const { moved, dropped } = moveShelfItems(items, duplicateObjectIds, survivor._id);
+      report.bookshelfItems.moved += moved;
+      report.bookshelfItems.dropped += dropped;
+    }
+
+    await bookshelf.save();
+  }
+
+  // Reading sessions
+  const sessions = await ReadingSession.updateMany(
+    { book: { $in: duplicateObjectIds } },
+    { $set: { book: survivor._id } }
+  );
+  report.readingSessions = sessions.modifiedCount;
+
+  // Communities
+  const discussions = await repointEntries(Community, 'discussions', duplicateObjectIds, survivor._id);
+  const currentBooks = await Community.updateMany(
+    { currentBook: { $in: duplicateObjectIds } },
+    { $set: { currentBook: survivor._id } }
+  );
+  report.communities = { discussions: discussions.modifiedCount, currentBooks: currentBooks.modifiedCount };
+
+  // Users' reading lists and history
+  const userUpdates = await Promise.all([
+    ...['currentlyReading', 'finishedBooks', 'viewedBooks', 'readingHistory']
+      .map(path => repointEntries(User, path, duplicateObjectIds, survivor._id)),
+    User.updateMany(
+      { wantToRead: { $in: duplicateObjectIds } },
+      { $set: { 'wantToRead.$[entry]': survivor._id } },
+      { arrayFilters: [{ entry: { $in: duplicateObjectIds } }] }
+    )
+  ]);
+  report.users = userUpdates.reduce((sum, result) => sum + result.modifiedCount, 0);
+
+  // Library import reports
+  const importRows = await LibraryImportRow.updateMany(
+    { book: { $in: duplicateObjectIds } },
+    { $set: { book: survivor._id } }
+  );
+  report.importRows = importRows.modifiedCount;
+
+  // The survivor keeps the duplicates' identities and activity
+  const mergedIds = duplicates.flatMap(book => [
+    book._id.toString(), book.googleBooksId, book.openLibraryId, ...book.mergedIds, ...editionIsbns(book)
+  ]).filter(Boolean);
+  survivor.mergedIds = [...new Set([...survivor.mergedIds, ...mergedIds])];
+
+  for (const field of ['viewCount', 'purchaseCount', 'wishlistCount']) {
+    if (typeof survivor[field] === 'number') {
+      survivor[field] += duplicates.reduce((sum, book) => sum + (book[field] || 0), 0);
+    }
+  }
+
+  const workIds = duplicates.map(book => book.work).filter(Boolean);
+
+  // Moved reviews and counters are stored before anything is deleted
+  await survivor.save();
+
+  await Book.deleteMany({ _id: { $in: duplicateObjectIds } });
+
+  // Unique provider IDs can only move once the duplicates are gone
+  let idsMoved = false;
+  for (const field of ['googleBooksId', 'openLibraryId', 'isbn', 'isbn10', 'isbn13']) {
+    const donor = duplicates.find(book => book[field]);
+    if (!survivor[field] && donor) {
+      survivor[field] = donor[field];
+      idsMoved = true;
+    }
+  }
+
+  if (idsMoved) {
+    await survivor.save();
+  }
+
+  // Keep the work's ISBNs and edition counts in step
+  const work = await assignWork(survivor);
+  const isbns = duplicates.flatMap(editionIsbns);
+  if (isbns.length > 0) {
+    await Work.updateOne({ _id: work._id }, { $addToSet: { isbns: { $each: isbns } } });
+  }
+
+  for (const workId of workIds) {
+    if (!workId.equals(work._id)) {
+      await refreshEditionCount(workId);
+    }
+  }
+  await refreshEditionCount(work._id);
+
+  console.log(`🔗 Merged ${duplicates.length} duplicate(s) into ${survivor.title}`);
+
+  return report;
+};
+
+export default {
+  normalizeWorkTitle,
+  normalizeWorkAuthor,
+  workKeyFor,
+  editionIsbns,
+  assignWork,
+  assignMissingWorks,
+  findDuplicateCandidates,
+  mergeBooks
+};
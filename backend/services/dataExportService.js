@@ -0,0 +1,511 @@
+// backend/services/dataExportService.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import User from '../models/User.js';
+import Book from '../models/Book.js';
+import Bookshelf from '../models/Bookshelf.js';
+import Community from '../models/Community.js';
+import ReadingSession from '../models/ReadingSession.js';
+import DataExport from '../models/DataExport.js';
+import { createZipArchive } from '../utils/zipArchive.js';
+
+/**
+ * Data Export Service
+ * Collects everything a user has stored with us and packages it as a ZIP with a
+ * full data.json plus one CSV per section, for GDPR-style access requests.
+ */
+
+const BOOK_FIELDS = 'title authors isbn';
+
+/**
+ * Directory the archives are written to
+ */
+export const getExportDir = () => {
+  return process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), 'bookifyme-exports');
+};
+
+/**
+ * How long a finished export can be downloaded (DATA_EXPORT_LINK_TTL_HOURS, default 48)
+ */
+export const getDownloadTtlHours = () => {
+  return parseInt(process.env.DATA_EXPORT_LINK_TTL_HOURS, 10) || 48;
+};
+
+const bookSummary = (book) => {
+  if (!book || !book.title) {
+    return { id: book?._id || book || null };
+  }
+
+  return {
+    id: book._id,
+    title: book.title,
+    authors: book.authors,
+    isbn: book.isbn
+  };
+};
+
+const shelfItems = (items = [], shelf) => items.map(item => ({
+  shelf,
+  book: bookSummary(item.book),
+  addedAt: item.addedAt,
+  startedAt: item.startedAt,
+  completedAt: item.completedAt,
+  currentPage: item.currentPage,
+  progress: item.progress,
+  rating: item.rating,
+  review: item.review,
+  isFavorite: item.isFavorite,
+  tags: item.tags
+}));
+
+/**
+ * Gather a user's personal data from every collection
+ */
+export const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .populate('friends.user', 'username')
+    .populate('joinedCommunities.community', 'name')
+    .populate('currentlyReading.book wantToRead finishedBooks.book', BOOK_FIELDS);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const [bookshelf, sessions, reviewedBooks, communities] = await Promise.all([
+    Bookshelf.findOne({ user: userId })
+      .populate('currentlyReading.book wantToRead.book finished.book customShelves.books.book', BOOK_FIELDS),
+    ReadingSession.find({ user: userId })
+      .populate('book', BOOK_FIELDS)
+      .sort({ startTime: -1 }),
+    Book.find({ 'reviews.user': userId }).select('title authors isbn reviews'),
+    Community.find({
+      $or: [
+        { 'discussions.user': userId },
+        { 'discussions.comments.user': userId },
+        { 'discussions.comments.replies.user': userId }
+      ]
+    }).select('name discussions')
+  ]);
+
+  const isUser = id => id && id.toString() === userId.toString();
+
+  const profile = {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    isVerified: user.isVerified,
+    signUpSource: user.signUpSource,
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt,
+    profile: user.profile,
+    preferences: user.preferences,
+    stats: user.stats,
+    linkedAccounts: (user.oauthAccounts || []).map(account => ({
+      provider: account.provider,
+      email: account.email,
+      linkedAt: account.linkedAt
+    })),
+    friends: user.friends.map(friend => ({
+      username: friend.user?.username,
+      status: friend.status,
+      since: friend.acceptedAt || friend.createdAt
+    })),
+    communities: user.joinedCommunities.map(membership => ({
+      name: membership.community?.name,
+      role: membership.role,
+      joinedAt: membership.joinedAt
+    }))
+  };
+
+  const bookshelfData = [
+    ...shelfItems(user.currentlyReading, 'currentlyReading'),
+    ...user.wantToRead.map(book => ({ shelf: 'wantToRead', book: bookSummary(book) })),
+    ...user.finishedBooks.map(item => ({
+      shelf: 'finished',
+      book: bookSummary(item.book),
+      completedAt: item.completedAt,
+      rating: item.rating,
+      review: item.review
+    }))
+  ];
+
+  if (bookshelf) {
+    bookshelfData.push(
+      ...shelfItems(bookshelf.currentlyReading, 'currentlyReading'),
+      ...shelfItems(bookshelf.wantToRead, 'wantToRead'),
+      ...shelfItems(bookshelf.finished, 'finished'),
+      ...bookshelf.customShelves.flatMap(shelf => shelfItems(shelf.books, shelf.name))
+    );
+  }
+
+  const readingSessions = sessions.map(session => ({
+    id: session._id,
+    book: bookSummary(session.book),
+    status: session.status,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    completedAt: session.completedAt,
+    startPage: session.startPage,
+    currentPage: session.currentPage,
+    progress: session.progress,
+    pagesRead: session.pagesRead,
+    totalReadingTime: session.totalReadingTime,
+    finalRating: session.finalRating,
+    finalReview: session.finalReview,
+    notes: session.notes.map(note => ({ page: note.page, content: note.content, createdAt: note.createdAt })),
+    highlights: session.highlights.map(highlight => ({
+      page: highlight.page,
+      text: highlight.text,
+      color: highlight.color,
+      note: highlight.note,
+      createdAt: highlight.createdAt
+    })),
+    bookmarks: session.bookmarks.map(bookmark => ({
+      page: bookmark.page,
+      note: bookmark.note,
+      createdAt: bookmark.createdAt
+    }))
+  }));
+
+  const reviews = reviewedBooks.flatMap(book => book.reviews
+    .filter(review => isUser(review.user))
+    .map(review => ({
+      book: bookSummary(book),
+      rating: review.rating,
+      title: review.title,
+      comment: review.comment,
+      createdAt: review.createdAt,
+      updatedAt: review.updatedAt
+    })));
+
+  const communityPosts = [];
+  for (const community of communities) {
+    for (const discussion of community.discussions) {
+      if (isUser(discussion.user)) {
+        communityPosts.push({
+          type: 'discussion',
+          community: community.name,
+          discussion: discussion.title,
+          content: discussion.content,
+          createdAt: discussion.createdAt
+        });
+      }
+
+      for (const comment of discussion.comments) {
+        if (isUser(comment.user)) {
+          communityPosts.push({
+            type: 'comment',
+            community: community.name,
+            discussion: discussion.title,
+            content: comment.content,
+            createdAt: comment.createdAt
+          });
+        }
+
+        for (const reply of comment.replies) {
+          if (isUser(reply.user)) {
+            communityPosts.push({
+              type: 'reply',
+              community: community.name,
+              discussion: discussion.title,
+              content: reply.content,
+              createdAt: reply.createdAt
+            });
+          }
+        }
+      }
+    }
+  }
+
+  const searchHistory = user.searchHistory.map(entry => ({
+    query: entry.query,
+    resultsCount: entry.resultsCount,
+    filters: entry.filters,
+    timestamp: entry.timestamp
+  }));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    bookshelf: bookshelfData,
+    readingSessions,
+    reviews,
+    communityPosts,
+    searchHistory
+  };
+};
+
+// ========== CSV ==========
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString()
+    : Array.isArray(value) ? value.join('; ')
+      : typeof value === 'object' ? JSON.stringify(value)
+        : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows as CSV using the given column -> getter map
+ */
+const toCsv = (rows, columns) => {
+  const header = Object.keys(columns).join(',');
+  const lines = rows.map(row => Object.values(columns).map(get => csvValue(get(row))).join(','));
+  return [header, ...lines].join('\r\n') + '\r\n';
+};
+
+/**
+ * Build the archive contents from collected data
+ */
+export const buildExportFiles = (data) => {
+  const sessionRows = kind => data.readingSessions.flatMap(session =>
+    session[kind].map(entry => ({ ...entry, book: session.book, sessionId: session.id }))
+  );
+
+  return [
+    { name: 'data.json', content: JSON.stringify(data, null, 2) },
+    {
+      name: 'bookshelf.csv',
+      content: toCsv(data.bookshelf, {
+        shelf: row => row.shelf,
+        title: row => row.book.title,
+        authors: row => row.book.authors,
+        isbn: row => row.book.isbn,
+        addedAt: row => row.addedAt,
+        completedAt: row => row.completedAt,
+        progress: row => row.progress,
+        rating: row => row.rating,
+        review: row => row.review
+      })
+    },
+    {
+      name: 'reading_sessions.csv',
+      content: toCsv(data.readingSessions, {
+        sessionId: row => row.id,
+        title: row => row.book.title,
+        status: row => row.status,
+        startTime: row => row.startTime,
+        completedAt: row => row.completedAt,
+        currentPage: row => row.currentPage,
+        progress: row => row.progress,
+        pagesRead: row => row.pagesRead,
+        totalReadingTimeSeconds: row => row.totalReadingTime,
+        rating: row => row.finalRating,
+        review: row => row.finalReview
+      })
+    },
+    {
+      name: 'notes.csv',
+      content: toCsv(sessionRows('notes'), {
+        sessionId: row => row.sessionId,
+        title: row => row.book.title,
+        page: row => row.page,
+        content: row => row.content,
+        createdAt: row => row.createdAt
+      })
+    },
+    {
+      name: 'highlights.csv',
+      content: toCsv(sessionRows('highlights'), {
+        sessionId: row => row.sessionId,
+        title: row => row.book.title,
+        page: row => row.page,
+        text: row => row.text,
+        color: row => row.color,
+        note: row => row.note,
+        createdAt: row => row.createdAt
+      })
+    },
+    {
+      name: 'bookmarks.csv',
+      content: toCsv(sessionRows('bookmarks'), {
+        sessionId: row => row.sessionId,
+        title: row => row.book.title,
+        page: row => row.page,
+        note: row => row.note,
+        createdAt: row => row.createdAt
+      })
+    },
+    {
+      name: 'reviews.csv',
+      content: toCsv(data.reviews, {
+        title: row => row.book.title,
+        authors: row => row.book.authors,
+        rating: row => row.rating,
+        reviewTitle: row => row.title,
+        comment: row => row.comment,
+        createdAt: row => row.createdAt
+      })
+    },
+    {
+      name: 'community_posts.csv',
+      content: toCsv(data.communityPosts, {
+        type: row => row.type,
+        community: row => row.community,
+        discussion: row => row.discussion,
+        content: row => row.content,
+        createdAt: row => row.createdAt
+      })
+    },
+    {
+      name: 'search_history.csv',
+      content: toCsv(data.searchHistory, {
+        query: row => row.query,
+        resultsCount: row => row.resultsCount,
+        filters: row => row.filters,
+        timestamp: row => row.timestamp
+      })
+    }
+  ];
+};
+
+// ========== JOB PROCESSING ==========
+
+/**
+ * Build the archive for a pending export request
+ */
+export const processExport = async (exportId) => {
+  const dataExport = await DataExport.claim(exportId);
+
+  // Already picked up (or finished) elsewhere
+  if (!dataExport) {
+    return null;
+  }
+
+  try {
+    const data = await collectUserData(dataExport.user);
+    const archive = createZipArchive(buildExportFiles(data));
+
+    const exportDir = getExportDir();
+    await fs.mkdir(exportDir, { recursive: true });
+
+    const fileName = `bookifyme-export-${new Date().toISOString().split('T')[0]}.zip`;
+    const filePath = path.join(exportDir, `${dataExport._id}.zip`);
+    await fs.writeFile(filePath, archive);
+
+    dataExport.status = 'completed';
+    dataExport.filePath = filePath;
+    dataExport.fileName = fileName;
+    dataExport.fileSize = archive.length;
+    dataExport.recordCounts = {
+      bookshelf: data.bookshelf.length,
+      readingSessions: data.readingSessions.length,
+      reviews: data.reviews.length,
+      communityPosts: data.communityPosts.length,
+      searchHistory: data.searchHistory.length
+    };
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + getDownloadTtlHours() * 60 * 60 * 1000);
+    await dataExport.save();
+
+    console.log(`📦 Data export ready: ${dataExport._id} (${archive.length} bytes)`);
+  } catch (error) {
+    console.error(`❌ Data export ${dataExport._id} failed:`, error);
+
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    // Failed exports don't count towards the daily limit
+    dataExport.limitSlot = undefined;
+    await dataExport.save();
+  }
+
+  return dataExport;
+};
+
+/**
+ * Process an export in the background without holding up the request
+ */
+export const scheduleExport = (exportId) => {
+  setImmediate(() => {
+    processExport(exportId).catch(error => {
+      console.error('❌ Data export scheduling error:', error);
+    });
+  });
+};
+
+/**
+ * Pick up exports that were never processed, e.g. because the server restarted
+ * between the request and the build
+ */
+export const processPendingExports = async ({ limit = 10, stalledAfterMinutes = 30 } = {}) => {
+  // A build that has been "processing" this long died with its process
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lte: new Date(Date.now() - stalledAfterMinutes * 60 * 1000) } },
+    { $set: { status: 'pending' } }
+  );
+
+  // Leave fresh requests to the in-process scheduler
+  const pending = await DataExport.find({
+    status: 'pending',
+    createdAt: { $lte: new Date(Date.now() - 60 * 1000) }
+  })
+    .select('_id')
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  let processed = 0;
+  for (const dataExport of pending) {
+    if (await processExport(dataExport._id)) {
+      processed++;
+    }
+  }
+
+  return processed;
+};
+
+const removeFile = async (filePath) => {
+  if (!filePath) return;
+
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * Delete archives whose download link has expired
+ */
+export const expireExports = async () => {
+  const expired = await DataExport.find({
+    status: 'completed',
+    expiresAt: { $lte: new Date() }
+  }).select('+filePath');
+
+  for (const dataExport of expired) {
+    await removeFile(dataExport.filePath);
+    dataExport.status = 'expired';
+    dataExport.filePath = undefined;
+    await dataExport.save();
+  }
+
+  return expired.length;
+};
+
+/**
+ * Delete all of a user's exports and archives (used when an account is purged)
+ */
+export const deleteExportsForUser = async (userId) => {
+  const exports = await DataExport.find({ user: userId }).select('+filePath');
+
+  for (const dataExport of exports) {
+    await removeFile(dataExport.filePath);
+  }
+
+  await DataExport.deleteMany({ user: userId });
+};
+
+export default {
+  getExportDir,
+  getDownloadTtlHours,
+  collectUserData,
+  buildExportFiles,
+  processExport,
+  scheduleExport,
+  processPendingExports,
+  expireExports,
+  deleteExportsForUser
+};
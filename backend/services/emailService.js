@@ -0,0 +1,260 @@
+// backend/services/emailService.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { generateRandomString } from '../utils/helpers.js';
+
+/**
+ * Email Service
+ * Sends transactional emails through a pluggable transport.
+ *
+ * The transport is selected with EMAIL_TRANSPORT:
+ *   - smtp:    delivers through nodemailer (EMAIL_SERVICE / EMAIL_HOST, EMAIL_USERNAME, EMAIL_PASSWORD)
+ *   - file:    writes each message as JSON into EMAIL_OUTPUT_DIR (useful for tests)
+ *   - console: prints each message to stdout (default outside production)
+ */
+
+const DEFAULT_FROM = 'BookifyMe <no-reply@bookifyme.com>';
+
+let smtpTransporter = null;
+
+/**
+ * Lazily create the nodemailer transporter so env vars are read after dotenv has loaded
+ */
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      service: process.env.EMAIL_HOST ? undefined : process.env.EMAIL_SERVICE,
+      host: process.env.EMAIL_HOST,
+      port: process.env.EMAIL_PORT ? parseInt(process.env.EMAIL_PORT, 10) : undefined,
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: {
+        user: process.env.EMAIL_USERNAME,
+        pass: process.env.EMAIL_PASSWORD
+      }
+    });
+  }
+
+  return smtpTransporter;
+};
+
+/**
+ * Get the directory used by the file transport
+ */
+export const getEmailOutputDir = () => {
+  return process.env.EMAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'bookifyme-emails');
+};
+
+// Registered transports, keyed by name
+const transports = {
+  smtp: {
+    send: async (message) => {
+      const info = await getSmtpTransporter().sendMail(message);
+      return { messageId: info.messageId };
+    }
+  },
+
+  file: {
+    send: async (message) => {
+      const outputDir = getEmailOutputDir();
+      await fs.mkdir(outputDir, { recursive: true });
+
+      const messageId = `${Date.now()}_${generateRandomString(8)}`;
+      const filePath = path.join(outputDir, `${messageId}.json`);
+
+      await fs.writeFile(filePath, JSON.stringify({
+        ...message,
+        messageId,
+        sentAt: new Date().toISOString()
+      }, null, 2));
+
+      return { messageId, filePath };
+    }
+  },
+
+  console: {
+    send: async (message) => {
+      console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId: `console_${Date.now()}` };
+    }
+  }
+};
+
+/**
+ * Register a custom transport (must expose an async send(message) method)
+ */
+export const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Email transport must implement send(message)');
+  }
+
+  transports[name] = transport;
+};
+
+/**
+ * Resolve the transport configured for the current environment
+ */
+export const getTransportName = () => {
+  return process.env.EMAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @param {string} options.html - HTML body (optional)
+ * @returns {Promise<Object>} Transport delivery info
+ */
+export const sendEmail = async ({ to, subject, text, html }) => {
+  const transportName = getTransportName();
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${transportName}`);
+  }
+
+  if (!to || !subject) {
+    throw new Error('Email recipient and subject are required');
+  }
+
+  const message = {
+    from: process.env.EMAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  };
+
+  try {
+    return await transport.send(message);
+  } catch (error) {
+    console.error(`❌ Email delivery error (${transportName}):`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Build an absolute link into the client application
+ */
+export const buildClientUrl = (pathname) => {
+  const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${clientUrl}${pathname}`;
+};
+
+/**
+ * Send password reset instructions
+ */
+export const sendPasswordResetEmail = (user, resetUrl) => {
+  return sendEmail({
+    to: user.email,
+    subject: 'Reset your BookifyMe password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'We received a request to reset your BookifyMe password.',
+      'Use the link below within 10 minutes to choose a new one:',
+      '',
+      resetUrl,
+      '',
+      'If you did not request a password reset, you can safely ignore this email.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${user.username},</p>
+      <p>We received a request to reset your BookifyMe password.</p>
+      <p><a href="${resetUrl}">Choose a new password</a> (the link expires in 10 minutes).</p>
+      <p>If you did not request a password reset, you can safely ignore this email.</p>
+    `
+  });
+};
+
+/**
+ * Send email address verification link
+ */
+export const sendVerificationEmail = (user, verifyUrl) => {
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your BookifyMe email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Welcome to BookifyMe! Please confirm your email address by opening the link below:',
+      '',
+      verifyUrl,
+      '',
+      'The link expires in 24 hours.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${user.username},</p>
+      <p>Welcome to BookifyMe! Please confirm your email address.</p>
+      <p><a href="${verifyUrl}">Verify my email</a> (the link expires in 24 hours).</p>
+    `
+  });
+};
+
+/**
+ * Send account unlock link after a lockout
+ */
+export const sendAccountUnlockEmail = (user, unlockUrl, lockedUntil) => {
+  const lockedUntilText = lockedUntil ? new Date(lockedUntil).toUTCString() : 'a short while';
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Your BookifyMe account has been locked',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'We locked your BookifyMe account after several failed login attempts.',
+      `It will unlock automatically at ${lockedUntilText}, or you can unlock it now:`,
+      '',
+      unlockUrl,
+      '',
+      'If these attempts were not you, consider changing your password once you are back in.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${user.username},</p>
+      <p>We locked your BookifyMe account after several failed login attempts.</p>
+      <p>It will unlock automatically at ${lockedUntilText}, or you can <a href="${unlockUrl}">unlock it now</a>.</p>
+      <p>If these attempts were not you, consider changing your password once you are back in.</p>
+    `
+  });
+};
+
+/**
+ * Send passwordless sign-in link
+ */
+export const sendMagicLinkEmail = (user, loginUrl) => {
+  return sendEmail({
+    to: user.email,
+    subject: 'Your BookifyMe sign-in link',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Use the link below within 15 minutes to sign in to BookifyMe. It can only be used once:',
+      '',
+      loginUrl,
+      '',
+      'If you did not request this link, you can safely ignore this email.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${user.username},</p>
+      <p><a href="${loginUrl}">Sign in to BookifyMe</a> (the link expires in 15 minutes and can only be used once).</p>
+      <p>If you did not request this link, you can safely ignore this email.</p>
+    `
+  });
+};
+
+export default {
+  sendEmail,
+  registerTransport,
+  getTransportName,
+  getEmailOutputDir,
+  buildClientUrl,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountUnlockEmail,
+  sendMagicLinkEmail
+};
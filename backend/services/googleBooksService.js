@@ -1,6 +1,10 @@
 // backend/services/googleBooksService.js
 import axios from 'axios';
 import Book from '../models/Book.js';
+import { getMetadataCache } from './metadataCache.js';
+import { AppError } from '../utils/helpers.js';
+import { withRetry } from '../utils/retry.js';
+import { createCircuitBreaker } from '../utils/circuitBreaker.js';
 
 /**
  * Google Books API Service
@@ -12,26 +16,116 @@ const GOOGLE_BOOKS_API_BASE = 'https://www.googleapis.com/books/v1';
 const API_TIMEOUT = 10000; // 10 seconds
 const MAX_RESULTS = 40;
 
-// Cache for API responses to reduce rate limiting
-const cache = new Map();
-const CACHE_DURATION = 15 * 60 * 1000; // 15 minutes
+// Shared response cache (see services/metadataCache.js)
+const cache = getMetadataCache('google');
+
+// Error reasons Google reports with a 403
+const RATE_LIMIT_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded']);
+const DAILY_QUOTA_REASONS = new Set(['dailyLimitExceeded', 'quotaExceeded']);
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
 
 /**
- * Make a request to Google Books API with error handling and caching
+ * Retry, circuit breaker and quota settings
  */
-const makeGoogleBooksRequest = async (endpoint, params = {}) => {
-  try {
-    // Create cache key
-    const cacheKey = `${endpoint}:${JSON.stringify(params)}`;
-    
-    // Check cache
-    if (cache.has(cacheKey)) {
-      const cached = cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < CACHE_DURATION) {
-        console.log(`📚 Using cached response for: ${endpoint}`);
-        return cached.data;
-      }
-    }
+const getResilienceSettings = () => ({
+  maxRetries: envNumber('GOOGLE_BOOKS_MAX_RETRIES', 2),
+  retryBaseDelayMs: envNumber('GOOGLE_BOOKS_RETRY_BASE_MS', 250),
+  retryMaxDelayMs: envNumber('GOOGLE_BOOKS_RETRY_MAX_MS', 4000),
+  breakerThreshold: envNumber('GOOGLE_BOOKS_BREAKER_THRESHOLD', 5),
+  breakerCooldownMs: envNumber('GOOGLE_BOOKS_BREAKER_COOLDOWN_SECONDS', 60) * 1000,
+  // Requests per day; Google's default for the Books API is 1000
+  dailyQuota: envNumber('GOOGLE_BOOKS_DAILY_QUOTA', 1000),
+  // Share of the daily quota kept for user-facing requests
+  quotaReserve: envNumber('GOOGLE_BOOKS_QUOTA_RESERVE', 0.1)
+});
+
+const errorReason = (error) => error.response?.data?.error?.errors?.[0]?.reason;
+
+const isDailyQuotaError = (error) => error.response?.status === 403 && DAILY_QUOTA_REASONS.has(errorReason(error));
+
+// Throttling and server errors are worth retrying
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  if (status === 429 || status >= 500) return true;
+  if (status === 403) return RATE_LIMIT_REASONS.has(errorReason(error));
+  return ['ECONNRESET', 'EAI_AGAIN'].includes(error.code);
+};
+
+// Failures that count against Google's health (not 404s, bad requests or our own refusals)
+const isUpstreamFailure = (error) => !error.isOperational && (!error.response || isRetryable(error));
+
+const retryAfterMs = (error) => {
+  const seconds = parseInt(error.response?.headers?.['retry-after'], 10);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+const { breakerThreshold, breakerCooldownMs } = getResilienceSettings();
+const breaker = createCircuitBreaker({
+  name: 'Google Books API',
+  failureThreshold: breakerThreshold,
+  cooldownMs: breakerCooldownMs,
+  isFailure: isUpstreamFailure
+});
+
+// Requests spent today; Google resets quotas at midnight Pacific time
+const quota = { day: null, used: 0, exhaustedByGoogle: false };
+
+const quotaDay = () => new Date().toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+
+/**
+ * Today's quota budget
+ * mode is "normal", "reserved" (only user-facing requests are made) or "exhausted"
+ */
+export const getQuotaState = () => {
+  const day = quotaDay();
+  if (quota.day !== day) {
+    Object.assign(quota, { day, used: 0, exhaustedByGoogle: false });
+  }
+
+  const { dailyQuota, quotaReserve } = getResilienceSettings();
+  const reserve = Math.ceil(dailyQuota * quotaReserve);
+  const remaining = quota.exhaustedByGoogle ? 0 : Math.max(0, dailyQuota - quota.used);
+
+  return {
+    day,
+    limit: dailyQuota,
+    used: quota.used,
+    remaining,
+    reserve,
+    mode: remaining === 0 ? 'exhausted' : remaining <= reserve ? 'reserved' : 'normal'
+  };
+};
+
+// Take one request from today's budget, or refuse
+const spendQuota = (priority) => {
+  const { mode } = getQuotaState();
+
+  if (mode === 'exhausted') {
+    throw new AppError('Google Books daily quota exhausted', 429, 'GOOGLE_BOOKS_QUOTA_EXHAUSTED');
+  }
+
+  if (mode === 'reserved' && priority === 'low') {
+    throw new AppError('Google Books quota is reserved for user requests', 429, 'GOOGLE_BOOKS_QUOTA_RESERVED');
+  }
+
+  quota.used += 1;
+};
+
+/**
+ * Call Google Books through the circuit breaker, retrying throttling and server errors
+ * @param {Object} [options]
+ * @param {string} [options.priority] - "low" requests (background refreshes) are
+ *   skipped once the quota is down to its reserve
+ */
+const requestGoogleBooks = (endpoint, params, { priority = 'normal' } = {}) => {
+  const { maxRetries, retryBaseDelayMs, retryMaxDelayMs } = getResilienceSettings();
+
+  return breaker.execute(() => withRetry(async () => {
+    spendQuota(priority);
 
     const config = {
       timeout: API_TIMEOUT,
@@ -43,17 +137,48 @@ const makeGoogleBooksRequest = async (endpoint, params = {}) => {
 
     console.log(`🌐 Google Books API Request: ${endpoint}`, params);
 
-    const response = await axios.get(`${GOOGLE_BOOKS_API_BASE}${endpoint}`, config);
-    
-    // Cache the response
-    cache.set(cacheKey, {
-      data: response.data,
-      timestamp: Date.now()
-    });
+    try {
+      const response = await axios.get(`${GOOGLE_BOOKS_API_BASE}${endpoint}`, config);
+      return response.data;
+    } catch (error) {
+      if (isDailyQuotaError(error)) {
+        quota.exhaustedByGoogle = true;
+        console.warn('⚠️ Google Books reported the daily quota as exhausted');
+      }
+      throw error;
+    }
+  }, {
+    retries: maxRetries,
+    baseDelayMs: retryBaseDelayMs,
+    maxDelayMs: retryMaxDelayMs,
+    shouldRetry: isRetryable,
+    retryAfterMs,
+    onRetry: (error, attempt, delay) => {
+      console.warn(`🔁 Retrying Google Books request ${endpoint} (retry ${attempt}) in ${delay}ms: ${error.message}`);
+    }
+  }));
+};
+
+/**
+ * Make a request to Google Books API with error handling and caching
+ * Identical concurrent requests share one upstream call. While the circuit is
+ * open or the quota is spent, cached (including stale) responses are still served.
+ */
+const makeGoogleBooksRequest = async (endpoint, params = {}) => {
+  const cacheKey = `${endpoint}:${JSON.stringify(params)}`;
 
-    return response.data;
+  try {
+    return await cache.get(cacheKey, ({ revalidating }) => requestGoogleBooks(endpoint, params, {
+      priority: revalidating ? 'low' : 'normal'
+    }));
 
   } catch (error) {
+    // Circuit open or quota spent, and nothing cached to serve
+    if (error.isOperational) {
+      console.warn(`⚠️ Google Books request skipped (${endpoint}): ${error.message}`);
+      throw error;
+    }
+
     console.error('❌ Google Books API Error:', {
       endpoint,
       params,
@@ -67,8 +192,12 @@ const makeGoogleBooksRequest = async (endpoint, params = {}) => {
       throw new Error('Google Books API request timeout');
     }
 
-    if (error.response?.status === 403) {
-      throw new Error('Google Books API rate limit exceeded');
+    if (isDailyQuotaError(error)) {
+      throw new AppError('Google Books daily quota exhausted', 429, 'GOOGLE_BOOKS_QUOTA_EXHAUSTED');
+    }
+
+    if (error.response?.status === 403 || error.response?.status === 429) {
+      throw new AppError('Google Books API rate limit exceeded', 429, 'GOOGLE_BOOKS_RATE_LIMITED');
     }
 
     if (error.response?.status === 404) {
@@ -609,20 +738,52 @@ export const getSimilarBooksFromGoogle = async (book, limit = 6) => {
 
 /**
  * Health check for Google Books API
+ * Includes the circuit breaker and quota state; no request is made while the
+ * circuit is open or the quota is spent.
  */
 export const checkGoogleBooksAPIHealth = async () => {
+  const circuit = breaker.getState();
+  const quotaState = getQuotaState();
+
+  if (circuit.state === 'open') {
+    return {
+      status: 'degraded',
+      message: `Google Books API is failing; requests are paused until ${circuit.retryAt.toISOString()} and served from cache`,
+      responseTime: 'skipped',
+      resultsCount: 0,
+      circuit,
+      quota: quotaState
+    };
+  }
+
+  if (quotaState.mode === 'exhausted') {
+    return {
+      status: 'degraded',
+      message: 'Google Books daily quota is used up; serving cached results until it resets',
+      responseTime: 'skipped',
+      resultsCount: 0,
+      circuit,
+      quota: quotaState
+    };
+  }
+
   try {
     const testQuery = 'javascript programming';
     const results = await searchBooksFromGoogle({
       q: testQuery,
       maxResults: 1
     });
+    const currentQuota = getQuotaState();
 
     return {
-      status: 'healthy',
-      message: 'Google Books API is responding correctly',
+      status: currentQuota.mode === 'normal' ? 'healthy' : 'degraded',
+      message: currentQuota.mode === 'normal'
+        ? 'Google Books API is responding correctly'
+        : 'Google Books API is responding; quota is down to its reserve for user requests',
       responseTime: 'normal',
-      resultsCount: results.totalItems || 0
+      resultsCount: results.totalItems || 0,
+      circuit: breaker.getState(),
+      quota: currentQuota
     };
 
   } catch (error) {
@@ -630,28 +791,26 @@ export const checkGoogleBooksAPIHealth = async () => {
       status: 'unhealthy',
       message: `Google Books API is not responding: ${error.message}`,
       responseTime: 'timeout',
-      resultsCount: 0
+      resultsCount: 0,
+      circuit: breaker.getState(),
+      quota: getQuotaState()
     };
   }
 };
 
 /**
- * Clear the API cache
+ * Clear the API cache (in memory and the shared collection)
  */
-export const clearCache = () => {
-  cache.clear();
+export const clearCache = async () => {
+  const removed = await cache.clear();
   console.log('🧹 Google Books API cache cleared');
+  return removed;
 };
 
 /**
  * Get cache statistics
  */
-export const getCacheStats = () => {
-  return {
-    size: cache.size,
-    keys: Array.from(cache.keys())
-  };
-};
+export const getCacheStats = () => cache.getStats();
 
 export default {
   searchBooksFromGoogle,
@@ -665,6 +824,7 @@ export default {
   transformMultipleGoogleBooks,
   getSimilarBooksFromGoogle,
   checkGoogleBooksAPIHealth,
+  getQuotaState,
   clearCache,
   getCacheStats
 };
\ No newline at end of file
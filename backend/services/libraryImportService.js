@@ -0,0 +1,532 @@
+// backend/services/libraryImportService.js
+import Book from '../models/Book.js';
+import Work from '../models/Work.js';
+import Bookshelf from '../models/Bookshelf.js';
+import LibraryImport from '../models/LibraryImport.js';
+import LibraryImportRow from '../models/LibraryImportRow.js';
+import { parseCsv } from '../utils/csv.js';
+import { AppError, normalizeISBN, toISBN13, truncateText } from '../utils/helpers.js';
+import { fetchBookByISBN, searchBooks, saveBookMetadata } from './bookMetadataService.js';
+import { normalizeWorkTitle, normalizeWorkAuthor, workKeyFor } from './bookWorkService.js';
+
+/**
+ * Library Import Service
+ * Imports a Goodreads library export ("My Books" → Import and export → Export
+ * library) into the user's bookshelf.
+ *
+ * Each row is resolved to a catalog book by ISBN-13/ISBN, then by title and
+ * author (catalog works first, then a metadata provider search). Matched books
+ * go on the shelf for their Goodreads exclusive shelf and on a custom shelf for
+ * every other Goodreads shelf, with the rating, review, date read and read count.
+ * Books already on the user's shelves keep their shelf and values; the import
+ * only fills in what's missing, so rows can safely be processed again.
+ *
+ * Imports run in the background, row by row; `nextRow` is saved as they go so a
+ * restarted or paused import resumes where it stopped. The maximum file size in
+ * rows is LIBRARY_IMPORT_MAX_ROWS (default 5000).
+ */
+
+// Goodreads exclusive shelves and the bookshelf they map to
+const EXCLUSIVE_SHELVES = {
+  read: 'finished',
+  'currently-reading': 'currentlyReading',
+  'to-read': 'wantToRead'
+};
+const MAIN_SHELVES = Object.values(EXCLUSIVE_SHELVES);
+
+const REQUIRED_COLUMNS = ['Title', 'Author', 'Exclusive Shelf'];
+
+// Bookshelf and Book limits
+const MAX_REVIEW_LENGTH = 2000;
+const MIN_PUBLIC_REVIEW_LENGTH = 10;
+const MAX_SHELF_NAME_LENGTH = 50;
+
+// Search results offered for an ambiguous row
+const MAX_CANDIDATES = 5;
+
+// Rows between saves of the cursor and the bookshelf
+const SAVE_EVERY_ROWS = 20;
+
+// Consecutive lookup errors after which the import is paused (providers are likely down),
+// and how often an import may be paused before such rows are just marked failed
+const MAX_CONSECUTIVE_FAILURES = 3;
+const MAX_PAUSES = 5;
+
+export const getMaxImportRows = () => {
+  return parseInt(process.env.LIBRARY_IMPORT_MAX_ROWS, 10) || 5000;
+};
+
+// ========== GOODREADS CSV ==========
+
+// Goodreads writes ISBNs as spreadsheet formulas: ="9780439023481" (="" when unknown)
+const cleanIsbn = (value = '') => normalizeISBN(value.replace(/^=|"/g, '')) || undefined;
+
+// Dates are YYYY/MM/DD
+const parseDate = (value = '') => {
+  const parts = value.trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+  if (!parts) return undefined;
+
+  const date = new Date(Date.UTC(Number(parts[1]), Number(parts[2]) - 1, Number(parts[3])));
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const parseCount = (value = '') => {
+  const count = parseInt(value, 10);
+  return Number.isInteger(count) && count > 0 ? count : undefined;
+};
+
+// Reviews are exported as HTML
+const cleanReview = (value = '') => {
+  const text = value
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+
+  return text ? truncateText(text, MAX_REVIEW_LENGTH - 3) : undefined;
+};
+
+const toImportRow = (record, index) => {
+  const exclusiveShelf = (record['Exclusive Shelf'] || '').trim().toLowerCase();
+  const shelves = (record.Bookshelves || '')
+    .split(',')
+    .map(shelf => shelf.trim().toLowerCase())
+    .concat(exclusiveShelf)
+    // A custom exclusive shelf (e.g. "did-not-finish") becomes a custom shelf as well
+    .filter(shelf => shelf && !EXCLUSIVE_SHELVES[shelf])
+    .map(shelf => shelf.slice(0, MAX_SHELF_NAME_LENGTH));
+  const rating = parseInt(record['My Rating'], 10);
+
+  return {
+    row: index + 1,
+    title: (record.Title || '').trim(),
+    author: (record.Author || '').trim(),
+    isbn: cleanIsbn(record.ISBN),
+    isbn13: cleanIsbn(record.ISBN13),
+    // 0 means not rated
+    rating: rating >= 1 && rating <= 5 ? rating : undefined,
+    review: cleanReview(record['My Review']),
+    dateRead: parseDate(record['Date Read']),
+    dateAdded: parseDate(record['Date Added']),
+    readCount: parseCount(record['Read Count']),
+    exclusiveShelf,
+    shelves: [...new Set(shelves)]
+  };
+};
+
+/**
+ * Read the rows of a Goodreads library export
+ * @param {string} text - CSV contents
+ * @returns {Array<Object>} Import rows
+ */
+export const parseGoodreadsExport = (text) => {
+  const { columns, records } = parseCsv(text);
+
+  if (!REQUIRED_COLUMNS.every(column => columns.includes(column))) {
+    throw new AppError('The file is not a Goodreads library export', 400, 'INVALID_IMPORT_FILE');
+  }
+
+  if (records.length === 0) {
+    throw new AppError('The file has no books to import', 400, 'EMPTY_IMPORT_FILE');
+  }
+
+  const maxRows = getMaxImportRows();
+  if (records.length > maxRows) {
+    throw new AppError(`Imports are limited to ${maxRows} books`, 400, 'IMPORT_TOO_LARGE');
+  }
+
+  return records.map(toImportRow);
+};
+
+/**
+ * Create an import and its rows from an uploaded Goodreads export (processed by scheduleImport)
+ * @returns {Promise<Document>} The LibraryImport
+ */
+export const createGoodreadsImport = async ({ userId, fileName, text, publishReviews = false }) => {
+  const rows = parseGoodreadsExport(text);
+
+  const libraryImport = await LibraryImport.create({
+    user: userId,
+    source: 'goodreads',
+    fileName,
+    publishReviews,
+    totalRows: rows.length
+  });
+
+  try {
+    await LibraryImportRow.insertMany(rows.map(row => ({ ...row, libraryImport: libraryImport._id })));
+  } catch (error) {
+    // Don't leave an import behind that the job would process without all of its rows
+    await LibraryImportRow.deleteMany({ libraryImport: libraryImport._id });
+    await LibraryImport.deleteOne({ _id: libraryImport._id });
+    throw error;
+  }
+
+  return libraryImport;
+};
+
+// ========== BOOK RESOLUTION ==========
+
+const findBookByIsbn = (isbns) => {
+  const values = [...new Set(isbns.flatMap(isbn => [isbn, toISBN13(isbn)]))];
+
+  return Book.findOne({
+    $or: [
+      { isbn: { $in: values } },
+      { isbn10: { $in: values } },
+      { isbn13: { $in: values } },
+      // Records merged into another edition resolve to that edition
+      { mergedIds: { $in: values } }
+    ]
+  });
+};
+
+// The most viewed edition of the catalog work with this title and author
+const findBookByWork = async (title, author) => {
+  const work = await Work.findOne({ key: workKeyFor({ title, authors: [author] }) });
+  if (!work) return null;
+
+  return Book.findOne({ work: work._id }).sort({ viewCount: -1 });
+};
+
+const toCandidate = (book) => ({
+  title: book.title,
+  authors: book.authors,
+  isbn: book.isbn13 || book.isbn10 || book.isbn,
+  publishedDate: book.publishedDate ? String(book.publishedDate) : undefined,
+  googleBooksId: book.googleBooksId,
+  openLibraryId: book.openLibraryId
+});
+
+/**
+ * Find the catalog book for an import row, adding it to the catalog when a
+ * provider knows it
+ * Throws when the metadata providers can't be reached.
+ * @returns {Promise<{ status: string, book?: Document, matchedBy?: string, candidates?: Array, error?: string }>}
+ */
+export const resolveImportRow = async (row) => {
+  const isbns = [row.isbn13, row.isbn].filter(Boolean);
+
+  if (isbns.length > 0) {
+    const local = await findBookByIsbn(isbns);
+    if (local) return { status: 'matched', book: local, matchedBy: 'isbn' };
+
+    const metadata = await fetchBookByISBN(isbns[0]);
+    if (metadata) return { status: 'matched', book: await saveBookMetadata(metadata), matchedBy: 'isbn' };
+  }
+
+  if (row.author) {
+    const local = await findBookByWork(row.title, row.author);
+    if (local) return { status: 'matched', book: local, matchedBy: 'title_author' };
+  }
+
+  const { books = [] } = await searchBooks({ q: row.title, author: row.author || undefined, maxResults: 10 });
+  const titleKey = normalizeWorkTitle(row.title);
+  const authorKey = normalizeWorkAuthor(row.author);
+  const sameTitle = books.filter(book => normalizeWorkTitle(book.title) === titleKey);
+  const exact = row.author
+    ? sameTitle.filter(book => (book.authors || []).some(author => normalizeWorkAuthor(author) === authorKey))
+    : [];
+
+  // Editions of one work; prefer one we can match by ISBN later
+  if (exact.length > 0) {
+    const best = exact.find(book => book.isbn13 || book.isbn10 || book.isbn) || exact[0];
+    return { status: 'matched', book: await saveBookMetadata(best), matchedBy: 'search' };
+  }
+
+  const candidates = (sameTitle.length > 0 ? sameTitle : books).slice(0, MAX_CANDIDATES);
+  if (candidates.length > 0) {
+    return { status: 'ambiguous', candidates: candidates.map(toCandidate) };
+  }
+
+  return { status: 'failed', error: 'No matching book found' };
+};
+
+// ========== BOOKSHELF ==========
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Bookshelf item values carried over from a row
+const itemValues = (row, shelfType) => {
+  const values = {
+    addedAt: row.dateAdded,
+    rating: row.rating,
+    review: row.review,
+    readCount: row.readCount
+  };
+
+  if (shelfType === 'finished') {
+    values.completedAt = row.dateRead;
+    values.lastReadAt = row.dateRead;
+    values.progress = 100;
+    values.readCount = row.readCount || 1;
+  } else if (shelfType === 'currentlyReading') {
+    values.startedAt = row.dateAdded;
+  }
+
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => !isMissing(value)));
+};
+
+// Fill in what an item doesn't have yet
+const fillItem = (item, values) => {
+  for (const [field, value] of Object.entries(values)) {
+    if (field === 'progress' ? !item.progress : isMissing(item[field])) {
+      item[field] = value;
+    }
+  }
+};
+
+/**
+ * Put a matched row's book on the bookshelf
+ * @param {Document} bookshelf
+ * @param {Object} row - LibraryImportRow with `book` set
+ */
+export const applyRowToBookshelf = (bookshelf, row) => {
+  const bookId = row.book.toString();
+  const shelfType = EXCLUSIVE_SHELVES[row.exclusiveShelf];
+  const onShelf = item => item.book.toString() === bookId;
+
+  const currentShelf = MAIN_SHELVES.find(shelf => bookshelf[shelf].some(onShelf));
+  if (currentShelf) {
+    // Already in the library: keep its shelf, complete its values (shelf-specific ones only on the same shelf)
+    fillItem(bookshelf[currentShelf].find(onShelf), itemValues(row, currentShelf === shelfType ? shelfType : undefined));
+  } else if (shelfType) {
+    bookshelf[shelfType].push({ book: row.book, ...itemValues(row, shelfType) });
+  }
+
+  for (const name of row.shelves) {
+    let shelf = bookshelf.customShelves.find(customShelf => customShelf.name === name);
+    if (!shelf) {
+      bookshelf.customShelves.push({ name, books: [] });
+      shelf = bookshelf.customShelves[bookshelf.customShelves.length - 1];
+    }
+
+    const item = shelf.books.find(onShelf);
+    if (item) {
+      fillItem(item, itemValues(row));
+    } else {
+      shelf.books.push({ book: row.book, ...itemValues(row) });
+    }
+  }
+};
+
+// Rated and reviewed books also get a public review (when the user asked for it)
+const publishReview = async (book, userId, row) => {
+  if (!row.rating || !row.review || row.review.length < MIN_PUBLIC_REVIEW_LENGTH || book.hasUserReviewed(userId)) {
+    return;
+  }
+
+  book.reviews.push({
+    user: userId,
+    rating: row.rating,
+    comment: row.review,
+    createdAt: row.dateRead || row.dateAdded || new Date()
+  });
+  book.updateAverageRating();
+  await book.save();
+};
+
+// ========== PROCESSING ==========
+
+const setRowResult = (libraryImport, row, result) => {
+  row.status = result.status;
+  row.matchedBy = result.matchedBy;
+  row.book = result.book?._id;
+  row.candidates = result.candidates || [];
+  row.error = result.error;
+  libraryImport.counts[result.status] += 1;
+};
+
+/**
+ * Process an import from its cursor to the end
+ * Stops early (back to pending, resumed by the import job) when the metadata
+ * providers keep failing.
+ * @returns {Promise<Document|null>} The import, or null if it was already taken
+ */
+export const processImport = async (importId) => {
+  const libraryImport = await LibraryImport.claim(importId);
+
+  // Already picked up (or finished) elsewhere
+  if (!libraryImport) {
+    return null;
+  }
+
+  const userId = libraryImport.user;
+
+  try {
+    let bookshelf = await Bookshelf.findOne({ user: userId }) || new Bookshelf({ user: userId });
+    // Rows put on the bookshelf since the last save
+    let unsaved = [];
+    // Rows with a result since the last save
+    let changedRows = [];
+    let failureStreak = [];
+
+    const save = async () => {
+      try {
+        await bookshelf.save();
+      } catch (error) {
+        if (error.name !== 'VersionError') throw error;
+
+        // The user changed their shelves meanwhile: apply the rows again on the current version
+        bookshelf = await Bookshelf.findOne({ user: userId });
+        unsaved.forEach(row => applyRowToBookshelf(bookshelf, row));
+        await bookshelf.save();
+      }
+
+      unsaved = [];
+      await LibraryImportRow.bulkSave(changedRows);
+      changedRows = [];
+      await libraryImport.save();
+    };
+
+    // Rows are loaded a save's worth at a time
+    let batch = [];
+
+    while (libraryImport.nextRow < libraryImport.totalRows) {
+      if (batch.length === 0) {
+        batch = await LibraryImportRow.find({
+          libraryImport: libraryImport._id,
+          row: { $gt: libraryImport.nextRow }
+        })
+          .sort({ row: 1 })
+          .limit(SAVE_EVERY_ROWS);
+
+        if (batch.length === 0) break;
+      }
+
+      const row = batch.shift();
+      changedRows.push(row);
+
+      if (!row.title) {
+        setRowResult(libraryImport, row, { status: 'skipped', error: 'Missing title' });
+      } else {
+        try {
+          const result = await resolveImportRow(row);
+          setRowResult(libraryImport, row, result);
+          failureStreak = [];
+
+          if (result.status === 'matched') {
+            applyRowToBookshelf(bookshelf, row);
+            unsaved.push(row);
+
+            if (libraryImport.publishReviews) {
+              await publishReview(result.book, userId, row);
+            }
+          }
+        } catch (error) {
+          console.error(`❌ Library import ${libraryImport._id} row ${row.row} failed:`, error.message);
+          setRowResult(libraryImport, row, { status: 'failed', error: 'Book lookup failed' });
+          failureStreak.push(row);
+
+          if (failureStreak.length >= MAX_CONSECUTIVE_FAILURES && libraryImport.pauses < MAX_PAUSES) {
+            // Leave these rows for the next attempt instead of failing the rest of the file
+            failureStreak.forEach(failedRow => {
+              failedRow.status = 'pending';
+              failedRow.error = undefined;
+            });
+            libraryImport.counts.failed -= failureStreak.length;
+            libraryImport.nextRow -= failureStreak.length - 1;
+            libraryImport.pauses += 1;
+            libraryImport.status = 'pending';
+            await save();
+
+            console.warn(`⚠️ Library import ${libraryImport._id} paused at row ${libraryImport.nextRow + 1}: metadata providers unavailable`);
+            return libraryImport;
+          }
+        }
+      }
+
+      libraryImport.nextRow += 1;
+
+      if (libraryImport.nextRow % SAVE_EVERY_ROWS === 0) {
+        await save();
+      }
+    }
+
+    libraryImport.status = 'completed';
+    libraryImport.completedAt = new Date();
+    await save();
+
+    const { matched, ambiguous, failed, skipped } = libraryImport.counts;
+    console.log(`📥 Library import finished: ${libraryImport._id} (${matched} matched, ${ambiguous} ambiguous, ${failed} failed, ${skipped} skipped)`);
+  } catch (error) {
+    console.error(`❌ Library import ${libraryImport._id} failed:`, error);
+
+    // Keep the cursor of the last save
+    await LibraryImport.updateOne(
+      { _id: libraryImport._id },
+      { $set: { status: 'failed', error: error.message } }
+    );
+    libraryImport.status = 'failed';
+    libraryImport.error = error.message;
+  }
+
+  return libraryImport;
+};
+
+/**
+ * Process an import in the background without holding up the request
+ */
+export const scheduleImport = (importId) => {
+  setImmediate(() => {
+    processImport(importId).catch(error => {
+      console.error('❌ Library import scheduling error:', error);
+    });
+  });
+};
+
+/**
+ * Resume imports that were interrupted (server restart) or paused
+ */
+export const processPendingImports = async ({ limit = 5, stalledAfterMinutes = 30 } = {}) => {
+  // Processing imports save every few rows; one quiet this long died with its process
+  await LibraryImport.updateMany(
+    { status: 'processing', updatedAt: { $lte: new Date(Date.now() - stalledAfterMinutes * 60 * 1000) } },
+    { $set: { status: 'pending' } }
+  );
+
+  // Leave fresh uploads to the in-process scheduler
+  const pending = await LibraryImport.find({
+    status: 'pending',
+    updatedAt: { $lte: new Date(Date.now() - 60 * 1000) }
+  })
+    .select('_id')
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  let processed = 0;
+  for (const libraryImport of pending) {
+    if (await processImport(libraryImport._id)) {
+      processed++;
+    }
+  }
+
+  return processed;
+};
+
+/**
+ * Delete every import of a user, with its rows (account purge)
+ */
+export const deleteImportsForUser = async (userId) => {
+  const imports = await LibraryImport.find({ user: userId }).select('_id');
+  const ids = imports.map(libraryImport => libraryImport._id);
+
+  await LibraryImportRow.deleteMany({ libraryImport: { $in: ids } });
+  await LibraryImport.deleteMany({ _id: { $in: ids } });
+};
+
+export default {
+  getMaxImportRows,
+  parseGoodreadsExport,
+  createGoodreadsImport,
+  resolveImportRow,
+  applyRowToBookshelf,
+  processImport,
+  scheduleImport,
+  processPendingImports,
+  deleteImportsForUser
+};
@@ -0,0 +1,220 @@
+// backend/services/loginProtectionService.js
+import User from '../models/User.js';
+import LoginEvent from '../models/LoginEvent.js';
+import { sendAccountUnlockEmail, buildClientUrl } from './emailService.js';
+
+/**
+ * Login Protection Service
+ * Per-account brute-force protection for password logins. After a few free attempts
+ * each further failure imposes a growing wait before the next attempt is accepted;
+ * reaching the threshold locks the account and emails the owner an unlock link.
+ * Counters are per account, so they hold up against guesses spread across many IPs.
+ */
+
+const FREE_ATTEMPTS = 3;
+const LOCK_THRESHOLD = 10;
+const FAILURE_WINDOW = 60 * 60 * 1000; // Failures older than 1 hour are forgotten
+const BASE_DELAY = 1000; // 1 second, doubled per failure
+const MAX_DELAY = 30 * 1000; // 30 seconds
+const BASE_LOCK_DURATION = 15 * 60 * 1000; // 15 minutes, doubled per consecutive lockout
+const MAX_LOCK_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Wait required after the given number of recent failures
+ */
+export const getRequiredDelay = (failedAttempts) => {
+  if (failedAttempts <= FREE_ATTEMPTS) {
+    return 0;
+  }
+
+  return Math.min(BASE_DELAY * 2 ** (failedAttempts - FREE_ATTEMPTS - 1), MAX_DELAY);
+};
+
+const getLockDuration = (lockCount) => {
+  return Math.min(BASE_LOCK_DURATION * 2 ** lockCount, MAX_LOCK_DURATION);
+};
+
+const getRecentFailures = (protection) => {
+  if (!protection?.lastFailedAt || Date.now() - protection.lastFailedAt.getTime() > FAILURE_WINDOW) {
+    return 0;
+  }
+
+  return protection.failedAttempts || 0;
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * @returns {{ locked: boolean, throttled: boolean, lockedUntil?: Date, retryAfter?: number }}
+ *          retryAfter is in seconds
+ */
+export const getLoginStatus = (user) => {
+  const protection = user.loginProtection || {};
+  const now = Date.now();
+
+  if (protection.lockedUntil && protection.lockedUntil.getTime() > now) {
+    return {
+      locked: true,
+      throttled: false,
+      lockedUntil: protection.lockedUntil,
+      retryAfter: Math.ceil((protection.lockedUntil.getTime() - now) / 1000)
+    };
+  }
+
+  const delay = getRequiredDelay(getRecentFailures(protection));
+  const nextAttemptAt = protection.lastFailedAt ? protection.lastFailedAt.getTime() + delay : 0;
+
+  if (delay > 0 && nextAttemptAt > now) {
+    return {
+      locked: false,
+      throttled: true,
+      retryAfter: Math.ceil((nextAttemptAt - now) / 1000)
+    };
+  }
+
+  return { locked: false, throttled: false };
+};
+
+/**
+ * Email the owner a link that unlocks the account
+ */
+export const sendUnlockEmail = async (user) => {
+  const unlockToken = user.createUnlockToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendAccountUnlockEmail(
+    user,
+    buildClientUrl(`/unlock-account/${unlockToken}`),
+    user.loginProtection?.lockedUntil
+  );
+
+  await LoginEvent.record('unlock_email_sent', { user });
+};
+
+/**
+ * Record a failed password or second-factor attempt and lock the account once the
+ * threshold is reached (both count towards the same lockout)
+ * @param {string} [factor] - 'password' or 'two_factor'
+ * @returns {Promise<{ failedAttempts: number, locked: boolean, lockedUntil?: Date }>}
+ */
+export const recordFailedLogin = async (user, req, factor = 'password') => {
+  const now = new Date();
+
+  // Start a fresh count when the previous failures have aged out
+  await User.updateOne(
+    { _id: user._id, 'loginProtection.lastFailedAt': { $lt: new Date(now.getTime() - FAILURE_WINDOW) } },
+    { $set: { 'loginProtection.failedAttempts': 0 } }
+  );
+
+  // Atomic increment so parallel guesses are all counted
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { 'loginProtection.failedAttempts': 1 },
+      $set: { 'loginProtection.lastFailedAt': now }
+    },
+    { new: true }
+  );
+
+  const failedAttempts = updated.loginProtection.failedAttempts;
+
+  await LoginEvent.record('login_failed', { user, req, details: { failedAttempts, factor } });
+
+  if (failedAttempts < LOCK_THRESHOLD) {
+    return { failedAttempts, locked: false };
+  }
+
+  const lockedUntil = new Date(now.getTime() + getLockDuration(updated.loginProtection.lockCount || 0));
+
+  // Only one of several concurrent failures gets to lock (and email) the account
+  const locked = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [
+        { 'loginProtection.lockedUntil': { $exists: false } },
+        { 'loginProtection.lockedUntil': null },
+        { 'loginProtection.lockedUntil': { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        'loginProtection.lockedUntil': lockedUntil,
+        'loginProtection.lastLockedAt': now,
+        'loginProtection.failedAttempts': 0
+      },
+      $inc: { 'loginProtection.lockCount': 1 }
+    },
+    { new: true }
+  );
+
+  if (!locked) {
+    const current = await User.findById(user._id).select('loginProtection');
+    return { failedAttempts, locked: true, lockedUntil: current?.loginProtection?.lockedUntil };
+  }
+
+  console.log(`🔒 Account locked after ${failedAttempts} failed logins: ${locked.username} (until ${lockedUntil.toISOString()})`);
+
+  await LoginEvent.record('account_locked', { user: locked, req, details: { failedAttempts, lockedUntil } });
+
+  try {
+    await sendUnlockEmail(locked);
+  } catch (mailError) {
+    console.error('❌ Account unlock email error:', mailError);
+  }
+
+  return { failedAttempts, locked: true, lockedUntil };
+};
+
+/**
+ * Record a failed attempt for an email with no account (visible to admins only)
+ */
+export const recordUnknownAccountAttempt = (identifier, req) => {
+  return LoginEvent.record('login_failed', { identifier, req });
+};
+
+/**
+ * Clear failure counters after a successful login (for 2FA accounts, once the
+ * second factor has been checked too)
+ */
+export const recordSuccessfulLogin = async (user) => {
+  const protection = user.loginProtection || {};
+
+  if (!protection.failedAttempts && !protection.lockCount && !protection.lockedUntil) {
+    return;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'loginProtection.failedAttempts': 0, 'loginProtection.lockCount': 0 },
+      $unset: { 'loginProtection.lockedUntil': 1, 'loginProtection.lastFailedAt': 1 }
+    }
+  );
+};
+
+/**
+ * Unlock an account and reset its counters
+ * @param {string} unlockedBy - 'email' or 'admin'
+ */
+export const unlockAccount = async (user, unlockedBy, req = null) => {
+  user.set('loginProtection.failedAttempts', 0);
+  user.set('loginProtection.lockCount', 0);
+  user.set('loginProtection.lockedUntil', undefined);
+  user.set('loginProtection.lastFailedAt', undefined);
+  user.unlockToken = undefined;
+  user.unlockExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await LoginEvent.record('account_unlocked', { user, req, details: { unlockedBy } });
+
+  console.log(`🔓 Account unlocked (${unlockedBy}): ${user.username}`);
+};
+
+export default {
+  getRequiredDelay,
+  getLoginStatus,
+  recordFailedLogin,
+  recordUnknownAccountAttempt,
+  recordSuccessfulLogin,
+  sendUnlockEmail,
+  unlockAccount
+};
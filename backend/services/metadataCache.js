@@ -0,0 +1,293 @@
+// backend/services/metadataCache.js
+import { AsyncLocalStorage } from 'async_hooks';
+import mongoose from 'mongoose';
+import MetadataCacheEntry from '../models/MetadataCacheEntry.js';
+
+/**
+ * Metadata Cache
+ * Two-level cache for metadata provider responses: a bounded in-process LRU in
+ * front of the shared MongoDB collection (MetadataCacheEntry).
+ *
+ * - Fresh entries are served as-is.
+ * - Stale entries are served immediately while one background request refreshes
+ *   them (stale-while-revalidate); they keep being served if the refresh fails.
+ * - Concurrent requests for the same key share a single upstream call.
+ * - Lookups run inside withMetadataRefresh skip cached entries and replace them.
+ *
+ * Settings: METADATA_CACHE_FRESH_MINUTES (default 15), METADATA_CACHE_STALE_HOURS
+ * (how long past freshness an entry may still be served, default 24) and
+ * METADATA_CACHE_MAX_ENTRIES (LRU size per namespace, default 500).
+ */
+
+export const getCacheSettings = () => ({
+  freshMs: (parseFloat(process.env.METADATA_CACHE_FRESH_MINUTES) || 15) * 60 * 1000,
+  staleMs: (parseFloat(process.env.METADATA_CACHE_STALE_HOURS) || 24) * 60 * 60 * 1000,
+  maxEntries: parseInt(process.env.METADATA_CACHE_MAX_ENTRIES, 10) || 500
+});
+
+const caches = new Map();
+
+// Request usage of the refresh running in the current async context, if any
+const refreshScope = new AsyncLocalStorage();
+
+const isPersistentAvailable = () => mongoose.connection.readyState === 1;
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+// Map iteration order is insertion order, so re-inserting on access keeps the oldest first
+const createLru = (maxEntries, onEvict) => {
+  const entries = new Map();
+
+  return {
+    get: (key) => {
+      if (!entries.has(key)) return undefined;
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    set: (key, entry) => {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        onEvict();
+      }
+    },
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+const createMetadataCache = (namespace) => {
+  const { maxEntries } = getCacheSettings();
+  const inFlight = new Map();
+  const counters = {
+    memoryHits: 0,
+    persistentHits: 0,
+    staleHits: 0,
+    misses: 0,
+    upstreamRequests: 0,
+    upstreamErrors: 0,
+    coalesced: 0,
+    revalidations: 0,
+    evictions: 0,
+    persistentErrors: 0
+  };
+  const memory = createLru(maxEntries, () => { counters.evictions += 1; });
+
+  const readPersistent = async (key) => {
+    if (!isPersistentAvailable()) return null;
+
+    try {
+      const doc = await MetadataCacheEntry.findOne({ namespace, key }).lean();
+      // The TTL monitor runs about once a minute, so expired entries can linger
+      if (!doc || doc.expiresAt.getTime() <= Date.now()) return null;
+
+      return { value: doc.value, freshUntil: doc.freshUntil.getTime(), expiresAt: doc.expiresAt.getTime() };
+    } catch (error) {
+      counters.persistentErrors += 1;
+      console.error(`❌ Metadata cache read error (${namespace}):`, error.message);
+      return null;
+    }
+  };
+
+  const writePersistent = (key, entry) => {
+    if (!isPersistentAvailable()) return;
+
+    MetadataCacheEntry.updateOne(
+      { namespace, key },
+      {
+        $set: {
+          value: entry.value,
+          fetchedAt: new Date(),
+          freshUntil: new Date(entry.freshUntil),
+          expiresAt: new Date(entry.expiresAt)
+        }
+      },
+      { upsert: true }
+    ).catch(error => {
+      counters.persistentErrors += 1;
+      console.error(`❌ Metadata cache write error (${namespace}):`, error.message);
+    });
+  };
+
+  // One upstream call per key at a time; later callers wait for the same promise
+  const fetchUpstream = (key, fetcher, context, usage) => {
+    if (inFlight.has(key)) {
+      counters.coalesced += 1;
+      return inFlight.get(key);
+    }
+
+    counters.upstreamRequests += 1;
+    if (usage) usage.upstreamRequests += 1;
+
+    const request = Promise.resolve()
+      .then(() => fetcher(context))
+      .then(value => {
+        // Nothing worth caching (e.g. not found)
+        if (value === undefined || value === null) return value;
+
+        const { freshMs, staleMs } = getCacheSettings();
+        const now = Date.now();
+        const entry = { value, freshUntil: now + freshMs, expiresAt: now + freshMs + staleMs };
+
+        memory.set(key, entry);
+        writePersistent(key, entry);
+        return value;
+      })
+      .catch(error => {
+        counters.upstreamErrors += 1;
+        throw error;
+      })
+      .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, request);
+    return request;
+  };
+
+  /**
+   * Cached value for a key, calling `fetcher` on a miss
+   * @param {string} key
+   * @param {Function} fetcher - ({ revalidating }) => Promise<value>; `revalidating` is
+   *   true for background refreshes of stale entries, which callers may deprioritize
+   */
+  const get = async (key, fetcher) => {
+    const refresh = refreshScope.getStore();
+
+    // Refreshes want what the provider has now, as a background request
+    if (refresh) {
+      counters.revalidations += 1;
+      return fetchUpstream(key, fetcher, { revalidating: true }, refresh);
+    }
+
+    const now = Date.now();
+    let entry = memory.get(key);
+
+    if (entry && entry.expiresAt <= now) {
+      memory.delete(key);
+      entry = undefined;
+    }
+
+    if (entry) {
+      counters.memoryHits += 1;
+    } else {
+      entry = await readPersistent(key);
+
+      if (entry) {
+        counters.persistentHits += 1;
+        memory.set(key, entry);
+      }
+    }
+
+    if (!entry) {
+      counters.misses += 1;
+      return fetchUpstream(key, fetcher, { revalidating: false });
+    }
+
+    if (entry.freshUntil <= now) {
+      counters.staleHits += 1;
+
+      if (!inFlight.has(key)) {
+        counters.revalidations += 1;
+        // The stale value stays in place if the refresh fails
+        fetchUpstream(key, fetcher, { revalidating: true }).catch(() => {});
+      }
+    }
+
+    return entry.value;
+  };
+
+  /**
+   * Drop every entry in this namespace (memory and persistent)
+   * @returns {Promise<{ memory: number, persistent: number }>} Entries removed
+   */
+  const clear = async () => {
+    const memoryEntries = memory.size;
+    memory.clear();
+
+    let persistentEntries = 0;
+    if (isPersistentAvailable()) {
+      const result = await MetadataCacheEntry.deleteMany({ namespace });
+      persistentEntries = result.deletedCount || 0;
+    }
+
+    return { memory: memoryEntries, persistent: persistentEntries };
+  };
+
+  const getStats = async () => {
+    const hits = counters.memoryHits + counters.persistentHits;
+    const persistentAvailable = isPersistentAvailable();
+
+    return {
+      namespace,
+      memory: {
+        entries: memory.size,
+        maxEntries
+      },
+      persistent: {
+        available: persistentAvailable,
+        entries: persistentAvailable ? await MetadataCacheEntry.countDocuments({ namespace }) : null
+      },
+      inFlight: inFlight.size,
+      ...counters,
+      hits,
+      hitRatio: ratio(hits, hits + counters.misses),
+      missRatio: ratio(counters.misses, hits + counters.misses),
+      staleRatio: ratio(counters.staleHits, hits)
+    };
+  };
+
+  return { namespace, get, clear, getStats };
+};
+
+/**
+ * The cache for a namespace (one per provider), created on first use
+ */
+export const getMetadataCache = (namespace) => {
+  if (!caches.has(namespace)) {
+    caches.set(namespace, createMetadataCache(namespace));
+  }
+
+  return caches.get(namespace);
+};
+
+export const getMetadataCacheNamespaces = () => [...caches.keys()];
+
+/**
+ * Run `fn` with every metadata cache bypassed: its lookups go to the providers
+ * and replace the cached entries, even fresh ones
+ * @param {{ upstreamRequests: number }} usage - Counts the upstream requests made for `fn`
+ *   (requests shared with other callers already in flight aren't counted)
+ * @param {Function} fn
+ */
+export const withMetadataRefresh = (usage, fn) => refreshScope.run(usage, fn);
+
+/**
+ * Statistics of every metadata cache
+ */
+export const getAllMetadataCacheStats = () => Promise.all([...caches.values()].map(cache => cache.getStats()));
+
+/**
+ * Clear one namespace, or every metadata cache
+ * @returns {Promise<Object>} Entries removed, keyed by namespace
+ */
+export const clearMetadataCaches = async (namespace) => {
+  const targets = namespace ? [getMetadataCache(namespace)] : [...caches.values()];
+  const results = await Promise.all(targets.map(cache => cache.clear()));
+
+  return Object.fromEntries(targets.map((cache, index) => [cache.namespace, results[index]]));
+};
+
+export default {
+  getCacheSettings,
+  getMetadataCache,
+  getMetadataCacheNamespaces,
+  withMetadataRefresh,
+  getAllMetadataCacheStats,
+  clearMetadataCaches
+};
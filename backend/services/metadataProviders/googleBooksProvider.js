@@ -0,0 +1,80 @@
+// backend/services/metadataProviders/googleBooksProvider.js
+import {
+  searchBooksFromGoogle,
+  fetchBookByIdFromGoogle,
+  fetchBookByISBN,
+  fetchBooksByAuthor,
+  fetchBooksByGenre,
+  transformMultipleGoogleBooks,
+  transformGoogleBookToLocal
+} from '../googleBooksService.js';
+
+/**
+ * Google Books metadata provider
+ * Adapts services/googleBooksService.js to the provider interface
+ * (see services/bookMetadataService.js).
+ */
+
+// Google volume IDs are 12 URL-safe characters
+const GOOGLE_ID_PATTERN = /^[\w-]{12}$/;
+
+const isNotFound = (error) => /not found/i.test(error.message);
+
+const toResults = async (results) => ({
+  books: await transformMultipleGoogleBooks(results.items || []),
+  totalItems: results.totalItems || 0
+});
+
+const googleBooksProvider = {
+  name: 'google',
+  idField: 'googleBooksId',
+
+  ownsId: (id) => GOOGLE_ID_PATTERN.test(id),
+
+  search: async ({ q = '', subject, author, startIndex = 0, maxResults = 20, orderBy = 'relevance', printType, language } = {}) => {
+    let query = q;
+
+    if (subject) {
+      query += ` subject:${subject}`;
+    }
+
+    if (author) {
+      query += ` inauthor:${author}`;
+    }
+
+    return toResults(await searchBooksFromGoogle({
+      q: query.trim(),
+      startIndex,
+      maxResults,
+      orderBy: orderBy === 'newest' ? 'newest' : 'relevance',
+      printType: printType !== 'all' ? printType : undefined,
+      langRestrict: language
+    }));
+  },
+
+  fetchById: async (id) => {
+    try {
+      const book = await transformGoogleBookToLocal(await fetchBookByIdFromGoogle(id));
+      return book.error ? null : book;
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  },
+
+  fetchByISBN: async (isbn) => {
+    try {
+      const book = await transformGoogleBookToLocal(await fetchBookByISBN(isbn));
+      return book.error ? null : book;
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  },
+
+  fetchByAuthor: async (author, { maxResults = 20 } = {}) => toResults(await fetchBooksByAuthor(author, maxResults)),
+
+  fetchBySubject: async (subject, { maxResults = 20 } = {}) => toResults(await fetchBooksByGenre(subject, maxResults))
+};
+
+export default googleBooksProvider;
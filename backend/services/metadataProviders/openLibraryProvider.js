@@ -0,0 +1,191 @@
+// backend/services/metadataProviders/openLibraryProvider.js
+import axios from 'axios';
+import { getMetadataCache } from '../metadataCache.js';
+
+/**
+ * Open Library metadata provider
+ * Searches openlibrary.org and maps its works to the local book format.
+ * Used as a fallback when Google Books is unavailable or throttling us.
+ */
+
+const OPEN_LIBRARY_API_BASE = 'https://openlibrary.org';
+const OPEN_LIBRARY_COVERS_BASE = 'https://covers.openlibrary.org/b/id';
+const API_TIMEOUT = 10000; // 10 seconds
+const MAX_RESULTS = 100;
+
+// Fields requested from search.json
+const SEARCH_FIELDS = [
+  'key', 'title', 'subtitle', 'author_name', 'first_publish_year', 'isbn', 'subject',
+  'language', 'number_of_pages_median', 'cover_i', 'publisher', 'ratings_average', 'ratings_count'
+].join(',');
+
+// Open Library uses MARC (3-letter) language codes; the Book model wants ISO 639-1
+const LANGUAGE_CODES = {
+  eng: 'en', fre: 'fr', fra: 'fr', ger: 'de', deu: 'de', spa: 'es', ita: 'it', por: 'pt',
+  rus: 'ru', jpn: 'ja', chi: 'zh', zho: 'zh', dut: 'nl', nld: 'nl', swe: 'sv', pol: 'pl',
+  ara: 'ar', hin: 'hi', kor: 'ko', tur: 'tr', gre: 'el', ell: 'el', dan: 'da', nor: 'no', fin: 'fi'
+};
+
+// Work IDs look like OL45804W
+const WORK_ID_PATTERN = /^OL\d+W$/;
+
+// Shared response cache (see services/metadataCache.js)
+const cache = getMetadataCache('openlibrary');
+
+const placeholderImage = (title) => {
+  const firstChar = title ? title.charAt(0).toUpperCase() : 'B';
+  return `https://placehold.co/300x400/6a11cb/ffffff?text=${encodeURIComponent(firstChar)}`;
+};
+
+/**
+ * Make a request to the Open Library API (cached; 404s resolve to null and aren't cached)
+ */
+const makeOpenLibraryRequest = async (path, params = {}) => {
+  try {
+    return await cache.get(`${path}:${JSON.stringify(params)}`, async () => {
+      console.log(`🌐 Open Library API Request: ${path}`, params);
+
+      const response = await axios.get(`${OPEN_LIBRARY_API_BASE}${path}`, {
+        timeout: API_TIMEOUT,
+        params,
+        // Open Library asks API clients to identify themselves
+        headers: { 'User-Agent': 'BookifyMe/1.0' }
+      });
+
+      return response.data;
+    });
+
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+
+    if (error.code === 'ECONNABORTED') {
+      throw new Error('Open Library API request timeout');
+    }
+
+    if (error.response?.status === 429) {
+      throw new Error('Open Library API rate limit exceeded');
+    }
+
+    throw new Error(`Open Library API error: ${error.message}`);
+  }
+};
+
+/**
+ * Map an Open Library search document to the local book format
+ */
+const transformOpenLibraryDoc = (doc, description) => {
+  const workId = doc.key?.replace('/works/', '');
+  const isbns = doc.isbn || [];
+  const isbn13 = isbns.find(isbn => isbn.length === 13);
+  const isbn10 = isbns.find(isbn => isbn.length === 10);
+  const language = (doc.language || []).map(code => LANGUAGE_CODES[code]).find(Boolean);
+  const title = doc.title || 'Unknown Title';
+
+  const book = {
+    openLibraryId: workId,
+    title,
+    subtitle: doc.subtitle || '',
+    authors: doc.author_name?.length ? doc.author_name : ['Unknown Author'],
+    primaryAuthor: doc.author_name?.[0] || 'Unknown Author',
+    description: description || 'No description available.',
+    shortDescription: description
+      ? description.substring(0, 200) + (description.length > 200 ? '...' : '')
+      : 'No description available.',
+    genres: doc.subject?.length ? doc.subject.slice(0, 5) : ['General'],
+    categories: (doc.subject || []).slice(0, 10),
+    language: language || 'en',
+    pageCount: doc.number_of_pages_median || 0,
+    publicationDate: doc.first_publish_year
+      ? new Date(Date.UTC(doc.first_publish_year, 0, 1))
+      : new Date(),
+    publisher: doc.publisher?.[0] || 'Unknown Publisher',
+    printType: 'BOOK',
+    averageRating: doc.ratings_average ? Math.round(doc.ratings_average * 10) / 10 : 0,
+    ratingsCount: doc.ratings_count || 0,
+    price: 9.99,
+    currency: 'USD',
+    metadata: {
+      infoLink: workId ? `${OPEN_LIBRARY_API_BASE}/works/${workId}` : undefined
+    }
+  };
+
+  if (isbn13 || isbn10) {
+    book.isbn13 = isbn13;
+    book.isbn10 = isbn10;
+    book.isbn = isbn13 || isbn10;
+  }
+
+  if (doc.cover_i) {
+    book.coverImage = `${OPEN_LIBRARY_COVERS_BASE}/${doc.cover_i}-M.jpg`;
+    book.images = {
+      small: `${OPEN_LIBRARY_COVERS_BASE}/${doc.cover_i}-S.jpg`,
+      medium: `${OPEN_LIBRARY_COVERS_BASE}/${doc.cover_i}-M.jpg`,
+      large: `${OPEN_LIBRARY_COVERS_BASE}/${doc.cover_i}-L.jpg`
+    };
+  } else {
+    book.coverImage = placeholderImage(title);
+  }
+
+  return book;
+};
+
+const search = async (params, { startIndex = 0, maxResults = 20, orderBy } = {}) => {
+  const data = await makeOpenLibraryRequest('/search.json', {
+    ...params,
+    fields: SEARCH_FIELDS,
+    offset: Math.max(0, startIndex),
+    limit: Math.min(maxResults, MAX_RESULTS),
+    sort: orderBy === 'newest' ? 'new' : undefined
+  });
+
+  return {
+    books: (data?.docs || []).filter(doc => doc.key).map(doc => transformOpenLibraryDoc(doc)),
+    totalItems: data?.numFound || 0
+  };
+};
+
+const openLibraryProvider = {
+  name: 'openlibrary',
+  idField: 'openLibraryId',
+
+  ownsId: (id) => WORK_ID_PATTERN.test(id),
+
+  search: async ({ q = '', subject, author, language, ...options } = {}) => {
+    const params = {};
+    if (q.trim()) params.q = q.trim();
+    if (subject) params.subject = subject;
+    if (author) params.author = author;
+    // Open Library filters languages by MARC code
+    const marc = Object.keys(LANGUAGE_CODES).find(code => LANGUAGE_CODES[code] === language);
+    if (marc) params.language = marc;
+
+    return search(params, options);
+  },
+
+  fetchById: async (id) => {
+    const [results, work] = await Promise.all([
+      makeOpenLibraryRequest('/search.json', { q: `key:/works/${id}`, fields: SEARCH_FIELDS, limit: 1 }),
+      makeOpenLibraryRequest(`/works/${id}.json`)
+    ]);
+
+    const doc = results?.docs?.[0];
+    if (!doc) return null;
+
+    // Descriptions are either a string or { type, value }
+    const description = typeof work?.description === 'string' ? work.description : work?.description?.value;
+    return transformOpenLibraryDoc(doc, description);
+  },
+
+  fetchByISBN: async (isbn) => {
+    const { books } = await search({ isbn: isbn.replace(/[-\s]/g, '') }, { maxResults: 1 });
+    return books[0] || null;
+  },
+
+  fetchByAuthor: async (author, options = {}) => search({ author }, options),
+
+  fetchBySubject: async (subject, options = {}) => search({ subject }, options)
+};
+
+export default openLibraryProvider;
@@ -0,0 +1,289 @@
+// backend/services/oidcService.js
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+
+/**
+ * OpenID Connect Service
+ * Authorization code + PKCE sign-in against any OIDC provider configured through env:
+ *
+ *   OIDC_PROVIDERS=google,mock                 Enabled provider names
+ *   OIDC_<NAME>_ISSUER                         Issuer URL (discovery via /.well-known/openid-configuration)
+ *   OIDC_<NAME>_CLIENT_ID / _CLIENT_SECRET     Client credentials (secret optional for public clients)
+ *   OIDC_<NAME>_REDIRECT_URI                   Redirect URI registered with the provider
+ *   OIDC_<NAME>_SCOPES                         Defaults to "openid email profile"
+ *   OIDC_<NAME>_DISPLAY_NAME                   Label shown on the login page
+ *   OIDC_<NAME>_AUTHORIZATION_ENDPOINT, _TOKEN_ENDPOINT, _USERINFO_ENDPOINT, _JWKS_URI
+ *                                              Optional overrides that skip discovery (e.g. a local mock IdP)
+ */
+
+const API_TIMEOUT = 10000; // 10 seconds
+const METADATA_CACHE_DURATION = 60 * 60 * 1000; // 1 hour
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const SYMMETRIC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+
+// Discovery documents and JWKS, keyed by provider name
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const base64Url = (buffer) => {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const getEnabledProviderNames = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Read a provider's configuration from env
+ * @returns {Object|null} Provider config, or null if the provider isn't enabled
+ */
+export const getProviderConfig = (name) => {
+  const providerName = String(name || '').toLowerCase();
+
+  if (!getEnabledProviderNames().includes(providerName)) {
+    return null;
+  }
+
+  const envKey = providerName.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const env = (suffix) => process.env[`OIDC_${envKey}_${suffix}`];
+
+  const issuer = env('ISSUER');
+  const clientId = env('CLIENT_ID');
+
+  if (!issuer || !clientId) {
+    throw new Error(`OIDC provider "${providerName}" requires OIDC_${envKey}_ISSUER and OIDC_${envKey}_CLIENT_ID`);
+  }
+
+  const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+  return {
+    name: providerName,
+    displayName: env('DISPLAY_NAME') || providerName,
+    issuer: issuer.replace(/\/+$/, ''),
+    clientId,
+    clientSecret: env('CLIENT_SECRET'),
+    redirectUri: env('REDIRECT_URI') || `${clientUrl}/auth/callback/${providerName}`,
+    scopes: env('SCOPES') || 'openid email profile',
+    endpoints: {
+      authorization: env('AUTHORIZATION_ENDPOINT'),
+      token: env('TOKEN_ENDPOINT'),
+      userinfo: env('USERINFO_ENDPOINT'),
+      jwks: env('JWKS_URI')
+    }
+  };
+};
+
+/**
+ * List enabled providers (public information only)
+ */
+export const listProviders = () => {
+  return getEnabledProviderNames()
+    .map(name => {
+      try {
+        const provider = getProviderConfig(name);
+        return { name: provider.name, displayName: provider.displayName };
+      } catch (error) {
+        console.error(`❌ OIDC provider misconfigured: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Resolve provider endpoints, using discovery unless every endpoint is configured explicitly
+ */
+const getProviderMetadata = async (provider) => {
+  const { endpoints } = provider;
+
+  if (endpoints.authorization && endpoints.token && endpoints.jwks) {
+    return {
+      issuer: provider.issuer,
+      authorization_endpoint: endpoints.authorization,
+      token_endpoint: endpoints.token,
+      userinfo_endpoint: endpoints.userinfo,
+      jwks_uri: endpoints.jwks
+    };
+  }
+
+  const cached = metadataCache.get(provider.name);
+  if (cached && Date.now() - cached.timestamp < METADATA_CACHE_DURATION) {
+    return cached.data;
+  }
+
+  const response = await axios.get(`${provider.issuer}/.well-known/openid-configuration`, {
+    timeout: API_TIMEOUT
+  });
+
+  const metadata = {
+    ...response.data,
+    authorization_endpoint: endpoints.authorization || response.data.authorization_endpoint,
+    token_endpoint: endpoints.token || response.data.token_endpoint,
+    userinfo_endpoint: endpoints.userinfo || response.data.userinfo_endpoint,
+    jwks_uri: endpoints.jwks || response.data.jwks_uri
+  };
+
+  metadataCache.set(provider.name, { data: metadata, timestamp: Date.now() });
+  return metadata;
+};
+
+/**
+ * Build the authorization request (state, nonce and PKCE verifier must be stored by the caller)
+ * @returns {Promise<{ authorizationUrl: string, state: string, nonce: string, codeVerifier: string }>}
+ */
+export const createAuthorizationRequest = async (provider) => {
+  const metadata = await getProviderMetadata(provider);
+
+  const state = base64Url(crypto.randomBytes(32));
+  const nonce = base64Url(crypto.randomBytes(32));
+  const codeVerifier = base64Url(crypto.randomBytes(48));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+    state,
+    nonce,
+    codeVerifier
+  };
+};
+
+/**
+ * Get the verification key for an ID token
+ */
+const getSigningKey = async (provider, metadata, header) => {
+  if (SYMMETRIC_ALGORITHMS.includes(header.alg)) {
+    if (!provider.clientSecret) {
+      throw new Error('ID token is HMAC-signed but no client secret is configured');
+    }
+    return provider.clientSecret;
+  }
+
+  const findKey = (jwks) => {
+    const keys = jwks?.keys || [];
+    return keys.find(key => key.kid === header.kid) || (!header.kid && keys.length === 1 ? keys[0] : null);
+  };
+
+  let jwks = jwksCache.get(provider.name);
+  let jwk = jwks && Date.now() - jwks.timestamp < METADATA_CACHE_DURATION ? findKey(jwks.data) : null;
+
+  // Unknown kid: the provider may have rotated keys, so refetch once
+  if (!jwk) {
+    const response = await axios.get(metadata.jwks_uri, { timeout: API_TIMEOUT });
+    jwksCache.set(provider.name, { data: response.data, timestamp: Date.now() });
+    jwk = findKey(response.data);
+  }
+
+  if (!jwk) {
+    throw new Error('No matching signing key found for ID token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token's signature and standard claims
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(provider, metadata, decoded.header);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [...ASYMMETRIC_ALGORITHMS, ...SYMMETRIC_ALGORITHMS],
+    audience: provider.clientId,
+    issuer: metadata.issuer || provider.issuer,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+/**
+ * Exchange an authorization code and return the verified identity
+ * @returns {Promise<Object>} Normalized identity (subject, email, emailVerified, names, picture)
+ */
+export const getIdentityFromCode = async (provider, { code, codeVerifier, nonce }) => {
+  const metadata = await getProviderMetadata(provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  const tokenResponse = await axios.post(metadata.token_endpoint, body.toString(), {
+    timeout: API_TIMEOUT,
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    }
+  });
+
+  const { id_token: idToken, access_token: accessToken } = tokenResponse.data;
+
+  if (!idToken) {
+    throw new Error('Token response did not include an ID token');
+  }
+
+  let claims = await verifyIdToken(provider, metadata, idToken, nonce);
+
+  // Some providers only put profile claims on the userinfo endpoint
+  if (!claims.email && accessToken && metadata.userinfo_endpoint) {
+    const userInfoResponse = await axios.get(metadata.userinfo_endpoint, {
+      timeout: API_TIMEOUT,
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    if (userInfoResponse.data.sub === claims.sub) {
+      claims = { ...userInfoResponse.data, ...claims, email: userInfoResponse.data.email };
+    }
+  }
+
+  return {
+    provider: provider.name,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name,
+    givenName: claims.given_name,
+    familyName: claims.family_name,
+    preferredUsername: claims.preferred_username,
+    picture: claims.picture
+  };
+};
+
+export default {
+  getProviderConfig,
+  listProviders,
+  createAuthorizationRequest,
+  getIdentityFromCode
+};
@@ -0,0 +1,236 @@
+// backend/services/twoFactorService.js
+import crypto from 'crypto';
+import { hashData } from '../utils/helpers.js';
+
+/**
+ * Two-Factor Authentication Service
+ * RFC 6238 TOTP (HMAC-SHA1, 30 second step, 6 digits) plus one-time recovery codes.
+ * Secrets are stored encrypted with AES-256-GCM using TWO_FACTOR_ENCRYPTION_KEY
+ * (falls back to JWT_SECRET).
+ */
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept one step of clock drift either way
+const SECRET_BYTES = 20; // 160-bit secret, as recommended by RFC 4226
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'BookifyMe';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ========== BASE32 ==========
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// ========== SECRET ENCRYPTION ==========
+
+const getEncryptionKey = () => {
+  const keySource = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+  if (!keySource) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set');
+  }
+
+  return crypto.createHash('sha256').update(keySource).digest();
+};
+
+/**
+ * Encrypt a base32 secret for storage (iv:tag:ciphertext, hex encoded)
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [iv.toString('hex'), tag.toString('hex'), encrypted.toString('hex')].join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ */
+export const decryptSecret = (payload) => {
+  const [ivHex, tagHex, encryptedHex] = payload.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encryptedHex, 'hex')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+// ========== TOTP ==========
+
+/**
+ * Generate a new random base32 TOTP secret
+ */
+export const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps (rendered as a QR code by the client)
+ */
+export const buildOtpAuthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ */
+const generateHotp = (secretBuffer, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', secretBuffer).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Current TOTP time step
+ */
+export const getCurrentStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+};
+
+/**
+ * Generate the TOTP code for a secret at a given time
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => {
+  return generateHotp(base32Decode(secret), getCurrentStep(timestamp));
+};
+
+/**
+ * Verify a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} lastUsedStep - Last step accepted for this user (prevents replay)
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, lastUsedStep = null) => {
+  const normalizedCode = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalizedCode)) {
+    return null;
+  }
+
+  const secretBuffer = base32Decode(secret);
+  const currentStep = getCurrentStep();
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateHotp(secretBuffer, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// ========== RECOVERY CODES ==========
+
+const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Generate one-time recovery codes
+ * @returns {{ codes: string[], hashed: Object[] }} Plain codes (shown once) and records to store
+ */
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashed: codes.map(code => ({ codeHash: hashData(normalizeRecoveryCode(code)) }))
+  };
+};
+
+/**
+ * Find an unused recovery code record matching the given code
+ */
+export const findRecoveryCode = (recoveryCodes = [], code) => {
+  const codeHash = hashData(normalizeRecoveryCode(code));
+  return recoveryCodes.find(entry => !entry.usedAt && entry.codeHash === codeHash) || null;
+};
+
+export default {
+  generateSecret,
+  buildOtpAuthUri,
+  generateTotp,
+  verifyTotp,
+  getCurrentStep,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  findRecoveryCode
+};
@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import { generateTotp, verifyTotp, getCurrentStep } from '../../services/twoFactorService.js';
+
+// RFC 6238 appendix B SHA1 seed "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B SHA1 vectors; we use 6 digits, the last 6 of the RFC's 8
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+describe('generateTotp', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 vector at %i seconds', (seconds, expected) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(expected.slice(-6));
+  });
+});
+
+describe('verifyTotp', () => {
+  const now = 1111111111 * 1000;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('accepts the current code and returns its step', () => {
+    expect(verifyTotp(RFC_SECRET, '050471')).toBe(getCurrentStep(now));
+  });
+
+  it('accepts codes one step either side of now', () => {
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30 * 1000))).toBe(getCurrentStep(now) - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30 * 1000))).toBe(getCurrentStep(now) + 1);
+  });
+
+  it('rejects codes outside the drift window', () => {
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 90 * 1000))).toBeNull();
+  });
+
+  it('ignores whitespace and rejects malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '050 471')).toBe(getCurrentStep(now));
+    expect(verifyTotp(RFC_SECRET, '05047')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  it('rejects a replayed code once its step was used', () => {
+    const step = verifyTotp(RFC_SECRET, '050471');
+
+    expect(verifyTotp(RFC_SECRET, '050471', step)).toBeNull();
+  });
+
+  it('rejects earlier codes after a later step was used', () => {
+    const previous = generateTotp(RFC_SECRET, now - 30 * 1000);
+
+    expect(verifyTotp(RFC_SECRET, previous, getCurrentStep(now))).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30 * 1000), getCurrentStep(now)))
+      .toBe(getCurrentStep(now) + 1);
+  });
+});
@@ -0,0 +1,94 @@
+// backend/tests/support/fakeProvider.js
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+/**
+ * Fake metadata provider
+ * Serves books from a fixture file so search and import flows can be tested
+ * offline: register one under a configured provider's name, e.g.
+ * registerMetadataProvider(createFakeProvider({ name: 'google' })), to stand in
+ * for it. createFakeProvider() builds instances with custom books, or one that
+ * fails every call to simulate an outage.
+ */
+
+const DEFAULT_FIXTURES_FILE = fileURLToPath(new URL('../fixtures/metadata-books.json', import.meta.url));
+
+const loadFixtures = (file = DEFAULT_FIXTURES_FILE) =>
+  JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// Fixture `id` is only used to look books up; callers get a copy without it
+const toBook = ({ id, ...book }) => structuredClone(book);
+
+const includes = (values, text) => values.some(value => value?.toLowerCase().includes(text.toLowerCase()));
+
+/**
+ * Create a fake provider
+ * @param {Object} [options]
+ * @param {string} [options.name='fake']
+ * @param {Array<Object>} [options.books] - Books in the local format, each with a lookup `id` (defaults to the fixture file)
+ * @param {Error} [options.failWith] - Thrown by every call
+ */
+export const createFakeProvider = ({ name = 'fake', books, failWith } = {}) => {
+  let catalog = books;
+  const getCatalog = () => {
+    if (!catalog) catalog = loadFixtures();
+    return catalog;
+  };
+
+  const guard = (fn) => async (...args) => {
+    if (failWith) throw failWith;
+    return fn(...args);
+  };
+
+  const page = (matches, { startIndex = 0, maxResults = 20, orderBy } = {}) => {
+    const ordered = orderBy === 'newest'
+      ? [...matches].sort((a, b) => new Date(b.publicationDate) - new Date(a.publicationDate))
+      : matches;
+
+    return {
+      books: ordered.slice(startIndex, startIndex + maxResults).map(toBook),
+      totalItems: matches.length
+    };
+  };
+
+  const normalizeIsbn = (isbn) => String(isbn || '').replace(/[-\s]/g, '');
+
+  return {
+    name,
+    idField: null,
+
+    ownsId: (id) => getCatalog().some(book => book.id === id),
+
+    search: guard(async ({ q = '', subject, author, language, ...options } = {}) => {
+      const words = q.trim().split(/\s+/).filter(Boolean);
+
+      return page(getCatalog().filter(book =>
+        words.every(word => includes([book.title, ...book.authors, ...book.genres], word))
+        && (!subject || includes(book.genres, subject))
+        && (!author || includes(book.authors, author))
+        && (!language || language === 'any' || book.language === language)
+      ), options);
+    }),
+
+    fetchById: guard(async (id) => {
+      const book = getCatalog().find(candidate => candidate.id === id);
+      return book ? toBook(book) : null;
+    }),
+
+    fetchByISBN: guard(async (isbn) => {
+      const wanted = normalizeIsbn(isbn);
+      const book = getCatalog().find(candidate =>
+        [candidate.isbn, candidate.isbn10, candidate.isbn13].some(value => value && normalizeIsbn(value) === wanted)
+      );
+      return book ? toBook(book) : null;
+    }),
+
+    fetchByAuthor: guard(async (author, options = {}) =>
+      page(getCatalog().filter(book => includes(book.authors, author)), options)),
+
+    fetchBySubject: guard(async (subject, options = {}) =>
+      page(getCatalog().filter(book => includes(book.genres, subject)), options))
+  };
+};
+
+export default createFakeProvider();
@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import { createCircuitBreaker } from '../../utils/circuitBreaker.js';
+
+const fail = (message = 'upstream down') => async () => {
+  throw new Error(message);
+};
+const succeed = (value = 'ok') => async () => value;
+
+describe('createCircuitBreaker', () => {
+  const cooldownMs = 60 * 1000;
+  let breaker;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    breaker = createCircuitBreaker({ name: 'Test API', failureThreshold: 2, cooldownMs });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const openCircuit = async () => {
+    await expect(breaker.execute(fail())).rejects.toThrow('upstream down');
+    await expect(breaker.execute(fail())).rejects.toThrow('upstream down');
+  };
+
+  it('passes results through while closed', async () => {
+    await expect(breaker.execute(succeed('book'))).resolves.toBe('book');
+    expect(breaker.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+
+  it('opens after consecutive failures and fails fast', async () => {
+    await openCircuit();
+    const call = jest.fn(succeed());
+
+    await expect(breaker.execute(call)).rejects.toMatchObject({ statusCode: 503, errorCode: 'CIRCUIT_OPEN' });
+    expect(call).not.toHaveBeenCalled();
+    expect(breaker.getState()).toMatchObject({
+      state: 'open',
+      consecutiveFailures: 2,
+      rejectedCalls: 1,
+      retryAt: new Date(cooldownMs),
+      lastError: { message: 'upstream down' }
+    });
+  });
+
+  it('resets the failure count after a success', async () => {
+    await expect(breaker.execute(fail())).rejects.toThrow();
+    await breaker.execute(succeed());
+    await expect(breaker.execute(fail())).rejects.toThrow();
+
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  it('goes half-open after the cooldown and closes when the trial call succeeds', async () => {
+    await openCircuit();
+    jest.advanceTimersByTime(cooldownMs);
+
+    expect(breaker.getState().state).toBe('half_open');
+    await expect(breaker.execute(succeed('back'))).resolves.toBe('back');
+    expect(breaker.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 0, openedAt: null });
+  });
+
+  it('re-opens when the trial call fails', async () => {
+    await openCircuit();
+    jest.advanceTimersByTime(cooldownMs);
+
+    await expect(breaker.execute(fail('still down'))).rejects.toThrow('still down');
+    expect(breaker.getState()).toMatchObject({ state: 'open', retryAt: new Date(2 * cooldownMs) });
+    await expect(breaker.execute(succeed())).rejects.toMatchObject({ errorCode: 'CIRCUIT_OPEN' });
+  });
+
+  it('lets only one trial call through while half-open', async () => {
+    await openCircuit();
+    jest.advanceTimersByTime(cooldownMs);
+
+    let finishTrial;
+    const trial = breaker.execute(() => new Promise(resolve => { finishTrial = resolve; }));
+
+    await expect(breaker.execute(succeed())).rejects.toMatchObject({ errorCode: 'CIRCUIT_OPEN' });
+    finishTrial('done');
+    await expect(trial).resolves.toBe('done');
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  it('does not count errors that are not failures of the upstream', async () => {
+    breaker = createCircuitBreaker({
+      name: 'Test API',
+      failureThreshold: 1,
+      cooldownMs,
+      isFailure: error => error.message !== 'not found'
+    });
+
+    await expect(breaker.execute(fail('not found'))).rejects.toThrow('not found');
+    expect(breaker.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+});
@@ -0,0 +1,51 @@
+import { parseCsvRows, parseCsv } from '../../utils/csv.js';
+
+describe('parseCsvRows', () => {
+  it('splits plain fields and rows', () => {
+    expect(parseCsvRows('a,b,c\n1,2,3')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  it('keeps commas, doubled quotes and line breaks inside quoted fields', () => {
+    const text = 'Title,Review\n"Dune, Book 1","A ""classic""\nworth rereading"\n';
+
+    expect(parseCsvRows(text)).toEqual([
+      ['Title', 'Review'],
+      ['Dune, Book 1', 'A "classic"\nworth rereading']
+    ]);
+  });
+
+  it('accepts CRLF line endings', () => {
+    expect(parseCsvRows('a,b\r\n1,2\r\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('keeps CRLF inside quoted fields', () => {
+    expect(parseCsvRows('a\r\n"line 1\r\nline 2"\r\n')).toEqual([['a'], ['line 1\r\nline 2']]);
+  });
+
+  it('skips a byte order mark', () => {
+    expect(parseCsvRows('\uFEFFTitle,Author\nDune,Frank Herbert')).toEqual([
+      ['Title', 'Author'],
+      ['Dune', 'Frank Herbert']
+    ]);
+  });
+
+  it('skips blank lines but keeps empty fields', () => {
+    expect(parseCsvRows('a,b\n\n,2\n\r\n')).toEqual([['a', 'b'], ['', '2']]);
+  });
+
+  it('returns no rows for empty input', () => {
+    expect(parseCsvRows('')).toEqual([]);
+  });
+});
+
+describe('parseCsv', () => {
+  it('keys records by the trimmed header, filling missing fields', () => {
+    expect(parseCsv('\uFEFFTitle, Author\r\nDune,Frank Herbert\r\nThe Hobbit\r\n')).toEqual({
+      columns: ['Title', 'Author'],
+      records: [
+        { Title: 'Dune', Author: 'Frank Herbert' },
+        { Title: 'The Hobbit', Author: '' }
+      ]
+    });
+  });
+});
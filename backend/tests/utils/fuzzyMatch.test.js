@@ -0,0 +1,79 @@
+import { editDistance, fuzzyPrefixPattern, matchPhrase } from '../../utils/fuzzyMatch.js';
+
+describe('editDistance', () => {
+  it.each([
+    ['', '', 0],
+    ['dune', 'dune', 0],
+    ['', 'dune', 4],
+    ['dune', 'dun', 1],
+    ['dune', 'dunes', 1],
+    ['dune', 'dane', 1],
+    ['hobbit', 'hobibt', 1],
+    ['kitten', 'sitting', 3]
+  ])('editDistance(%j, %j) is %i', (a, b, expected) => {
+    expect(editDistance(a, b)).toBe(expected);
+    expect(editDistance(b, a)).toBe(expected);
+  });
+});
+
+describe('fuzzyPrefixPattern', () => {
+  it('matches keywords starting with the word', () => {
+    const pattern = fuzzyPrefixPattern('tolk');
+
+    expect(pattern.test('tolkien')).toBe(true);
+    expect(pattern.test('motolkien')).toBe(false);
+  });
+
+  it('allows one wrong, missing, extra or swapped character', () => {
+    const pattern = fuzzyPrefixPattern('tolkein');
+
+    expect(pattern.test('tolkien')).toBe(true); // swapped
+    expect(pattern.test('talkein')).toBe(true); // wrong
+    expect(pattern.test('tolkin')).toBe(true); // extra in the typed word
+    expect(pattern.test('tollkein')).toBe(true); // missing from the typed word
+    expect(pattern.test('tailkin')).toBe(false);
+  });
+
+  it('requires short words to match exactly', () => {
+    const pattern = fuzzyPrefixPattern('cat');
+
+    expect(pattern.test('catch')).toBe(true);
+    expect(pattern.test('cot')).toBe(false);
+  });
+
+  it('escapes regex characters', () => {
+    const pattern = fuzzyPrefixPattern('c++');
+
+    expect(pattern.test('c++ primer')).toBe(true);
+    expect(pattern.test('cccc')).toBe(false);
+  });
+});
+
+describe('matchPhrase', () => {
+  it('matches exact words without typos', () => {
+    expect(matchPhrase('The Lord of the Rings', ['lord', 'rings'])).toEqual({ typos: 0, startsWith: false });
+  });
+
+  it('reports whether the phrase starts with a typed word', () => {
+    expect(matchPhrase('Dune Messiah', ['dune'])).toEqual({ typos: 0, startsWith: true });
+  });
+
+  it('lets the last typed word be unfinished', () => {
+    expect(matchPhrase('The Hobbit', ['the', 'hob'])).toEqual({ typos: 0, startsWith: true });
+    expect(matchPhrase('The Hobbit', ['hob', 'the'])).toBeNull();
+  });
+
+  it('counts typos', () => {
+    expect(matchPhrase('The Hobbit', ['hobibt'])).toEqual({ typos: 1, startsWith: false });
+    expect(matchPhrase('The Hobbit', ['hobibt', 'teh'])).toBeNull();
+  });
+
+  it('matches each typed word against a different word', () => {
+    expect(matchPhrase('Dune', ['dune', 'dune'])).toBeNull();
+    expect(matchPhrase('New York New York', ['new', 'new'])).toEqual({ typos: 0, startsWith: true });
+  });
+
+  it('ignores case and punctuation', () => {
+    expect(matchPhrase("L'Étranger", ['étranger'])).toEqual({ typos: 0, startsWith: false });
+  });
+});
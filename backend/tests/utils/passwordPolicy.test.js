@@ -0,0 +1,30 @@
+import { isCommonPassword } from '../../utils/passwordPolicy.js';
+
+describe('isCommonPassword', () => {
+  it('matches listed passwords regardless of case', () => {
+    expect(isCommonPassword('password')).toBe(true);
+    expect(isCommonPassword('QWERTY')).toBe(true);
+    expect(isCommonPassword('123456')).toBe(true);
+  });
+
+  it.each(['Dragon2024!', 'summer1', 'Monkey!!', 'password_123', 'qwerty#1'])(
+    'matches %s once trailing digits and symbols are removed',
+    (password) => {
+      expect(isCommonPassword(password)).toBe(true);
+    }
+  );
+
+  it('only strips trailing characters', () => {
+    expect(isCommonPassword('2024dragon')).toBe(false);
+    expect(isCommonPassword('drag0n')).toBe(false);
+  });
+
+  it('accepts uncommon passwords', () => {
+    expect(isCommonPassword('correct horse battery staple')).toBe(false);
+    expect(isCommonPassword('Bookworm-Kestrel-42')).toBe(false);
+  });
+
+  it('does not match all-digit passwords on an empty base', () => {
+    expect(isCommonPassword('90210873!')).toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+import { jest } from '@jest/globals';
+import { backoffDelay, withRetry } from '../../utils/retry.js';
+
+describe('backoffDelay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('caps the random delay exponentially up to maxDelayMs', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect(backoffDelay(0, { baseDelayMs: 100, maxDelayMs: 1000 })).toBe(100);
+    expect(backoffDelay(2, { baseDelayMs: 100, maxDelayMs: 1000 })).toBe(400);
+    expect(backoffDelay(5, { baseDelayMs: 100, maxDelayMs: 1000 })).toBe(1000);
+  });
+});
+
+describe('withRetry', () => {
+  const noDelay = { baseDelayMs: 0, maxDelayMs: 0 };
+
+  it('returns the first successful result', async () => {
+    const operation = jest.fn()
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValueOnce('book');
+
+    await expect(withRetry(operation, noDelay)).resolves.toBe('book');
+    expect(operation.mock.calls).toEqual([[0], [1]]);
+  });
+
+  it('throws the last error when retries run out', async () => {
+    const operation = jest.fn()
+      .mockRejectedValueOnce(new Error('first'))
+      .mockRejectedValueOnce(new Error('second'));
+
+    await expect(withRetry(operation, { ...noDelay, retries: 1 })).rejects.toThrow('second');
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry errors shouldRetry rejects', async () => {
+    const operation = jest.fn().mockRejectedValue(new Error('bad request'));
+
+    await expect(withRetry(operation, { ...noDelay, shouldRetry: () => false })).rejects.toThrow('bad request');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits as long as the upstream asks, up to maxDelayMs', async () => {
+    const onRetry = jest.fn();
+    const operation = jest.fn()
+      .mockRejectedValueOnce(new Error('throttled'))
+      .mockResolvedValueOnce('ok');
+
+    await withRetry(operation, { baseDelayMs: 0, maxDelayMs: 5, retryAfterMs: () => 60 * 1000, onRetry });
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ message: 'throttled' }), 1, 5);
+  });
+});
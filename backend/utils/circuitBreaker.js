@@ -0,0 +1,103 @@
+import { AppError } from './helpers.js';
+
+/**
+ * Circuit Breaker
+ * Stops calling an upstream that keeps failing. After `failureThreshold`
+ * consecutive failures the circuit opens and calls fail fast for `cooldownMs`;
+ * then one trial call is let through (half-open) and its outcome closes or
+ * re-opens the circuit.
+ */
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - Upstream name, for logs and errors
+ * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+ * @param {number} [options.cooldownMs] - How long the circuit stays open
+ * @param {Function} [options.isFailure] - (error) => whether the error counts against the upstream
+ */
+export const createCircuitBreaker = ({
+  name,
+  failureThreshold = 5,
+  cooldownMs = 60 * 1000,
+  isFailure = () => true
+}) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+  let rejected = 0;
+
+  const open = () => {
+    state = 'open';
+    openedAt = Date.now();
+    console.warn(`⚠️ Circuit for ${name} opened after ${failures} failure(s); failing fast for ${Math.round(cooldownMs / 1000)}s`);
+  };
+
+  const reject = () => {
+    rejected += 1;
+    throw new AppError(`${name} is temporarily unavailable`, 503, 'CIRCUIT_OPEN');
+  };
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} call - () => Promise<result>
+   * @throws AppError with errorCode CIRCUIT_OPEN while the circuit is open
+   */
+  const execute = async (call) => {
+    if (state === 'open') {
+      if (Date.now() - openedAt < cooldownMs) reject();
+      state = 'half_open';
+    }
+
+    // Only one trial call while half-open
+    if (state === 'half_open') {
+      if (trialInFlight) reject();
+      trialInFlight = true;
+    }
+
+    const isTrial = state === 'half_open';
+
+    try {
+      const result = await call();
+
+      if (state !== 'closed') {
+        console.log(`✅ Circuit for ${name} closed`);
+      }
+      state = 'closed';
+      failures = 0;
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        failures += 1;
+        lastError = { message: error.message, at: new Date() };
+
+        if (isTrial || failures >= failureThreshold) open();
+      } else if (isTrial) {
+        // The upstream answered, so it's reachable again
+        state = 'closed';
+        failures = 0;
+      }
+
+      throw error;
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  };
+
+  const getState = () => ({
+    state: state === 'open' && Date.now() - openedAt >= cooldownMs ? 'half_open' : state,
+    consecutiveFailures: failures,
+    failureThreshold,
+    openedAt: openedAt && state !== 'closed' ? new Date(openedAt) : null,
+    retryAt: state === 'open' ? new Date(openedAt + cooldownMs) : null,
+    rejectedCalls: rejected,
+    lastError
+  });
+
+  return { name, execute, getState };
+};
+
+export default {
+  createCircuitBreaker
+};
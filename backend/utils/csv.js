@@ -0,0 +1,80 @@
+/**
+ * Minimal CSV reader
+ * Parses RFC 4180 CSV (quoted fields, doubled quotes, line breaks inside quotes,
+ * CRLF or LF line endings) held in memory, e.g. uploaded library exports.
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Skip a byte order mark left by spreadsheet tools
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    // Blank lines carry no fields
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header line into one object per record, keyed by column name
+ * @param {string} text
+ * @returns {{ columns: Array<string>, records: Array<Object> }}
+ */
+export const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map(column => column.trim());
+
+  const records = rows.map(fields => Object.fromEntries(
+    columns.map((column, index) => [column, fields[index] ?? ''])
+  ));
+
+  return { columns, records };
+};
+
+export default {
+  parseCsvRows,
+  parseCsv
+};
@@ -0,0 +1,137 @@
+/**
+ * Fuzzy Word Matching
+ * Typo-tolerant matching of typed words against indexed keywords, used by
+ * book autocomplete. A typo is one edit: an inserted, missing, wrong or
+ * swapped (adjacent) character.
+ */
+
+// Shortest word allowed one typo; shorter words must match exactly
+const MIN_FUZZY_LENGTH = 4;
+
+// Longest word considered; longer input is truncated
+export const MAX_WORD_LENGTH = 30;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split text into lowercase words without punctuation
+ */
+export const tokenize = (text = '') => String(text)
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .map(word => word.slice(0, MAX_WORD_LENGTH));
+
+// Typos allowed for a word of this length
+export const allowedEdits = (word) => (word.length >= MIN_FUZZY_LENGTH ? 1 : 0);
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps)
+ */
+export const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+/**
+ * Regex matching keywords that start with `word`, or with `word` after one typo
+ * Anchored so MongoDB can answer it from a keyword index.
+ */
+export const fuzzyPrefixPattern = (word) => {
+  const variants = new Set([escapeRegExp(word)]);
+
+  if (allowedEdits(word) > 0) {
+    for (let i = 0; i <= word.length; i++) {
+      const before = escapeRegExp(word.slice(0, i));
+      // Missing character
+      variants.add(`${before}.${escapeRegExp(word.slice(i))}`);
+
+      if (i < word.length) {
+        // Wrong character, extra character
+        variants.add(`${before}.${escapeRegExp(word.slice(i + 1))}`);
+        variants.add(`${before}${escapeRegExp(word.slice(i + 1))}`);
+      }
+      if (i < word.length - 1) {
+        // Swapped characters
+        variants.add(`${before}${escapeRegExp(word[i + 1] + word[i])}${escapeRegExp(word.slice(i + 2))}`);
+      }
+    }
+  }
+
+  return new RegExp(`^(?:${[...variants].filter(Boolean).join('|')})`);
+};
+
+/**
+ * Typos needed for `typed` to match `word`, or null when it doesn't match
+ * @param {string} word - Candidate word (lowercase)
+ * @param {string} typed - Word typed by the user (lowercase)
+ * @param {Object} [options]
+ * @param {boolean} [options.prefix] - `typed` may be an unfinished word
+ */
+export const matchWord = (word, typed, { prefix = false } = {}) => {
+  if (prefix ? word.startsWith(typed) : word === typed) return 0;
+
+  const maxEdits = allowedEdits(typed);
+  if (maxEdits === 0) return null;
+
+  // An unfinished word is compared with the start of the candidate
+  const candidates = prefix
+    ? [typed.length - 1, typed.length, typed.length + 1].map(length => word.slice(0, length))
+    : [word];
+
+  const distance = Math.min(...candidates.map(candidate => editDistance(candidate, typed)));
+  return distance <= maxEdits ? distance : null;
+};
+
+/**
+ * How well the typed words match a phrase (title, author name, series)
+ * Every typed word must match a different word of the phrase; the last typed
+ * word may be unfinished.
+ * @returns {{ typos: number, startsWith: boolean }|null} Null when the phrase doesn't match
+ */
+export const matchPhrase = (phrase, typedWords) => {
+  const words = tokenize(phrase);
+  const used = new Set();
+  let typos = 0;
+
+  for (const [index, typed] of typedWords.entries()) {
+    const prefix = index === typedWords.length - 1;
+    let best = null;
+
+    words.forEach((word, position) => {
+      if (used.has(position)) return;
+      const distance = matchWord(word, typed, { prefix });
+      if (distance !== null && (best === null || distance < best.distance)) {
+        best = { distance, position };
+      }
+    });
+
+    if (!best) return null;
+    used.add(best.position);
+    typos += best.distance;
+  }
+
+  return { typos, startsWith: used.has(0) };
+};
+
+export default {
+  tokenize,
+  allowedEdits,
+  editDistance,
+  fuzzyPrefixPattern,
+  matchWord,
+  matchPhrase
+};
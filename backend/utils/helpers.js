@@ -3,6 +3,7 @@
 import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import mongoose from 'mongoose';
+import { checkPassword } from './passwordPolicy.js';
 
 /**
  * Utility Functions for BookifyMe Backend
@@ -77,15 +78,10 @@ export const isValidEmail = (email) => {
 };
 
 /**
- * Validate password strength
+ * Validate password strength against the password policy (see utils/passwordPolicy.js)
  */
-export const isStrongPassword = (password) => {
-  const minLength = 6;
-  const hasUpperCase = /[A-Z]/.test(password);
-  const hasLowerCase = /[a-z]/.test(password);
-  const hasNumbers = /\d/.test(password);
-  
-  return password.length >= minLength && hasUpperCase && hasLowerCase && hasNumbers;
+export const isStrongPassword = (password, context = {}) => {
+  return checkPassword(password, context).length === 0;
 };
 
 /**
@@ -498,6 +494,18 @@ export const normalizeISBN = (isbn) => {
   return cleanISBN;
 };
 
+/**
+ * ISBN-13 form of an ISBN, so the ISBN-10 and ISBN-13 of one edition compare equal
+ */
+export const toISBN13 = (isbn) => {
+  const clean = normalizeISBN(isbn);
+  if (!clean || clean.length === 13) return clean;
+
+  const core = `978${clean.slice(0, 9)}`;
+  const sum = [...core].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return `${core}${(10 - (sum % 10)) % 10}`;
+};
+
 /**
  * Calculate book progress percentage
  */
@@ -563,13 +571,18 @@ export const getPaginationParams = (page = 1, limit = 10, maxLimit = 100) => {
 
 // ========== SEARCH & FILTER UTILITIES ==========
 
+/**
+ * Escape user input for use as a literal inside a RegExp
+ */
+export const escapeRegex = (value) => String(value).replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+
 /**
  * Build MongoDB search query for text search
  */
 export const buildSearchQuery = (searchFields, searchTerm) => {
   if (!searchTerm || !searchFields.length) return {};
   
-  const searchRegex = new RegExp(searchTerm.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&'), 'i');
+  const searchRegex = new RegExp(escapeRegex(searchTerm), 'i');
   
   if (searchFields.length === 1) {
     return { [searchFields[0]]: searchRegex };
@@ -600,7 +613,7 @@ export const buildFilterQuery = (query, filterMappings = {}) => {
       } else if (mapping.type === 'array') {
         filter[mapping.field] = { $in: value.split(',') };
       } else if (mapping.type === 'regex') {
-        filter[mapping.field] = new RegExp(value, 'i');
+        filter[mapping.field] = new RegExp(escapeRegex(value), 'i');
       } else if (mapping.type === 'range') {
         const [min, max] = value.split('-').map(Number);
         if (!isNaN(min)) filter[mapping.field] = { ...filter[mapping.field], $gte: min };
@@ -679,6 +692,49 @@ export const maskSensitiveData = (data, fieldsToMask = ['password', 'token', 'au
   return masked;
 };
 
+// ========== REQUEST UTILITIES ==========
+
+/**
+ * Get the client IP address from a request
+ */
+export const getClientIp = (req) => {
+  return req.ip || req.connection?.remoteAddress || 'unknown';
+};
+
+/**
+ * Parse a User-Agent header into a coarse browser / OS / device description
+ */
+export const parseUserAgent = (userAgent = '') => {
+  const ua = userAgent || '';
+
+  let browser = 'Unknown browser';
+  if (/edg\//i.test(ua)) browser = 'Edge';
+  else if (/opr\//i.test(ua)) browser = 'Opera';
+  else if (/chrome\//i.test(ua)) browser = 'Chrome';
+  else if (/firefox\//i.test(ua)) browser = 'Firefox';
+  else if (/safari\//i.test(ua)) browser = 'Safari';
+  else if (/curl|wget|httpie|postman|axios|node/i.test(ua)) browser = 'API client';
+
+  let os = 'Unknown OS';
+  if (/windows/i.test(ua)) os = 'Windows';
+  else if (/android/i.test(ua)) os = 'Android';
+  else if (/iphone|ipad|ipod/i.test(ua)) os = 'iOS';
+  else if (/mac os x|macintosh/i.test(ua)) os = 'macOS';
+  else if (/linux/i.test(ua)) os = 'Linux';
+
+  let deviceType = 'desktop';
+  if (/ipad|tablet/i.test(ua)) deviceType = 'tablet';
+  else if (/mobi|iphone|android/i.test(ua)) deviceType = 'mobile';
+  else if (browser === 'API client') deviceType = 'api';
+
+  return {
+    browser,
+    os,
+    deviceType,
+    device: `${browser} on ${os}`
+  };
+};
+
 // ========== ENVIRONMENT UTILITIES ==========
 
 /**
@@ -762,6 +818,7 @@ export default {
   // Book-specific
   generateBookCoverPlaceholder,
   normalizeISBN,
+  toISBN13,
   calculateBookProgress,
   estimateCompletionTime,
   
@@ -770,6 +827,7 @@ export default {
   getPaginationParams,
   
   // Search & Filter
+  escapeRegex,
   buildSearchQuery,
   buildFilterQuery,
   
@@ -783,6 +841,10 @@ export default {
   hashData,
   maskSensitiveData,
   
+  // Request
+  getClientIp,
+  parseUserAgent,
+  
   // Environment
   isProduction,
   isDevelopment,
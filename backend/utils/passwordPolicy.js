@@ -0,0 +1,112 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { getPasswordPolicy } from '../config/passwordPolicy.js';
+
+/**
+ * Password Policy Checks
+ * Validates a candidate password against the configured policy and the bundled
+ * list of common/breached passwords (data/common-passwords.txt).
+ */
+
+const COMMON_PASSWORDS_FILE = fileURLToPath(new URL('../data/common-passwords.txt', import.meta.url));
+
+// Shortest username/email fragment worth checking for
+const MIN_PERSONAL_INFO_LENGTH = 3;
+
+let commonPasswords = null;
+
+// Loaded on first use and kept in memory
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+
+  return commonPasswords;
+};
+
+/**
+ * Whether a password is (a trivial variation of) a common or breached password
+ */
+export const isCommonPassword = (password) => {
+  const list = getCommonPasswords();
+  const normalized = password.toLowerCase();
+  // "Summer2024!" is as weak as "summer"
+  const base = normalized.replace(/[\d\W_]+$/, '');
+
+  return list.has(normalized) || (base.length > 0 && list.has(base));
+};
+
+/**
+ * Check a password against the policy
+ * @param {string} password
+ * @param {{ username?: string, email?: string }} [context] - Account the password is for
+ * @returns {Array<{ rule: string, message: string }>} Violations (empty when the password is acceptable)
+ */
+export const checkPassword = (password, { username, email } = {}) => {
+  const policy = getPasswordPolicy();
+  const violations = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return [{ rule: 'required', message: 'Password is required' }];
+  }
+
+  if (password.length < policy.minLength) {
+    violations.push({ rule: 'minLength', message: `Password must be at least ${policy.minLength} characters long` });
+  }
+  if (password.length > policy.maxLength) {
+    violations.push({ rule: 'maxLength', message: `Password must not exceed ${policy.maxLength} characters` });
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    violations.push({ rule: 'lowercase', message: 'Password must contain at least one lowercase letter' });
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    violations.push({ rule: 'uppercase', message: 'Password must contain at least one uppercase letter' });
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    violations.push({ rule: 'number', message: 'Password must contain at least one number' });
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    violations.push({ rule: 'symbol', message: 'Password must contain at least one symbol' });
+  }
+
+  if (policy.blockPersonalInfo) {
+    const lowered = password.toLowerCase();
+    const fragments = [username, email?.split('@')[0]]
+      .filter(fragment => fragment && fragment.length >= MIN_PERSONAL_INFO_LENGTH)
+      .map(fragment => fragment.toLowerCase());
+
+    if (fragments.some(fragment => lowered.includes(fragment))) {
+      violations.push({ rule: 'personalInfo', message: 'Password must not contain your username or email address' });
+    }
+  }
+
+  if (policy.blockCommonPasswords && isCommonPassword(password)) {
+    violations.push({ rule: 'commonPassword', message: 'This password is too common or has appeared in a data breach. Please choose another.' });
+  }
+
+  return violations;
+};
+
+/**
+ * Policy requirements as shown to clients (e.g. for a password strength checklist)
+ */
+export const describePasswordPolicy = () => {
+  const { blockPersonalInfo, blockCommonPasswords, ...requirements } = getPasswordPolicy();
+
+  return {
+    ...requirements,
+    blocksPersonalInfo: blockPersonalInfo,
+    blocksCommonPasswords: blockCommonPasswords
+  };
+};
+
+export default {
+  checkPassword,
+  isCommonPassword,
+  describePasswordPolicy
+};
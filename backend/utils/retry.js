@@ -0,0 +1,62 @@
+/**
+ * Retry With Backoff
+ * Retries failed async operations with jittered exponential backoff
+ * ("full jitter": a random delay up to the exponential cap), so that many
+ * clients retrying together don't hit the upstream in lockstep.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay before retry number `attempt` (0-based)
+ */
+export const backoffDelay = (attempt, { baseDelayMs = 250, maxDelayMs = 4000 } = {}) => {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+};
+
+/**
+ * Run an operation, retrying it while `shouldRetry` says so
+ * @param {Function} operation - (attempt) => Promise<result>, attempt starting at 0
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs] - Cap of the first backoff delay
+ * @param {number} [options.maxDelayMs] - Largest backoff delay
+ * @param {Function} [options.shouldRetry] - (error) => boolean
+ * @param {Function} [options.retryAfterMs] - (error) => ms the upstream asked us to wait, or null
+ * @param {Function} [options.onRetry] - (error, attempt, delayMs) => void
+ * @returns {Promise<*>} The operation's result
+ * @throws The last error when retries run out or the error isn't retryable
+ */
+export const withRetry = async (operation, {
+  retries = 2,
+  baseDelayMs = 250,
+  maxDelayMs = 4000,
+  shouldRetry = () => true,
+  retryAfterMs = () => null,
+  onRetry = () => {}
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const requested = retryAfterMs(error);
+      const delay = Math.min(
+        maxDelayMs,
+        Math.max(backoffDelay(attempt, { baseDelayMs, maxDelayMs }), requested || 0)
+      );
+
+      onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+};
+
+export default {
+  backoffDelay,
+  withRetry
+};